@@ -2,6 +2,7 @@
 
 // Direct AI Chat Tool - Works without network server
 import 'dotenv/config';
+import { IntentParser } from './src/intents/normalizer.js';
 
 const args = process.argv.slice(2);
 const message = args.join(' ') || 'Hello AI!';
@@ -9,39 +10,19 @@ const message = args.join(' ') || 'Hello AI!';
 console.log('💬 Your message:', message);
 console.log('🤖 AI is thinking...\n');
 
-async function directGroqCall(userMessage) {
-  const body = {
-    model: 'llama3-70b-8192',
-    messages: [
-      { role: 'system', content: 'You are NeuroDex AI, a helpful blockchain and trading assistant. Respond naturally and conversationally. Provide clear, accurate information about blockchain, DeFi, trading, cryptocurrencies, and related topics.' },
-      { role: 'user', content: userMessage }
-    ],
-    temperature: 0.1,
-    max_tokens: 1000,
-  };
+// Same provider chain as the agent server (GROQ / DEEPSEEK / OPENAI / LOCAL_LLM_BASE_URL ..., see README "Provider Fallback")
+const parser = new IntentParser();
 
+async function askAI(userMessage) {
   try {
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
-      },
-      body: JSON.stringify(body),
-    });
+    const { text: aiResponse, provider, model } = await parser.answerDetailed(userMessage);
+    if (!provider) throw new Error(aiResponse);
 
-    const json = await response.json();
-    if (!response.ok) {
-      throw new Error(`Groq API error: ${JSON.stringify(json)}`);
-    }
-    
-    const aiResponse = json?.choices?.[0]?.message?.content || 'No response from AI';
-    
     console.log('🎯 AI Response:');
     console.log('═'.repeat(50));
     console.log(aiResponse);
     console.log('═'.repeat(50));
-    console.log(`\n✅ Response generated using Groq (${body.model})`);
+    console.log(`\n✅ Response generated using ${provider} (${model})`);
     console.log(`📊 Tokens used: ~${aiResponse.length / 4} tokens`);
     
     return aiResponse;
@@ -52,7 +33,7 @@ async function directGroqCall(userMessage) {
   }
 }
 
-directGroqCall(message).then(response => {
+askAI(message).then(response => {
   if (response) {
     console.log('\n🎉 AI chat successful!');
     console.log('\n💡 Usage examples:');
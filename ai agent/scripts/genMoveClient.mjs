@@ -0,0 +1,314 @@
+// Generates the typed Move client from the function signatures and structs in smart contract/*.move
+// Usage: npm run gen:move-client   (re-run after changing an entry / #[view] function or a struct)
+// One function per entry function (builds the payload) and per #[view] function (calls it and decodes the
+// result), grouped per module (perp_core -> perpCore.openPosition, ...). Arguments are passed as an object
+// keyed by the Move parameter names, type parameters included (margin_vault.deposit<T> -> { T, amount });
+// &signer parameters are left out, they are the transaction's signers.
+// Every `has key` struct gets a resource reader (perp_core::Pair -> perpCore.readPair({ account })), and every
+// Table field of one an item reader and an indexer listing (perpCore.readPairPositions({ handle, key }),
+// perpCore.listPairPositions({ handle })), so state without a view function can still be read.
+// Writes the server client (src/aptos/moveClient.generated.ts, SDK payloads) and the frontend one
+// (walletconnect/src/services/moveClient.generated.js, wallet payloads, JSDoc types); both encode and decode
+// through their moveCodec.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readMoveModules } from './moveSource.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const TARGETS = {
+  ts: path.resolve(here, '../src/aptos/moveClient.generated.ts'),
+  js: path.resolve(here, '../../walletconnect/src/services/moveClient.generated.js'),
+};
+
+const camel = (s) => s.replace(/_(\w)/g, (_, c) => c.toUpperCase());
+const pascal = (s) => camel(s).replace(/^\w/, (c) => c.toUpperCase());
+const UINTS = ['u8', 'u16', 'u32', 'u64', 'u128', 'u256'];
+const TABLES = ['Table', 'TableWithLength', 'SmartTable'];
+
+function splitType(type) {
+  const open = type.indexOf('<');
+  if (open < 0) return { name: type, args: [] };
+  const args = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of type.slice(open + 1, -1)) {
+    if (ch === '<') depth++;
+    if (ch === '>') depth--;
+    if (ch === ',' && depth === 0) {
+      args.push(cur.trim());
+      cur = '';
+    } else cur += ch;
+  }
+  args.push(cur.trim());
+  return { name: type.slice(0, open), args };
+}
+
+// JS / TS type of an argument the caller passes in
+function inputType(type) {
+  const t = splitType(type);
+  if (UINTS.includes(t.name)) return Number(t.name.slice(1)) <= 32 ? 'number' : 'MoveUint';
+  if (t.name === 'bool') return 'boolean';
+  if (['address', 'Object', 'String'].includes(t.name)) return 'string';
+  if (t.name === 'vector') return t.args[0] === 'u8' ? 'MoveBytes' : `${inputType(t.args[0])}[]`;
+  throw new Error(`Unsupported argument type ${type}`);
+}
+
+// JS / TS type of a decoded view result
+function outputType(type, mod) {
+  const t = splitType(type);
+  if (UINTS.includes(t.name)) return Number(t.name.slice(1)) <= 32 ? 'number' : 'bigint';
+  if (t.name === 'bool') return 'boolean';
+  if (['address', 'Object', 'String'].includes(t.name)) return 'string';
+  if (t.name === 'vector') return t.args[0] === 'u8' ? 'Uint8Array' : `${outputType(t.args[0], mod)}[]`;
+  if (t.name === 'Option') return `${outputType(t.args[0], mod)} | null`;
+  if (TABLES.includes(t.name)) return 'MoveTable';
+  if (t.name === 'Coin') return 'MoveCoin';
+  if (mod.structs.some((s) => s.name === t.name)) return pascal(mod.name) + t.name;
+  return 'any';
+}
+
+// Structs a module's views return or its resources hold, directly or through fields / vector / Option / Table
+function returnedStructs(mod, views, resources) {
+  const byName = new Map(mod.structs.map((s) => [s.name, s]));
+  const seen = new Set();
+  const visit = (type) => {
+    const t = splitType(type);
+    t.args.forEach(visit);
+    const s = byName.get(t.name);
+    if (s && !seen.has(s.name)) {
+      seen.add(s.name);
+      s.fields.forEach((f) => visit(f.type));
+    }
+  };
+  views.forEach((f) => f.returns.forEach(visit));
+  resources.forEach((r) => visit(r.name));
+  return mod.structs.filter((s) => seen.has(s.name));
+}
+
+function collect() {
+  const modules = [];
+  for (const mod of readMoveModules()) {
+    const entries = mod.functions.filter((f) => f.entry);
+    const views = mod.functions.filter((f) => f.view && f.visibility === 'public');
+    const resources = mod.structs.filter((st) => st.abilities.includes('key')).map((st) => ({
+      ...st,
+      tables: st.fields.filter((f) => TABLES.includes(splitType(f.type).name)).map((f) => ({ field: f.name, key: splitType(f.type).args[0], value: splitType(f.type).args[1] })),
+    }));
+    if (!entries.length && !views.length && !resources.length) continue;
+    if (modules.some((m) => m.name === mod.name)) throw new Error(`Module ${mod.name} is defined twice`);
+    for (const f of [...entries, ...views]) {
+      const clash = f.typeParams.find((p) => f.params.some((a) => a.name === p));
+      if (clash) throw new Error(`${mod.file}: ${f.name} has a parameter named like its type parameter ${clash}`);
+      if (f.entry && f.returns.length) throw new Error(`${mod.file}: entry function ${f.name} returns a value`);
+    }
+    modules.push({ ...mod, entries, views, resources, returned: returnedStructs(mod, views, resources) });
+  }
+  return modules;
+}
+
+function abiTable(modules) {
+  const table = {};
+  for (const mod of modules) {
+    const functions = {};
+    for (const f of [...mod.entries, ...mod.views]) {
+      functions[f.name] = {
+        kind: f.entry ? 'entry' : 'view',
+        typeParams: f.typeParams,
+        signers: f.signers,
+        params: f.params.map((p) => [p.name, p.type]),
+        returns: f.returns,
+      };
+    }
+    table[mod.name] = {
+      address: mod.address,
+      file: mod.file,
+      structs: Object.fromEntries(mod.returned.map((s) => [s.name, s.fields.map((f) => [f.name, f.type])])),
+      resources: Object.fromEntries(mod.resources.map((r) => [r.name, {
+        typeParams: r.typeParams,
+        tables: Object.fromEntries(r.tables.map((t) => [t.field, [t.key, t.value]])),
+      }])),
+      functions,
+    };
+  }
+  return table;
+}
+
+function argsShape(f, sep) {
+  const fields = [...f.typeParams.map((p) => `${p}: string`), ...f.params.map((p) => `${p.name}: ${inputType(p.type)}`)];
+  return fields.length ? `{ ${fields.join(sep)} }` : '{}';
+}
+
+function returnShape(f, mod) {
+  if (f.returns.length === 1) return outputType(f.returns[0], mod);
+  return `[${f.returns.map((r) => outputType(r, mod)).join(', ')}]`;
+}
+
+function summary(f, mod) {
+  const kind = f.entry
+    ? `entry, signer${f.signers.length > 1 ? 's' : ''}: ${f.signers.join(', ') || 'none'}${f.signers.length > 1 ? ' (multi-agent)' : ''}`
+    : 'view';
+  const typeParams = f.typeParams.length ? `<${f.typeParams.join(', ')}>` : '';
+  return [`${mod.name}::${f.name}${typeParams} (${kind})`, ...f.doc];
+}
+
+// Reader / table helper names: Pair -> readPair, Pair.positions -> readPairPositions / listPairPositions
+const readerName = (r) => `read${r.name}`;
+const tableNames = (r, t) => ({ read: `read${r.name}${pascal(t.field)}`, list: `list${r.name}${pascal(t.field)}` });
+
+function resourceArgs(r, sep) {
+  return `{ ${['account: string', ...r.typeParams.map((p) => `${p}: string`)].join(sep)} }`;
+}
+
+function resourceSummary(r, mod) {
+  const typeParams = r.typeParams.length ? `<${r.typeParams.join(', ')}>` : '';
+  return [`${mod.name}::${r.name}${typeParams} (resource; null when the account does not hold it)`, ...r.doc];
+}
+
+function resourceType(r, mod) {
+  return `${pascal(mod.name)}${r.name}`;
+}
+
+// JSON with innermost arrays on one line ([name, type] pairs, type params)
+const stringify = (data) => JSON.stringify(data, null, 2).replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, inner) => `[${inner.split(/,\s+/).join(', ')}]`);
+
+const HEADER = '// GENERATED by ai agent/scripts/genMoveClient.mjs from smart contract/*.move – do not edit by hand.\n';
+
+function renderTs(modules, abi) {
+  const out = [HEADER, `import type { InputEntryFunctionData } from '@aptos-labs/ts-sdk';
+import { entryPayload, callView, readResource, readTableItem, listTableItems, MoveAbi, MoveViewer, MoveResourceReader, MoveIndexer } from './moveCodec.js';
+import type { MoveTable, MoveCoin } from './moveCodec.js';
+
+export type MoveUint = bigint | number | string;
+export type MoveBytes = Uint8Array | number[] | string; // bytes, or text (UTF-8)
+`];
+  for (const mod of modules) {
+    for (const s of mod.returned) {
+      out.push(`export interface ${pascal(mod.name)}${s.name} {\n${s.fields.map((f) => `  ${f.name}: ${outputType(f.type, mod)};`).join('\n')}\n}\n`);
+    }
+  }
+  out.push(`export const MOVE_ABI: MoveAbi = ${stringify(abi)};\n`);
+  for (const mod of modules) {
+    const fns = [];
+    for (const f of mod.entries) {
+      fns.push(`  /** ${summary(f, mod).join('\n   * ')} */
+  ${camel(f.name)}: (args: ${argsShape(f, '; ')}, address: string): InputEntryFunctionData =>
+    entryPayload(MOVE_ABI, address, '${mod.name}', '${f.name}', args),`);
+    }
+    for (const f of mod.views) {
+      fns.push(`  /** ${summary(f, mod).join('\n   * ')} */
+  ${camel(f.name)}: (viewer: MoveViewer, args: ${argsShape(f, '; ')}, address: string): Promise<${returnShape(f, mod)}> =>
+    callView(viewer, MOVE_ABI, address, '${mod.name}', '${f.name}', args),`);
+    }
+    for (const r of mod.resources) {
+      fns.push(`  /** ${resourceSummary(r, mod).join('\n   * ')} */
+  ${readerName(r)}: (reader: MoveResourceReader, args: ${resourceArgs(r, '; ')}, address: string): Promise<${resourceType(r, mod)} | null> =>
+    readResource(reader, MOVE_ABI, address, '${mod.name}', '${r.name}', args),`);
+      for (const t of r.tables) {
+        const names = tableNames(r, t);
+        const [key, value] = [outputType(t.key, mod), outputType(t.value, mod)];
+        fns.push(`  /** ${mod.name}::${r.name}.${t.field} entry by key (null when absent) */
+  ${names.read}: (reader: MoveResourceReader, args: { handle: string; key: ${inputType(t.key)} }, address: string): Promise<${value} | null> =>
+    readTableItem(reader, MOVE_ABI, address, '${mod.name}', '${r.name}', '${t.field}', args),
+  /** ${mod.name}::${r.name}.${t.field} entries from the indexer */
+  ${names.list}: (indexer: MoveIndexer, args: { handle: string; limit?: number; offset?: number }): Promise<{ key: ${key}; value: ${value} }[]> =>
+    listTableItems(indexer, MOVE_ABI, '${mod.name}', '${r.name}', '${t.field}', args),`);
+      }
+    }
+    out.push(`export const ${camel(mod.name)} = {\n${fns.join('\n')}\n};\n`);
+  }
+  return out.join('\n');
+}
+
+function renderJs(modules, abi) {
+  const out = [HEADER, `// Entry functions return the wallet payload for signAndSubmitTransaction; views take anything with the SDK's
+// view({ payload }) (e.g. useWallet().aptos) and resolve to decoded values (u64+ as bigint, Option as value | null).
+// \`address\` defaults to the module's named address in config/chain.js (NAMED_ADDRESSES).
+import { NAMED_ADDRESSES } from '../config/chain';
+import { entryPayload, callView, readResource, readTableItem, listTableItems } from './moveCodec';
+
+/** @typedef {bigint | number | string} MoveUint */
+/** @typedef {Uint8Array | number[] | string} MoveBytes bytes, or text (UTF-8) */
+/** @typedef {{ type: 'entry_function_payload', function: string, type_arguments: string[], arguments: any[] }} EntryFunctionPayload */
+/** @typedef {{ view: (request: { payload: object }) => Promise<any[]> }} MoveViewer */
+/** @typedef {{ getAccountResource: Function, getTableItem: Function }} MoveResourceReader e.g. useWallet().aptos */
+/** @typedef {{ queryIndexer: Function }} MoveIndexer e.g. useWallet().aptos */
+/** @typedef {{ handle: string }} MoveTable */
+/** @typedef {{ value: bigint }} MoveCoin */
+`];
+  for (const mod of modules) {
+    for (const s of mod.returned) {
+      out.push(`/**
+ * @typedef {Object} ${pascal(mod.name)}${s.name}
+${s.fields.map((f) => ` * @property {${outputType(f.type, mod)}} ${f.name}`).join('\n')}
+ */
+`);
+    }
+  }
+  out.push(`export const MOVE_ABI = ${stringify(abi)};\n`);
+  for (const mod of modules) {
+    const fns = [];
+    const addr = `NAMED_ADDRESSES.${mod.address}`;
+    for (const f of mod.entries) {
+      const optional = !f.typeParams.length && !f.params.length;
+      fns.push(`  /**
+   * ${summary(f, mod).join('\n   * ')}
+   * @param {${argsShape(f, ', ')}} ${optional ? '[args]' : 'args'}
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  ${camel(f.name)}: (args${optional ? ' = {}' : ''}, address = ${addr}) => entryPayload(MOVE_ABI, address, '${mod.name}', '${f.name}', args),`);
+    }
+    for (const f of mod.views) {
+      fns.push(`  /**
+   * ${summary(f, mod).join('\n   * ')}
+   * @param {MoveViewer} viewer
+   * @param {${argsShape(f, ', ')}} args
+   * @param {string} [address]
+   * @returns {Promise<${returnShape(f, mod)}>}
+   */
+  ${camel(f.name)}: (viewer, args, address = ${addr}) => callView(viewer, MOVE_ABI, address, '${mod.name}', '${f.name}', args),`);
+    }
+    for (const r of mod.resources) {
+      fns.push(`  /**
+   * ${resourceSummary(r, mod).join('\n   * ')}
+   * @param {MoveResourceReader} reader
+   * @param {${resourceArgs(r, ', ')}} args
+   * @param {string} [address]
+   * @returns {Promise<${resourceType(r, mod)} | null>}
+   */
+  ${readerName(r)}: (reader, args, address = ${addr}) => readResource(reader, MOVE_ABI, address, '${mod.name}', '${r.name}', args),`);
+      for (const t of r.tables) {
+        const names = tableNames(r, t);
+        const [key, value] = [outputType(t.key, mod), outputType(t.value, mod)];
+        fns.push(`  /**
+   * ${mod.name}::${r.name}.${t.field} entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: ${inputType(t.key)} }} args
+   * @param {string} [address]
+   * @returns {Promise<${value} | null>}
+   */
+  ${names.read}: (reader, args, address = ${addr}) => readTableItem(reader, MOVE_ABI, address, '${mod.name}', '${r.name}', '${t.field}', args),
+  /**
+   * ${mod.name}::${r.name}.${t.field} entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: ${key}, value: ${value} }[]>}
+   */
+  ${names.list}: (indexer, args) => listTableItems(indexer, MOVE_ABI, '${mod.name}', '${r.name}', '${t.field}', args),`);
+      }
+    }
+    out.push(`export const ${camel(mod.name)} = {\n${fns.join('\n')}\n};\n`);
+  }
+  return out.join('\n');
+}
+
+function main() {
+  const modules = collect();
+  const abi = abiTable(modules);
+  fs.writeFileSync(TARGETS.ts, renderTs(modules, abi));
+  fs.writeFileSync(TARGETS.js, renderJs(modules, abi));
+  for (const t of Object.values(TARGETS)) console.log('Wrote', path.relative(process.cwd(), t));
+}
+
+main();
@@ -0,0 +1,76 @@
+// Generates the Move abort-code tables from the error constants in smart contract/*.move
+// Usage: npm run gen:move-errors   (re-run after changing an error constant or its /// doc comment)
+// Doc convention: first `///` lines explain the error, a `/// Fix: ...` line suggests the remedy.
+// Writes the same data for the server (src/tx/moveErrors.generated.ts) and the frontend
+// (walletconnect/src/config/moveErrors.generated.js), and transpiles the server's decoder (src/tx/abortDecoder.ts)
+// to walletconnect/src/services/abortDecoder.generated.js so both sides decode aborts with the same code.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readMoveModules } from './moveSource.mjs';
+import { shareModule } from './shareModule.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const TARGETS = {
+  ts: path.resolve(here, '../src/tx/moveErrors.generated.ts'),
+  js: path.resolve(here, '../../walletconnect/src/config/moveErrors.generated.js'),
+  decoder: path.resolve(here, '../../walletconnect/src/services/abortDecoder.generated.js'),
+};
+const DECODER_SOURCE = path.resolve(here, '../src/tx/abortDecoder.ts');
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+function buildTable() {
+  const table = {};
+  for (const mod of readMoveModules()) {
+    const errors = {};
+    for (const c of mod.constants) {
+      if (!/^E_/.test(c.name) || c.type !== 'u64') continue;
+      const reason = Number(c.value);
+      if (!Number.isInteger(reason)) throw new Error(`${mod.file}: ${c.name} is not an integer literal (${c.value})`);
+      if (errors[reason]) throw new Error(`${mod.file}: ${c.name} and ${errors[reason].name} share reason ${reason}`);
+      const fix = c.doc.find((l) => /^Fix:/i.test(l));
+      const explanation = c.doc.filter((l) => l !== fix).join(' ');
+      errors[reason] = {
+        name: c.name,
+        categories: c.categories,
+        explanation: explanation || c.name.replace(/^E_/, '').toLowerCase().replace(/_/g, ' '),
+        ...(fix ? { fix: capitalize(fix.replace(/^Fix:\s*/i, '')) } : {}),
+      };
+    }
+    if (table[mod.name]) throw new Error(`Module ${mod.name} is defined twice (${table[mod.name].file}, ${mod.file})`);
+    table[mod.name] = { address: mod.address, file: mod.file, errors };
+  }
+  return table;
+}
+
+const HEADER = '// GENERATED by ai agent/scripts/genMoveErrors.mjs from smart contract/*.move – do not edit by hand.\n';
+
+function main() {
+  const data = JSON.stringify(buildTable(), null, 2);
+  fs.writeFileSync(TARGETS.ts, `${HEADER}
+export interface MoveErrorInfo {
+  name: string;
+  categories: string[]; // std::error categories the constant is raised with (empty: raw abort code)
+  explanation: string;
+  fix?: string;
+}
+
+export interface MoveModuleErrors {
+  address: string; // named address in the source (resolved at publish time)
+  file: string;
+  errors: Record<number, MoveErrorInfo>;
+}
+
+export const MOVE_ERRORS: Record<string, MoveModuleErrors> = ${data};
+`);
+  fs.writeFileSync(TARGETS.js, `${HEADER}
+// module -> { address, file, errors: { reason: { name, categories, explanation, fix } } }
+export const MOVE_ERRORS = ${data};
+`);
+  // The server decoder, importing the frontend's copy of the table
+  shareModule({ source: DECODER_SOURCE, target: TARGETS.decoder, generator: 'genMoveErrors.mjs', imports: { './moveErrors.generated.js': '../config/moveErrors.generated' } });
+  for (const t of Object.values(TARGETS)) console.log('Wrote', path.relative(process.cwd(), t));
+}
+
+main();
@@ -0,0 +1,26 @@
+// Shares the perp_core margin maths and state reads with the frontend
+// Usage: npm run gen:perp-math   (re-run after changing src/perp/margin.ts, src/perp/perpState.ts or src/utils/address.ts)
+// Writes walletconnect/src/services/perpMath.generated.js (health, PnL, liquidation price), perpState.generated.js
+// (Pair resource / positions table reads over the generated Move client) and the address helper they import;
+// services/perpState.js adds the pair registry on top.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shareModule } from './shareModule.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const SERVICES = path.resolve(here, '../../walletconnect/src/services');
+
+const MODULES = [
+  { source: path.resolve(here, '../src/utils/address.ts'), target: path.join(SERVICES, 'address.generated.js') },
+  { source: path.resolve(here, '../src/perp/margin.ts'), target: path.join(SERVICES, 'perpMath.generated.js') },
+  {
+    source: path.resolve(here, '../src/perp/perpState.ts'),
+    target: path.join(SERVICES, 'perpState.generated.js'),
+    imports: { '../aptos/moveClient.generated.js': './moveClient.generated', '../utils/address.js': './address.generated' },
+  },
+];
+
+for (const m of MODULES) {
+  shareModule({ ...m, generator: 'genPerpMath.mjs' });
+  console.log('Wrote', path.relative(process.cwd(), m.target));
+}
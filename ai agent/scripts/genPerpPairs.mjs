@@ -0,0 +1,20 @@
+// Shares the perp pair unit maths with the frontend
+// Usage: npm run gen:perp-pairs   (re-run after changing src/perp/pairUnits.ts or src/utils/decimal.ts)
+// Writes walletconnect/src/config/perpUnits.generated.js (default pairs, LEV_BPS_PER_X, tick / lot / quote unit
+// conversions) and the decimal helpers it imports; config/perpPairs.js builds the frontend registry on them.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shareModule } from './shareModule.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG = path.resolve(here, '../../walletconnect/src/config');
+
+const MODULES = [
+  { source: path.resolve(here, '../src/utils/decimal.ts'), target: path.join(CONFIG, 'decimal.generated.js') },
+  { source: path.resolve(here, '../src/perp/pairUnits.ts'), target: path.join(CONFIG, 'perpUnits.generated.js'), imports: { '../utils/decimal.js': './decimal.generated' } },
+];
+
+for (const m of MODULES) {
+  shareModule({ ...m, generator: 'genPerpPairs.mjs' });
+  console.log('Wrote', path.relative(process.cwd(), m.target));
+}
@@ -0,0 +1,13 @@
+// Shares the built-in token list with the frontend
+// Usage: npm run gen:tokens   (re-run after changing src/tokens/defaultTokens.ts)
+// Writes walletconnect/src/config/tokens.generated.js; config/tokens.js starts from it until the server's registry
+// (GET /api/tokens) loads, and converts amounts with decimal.generated.js (npm run gen:perp-pairs).
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shareModule } from './shareModule.mjs';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const target = path.resolve(here, '../../walletconnect/src/config/tokens.generated.js');
+
+shareModule({ source: path.resolve(here, '../src/tokens/defaultTokens.ts'), target, generator: 'genTokens.mjs' });
+console.log('Wrote', path.relative(process.cwd(), target));
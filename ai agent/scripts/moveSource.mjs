@@ -0,0 +1,138 @@
+// Minimal Move source reader for the code generators (no compiler needed).
+// Understands what the NeuroDex modules use: `module addr::name { ... }`, `const NAME: type = value;` with
+// their `///` doc comments, std::error category wrappers around error constants (`error::not_found(E_X)`),
+// structs (abilities, fields), and function signatures (visibility, `entry`, `#[view]`, type parameters, params, returns).
+// Types are normalised to the last path segment (`std::option::Option<T>` -> `Option<T>`), references dropped.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SMART_CONTRACT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../smart contract');
+
+export function findMoveFiles(dir = SMART_CONTRACT_DIR) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'build') out.push(...findMoveFiles(full));
+    else if (entry.isFile() && entry.name.endsWith('.move')) out.push(full);
+  }
+  return out.sort();
+}
+
+// `///` lines directly above line index i (blank lines and `//` comments end the block)
+function docAbove(lines, i) {
+  const doc = [];
+  for (let j = i - 1; j >= 0 && /^\s*\/\/\//.test(lines[j]); j--) doc.unshift(lines[j].replace(/^\s*\/\/\/\s?/, '').trim());
+  return doc;
+}
+
+// Comments out of the way for signature matching; newlines are kept so offsets still map to source lines
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, (c) => c.replace(/[^\n]/g, ' '))
+    .replace(/\/\/.*$/gm, (c) => ' '.repeat(c.length));
+}
+
+// Split on commas outside <...> and (...)
+function splitTopLevel(list) {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of list) {
+    if (ch === '<' || ch === '(') depth++;
+    if (ch === '>' || ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      out.push(cur);
+      cur = '';
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out.map((s) => s.trim()).filter(Boolean);
+}
+
+export function normalizeType(type) {
+  const t = type.replace(/\s+/g, ' ').trim().replace(/^&\s*(mut\s+)?/, '');
+  const m = /^([\w:]+)\s*(?:<(.*)>)?$/.exec(t);
+  if (!m) throw new Error(`Unsupported Move type ${type}`);
+  const name = m[1].split('::').pop();
+  return m[2] === undefined ? name : `${name}<${splitTopLevel(m[2]).map(normalizeType).join(', ')}>`;
+}
+
+const isSigner = (type) => /^&\s*signer$/.test(type.trim()) || type.trim() === 'signer';
+
+function parseParams(list) {
+  return splitTopLevel(list).map((p) => {
+    const i = p.indexOf(':');
+    return { name: p.slice(0, i).trim(), type: p.slice(i + 1).trim() };
+  });
+}
+
+function parseStructs(code, lines) {
+  const structs = [];
+  const re = /\bstruct\s+(\w+)\s*(?:<([^>{]*)>)?\s*(?:has\s+([\w\s,]+))?\{([^}]*)\}/g;
+  for (const m of code.matchAll(re)) {
+    structs.push({
+      name: m[1],
+      typeParams: m[2] ? splitTopLevel(m[2]).map((p) => p.replace(/^phantom\s+/, '').split(':')[0].trim()) : [],
+      abilities: m[3] ? m[3].split(',').map((a) => a.trim()).filter(Boolean) : [],
+      fields: parseParams(m[4]).map((f) => ({ name: f.name, type: normalizeType(f.type) })),
+      doc: docAbove(lines, code.slice(0, m.index).split('\n').length - 1),
+    });
+  }
+  return structs;
+}
+
+function parseFunctions(code, lines) {
+  const functions = [];
+  const re = /(#\[view\]\s*)?\b(public(?:\s*\(\s*friend\s*\))?\s+)?(entry\s+)?(inline\s+)?fun\s+(\w+)\s*(?:<([^>]*)>)?\s*\(([^)]*)\)\s*(?::\s*([^{]+?))?\s*(?:acquires\s+[\w\s,]+)?\{/g;
+  for (const m of code.matchAll(re)) {
+    const line = code.slice(0, m.index).split('\n').length - 1;
+    const params = parseParams(m[7]);
+    const returns = !m[8] ? [] : /^\(.*\)$/s.test(m[8].trim()) ? splitTopLevel(m[8].trim().slice(1, -1)) : [m[8].trim()];
+    functions.push({
+      name: m[5],
+      visibility: !m[2] ? 'private' : /friend/.test(m[2]) ? 'friend' : 'public',
+      entry: !!m[3],
+      view: !!m[1],
+      inline: !!m[4],
+      typeParams: m[6] ? splitTopLevel(m[6]).map((p) => p.split(':')[0].trim()) : [],
+      signers: params.filter((p) => isSigner(p.type)).map((p) => p.name),
+      params: params.filter((p) => !isSigner(p.type)).map((p) => ({ name: p.name, type: normalizeType(p.type) })),
+      returns: returns.map(normalizeType),
+      doc: docAbove(lines, line),
+    });
+  }
+  return functions;
+}
+
+export function parseMoveModule(source, file) {
+  const header = /^\s*module\s+(\w+)::(\w+)\s*\{/m.exec(source);
+  if (!header) return null;
+  const lines = source.split('\n');
+  const constants = [];
+  lines.forEach((line, i) => {
+    const m = /^\s*const\s+(\w+)\s*:\s*(\w+)\s*=\s*([^;]+);/.exec(line);
+    if (m) constants.push({ name: m[1], type: m[2], value: m[3].trim(), doc: docAbove(lines, i) });
+  });
+  // error constant -> std::error categories it is raised with (none for bare `assert!(cond, E_X)`)
+  const categories = {};
+  for (const m of source.matchAll(/error::(\w+)\(\s*(E_\w+)\s*\)/g)) {
+    (categories[m[2]] ??= new Set()).add(m[1]);
+  }
+  const code = stripComments(source);
+  return {
+    address: header[1],
+    name: header[2],
+    file: path.relative(SMART_CONTRACT_DIR, file),
+    constants: constants.map((c) => ({ ...c, categories: [...(categories[c.name] || [])].sort() })),
+    structs: parseStructs(code, lines),
+    functions: parseFunctions(code, lines),
+  };
+}
+
+export function readMoveModules(dir = SMART_CONTRACT_DIR) {
+  return findMoveFiles(dir)
+    .map((file) => parseMoveModule(fs.readFileSync(file, 'utf8'), file))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,22 @@
+// Transpiles a dependency-free server module to plain ES module JavaScript for the frontend (walletconnect),
+// so both sides run the same code. `imports` maps the module's relative imports to their frontend paths;
+// an import that is not mapped is an error, since the frontend has no copy of it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export function shareModule({ source, target, generator, imports = {} }) {
+  const { outputText } = ts.transpileModule(fs.readFileSync(source, 'utf8'), {
+    compilerOptions: { target: ts.ScriptTarget.ES2020, module: ts.ModuleKind.ESNext },
+  });
+  const js = outputText.replace(/(from\s+)'([^']+)'/g, (all, from, spec) => {
+    if (!spec.startsWith('.')) return all;
+    if (!(spec in imports)) throw new Error(`${source}: import '${spec}' has no frontend counterpart`);
+    return `${from}'${imports[spec]}'`;
+  });
+  const label = path.relative(ROOT, source).replace(/\\/g, '/');
+  fs.writeFileSync(target, `// GENERATED by ai agent/scripts/${generator} from ai agent/${label} – do not edit by hand.\n${js}`);
+}
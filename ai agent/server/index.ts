@@ -1,21 +1,40 @@
 import 'dotenv/config';
+import fs from 'fs';
 import express from 'express';
-import { IntentParser } from '../src/intents/normalizer.js';
+import { IntentParser, selectProvider, providerConfigured } from '../src/intents/normalizer.js';
 import cors from 'cors';
-import { Account } from '@aptos-labs/ts-sdk';
+import type { Account } from '@aptos-labs/ts-sdk';
 import { TransferAdapter } from '../src/adapters/transferAdapter.js';
 import { DexSwapAdapter } from '../src/adapters/dexAdapter.js';
 import { createDefaultRouter } from '../src/adapters/router.js';
 import { AgentExecutor } from '../src/adapters/executor.js';
 import { RiskQueryAdapter } from '../src/adapters/riskAdapter.js';
+import { PerpAdapter, buildOpenPositionPayload, buildClosePositionPayload, assertPairAdmin, LEV_BPS_PER_X } from '../src/adapters/perpAdapter.js';
 import type { ExecutionPlanResult } from '../src/adapters/executor.js';
-import { createAccountFromPrivateKeyHex, AptosClientWrapper } from '../src/aptos/aptosClient.js';
+import type { RouteResolution } from '../src/adapters/router.js';
+import { createAccountFromPrivateKeyHex, AptosClientWrapper, BuildOptions } from '../src/aptos/aptosClient.js';
+import { PerpCoreModel, perpCoreModule } from '../src/perp/perpCoreModel.js';
+import { PerpPair, PerpPairRegistry, loadPerpPairRegistryConfig, setPerpPairRegistry, getPerpPairRegistry, pxToPrice, lotsToSize, unitsToMargin } from '../src/perp/pairRegistry.js';
+import { perpCore } from '../src/aptos/moveClient.generated.js';
+import { readPairState } from '../src/perp/perpState.js';
+import { OracleService, loadOracleConfig } from '../src/oracle/oracleService.js';
+import { PolicyEngine, loadPolicyConfig } from '../src/policy/policyEngine.js';
+import { PlanStore, PlanError } from '../src/plans/planStore.js';
+import { buildAssistantSystemPrompt, buildTradingContext } from '../src/utils/promptTemplates.js';
+import { TokenRegistry, loadTokenRegistryConfig, setTokenRegistry, getTokenRegistry } from '../src/tokens/tokenRegistry.js';
+import { PoolRegistry, loadPoolConfig, setPoolRegistry } from '../src/dex/pools.js';
+import { installMemoryDex } from '../src/dex/memoryDex.js';
+import { SignerProvider, CustodialSigners, SignerError, ResolvedSigner, loadKeystoreConfig, describeSigner, assertSameSigner } from '../src/signers/signerProvider.js';
+import { SessionKeyStore } from '../src/signers/sessionKeys.js';
+import { TxTracker, TxStatus, setTxTracker } from '../src/tx/txTracker.js';
+import { errorPayload, describeAbort } from '../src/tx/abortDecoder.js';
+import { normalizeAptosAddress } from '../src/utils/address.js';
 
 // Perp config (env)
 const PERP_MODULE_ADDR = process.env.PERP_MODULE_ADDR || '';
 const ADMIN_PRIVATE_KEY = process.env.ADMIN_PRIVATE_KEY || '';
 
-let adminAccount = null;
+let adminAccount: Account | null = null;
 if (ADMIN_PRIVATE_KEY && ADMIN_PRIVATE_KEY !== 'REPLACE_WITH_ADMIN_PRIVATE_KEY_HEX' && ADMIN_PRIVATE_KEY.match(/^0x[0-9a-fA-F]+$/)) {
   try {
     adminAccount = createAccountFromPrivateKeyHex(ADMIN_PRIVATE_KEY);
@@ -24,56 +43,135 @@ if (ADMIN_PRIVATE_KEY && ADMIN_PRIVATE_KEY !== 'REPLACE_WITH_ADMIN_PRIVATE_KEY_H
   }
 }
 
+// Perp pairs (built-in APT-USDC merged with PERP_PAIRS_FILE); pairs without an admin are held by PERP_MODULE_ADDR
+const PERP_PAIRS_FILE = process.env.PERP_PAIRS_FILE || '';
+setPerpPairRegistry(new PerpPairRegistry(loadPerpPairRegistryConfig(PERP_PAIRS_FILE ? fs.readFileSync(PERP_PAIRS_FILE, 'utf8') : undefined), PERP_MODULE_ADDR));
+
 const aptosClientSingleton = new AptosClientWrapper();
 
+// APTOS_BACKEND=memory: offline ledger (accounts auto-funded with MEMORY_LEDGER_FUND_OCTAS). perp_core is served
+// by the reference model; with ADMIN_PRIVATE_KEY set, the registry pair held by the admin is created at MEMORY_PERP_MARK_PX.
+if (aptosClientSingleton.ledger) {
+  const ledger = aptosClientSingleton.ledger;
+  if (/^0x[0-9a-fA-F]+$/.test(PERP_MODULE_ADDR)) {
+    const model = new PerpCoreModel();
+    ledger.registerModule(`${PERP_MODULE_ADDR}::perp_core`, perpCoreModule(model));
+    if (adminAccount) {
+      const admin = normalizeAptosAddress(adminAccount.accountAddress.toString());
+      const cfg = getPerpPairRegistry().list().find((p) => p.admin === admin);
+      if (cfg) {
+        model.createPair(admin, {
+          pairId: cfg.pairId, maxLevBps: cfg.maxLevBps, initMarginBps: cfg.initMarginBps, maintMarginBps: cfg.maintMarginBps,
+          maxFundingBpsHour: cfg.maxFundingBpsHour, oracle: cfg.oracle, vrfOracle: cfg.vrfOracle,
+          initMarkPx: BigInt(process.env.MEMORY_PERP_MARK_PX || '8000000'), nowTs: BigInt(Math.floor(Date.now() / 1000)),
+        });
+      }
+    }
+  }
+  console.log('[Server] APTOS_BACKEND=memory: using the in-memory ledger (no network)');
+}
+
+// Every submitted / relayed transaction with its outcome, journaled to TX_JOURNAL_FILE (JSON lines)
+const TX_JOURNAL_FILE = process.env.TX_JOURNAL_FILE || 'data/tx-journal.jsonl';
+const txTracker = new TxTracker(
+  (hash) => aptosClientSingleton.aptos.getTransactionByHash({ transactionHash: hash }),
+  { journalPath: TX_JOURNAL_FILE, pollIntervalMs: Number(process.env.TX_POLL_INTERVAL_MS) || undefined },
+);
+setTxTracker(txTracker);
+
+// Token registry (built-in defaults merged with TOKEN_REGISTRY_FILE); network picks per-network overrides
+const TOKEN_REGISTRY_FILE = process.env.TOKEN_REGISTRY_FILE || '';
+setTokenRegistry(new TokenRegistry(loadTokenRegistryConfig(TOKEN_REGISTRY_FILE ? fs.readFileSync(TOKEN_REGISTRY_FILE, 'utf8') : undefined), process.env.APTOS_NETWORK || 'testnet'));
+
+// DEX pools for swap quotes (fixture reserves and/or on-chain resources); built-in demo APT/USDC pool otherwise.
+// On the memory backend a config without a router trades its fixture pools through the demo router (src/dex/memoryDex.ts).
+const DEX_POOLS_FILE = process.env.DEX_POOLS_FILE || '';
+const poolConfig = loadPoolConfig(DEX_POOLS_FILE ? fs.readFileSync(DEX_POOLS_FILE, 'utf8') : undefined);
+setPoolRegistry(aptosClientSingleton.ledger && !poolConfig.router ? installMemoryDex(aptosClientSingleton.ledger, poolConfig) : new PoolRegistry(poolConfig));
+
+// Policy (POLICY_FILE path or inline POLICY_JSON). Kept outside buildExecutor so daily spend survives rebuilds.
+const POLICY_FILE = process.env.POLICY_FILE || '';
+const policyEngine = new PolicyEngine(loadPolicyConfig(POLICY_FILE ? fs.readFileSync(POLICY_FILE, 'utf8') : process.env.POLICY_JSON));
+
+// Signers: custodial keys (SIGNER_PRIVATE_KEY and/or SIGNER_KEYSTORE_FILE), delegated session keys, or client-signs.
+// Each request picks one via body.signer; execute paths reject requests without a signer that can sign.
+const SIGNER_KEYSTORE_FILE = process.env.SIGNER_KEYSTORE_FILE || '';
+// Custodial keys only sign for requests carrying CUSTODIAL_API_TOKEN (X-Signer-Token); without it custodial mode is off.
+const signers = new SignerProvider(
+  new CustodialSigners(loadKeystoreConfig(SIGNER_KEYSTORE_FILE ? fs.readFileSync(SIGNER_KEYSTORE_FILE, 'utf8') : undefined, process.env.SIGNER_PRIVATE_KEY || undefined)),
+  new SessionKeyStore({ ttlMs: Number(process.env.SESSION_KEY_TTL_MS) || undefined }),
+  { custodialToken: process.env.CUSTODIAL_API_TOKEN },
+);
+
+// Stored plans for /api/plan -> /api/plan/:id/confirm (in-memory; PLAN_SECRET optional HMAC key)
+const planStore = new PlanStore({ ttlMs: Number(process.env.PLAN_TTL_MS) || undefined, secret: process.env.PLAN_SECRET });
+
 const app = express();
-app.use(cors({ origin: true }));
+// Browsers may call the API only from CORS_ORIGINS (comma-separated); default: localhost / 127.0.0.1 on any port
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/ }));
 app.use(express.json());
+// Every error response that carries a Move abort also gets it decoded: { error, abort: { module, name, explanation, fix, ... } }
+app.use((_req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body?: any) => json(body && typeof body.error === 'string' && !body.abort ? { ...body, ...errorPayload(body.error) } : body);
+  next();
+});
 
-// Dynamic parser (re-created if API key presence changes)
-let hasGroqKey = !!process.env.GROQ_API_KEY;
-let hasDeepSeekKey = !!process.env.DEEPSEEK_API_KEY;
-let hasOpenAIKey = !!process.env.OPENAI_API_KEY;
-let parser: IntentParser = new IntentParser({ provider: hasGroqKey ? 'groq' : (hasDeepSeekKey ? 'deepseek' : (hasOpenAIKey ? 'openai' : 'generic')) });
+// Dynamic parser (re-created if API key / local LLM presence changes)
+const LLM_PROVIDERS = ['groq', 'deepseek', 'openai', 'anthropic', 'openai-compatible'] as const;
+let configuredProviders = computeConfiguredProviders();
+let activeProvider = selectProvider();
+let parser: IntentParser = new IntentParser({ provider: activeProvider });
 // Adapters & executor (hot-recreated if parser provider changes)
 let executor: AgentExecutor = buildExecutor();
 
-function buildExecutor() {
-  const aptos = new AptosClientWrapper();
-  // Demo ephemeral account (in prod, derive from wallet session or custody)
-  const account = Account.generate();
+// Adapters sign with the request's signer; without one (client mode) they only dry-run
+function buildExecutor(signer?: ResolvedSigner) {
+  // Session keys act for a user: their transactions are listed under that user too
+  const aptos = new AptosClientWrapper({ user: signer?.user });
+  const account = signer?.account;
   const transfer = new TransferAdapter(aptos, account);
   const swap = new DexSwapAdapter(aptos, account);
-  const risk = new RiskQueryAdapter();
-  const router = createDefaultRouter({ transfer, swap, risk });
-  return new AgentExecutor(parser, router);
+  // perp_core entry functions take the pair admin as signer: perp intents sign with the request's signer too,
+  // and the adapter refuses a signer that is not the pair's admin (it never falls back to ADMIN_PRIVATE_KEY)
+  const perp = new PerpAdapter(aptos, account, { moduleAddr: PERP_MODULE_ADDR });
+  const risk = new RiskQueryAdapter(aptos, account, { moduleAddr: PERP_MODULE_ADDR });
+  const router = createDefaultRouter({ transfer, swap, perp, risk });
+  return new AgentExecutor(parser, router, policyEngine);
 }
 
-function computeHasGroqKey() {
-  return !!(process.env.GROQ_API_KEY && process.env.GROQ_API_KEY.trim());
+function computeConfiguredProviders() {
+  return LLM_PROVIDERS.filter((p) => providerConfigured(p)).join(',');
 }
 
-function computeHasDeepSeekKey() {
-  return !!(process.env.DEEPSEEK_API_KEY && process.env.DEEPSEEK_API_KEY.trim());
+// Per-request executor for an explicit signer; the shared one serves signerless (client mode) requests
+function executorFor(signer: ResolvedSigner) {
+  ensureParser();
+  return signer.account ? buildExecutor(signer) : executor;
 }
 
-function computeHasOpenAIKey() {
-  return !!(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.trim());
+// Custodial mode credential (CUSTODIAL_API_TOKEN)
+function signerToken(req: express.Request) {
+  return String(req.header('x-signer-token') || '');
+}
+
+function signerErrorStatus(e: any, res: express.Response) {
+  if (e instanceof SignerError) {
+    res.status(e.status).json({ error: e.message });
+    return true;
+  }
+  return false;
 }
 
 function ensureParser() {
-  const newGroq = computeHasGroqKey();
-  const newDeepSeek = computeHasDeepSeekKey();
-  const newOpenAI = computeHasOpenAIKey();
-  
-  if (newGroq !== hasGroqKey || newDeepSeek !== hasDeepSeekKey || newOpenAI !== hasOpenAIKey) {
-    hasGroqKey = newGroq;
-    hasDeepSeekKey = newDeepSeek;
-    hasOpenAIKey = newOpenAI;
-    parser = new IntentParser({ provider: hasGroqKey ? 'groq' : (hasDeepSeekKey ? 'deepseek' : (hasOpenAIKey ? 'openai' : 'generic')) });
+  const next = computeConfiguredProviders();
+  if (next !== configuredProviders) {
+    configuredProviders = next;
+    activeProvider = selectProvider();
+    parser = new IntentParser({ provider: activeProvider });
     executor = buildExecutor();
-    const providerName = hasGroqKey ? 'groq' : (hasDeepSeekKey ? 'deepseek' : (hasOpenAIKey ? 'openai' : 'generic'));
-    console.log(`[IntentParser] Reinitialized. provider=${providerName} hasGroq=${hasGroqKey} hasDeepSeek=${hasDeepSeekKey} hasOpenAI=${hasOpenAIKey}`);
+    console.log(`[IntentParser] Reinitialized. provider=${activeProvider} configured=${configuredProviders || 'none'}`);
   }
   return parser;
 }
@@ -89,46 +187,172 @@ app.post('/api/parse', async (req, res) => {
   }
 });
 
+// Plan a prompt and, when it yields intents, freeze intents + payloads (and the signer) so confirm runs exactly what the user saw
+async function createStoredPlan(prompt: string, user?: string, signerInput?: unknown, credential?: string) {
+  const signer = signers.resolveForPlanning(signerInput, user, credential);
+  const exec = executorFor(signer);
+  const plan = await exec.plan(prompt, { sender: signer.address });
+  if (plan.parseErrors?.length || !plan.intents.length) return plan;
+  const built = await exec.router.buildAll(plan.intents);
+  const stored = planStore.create(plan.intents, built, user, describeSigner(signer));
+  return { ...plan, built, signer: stored.signer, planId: stored.id, planHash: stored.hash, planToken: stored.token, expiresAt: new Date(stored.expiresAt).toISOString() };
+}
+
 app.post('/api/plan', async (req, res) => {
   try {
     ensureParser();
-    const prompt = req.body?.prompt || '';
-    const plan = await executor.plan(prompt);
-    res.json(plan);
+    res.json(await createStoredPlan(req.body?.prompt || '', req.body?.user, req.body?.signer, signerToken(req)));
   } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
     console.error('Plan error', e);
     res.status(500).json({ error: e.message || 'Internal error' });
   }
 });
 
+app.get('/api/plan/:id', (req, res) => {
+  const stored = planStore.get(req.params.id);
+  if (!stored) return res.status(404).json({ error: 'Unknown or expired plan' });
+  const { token: _token, ...view } = stored;
+  res.json({ ...view, expiresAt: new Date(stored.expiresAt).toISOString() });
+});
+
+// Body: { token, signer }. Submits the stored payloads exactly once with the signer the plan was made for;
+// swaps keep the limits quoted at planning time (no re-quote), and re-planning is required after expiry.
+app.post('/api/plan/:id/confirm', async (req, res) => {
+  let claimed = false;
+  try {
+    ensureParser();
+    const pending = planStore.get(req.params.id);
+    const signer = signers.resolveForExecution(req.body?.signer, pending?.user, signerToken(req));
+    if (pending) assertSameSigner(pending.signer, signer);
+    const stored = planStore.claim(req.params.id, req.body?.token);
+    claimed = true;
+    const exec = executorFor(signer);
+    const frozen = stored.payloads.map((payload, i) => (payload ? { payload, outputs: stored.outputs[i] ?? undefined } : null));
+    const result = await exec.executeIntents(stored.intents, { sender: signer.address, confirmed: true, frozen });
+    const ok = !result.blocked && !!result.execution?.every(r => !r.error);
+    planStore.finish(stored.id, result, ok);
+    res.json({ planId: stored.id, planHash: stored.hash, intents: stored.intents, ...result });
+  } catch (e: any) {
+    if (e instanceof PlanError) return res.status(e.status).json({ error: e.message });
+    if (signerErrorStatus(e, res)) return;
+    if (claimed) planStore.finish(req.params.id, { error: e.message || String(e) }, false);
+    console.error('Confirm error', e);
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
+// Body: { prompt, signer, user?, confirm? }
 app.post('/api/execute', async (req, res) => {
   try {
     ensureParser();
     const prompt = req.body?.prompt || '';
-    const exec = await executor.execute(prompt);
-    res.json(exec);
+    const signer = signers.resolveForExecution(req.body?.signer, req.body?.user, signerToken(req));
+    const exec = await executorFor(signer).execute(prompt, { sender: signer.address, confirmed: req.body?.confirm === true });
+    res.json({ ...exec, signer: describeSigner(signer) });
   } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
     console.error('Execute error', e);
     res.status(500).json({ error: e.message || 'Internal error' });
   }
 });
 
+// perp_core entry functions take the admin signer, so a user's wallet cannot sign their payloads
+const ADMIN_SIGNED_ADAPTERS = new Set(['perp']);
+
+// Raw transactions for `sender`, one per payload leg, with consecutive sequence numbers across the whole plan
+async function attachRawTransactions(built: RouteResolution[], sender: string, options: BuildOptions) {
+  let seq = await aptosClientSingleton.sequenceNumber(sender);
+  const out: (RouteResolution & { transactions?: any[] })[] = [];
+  for (const b of built) {
+    if (b.payload == null || b.error) { out.push(b); continue; }
+    if (ADMIN_SIGNED_ADAPTERS.has(b.adapterName)) {
+      out.push({ ...b, error: 'Signed by the admin key on the server; use /api/execute or /api/plan instead of wallet signing' });
+      continue;
+    }
+    try {
+      const transactions = [];
+      for (const leg of Array.isArray(b.payload) ? b.payload : [b.payload]) {
+        transactions.push(await aptosClientSingleton.buildFor(sender, leg, { ...options, accountSequenceNumber: seq }));
+        seq += 1n;
+      }
+      out.push({ ...b, transactions });
+    } catch (e: any) {
+      out.push({ ...b, error: `Raw transaction build failed: ${e?.message || e}` });
+    }
+  }
+  return out;
+}
+
+// Body: { prompt, user?, signer?, maxGasAmount?, gasUnitPrice?, expiresInSecs? }. With a sender address (signer.address,
+// user, or the custodial / session key) each built payload gets BCS raw transactions for the wallet to sign.
 app.post('/api/build', async (req, res) => {
   try {
     ensureParser();
     const prompt = req.body?.prompt || '';
-    const plan = await executor.plan(prompt);
-    // Attach built payloads for signing on client side
-    // We reuse router beneath executor (reconstruct build route manually)
-    const built = await (executor as any).router.buildAll(plan.intents);
-    res.json({ ...plan, built });
+    const signer = signers.resolveForPlanning(req.body?.signer, req.body?.user, signerToken(req));
+    const exec = executorFor(signer);
+    const plan = await exec.plan(prompt, { sender: signer.address });
+    const payloads = await exec.router.buildAll(plan.intents);
+    const { maxGasAmount, gasUnitPrice, expiresInSecs } = req.body || {};
+    const options: BuildOptions = {
+      ...(maxGasAmount ? { maxGasAmount: Number(maxGasAmount) } : {}),
+      ...(gasUnitPrice ? { gasUnitPrice: Number(gasUnitPrice) } : {}),
+      ...(expiresInSecs ? { expireTimestamp: Math.floor(Date.now() / 1000) + Number(expiresInSecs) } : {}),
+    };
+    const built = signer.address ? await attachRawTransactions(payloads, signer.address, options) : payloads;
+    res.json({ ...plan, built, signer: describeSigner(signer), ...(signer.address ? {} : { note: 'No sender address (signer.address or user): payloads only, no raw transactions' }) });
   } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
     console.error('Build error', e);
     res.status(500).json({ error: e.message || 'Internal error' });
   }
 });
 
-function planToNarrative(plan: ExecutionPlanResult, includeExecution = false, execution?: any, originalPrompt: string = '') {
+const SUBMIT_WAIT_SECS = Number(process.env.SUBMIT_WAIT_SECS) || 10;
+
+// Body: { transaction, authenticator, user?, intentId?, intentType? } – BCS hex of the SimpleTransaction from
+// /api/build and the wallet's AccountAuthenticator (signTransaction output). Waits up to SUBMIT_WAIT_SECS and
+// returns the tracked record; pending ones can be followed at /api/tx/:hash.
+app.post('/api/submit', async (req, res) => {
+  try {
+    const { transaction, authenticator, user, intentId, intentType } = req.body || {};
+    if (typeof transaction !== 'string' || typeof authenticator !== 'string') {
+      return res.status(400).json({ error: 'transaction and authenticator (BCS hex strings) required' });
+    }
+    const wallet = new AptosClientWrapper({ tracker: txTracker, waitSecs: SUBMIT_WAIT_SECS });
+    try {
+      res.json(await wallet.submitSigned(transaction, authenticator, { user, intentId, intentType }));
+    } catch (e: any) {
+      res.status(400).json({ error: e?.message || String(e) });
+    }
+  } catch (e: any) {
+    console.error('Submit error', e);
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
+// Tracked transactions. Query: user (sender or the user it was made for), status, limit (default 50)
+app.get('/api/tx', (req, res) => {
+  const { user, status, limit } = req.query as Record<string, string | undefined>;
+  if (status && !['pending', 'success', 'failed', 'expired'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending | success | failed | expired' });
+  }
+  const transactions = txTracker.list({ user, status: status as TxStatus | undefined, limit: limit ? Math.min(Number(limit) || 50, 500) : undefined });
+  res.json({ transactions });
+});
+
+app.get('/api/tx/:hash', async (req, res) => {
+  try {
+    const rec = await txTracker.refresh(req.params.hash);
+    if (!rec) return res.status(404).json({ error: 'Unknown transaction (not submitted through this server)' });
+    res.json(rec);
+  } catch (e: any) {
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
+function planToNarrative(plan: ExecutionPlanResult, includeExecution = false, execution?: any) {
   const lines: string[] = [];
   if (plan.intents.length === 0) {
     lines.push('I did not detect any actionable intents in your request.');
@@ -139,11 +363,23 @@ function planToNarrative(plan: ExecutionPlanResult, includeExecution = false, ex
         lines.push(`${idx + 1}. Transfer ${i.amount} ${i.token} to ${i.to}`);
       } else if (i.type === 'SWAP') {
         lines.push(`${idx + 1}. Swap ${i.amountIn || i.amountOut || '?'} ${i.fromToken} -> ${i.toToken}`);
+      } else if (i.type === 'PERP_OPEN') {
+        lines.push(`${idx + 1}. Open ${i.side} ${i.size} ${i.pair} at ${i.leverage}x with ${i.margin} margin`);
+      } else if (i.type === 'PERP_CLOSE') {
+        lines.push(`${idx + 1}. Close ${i.size || 'full'} ${i.pair} position`);
       } else {
         lines.push(`${idx + 1}. ${i.type}`);
       }
     });
   }
+  const linked = plan.graph?.nodes.filter(n => n.refs.length) || [];
+  if (linked.length) {
+    lines.push('Dependencies:');
+    linked.forEach(n => n.refs.forEach(r => {
+      const src = Number(r.ref.slice('$ref:'.length).split('.')[0]) + 1;
+      lines.push(` - #${n.index + 1} ${r.field} ← output of #${src}${r.value ? ` (= ${r.value})` : ''}`);
+    }));
+  }
   if (plan.parseErrors?.length) {
     lines.push('Parse issues:');
     plan.parseErrors.forEach(e => lines.push(' - ' + e));
@@ -153,32 +389,61 @@ function planToNarrative(plan: ExecutionPlanResult, includeExecution = false, ex
     lines.push('Simulation summary:');
   sims.forEach((s: any, idx: number) => {
       if (s.error) {
-        lines.push(` - Intent #${idx + 1} (${s.adapterName}) error: ${s.error}`);
+        lines.push(` - Intent #${idx + 1} (${s.adapterName}) error: ${s.abort ? describeAbort(s.abort) : s.error}`);
       } else if (s.simulation) {
         lines.push(` - Intent #${idx + 1} handled by ${s.adapterName}${s.simulation.gasEstimate ? ` gas≈${s.simulation.gasEstimate}` : ''}${s.simulation.note ? ' – ' + s.simulation.note : ''}`);
+        if (s.abort) lines.push(`   would abort: ${describeAbort(s.abort)}`);
+        const alts = s.simulation.raw?.alternatives || [];
+        if (alts.length) lines.push(`   other routes: ${alts.map((a: any) => `${a.path} → ${a.amountOut} out / ${a.amountIn} in`).join('; ')}`);
       }
     });
   }
+  if (plan.policy?.violations.length) {
+    lines.push(`Policy: ${plan.policy.decision.toUpperCase()}`);
+    plan.policy.violations.forEach(v => lines.push(` - #${v.intentIndex + 1} ${v.decision === 'deny' ? 'denied' : 'needs confirmation'} (${v.rule}): ${v.reason}`));
+    if (plan.policy.decision === 'confirm') lines.push('Re-send with confirm: true to execute anyway.');
+  }
+  if (includeExecution && (plan as any).blocked) {
+    lines.push(`Execution blocked: ${(plan as any).blocked}`);
+  }
   if (includeExecution && execution?.length) {
     lines.push('Execution results:');
     execution.forEach((r: any, idx: number) => {
-      if (r.error) lines.push(` - #${idx + 1} FAILED (${r.adapterName}): ${r.error}`); else lines.push(` - #${idx + 1} ${r.adapterName} txHash=${r.execution?.hash}`);
+      if (r.error) lines.push(` - #${idx + 1} FAILED (${r.adapterName}): ${r.abort ? describeAbort(r.abort) : r.error}`); else lines.push(` - #${idx + 1} ${r.adapterName} txHash=${r.execution?.hash}`);
     });
   }
   if (plan.clarification?.needsClarification) {
     lines.push('Clarification needed: ' + plan.clarification.message);
   }
-  // Domain-specific informational augmentation (mock) for liquidation queries when no actionable trade intent
-  const lower = originalPrompt.toLowerCase();
-  const hasActionable = plan.intents.some(i => i.type === 'TRANSFER' || i.type === 'SWAP');
-  if (!hasActionable && /(liquidation|liq price|liquidate)/i.test(lower)) {
-    lines.push('\nLiquidation Insight (mock):');
-    lines.push('- This preview build does not yet query on-chain positions, so I can only give general guidance.');
-    lines.push('- Perpetual positions liquidate when maintenance margin ratio falls below threshold (e.g. ~6-8%).');
-    lines.push('- Higher leverage narrows buffer: LiqPrice ≈ Entry ± (Entry * (InitialMargin - MaintMargin) / (Leverage)).');
-    lines.push('- Add collateral or reduce size to move farther from liquidation.');
-    lines.push('- I can simulate specific scenarios once position/state integration is added.');
-  }
+  // Risk metrics computed by RiskQueryAdapter from perp_core state (simulation.raw.risk)
+  (plan.simulation || []).forEach((s: any, idx: number) => {
+    const raw = s.simulation?.raw;
+    if (s.intent?.type !== 'RISK_QUERY' || !raw?.risk) return;
+    const { pair, position: p, market, risk: r } = raw;
+    lines.push(`\nPosition risk #${idx + 1} (${pair.symbol} ${p.side} ${p.size} @ ${p.entryPx}, ${p.leverage}x):`);
+    lines.push(`- Mark ${market.markPx}; liquidation ${r.liquidationPx ?? 'n/a'}${r.distanceToLiquidationBps !== null ? ` (${(r.distanceToLiquidationBps / 100).toFixed(2)}% away)` : ''}`);
+    lines.push(`- Equity ${r.equity} = margin ${p.margin} + price PnL ${r.pricePnl} + funding PnL ${r.fundingPnl}`);
+    lines.push(`- Margin ratio ${(r.marginRatioBps / 100).toFixed(2)}% vs maintenance ${(r.maintMarginBps / 100).toFixed(2)}% (${pair.configSource === 'chain' ? 'on-chain' : 'configured'} pair params)`);
+    lines.push(`- perp_core::health ${r.healthAborts ? 'aborts (u128 underflow)' : r.health}; signed estimate ${r.signedHealth}`);
+    lines.push(`- Status: ${r.liquidatable ? 'LIQUIDATABLE' : r.belowMaintenance ? 'below maintenance by the documented maths – perp_core::liquidate as deployed cannot close it' : 'above maintenance'}`);
+    if (raw.scenarios?.rows.length) {
+      const table = [['Lev', 'Shock', 'Mark', 'Margin', 'Equity', 'Margin ratio', 'Liq price', 'Result']];
+      raw.scenarios.rows.forEach((row: any) => table.push([
+        `${row.leverage}x${row.exceedsMaxLeverage ? '!' : ''}`,
+        `${row.shockPct > 0 ? '+' : ''}${row.shockPct}%`,
+        row.markPx,
+        row.margin,
+        row.equity,
+        `${(row.marginRatioBps / 100).toFixed(2)}%`,
+        row.liquidationPx ?? 'n/a',
+        row.belowMaintenance ? 'BELOW MAINT' : row.current ? 'ok (now)' : 'ok',
+      ]));
+      const widths = table[0].map((_, c) => Math.max(...table.map(t => t[c].length)));
+      lines.push('Scenarios:');
+      table.forEach(t => lines.push('  ' + t.map((cell, c) => cell.padEnd(widths[c])).join('  ').trimEnd()));
+      if (raw.scenarios.rows.some((row: any) => row.exceedsMaxLeverage)) lines.push(`  ! above the pair's ${pair.maxLeverage}x maximum`);
+    }
+  });
   return lines.join('\n');
 }
 
@@ -207,19 +472,25 @@ app.post('/api/ai/chat', async (req, res) => {
     const lastUser = [...messages].reverse().find((m: any) => m.role === 'user');
     const mode = (req.body?.mode || 'plan') as 'plan' | 'execute';
     const prompt = lastUser?.content || '';
-    const plan = await executor.plan(prompt);
-    let reply = planToNarrative(plan, false, undefined, prompt);
+    // Execute mode needs a signer up front; plan mode falls back to client-signs
+    const signer = mode === 'execute' ? signers.resolveForExecution(req.body?.signer, req.body?.user, signerToken(req)) : signers.resolveForPlanning(req.body?.signer, req.body?.user, signerToken(req));
+    const opts = { sender: signer.address, confirmed: req.body?.confirm === true };
+    const agent = executorFor(signer);
+    const plan = await agent.plan(prompt, opts);
+    let reply = planToNarrative(plan);
     let execResult: any = null;
     if (mode === 'execute' && !(plan.parseErrors?.length)) {
-      const exec = await executor.execute(prompt); // includes execution
-      reply = planToNarrative(exec as any, true, (exec as any).execution, prompt);
-      execResult = (exec as any).execution;
+      // Run the intents just narrated (and policy-checked) rather than parsing the prompt again
+      const exec = { ...plan, ...(await agent.executeIntents(plan.intents, opts, plan.policy)) };
+      reply = planToNarrative(exec, true, exec.execution);
+      execResult = exec.execution;
     }
   // Always include a contextual blockchain / trading answer (independent of actionable intents)
   const extra = await parser.answer(prompt);
   reply += '\n\nAnswer:\n' + extra;
     res.json({ reply, plan, execution: execResult });
   } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
     console.error('AI chat error', e);
     res.status(500).json({ error: e.message || 'Internal error' });
   }
@@ -237,17 +508,20 @@ app.post('/api/ai/stream', async (req, res) => {
     const mode = (req.body?.mode || 'plan') as 'plan' | 'execute';
     const prompt = lastUser?.content || '';
     const send = (obj: any) => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    const signer = mode === 'execute' ? signers.resolveForExecution(req.body?.signer, req.body?.user, signerToken(req)) : signers.resolveForPlanning(req.body?.signer, req.body?.user, signerToken(req));
+    const opts = { sender: signer.address, confirmed: req.body?.confirm === true };
+    const agent = executorFor(signer);
     send({ delta: 'Parsing prompt...\n' });
-    const plan = await executor.plan(prompt);
+    const plan = await agent.plan(prompt, opts);
     send({ delta: 'Parsed. ' + plan.intents.length + ' intent(s) detected.\n' });
-    const narrative = planToNarrative(plan, false, undefined, prompt);
+    const narrative = planToNarrative(plan);
     for (const line of narrative.split('\n')) {
       send({ delta: line + '\n' });
     }
     if (mode === 'execute' && !(plan.parseErrors?.length)) {
       send({ delta: '\nExecuting...\n' });
-      const exec = await executor.execute(prompt);
-      for (const line of planToNarrative(exec as any, true, (exec as any).execution, prompt).split('\n')) {
+      const exec = { ...plan, ...(await agent.executeIntents(plan.intents, opts, plan.policy)) };
+      for (const line of planToNarrative(exec, true, exec.execution).split('\n')) {
         send({ delta: line + '\n' });
       }
     } else if (mode === 'execute') {
@@ -260,26 +534,144 @@ app.post('/api/ai/stream', async (req, res) => {
     res.end();
   } catch (e: any) {
     try {
-      res.write(`data: ${JSON.stringify({ error: e.message || 'error' })}\n\n`);
+      res.write(`data: ${JSON.stringify(errorPayload(e.message || 'error'))}\n\n`);
       res.write('data: {"done":true}\n\n');
     } catch (_) {}
     res.end();
   }
 });
 
+// -------- Assistant endpoints (used by walletconnect aiBridge; replaces direct browser → Groq calls) ---------
+let assistantRequests = 0;
+async function assistantAnswer(message: string, context: string) {
+  const requestId = `req_${Date.now()}_${++assistantRequests}`;
+  const { text: response, provider, model } = await parser.answerDetailed(message, buildAssistantSystemPrompt(context));
+  return {
+    response,
+    provider: provider || activeProvider,
+    model,
+    timestamp: new Date().toISOString(),
+    requestId,
+    context,
+    usage: {
+      promptTokens: Math.ceil(message.length / 4),
+      completionTokens: Math.ceil(response.length / 4),
+      totalTokens: Math.ceil((message.length + response.length) / 4),
+    },
+  };
+}
+
+// Signer modes and custodial key ids / addresses (never key material)
+app.get('/api/signer', (_req, res) => {
+  res.json(signers.describe());
+});
+
+// Body: { user, ttlMs? }. Mints a session key for `user`; fund its address to delegate. sessionToken is returned once.
+app.post('/api/signer/session', (req, res) => {
+  try {
+    const user = String(req.body?.user || '');
+    if (!user) return res.status(400).json({ error: 'user required' });
+    const ttlMs = req.body?.ttlMs === undefined ? undefined : Number(req.body.ttlMs);
+    res.json(signers.sessions.create(user, ttlMs));
+  } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
+    res.status(400).json({ error: e.message || String(e) });
+  }
+});
+
+// Session routes authenticate with the X-Session-Token header
+app.get('/api/signer/session/:id', (req, res) => {
+  try {
+    res.json(signers.sessions.get(req.params.id, String(req.header('x-session-token') || '')));
+  } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/signer/session/:id', (req, res) => {
+  try {
+    res.json({ revoked: signers.sessions.revoke(req.params.id, String(req.header('x-session-token') || '')) });
+  } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Token registry for the frontend (symbol, coinType / faMetadata, decimals, aliases) on the active network
+app.get('/api/tokens', (_req, res) => {
+  const registry = getTokenRegistry();
+  res.json({ network: registry.network, tokens: registry.list() });
+});
+
+// Cheap status for the frontend (no LLM call); sits under /api so the Vite dev proxy forwards it
+app.get('/api/ai/status', (_req, res) => {
+  ensureParser();
+  const primary = parser.getProviderStatus().chain[0];
+  res.json({ connected: true, provider: activeProvider, model: primary?.model, genericMode: activeProvider === 'generic', requests: assistantRequests });
+});
+
+// Body: { message, context?: 'general' | 'trading' | 'execution' }
+app.post('/api/ai/ask', async (req, res) => {
+  try {
+    ensureParser();
+    const message = String(req.body?.message || '');
+    if (!message.trim()) return res.status(400).json({ error: 'message required' });
+    res.json(await assistantAnswer(message, req.body?.context || 'general'));
+  } catch (e: any) {
+    console.error('AI ask error', e);
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
+// Body: { prompt, marketData?, user? }. Trading analysis plus the intent plan for the same prompt.
+app.post('/api/ai/suggest', async (req, res) => {
+  try {
+    ensureParser();
+    const prompt = String(req.body?.prompt || '');
+    if (!prompt.trim()) return res.status(400).json({ error: 'prompt required' });
+    const fullPrompt = `${buildTradingContext(req.body?.marketData)}\n\nUser Request: ${prompt}\n\nPlease provide a trading analysis and suggestion.`;
+    const answer = await assistantAnswer(fullPrompt, 'trading');
+    const plan = await executor.plan(prompt, { sender: signers.resolveForPlanning(undefined, req.body?.user).address });
+    res.json({ ...answer, prompt, plan });
+  } catch (e: any) {
+    console.error('AI suggest error', e);
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
+// Body: { tradeSuggestion, userConfirmation: { riskAccepted }, user?, signer? }. Returns execution guidance and a
+// stored plan (planId + planToken) for the suggestion's prompt; nothing is submitted until /api/plan/:id/confirm.
+app.post('/api/ai/execute-trade', async (req, res) => {
+  try {
+    ensureParser();
+    const { tradeSuggestion, userConfirmation } = req.body || {};
+    if (!userConfirmation?.riskAccepted) return res.status(400).json({ error: 'User must accept risk before executing AI trades' });
+    if (!tradeSuggestion) return res.status(400).json({ error: 'tradeSuggestion required' });
+    const answer = await assistantAnswer(`Execute this trade suggestion: ${JSON.stringify(tradeSuggestion)}`, 'execution');
+    const plan = tradeSuggestion.prompt ? await createStoredPlan(String(tradeSuggestion.prompt), req.body?.user, req.body?.signer, signerToken(req)) : null;
+    res.json({ ...answer, plan });
+  } catch (e: any) {
+    if (signerErrorStatus(e, res)) return;
+    console.error('AI execute-trade error', e);
+    res.status(500).json({ error: e.message || 'Internal error' });
+  }
+});
+
 app.get('/health', (_req, res) => {
   ensureParser();
-  const provider = hasGroqKey ? 'groq' : (hasDeepSeekKey ? 'deepseek' : (hasOpenAIKey ? 'openai' : 'generic'));
-  const hasKey = hasGroqKey || hasDeepSeekKey || hasOpenAIKey;
-  res.json({ ok: true, provider, hasKey });
+  const hasKey = activeProvider !== 'generic';
+  res.json({ ok: true, provider: activeProvider, hasKey, providers: configuredProviders ? configuredProviders.split(',') : [] });
 });
 
 // Detailed AI diagnostics (never expose full keys)
 app.get('/debug/ai', (_req, res) => {
   ensureParser();
-  const provider = hasGroqKey ? 'groq' : (hasDeepSeekKey ? 'deepseek' : (hasOpenAIKey ? 'openai' : 'generic'));
+  const hasGroqKey = providerConfigured('groq');
+  const hasDeepSeekKey = providerConfigured('deepseek');
+  const hasOpenAIKey = providerConfigured('openai');
   res.json({
-    provider,
+    provider: activeProvider,
     groqKeyPresent: hasGroqKey,
     groqKeyLen: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0,
     groqModel: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile',
@@ -288,7 +680,11 @@ app.get('/debug/ai', (_req, res) => {
     deepseekModel: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
     openaiKeyPresent: hasOpenAIKey,
     openaiKeyLen: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.length : 0,
-    genericMode: !hasGroqKey && !hasDeepSeekKey && !hasOpenAIKey,
+    localBaseUrl: process.env.LOCAL_LLM_BASE_URL || null,
+    localModel: process.env.LOCAL_LLM_MODEL || (providerConfigured('openai-compatible') ? 'llama3.1' : null),
+    genericMode: activeProvider === 'generic',
+    repair: parser.getRepairStats(),
+    providers: parser.getProviderStatus(),
   });
 });
 
@@ -319,14 +715,13 @@ const basePort = Number(process.env.PORT) || 3000;
 function start(port: number, attempt = 0) {
   const server = app.listen(port, () => {
     console.log(`Intent parser server running on http://localhost:${port}`);
-    if (!hasDeepSeekKey && !hasOpenAIKey) {
+    if (activeProvider === 'generic') {
       console.warn('WARNING: No AI provider keys set. Using generic mock provider (no real LLM calls).');
-      console.warn('Set DEEPSEEK_API_KEY or OPENAI_API_KEY then restart:');
+      console.warn('Set GROQ_API_KEY, DEEPSEEK_API_KEY or OPENAI_API_KEY (or LOCAL_LLM_BASE_URL for a local server) then restart:');
       console.warn('  $env:DEEPSEEK_API_KEY="sk-..." ; npm run dev');
-      console.warn('  or $env:OPENAI_API_KEY="sk-..." ; npm run dev');
+      console.warn('  or $env:LOCAL_LLM_BASE_URL="http://localhost:11434/v1" ; npm run dev');
     } else {
-      const provider = hasDeepSeekKey ? 'DeepSeek' : 'OpenAI';
-      console.log(`✅ Using ${provider} AI provider`);
+      console.log(`✅ Using ${activeProvider} AI provider`);
     }
   });
   server.on('error', (err: any) => {
@@ -347,44 +742,73 @@ if (!PERP_MODULE_ADDR) {
   console.warn('[perp] PERP_MODULE_ADDR not set – read/write endpoints disabled');
 }
 
-// GET mark price
+// Pair from ?pair= / body pairId or pair (id or BASE-QUOTE; default pair 1); answers 404 for unknown pairs
+function perpPairFrom(value: unknown, res: express.Response): PerpPair | null {
+  const pair = getPerpPairRegistry().resolve(value == null || value === '' ? 1 : String(value));
+  if (!pair) {
+    res.status(404).json({ error: `Unknown perp pair ${value} (configured: ${getPerpPairRegistry().symbols().join(', ')})` });
+    return null;
+  }
+  return pair;
+}
+
+// GET pair registry: ids, symbols, tick / lot sizes, price decimals, admin and oracle addresses, margin params
+app.get('/api/perp/pairs', (_req, res) => {
+  res.json({ moduleAddr: PERP_MODULE_ADDR || null, levBpsPerX: LEV_BPS_PER_X, pairs: getPerpPairRegistry().list() });
+});
+
+// GET mark price (ticks, and quote tokens per base token)
 app.get('/api/perp/mark', async (req, res) => {
   try {
     if (!PERP_MODULE_ADDR) return res.status(400).json({ error: 'PERP_MODULE_ADDR not configured' });
-    // view function path: <addr>::perp_core::get_mark_px(admin_addr, pair_id)
-    const pairId = Number(req.query.pair || '1');
-    const func = `${PERP_MODULE_ADDR}::perp_core::get_mark_px`;
-    const out: any = await aptosClientSingleton.aptos.view({ payload: { function: func, functionArguments: [PERP_MODULE_ADDR, pairId] } as any });
-    res.json({ pairId, markPx: out?.[0] });
+    const pair = perpPairFrom(req.query.pair, res);
+    if (!pair) return;
+    const { markPx } = await readPairState(aptosClientSingleton.aptos, PERP_MODULE_ADDR, pair.admin);
+    res.json({ pairId: pair.pairId, symbol: pair.symbol, markPx: markPx.toString(), price: pxToPrice(pair, markPx) });
   } catch (e: any) {
     res.status(500).json({ error: e.message || String(e) });
   }
 });
 
-// GET position
+// GET position (null when the user has none on the pair)
 app.get('/api/perp/position', async (req, res) => {
   try {
     if (!PERP_MODULE_ADDR) return res.status(400).json({ error: 'PERP_MODULE_ADDR not configured' });
-    const pairId = Number(req.query.pair || '1');
+    const pair = perpPairFrom(req.query.pair, res);
+    if (!pair) return;
     const user = (req.query.user as string) || '';
     if (!user) return res.status(400).json({ error: 'user required' });
-    const func = `${PERP_MODULE_ADDR}::perp_core::get_position`;
-    const out: any = await aptosClientSingleton.aptos.view({ payload: { function: func, functionArguments: [PERP_MODULE_ADDR, pairId, user] } as any });
-    res.json({ pairId, user, position: out?.[0] || null });
+    const state = await readPairState(aptosClientSingleton.aptos, PERP_MODULE_ADDR, pair.admin);
+    const position = await perpCore.readPairPositions(aptosClientSingleton.aptos, { handle: state.positionsHandle, key: user }, PERP_MODULE_ADDR);
+    // u64 fields as decimal strings, as the node returns them; `display` in tokens
+    res.json({
+      pairId: pair.pairId,
+      symbol: pair.symbol,
+      user,
+      position: position && Object.fromEntries(Object.entries(position).map(([k, v]) => [k, typeof v === 'bigint' ? v.toString() : v])),
+      display: position && {
+        size: lotsToSize(pair, position.size),
+        entryPrice: pxToPrice(pair, position.entry_px),
+        margin: unitsToMargin(pair, position.margin),
+        leverage: Number(position.lev_bps) / LEV_BPS_PER_X,
+      },
+    });
   } catch (e: any) {
     res.status(500).json({ error: e.message || String(e) });
   }
 });
 
-// POST open position
+// POST open position (size in lots, margin in quote units; see /api/perp/pairs for the scales)
 app.post('/api/perp/open', async (req, res) => {
   try {
     if (!PERP_MODULE_ADDR) return res.status(400).json({ error: 'PERP_MODULE_ADDR not configured' });
     if (!adminAccount) return res.status(400).json({ error: 'ADMIN_PRIVATE_KEY not configured' });
-    const { user, pairId = 1, size, side, lev_bps, margin } = req.body || {};
+    const { user, pairId, size, side, lev_bps, margin, entry_px } = req.body || {};
     if (!user || size == null || side == null || !lev_bps || margin == null) return res.status(400).json({ error: 'missing fields' });
-    const func = `${PERP_MODULE_ADDR}::perp_core::open_position`;
-    const payload = { function: func, functionArguments: [PERP_MODULE_ADDR, user, Number(pairId), Number(size), Number(side), Number(lev_bps), Number(margin), 0] } as any;
+    const pair = perpPairFrom(pairId, res);
+    if (!pair) return;
+    assertPairAdmin(pair, adminAccount);
+    const payload = buildOpenPositionPayload(PERP_MODULE_ADDR, { user, pairId: pair.pairId, size, side: Number(side), levBps: Number(lev_bps), margin, entryPx: entry_px });
     const { txn } = await aptosClientSingleton.simulate(adminAccount!, payload);
     const hash = await aptosClientSingleton.submit(adminAccount!, txn);
     res.json({ hash });
@@ -393,15 +817,17 @@ app.post('/api/perp/open', async (req, res) => {
   }
 });
 
-// POST close position (full or partial)
+// POST close position (full or partial; size in lots)
 app.post('/api/perp/close', async (req, res) => {
   try {
     if (!PERP_MODULE_ADDR) return res.status(400).json({ error: 'PERP_MODULE_ADDR not configured' });
     if (!adminAccount) return res.status(400).json({ error: 'ADMIN_PRIVATE_KEY not configured' });
-    const { user, pairId = 1, size } = req.body || {};
+    const { user, pairId, size } = req.body || {};
     if (!user || size == null) return res.status(400).json({ error: 'missing fields' });
-    const func = `${PERP_MODULE_ADDR}::perp_core::close_position`;
-    const payload = { function: func, functionArguments: [PERP_MODULE_ADDR, user, Number(pairId), Number(size)] } as any;
+    const pair = perpPairFrom(pairId, res);
+    if (!pair) return;
+    assertPairAdmin(pair, adminAccount);
+    const payload = buildClosePositionPayload(PERP_MODULE_ADDR, { user, pairId: pair.pairId, size });
     const { txn } = await aptosClientSingleton.simulate(adminAccount!, payload);
     const hash = await aptosClientSingleton.submit(adminAccount!, txn);
     res.json({ hash });
@@ -409,3 +835,33 @@ app.post('/api/perp/close', async (req, res) => {
     res.status(500).json({ error: e.message || String(e) });
   }
 });
+
+// -------- Mark price oracle ---------
+// ORACLE_CONFIG_FILE: sources + guards (see README "Oracle"). set_mark_price is sent by the pair admin
+// (ADMIN_PRIVATE_KEY) and co-signed by the pair oracle (ORACLE_PRIVATE_KEY, default the admin key).
+const ORACLE_CONFIG_FILE = process.env.ORACLE_CONFIG_FILE || '';
+const ORACLE_PRIVATE_KEY = process.env.ORACLE_PRIVATE_KEY || '';
+let oracleService: OracleService | null = null;
+let oracleDisabled = 'ORACLE_CONFIG_FILE not set';
+if (ORACLE_CONFIG_FILE) {
+  if (!PERP_MODULE_ADDR || !adminAccount) {
+    oracleDisabled = 'PERP_MODULE_ADDR and ADMIN_PRIVATE_KEY are required';
+    console.warn(`[oracle] ${oracleDisabled} – oracle not started`);
+  } else {
+    oracleService = new OracleService(aptosClientSingleton, {
+      moduleAddr: PERP_MODULE_ADDR,
+      admin: adminAccount,
+      oracle: ORACLE_PRIVATE_KEY ? createAccountFromPrivateKeyHex(ORACLE_PRIVATE_KEY) : adminAccount,
+      config: loadOracleConfig(fs.readFileSync(ORACLE_CONFIG_FILE, 'utf8')),
+    });
+    oracleService.start();
+    const { pairs } = oracleService.status();
+    console.log(`[oracle] pushing mark prices every ${oracleService.config.intervalMs}ms for ${pairs.filter((p) => !p.disabled).map((p) => p.symbol).join(', ') || 'no pairs'}`);
+    for (const p of pairs.filter((p) => p.disabled)) console.warn(`[oracle] ${p.symbol} disabled: ${p.disabled}`);
+  }
+}
+
+// GET oracle status: guards, per-source fetch results and per-pair last round / last push
+app.get('/api/oracle/status', (_req, res) => {
+  res.json(oracleService ? oracleService.status() : { enabled: false, reason: oracleDisabled });
+});
@@ -2,47 +2,23 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
+import { IntentParser, selectProvider, providerConfigured } from './src/intents/normalizer.js';
 
 const app = express();
 app.use(cors({ origin: true }));
 app.use(express.json());
 
-// Simple AI response function
-async function callGroq(message) {
-  const body = {
-    model: 'llama3-70b-8192',
-    messages: [
-      { role: 'system', content: 'You are NeuroDex AI, a helpful blockchain and trading assistant.' },
-      { role: 'user', content: message }
-    ],
-    temperature: 0,
-    max_tokens: 1000,
-  };
-
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
-
-  const json = await response.json();
-  if (!response.ok) {
-    throw new Error(`Groq API error: ${JSON.stringify(json)}`);
-  }
-  
-  return json?.choices?.[0]?.message?.content || 'No response from AI';
-}
+// AI answers go through the shared provider layer (same chain and fallbacks as server/index.ts)
+const provider = selectProvider();
+const parser = new IntentParser({ provider });
 
 // Health endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     ok: true, 
-    provider: 'groq',
-    hasKey: !!process.env.GROQ_API_KEY,
-    model: 'llama3-70b-8192'
+    provider,
+    hasKey: provider !== 'generic' && providerConfigured(provider),
+    providers: parser.getProviderStatus().chain
   });
 });
 
@@ -55,13 +31,13 @@ app.post('/api/chat', async (req, res) => {
     }
 
     console.log('💬 Chat request:', message);
-    const response = await callGroq(message);
+    const { text: response, provider: answeredBy, model } = await parser.answerDetailed(message);
     console.log('🤖 AI response:', response.substring(0, 100) + '...');
     
     res.json({ 
       response,
-      provider: 'groq',
-      model: 'llama3-70b-8192',
+      provider: answeredBy || provider,
+      model,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -73,8 +49,7 @@ app.post('/api/chat', async (req, res) => {
 const PORT = process.env.PORT || 3002;
 app.listen(PORT, () => {
   console.log(`🚀 Minimal AI server running on http://localhost:${PORT}`);
-  console.log('✅ Using Groq AI provider');
-  console.log('🔑 API key:', process.env.GROQ_API_KEY ? 'SET' : 'NOT SET');
+  console.log(`✅ Using ${provider} AI provider`);
 });
 
 export default app;
@@ -1,63 +1,218 @@
 import { isSwap } from './base.js';
+import { getTokenRegistry } from '../tokens/tokenRegistry.js';
+import { getPoolRegistry } from '../dex/pools.js';
+import { findBestRoute, quoteRoute, routeThroughBestPools } from '../dex/routeFinder.js';
+import { optimiseSplit } from '../dex/splitOptimizer.js';
 export class DexSwapAdapter {
     client;
     account;
-    constructor(client, account) {
+    tokens;
+    pools;
+    constructor(client, account, tokens = getTokenRegistry(), pools = getPoolRegistry()) {
         this.client = client;
         this.account = account;
+        this.tokens = tokens;
+        this.pools = pools;
     }
     canHandle(intent) { return isSwap(intent); }
-    build(intent) {
-        const from = intent.fromToken.toUpperCase();
-        const to = intent.toToken.toUpperCase();
-        if (!['APT', 'USDC'].includes(from) || !['APT', 'USDC'].includes(to)) {
-            throw new Error('Demo supports only APT and USDC');
-        }
-        if (from === to)
+    async quote(intent) {
+        const from = this.tokens.get(intent.fromToken);
+        const to = this.tokens.get(intent.toToken);
+        if (from.symbol === to.symbol)
             throw new Error('fromToken and toToken must differ');
-        // Placeholder numbers — in reality you'd query on-chain pool for price & build swap
-        const amountIn = intent.amountIn ? Number(intent.amountIn) : undefined;
-        const amountOut = intent.amountOut ? Number(intent.amountOut) : undefined;
         const slippage = intent.slippageBps ?? 50;
-        const note = `Simulated swap ${amountIn ? amountIn + ' ' + from : '~' + amountOut + ' ' + to} with slippage ${slippage}bps`;
-        // Placeholder Move function & args (not real Liquidswap entrypoint)
-        const payload = {
-            function: '0x1::demo_dex::swap',
-            functionArguments: [from, to, (amountIn ?? 0).toString(), (amountOut ?? 0).toString(), slippage],
+        await this.pools.refresh(this.client);
+        const mode = intent.amountIn ? 'exactIn' : 'exactOut';
+        const amount = intent.amountIn ? this.tokens.toAtomic(intent.amountIn, from.symbol) : this.tokens.toAtomic(intent.amountOut, to.symbol);
+        const search = findBestRoute(this.pools, from.symbol, to.symbol, mode, amount, slippage);
+        const routed = (r) => {
+            const fixed = mode === 'exactIn' ? r.amountIn : r.amountOut;
+            return quoteRoute(this.pools, routeThroughBestPools(this.pools, r.path, mode, fixed), mode, fixed, slippage);
+        };
+        const quote = routed(search.best);
+        let reason = this.explainChoice(search);
+        let split;
+        if (intent.split) {
+            const plan = optimiseSplit(this.pools, search, amount, slippage, { maxLegs: intent.maxLegs });
+            if (plan.legs.length > 1 && plan.improvementBps > 0) {
+                split = plan;
+                reason = `split over ${plan.legs.length} routes: ${(plan.improvementBps / 100).toFixed(2)}% ${mode === 'exactIn' ? 'more output' : 'less input'} than ${this.describeVia(quote)} alone`;
+            }
+            else {
+                reason += '; splitting would not improve on a single route';
+            }
+        }
+        const legs = split ? split.legs.map((l) => routed(l.route)) : [quote];
+        const totalIn = legs.reduce((acc, r) => acc + r.amountIn, 0n);
+        const totalOut = legs.reduce((acc, r) => acc + r.amountOut, 0n);
+        const totalLimit = legs.reduce((acc, r) => acc + r.limit, 0n);
+        const priceImpactBps = Math.round(legs.reduce((acc, r) => acc + r.priceImpactBps * Number(r.amountIn), 0) / Number(totalIn));
+        const limitToken = mode === 'exactIn' ? to.symbol : from.symbol;
+        const limitKey = mode === 'exactIn' ? 'minAmountOut' : 'maxAmountIn';
+        const amountIn = this.tokens.fromAtomic(totalIn, from.symbol);
+        const amountOut = this.tokens.fromAtomic(totalOut, to.symbol);
+        const limit = this.tokens.fromAtomic(totalLimit, limitToken);
+        const impactPct = (priceImpactBps / 100).toFixed(2);
+        const via = split
+            ? split.legs.map((l, i) => `${(l.shareBps / 100).toFixed(1)}% ${this.describeVia(legs[i])}`).join(' + ')
+            : this.describeVia(quote);
+        const note = `Swap ${amountIn} ${from.symbol} → ${amountOut} ${to.symbol} via ${via}`
+            + ` (${split ? '' : `fee ${quote.feeBps}bps, `}price impact ${impactPct}%, `
+            + (mode === 'exactIn' ? `min out ${limit} ${to.symbol}` : `max in ${limit} ${from.symbol}`)
+            + `, slippage ${slippage}bps, router picks the best pool per hop; ${reason})`;
+        const outputs = { fromToken: from.symbol, toToken: to.symbol, amountIn, amountOut, route: legs.map((r) => r.path.join('→')).join(' + ') };
+        outputs[limitKey] = limit;
+        const withLimit = (r) => ({ ...this.routeSummary(r), [limitKey]: this.tokens.fromAtomic(r.limit, limitToken) });
+        const summary = {
+            mode,
+            route: withLimit(quote),
+            alternatives: search.alternatives.map((r) => this.routeSummary(r)),
+            rejected: search.rejected.map((r) => ({ path: r.path.join('→'), poolIds: r.poolIds, reason: r.reason })),
+            reason,
+            slippageBps: slippage,
+        };
+        if (split) {
+            summary.split = {
+                legs: split.legs.map((l, i) => ({
+                    ...withLimit(legs[i]),
+                    shareBps: l.shareBps,
+                    // human units: out per 1 in at the leg's margin; roughly equal across legs when balanced
+                    marginalPrice: Number((l.marginalRate * 10 ** (from.decimals - to.decimals)).toPrecision(8)),
+                })),
+                amountIn, amountOut, [limitKey]: limit,
+                priceImpactBps,
+                improvementBps: split.improvementBps,
+            };
+        }
+        return { from, to, quote, legs, split, priceImpactBps, search, reason, note, outputs, summary };
+    }
+    describeVia(r) {
+        return r.hops.length === 1 ? r.poolIds[0] : `${r.path.join('→')} (${r.poolIds.join(', ')})`;
+    }
+    // Why the best route won, compared with the runner-up
+    explainChoice(search) {
+        const best = search.best;
+        const next = search.alternatives[0];
+        if (!next)
+            return search.rejected.length ? `only route able to fill the order (${search.rejected.length} rejected)` : 'only route through known pools';
+        const hops = `${best.hops.length} hop${best.hops.length > 1 ? 's' : ''}`;
+        if (best.mode === 'exactIn') {
+            if (best.amountOut === next.amountOut)
+                return `${hops}; same output as ${this.describeVia(next)}, fewer hops preferred`;
+            const gainBps = Number(((best.amountOut - next.amountOut) * 10000n) / next.amountOut);
+            return `${hops}; ${(gainBps / 100).toFixed(2)}% more output than ${this.describeVia(next)}`;
+        }
+        if (best.amountIn === next.amountIn)
+            return `${hops}; same input as ${this.describeVia(next)}, fewer hops preferred`;
+        const saveBps = Number(((next.amountIn - best.amountIn) * 10000n) / next.amountIn);
+        return `${hops}; ${(saveBps / 100).toFixed(2)}% less input than ${this.describeVia(next)}`;
+    }
+    routeSummary(r) {
+        const tokenIn = r.path[0];
+        const tokenOut = r.path[r.path.length - 1];
+        return {
+            path: r.path.join('→'),
+            poolIds: r.poolIds,
+            amountIn: this.tokens.fromAtomic(r.amountIn, tokenIn),
+            amountOut: this.tokens.fromAtomic(r.amountOut, tokenOut),
+            amountInAtomic: r.amountIn.toString(),
+            amountOutAtomic: r.amountOut.toString(),
+            feeBps: r.feeBps,
+            priceImpactBps: r.priceImpactBps,
+            hops: r.hops.map((h) => ({
+                poolId: h.poolId,
+                tokenIn: h.tokenIn,
+                tokenOut: h.tokenOut,
+                amountIn: this.tokens.fromAtomic(h.amountIn, h.tokenIn),
+                amountOut: this.tokens.fromAtomic(h.amountOut, h.tokenOut),
+                feeAmount: this.tokens.fromAtomic(h.feeAmount, h.tokenIn),
+                priceImpactBps: h.priceImpactBps,
+            })),
         };
-        return { payload, note };
+    }
+    payloadFor(quote) {
+        const router = this.pools.router;
+        if (!router)
+            throw new Error('No DEX router configured (set "router" in DEX_POOLS_FILE); quote-only mode');
+        const typeArguments = quote.path.map((symbol) => {
+            const coinType = this.tokens.get(symbol).coinType;
+            if (!coinType)
+                throw new Error(`DEX router needs a coin type for ${symbol}`);
+            return coinType;
+        });
+        const multihop = quote.hops.length > 1;
+        const fn = quote.mode === 'exactIn'
+            ? (multihop ? router.multihopExactIn : router.exactIn)
+            : (multihop ? router.multihopExactOut : router.exactOut);
+        if (!fn)
+            throw new Error(`DEX router has no multi-hop ${quote.mode} entry function (set router.multihop${quote.mode === 'exactIn' ? 'ExactIn' : 'ExactOut'}) for route ${quote.path.join('→')}`);
+        const args = quote.mode === 'exactIn'
+            ? [quote.amountIn.toString(), quote.limit.toString()]
+            : [quote.limit.toString(), quote.amountOut.toString()];
+        return { function: fn, typeArguments, functionArguments: args };
+    }
+    async build(intent) {
+        const { quote, legs, note, outputs, priceImpactBps, summary } = await this.quote(intent);
+        const payloads = legs.map((r) => this.payloadFor(r));
+        return { payload: payloads.length === 1 ? payloads[0] : payloads, note, outputs, quote, legs, priceImpactBps, summary };
     }
     async simulate(intent) {
+        const q = await this.quote(intent);
+        const base = { note: q.note, outputs: q.outputs, priceImpactBps: q.priceImpactBps };
+        if (!this.pools.router)
+            return { ...base, note: q.note + ' – quote only, no router configured', raw: q.summary };
+        const payloads = q.legs.map((r) => this.payloadFor(r));
+        const payload = payloads.length === 1 ? payloads[0] : payloads;
         if (!this.account)
-            return { note: 'No account configured – swap dry-run only' };
-        const { payload, note } = this.build(intent);
-        try {
-            const { result } = await this.client.simulate(this.account, payload);
-            return { gasEstimate: result[0]?.gas_used?.toString(), raw: result[0], note };
-        }
-        catch (e) {
-            const msg = e?.message || String(e);
-            if (msg.includes('module_not_found') || msg.includes('Module not found')) {
-                return { note: note + ' (module missing on chain – placeholder mock)', raw: { error: 'module_not_found' } };
-            }
-            throw e;
-        }
+            return { ...base, note: q.note + ' – no account configured, dry-run only', raw: { ...q.summary, payload } };
+        const results = [];
+        for (const p of payloads)
+            results.push((await this.client.simulate(this.account, p)).result[0]);
+        const gas = results.reduce((acc, r) => acc + BigInt(r?.gas_used ?? 0), 0n);
+        return { ...base, gasEstimate: gas.toString(), raw: { ...q.summary, simulation: results.length === 1 ? results[0] : results } };
     }
+    // Split legs are submitted one after another; a failed leg stops the rest (earlier legs stay settled)
     async execute(intent) {
         if (!this.account)
             return { hash: '0xDRY_RUN', simulated: await this.simulate(intent) };
-        const { payload, note } = this.build(intent);
-        try {
-            const { txn, result } = await this.client.simulate(this.account, payload);
-            const hash = await this.client.submit(this.account, txn);
-            return { hash, simulated: { raw: result[0], note } };
-        }
-        catch (e) {
-            const msg = e?.message || String(e);
-            if (msg.includes('module_not_found') || msg.includes('Module not found')) {
-                return { hash: '0xSWAP_PLACEHOLDER', simulated: { note: note + ' (executed mock – module missing)', raw: { error: 'module_not_found' } } };
+        const { payload, note, outputs, legs, priceImpactBps } = await this.build(intent);
+        const { hashes, results } = await this.submitLegs(this.account, intent, payload, (i) => legs[i].path.join('→'));
+        return {
+            hash: hashes[hashes.length - 1],
+            ...(hashes.length > 1 ? { hashes } : {}),
+            simulated: { raw: results.length === 1 ? results[0] : results, note, priceImpactBps },
+            outputs,
+        };
+    }
+    // A confirmed plan's payload: its min-out / max-in stay as quoted, so a moved pool aborts on chain instead of re-quoting
+    async executePayload(intent, payload) {
+        if (!this.account)
+            return { hash: '0xDRY_RUN', simulated: { note: 'No account configured – dry-run only', raw: { payload } } };
+        const pathOf = (p) => (p.typeArguments || []).map((t) => this.tokens.findByAddress(t)?.symbol || t).join('→');
+        const legs = Array.isArray(payload) ? payload : [payload];
+        const { hashes, results } = await this.submitLegs(this.account, intent, payload, (i) => pathOf(legs[i]));
+        return {
+            hash: hashes[hashes.length - 1],
+            ...(hashes.length > 1 ? { hashes } : {}),
+            simulated: { raw: results.length === 1 ? results[0] : results, note: `Executed stored swap payload (${legs.map(pathOf).join(' + ')})` },
+        };
+    }
+    async submitLegs(account, intent, payload, describeLeg) {
+        const payloads = Array.isArray(payload) ? payload : [payload];
+        const hashes = [];
+        const results = [];
+        for (const [i, p] of payloads.entries()) {
+            try {
+                const { txn, result } = await this.client.simulate(account, p);
+                results.push(result[0]);
+                hashes.push(await this.client.submit(account, txn, { intentId: intent.id, intentType: intent.type }));
+            }
+            catch (e) {
+                if (!hashes.length)
+                    throw e;
+                throw new Error(`Split leg ${i + 1}/${payloads.length} (${describeLeg(i)}) failed after ${hashes.length} leg(s) settled [${hashes.join(', ')}]: ${e?.message || e}`);
             }
-            throw e;
         }
+        return { hashes, results };
     }
 }
@@ -1,26 +1,64 @@
+import { buildIntentGraph } from '../intents/graph.js';
+import { PolicyEngine } from '../policy/policyEngine.js';
+// Dependency graph annotated with the values simulation resolved for each $ref
+export function describePlanGraph(intents, simulation = []) {
+    const graph = buildIntentGraph(intents);
+    return {
+        order: graph.order,
+        nodes: graph.nodes.map((n) => {
+            const sim = simulation[n.index];
+            const resolved = sim?.resolvedIntent;
+            return {
+                index: n.index,
+                type: intents[n.index].type,
+                dependsOn: n.dependsOn,
+                refs: n.refs.map((r) => ({ field: r.field, ref: r.ref, ...(resolved ? { value: resolved[r.field] } : {}) })),
+                status: sim?.skipped ? 'skipped' : (n.error || sim?.error) ? 'error' : 'ready',
+                ...((n.error || sim?.error) ? { error: n.error || sim?.error } : {}),
+            };
+        }),
+    };
+}
 export class AgentExecutor {
     parser;
     router;
-    constructor(parser, router) {
+    policy;
+    constructor(parser, router, policy = new PolicyEngine()) {
         this.parser = parser;
         this.router = router;
+        this.policy = policy;
     }
-    async plan(prompt) {
+    async plan(prompt, ctx = {}) {
         const parsed = await this.parser.parse(prompt);
         const simulation = await this.router.simulateAll(parsed.intents);
+        // Evaluate policy against concrete values where simulation resolved $refs, pricing exact-out swaps by their quote
+        const concrete = parsed.intents.map((intent, idx) => simulation[idx]?.resolvedIntent || intent);
         return {
             rawText: parsed.rawText,
             intents: parsed.intents,
             parseErrors: parsed.errors,
             clarification: parsed.clarificationsNeeded,
             simulation,
+            graph: describePlanGraph(parsed.intents, simulation),
+            policy: this.policy.evaluate(concrete, ctx, simulation.map((r) => r?.simulation?.outputs)),
         };
     }
-    async execute(prompt) {
-        const plan = await this.plan(prompt);
+    async execute(prompt, opts = {}) {
+        const plan = await this.plan(prompt, opts);
         if (plan.parseErrors?.length)
             return plan;
-        const execution = await this.router.executeAll(plan.intents);
-        return { ...plan, execution };
+        return { ...plan, ...(await this.executeIntents(plan.intents, opts, plan.policy)) };
+    }
+    // Execute already-parsed intents (e.g. a stored, confirmed plan) without re-parsing the prompt.
+    // Policy is re-evaluated (against the frozen outputs, if any) unless the caller passes the evaluation it already showed the user.
+    async executeIntents(intents, opts = {}, policy = this.policy.evaluate(intents, opts, opts.frozen?.map((f) => f?.outputs))) {
+        if (policy.decision === 'deny')
+            return { policy, blocked: 'Denied by policy' };
+        if (policy.decision === 'confirm' && !opts.confirmed)
+            return { policy, blocked: 'Confirmation required by policy' };
+        const execution = await this.router.executeAll(intents, opts.frozen);
+        const done = execution.filter((r) => r.execution);
+        this.policy.recordSpend(done.map((r) => r.resolvedIntent || r.intent), opts, done.map((r) => r.execution?.outputs));
+        return { policy, execution };
     }
 }
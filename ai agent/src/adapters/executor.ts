@@ -1,6 +1,22 @@
 import { Intent } from '../intents/schema.js';
 import { IntentParser } from '../intents/normalizer.js';
-import { IntentRouter } from './router.js';
+import { buildIntentGraph } from '../intents/graph.js';
+import { IntentRouter, RouteResolution, FrozenPayload } from './router.js';
+import { PolicyEngine, PolicyEvaluation, PolicyContext } from '../policy/policyEngine.js';
+
+export interface PlanGraphNode {
+  index: number;
+  type: Intent['type'];
+  dependsOn: number[];
+  refs: { field: string; ref: string; value?: string }[]; // value = resolved during simulation
+  status: 'ready' | 'error' | 'skipped';
+  error?: string;
+}
+
+export interface PlanGraph {
+  order: number[];
+  nodes: PlanGraphNode[];
+}
 
 export interface ExecutionPlanResult {
   rawText: string;
@@ -8,27 +24,68 @@ export interface ExecutionPlanResult {
   parseErrors?: string[];
   clarification?: any;
   simulation?: any;
+  graph?: PlanGraph;
+  policy?: PolicyEvaluation;
+}
+
+export interface ExecuteOptions extends PolicyContext {
+  confirmed?: boolean; // user explicitly approved 'confirm' policy outcomes
+  frozen?: (FrozenPayload | null)[]; // per-intent payloads from a stored plan, submitted instead of rebuilding
+}
+
+// Dependency graph annotated with the values simulation resolved for each $ref
+export function describePlanGraph(intents: Intent[], simulation: RouteResolution[] = []): PlanGraph {
+  const graph = buildIntentGraph(intents);
+  return {
+    order: graph.order,
+    nodes: graph.nodes.map((n) => {
+      const sim = simulation[n.index];
+      const resolved: any = sim?.resolvedIntent;
+      return {
+        index: n.index,
+        type: intents[n.index].type,
+        dependsOn: n.dependsOn,
+        refs: n.refs.map((r) => ({ field: r.field, ref: r.ref, ...(resolved ? { value: resolved[r.field] } : {}) })),
+        status: sim?.skipped ? 'skipped' : (n.error || sim?.error) ? 'error' : 'ready',
+        ...((n.error || sim?.error) ? { error: n.error || sim?.error } : {}),
+      };
+    }),
+  };
 }
 
 export class AgentExecutor {
-  constructor(private parser: IntentParser, public router: IntentRouter) {}
+  constructor(private parser: IntentParser, public router: IntentRouter, public policy: PolicyEngine = new PolicyEngine()) {}
 
-  async plan(prompt: string): Promise<ExecutionPlanResult> {
+  async plan(prompt: string, ctx: PolicyContext = {}): Promise<ExecutionPlanResult> {
     const parsed = await this.parser.parse(prompt);
     const simulation = await this.router.simulateAll(parsed.intents);
+    // Evaluate policy against concrete values where simulation resolved $refs, pricing exact-out swaps by their quote
+    const concrete = parsed.intents.map((intent, idx) => simulation[idx]?.resolvedIntent || intent);
     return {
       rawText: parsed.rawText,
       intents: parsed.intents,
       parseErrors: parsed.errors,
       clarification: parsed.clarificationsNeeded,
       simulation,
+      graph: describePlanGraph(parsed.intents, simulation),
+      policy: this.policy.evaluate(concrete, ctx, simulation.map((r) => r?.simulation?.outputs)),
     };
   }
 
-  async execute(prompt: string) {
-    const plan = await this.plan(prompt);
+  async execute(prompt: string, opts: ExecuteOptions = {}) {
+    const plan = await this.plan(prompt, opts);
     if (plan.parseErrors?.length) return plan;
-    const execution = await this.router.executeAll(plan.intents);
-    return { ...plan, execution };
+    return { ...plan, ...(await this.executeIntents(plan.intents, opts, plan.policy)) };
+  }
+
+  // Execute already-parsed intents (e.g. a stored, confirmed plan) without re-parsing the prompt.
+  // Policy is re-evaluated (against the frozen outputs, if any) unless the caller passes the evaluation it already showed the user.
+  async executeIntents(intents: Intent[], opts: ExecuteOptions = {}, policy: PolicyEvaluation = this.policy.evaluate(intents, opts, opts.frozen?.map((f) => f?.outputs))) {
+    if (policy.decision === 'deny') return { policy, blocked: 'Denied by policy' };
+    if (policy.decision === 'confirm' && !opts.confirmed) return { policy, blocked: 'Confirmation required by policy' };
+    const execution = await this.router.executeAll(intents, opts.frozen);
+    const done = execution.filter((r) => r.execution);
+    this.policy.recordSpend(done.map((r) => r.resolvedIntent || r.intent), opts, done.map((r) => r.execution?.outputs));
+    return { policy, execution };
   }
 }
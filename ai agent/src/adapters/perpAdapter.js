@@ -0,0 +1,110 @@
+import { isPerpOpenIntent, isPerpCloseIntent } from '../intents/schema.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { requiredInitMargin } from '../perp/margin.js';
+import { perpCore } from '../aptos/moveClient.generated.js';
+import { readPairState, readPosition } from '../perp/perpState.js';
+import { getPerpPairRegistry, sizeToLots, lotsToSize, marginToUnits } from '../perp/pairRegistry.js';
+import { LEV_BPS_PER_X } from '../perp/pairUnits.js';
+export { requiredInitMargin };
+export { LEV_BPS_PER_X };
+// perp_core ignores entry_px (positions open at the mark price); it is passed as 0 unless given
+export function buildOpenPositionPayload(moduleAddr, args) {
+    return perpCore.openPosition({
+        user: args.user, pair_id: args.pairId, size: args.size, side: args.side, lev_bps: args.levBps, margin: args.margin, entry_px: args.entryPx ?? 0,
+    }, moduleAddr);
+}
+export function buildClosePositionPayload(moduleAddr, args) {
+    return perpCore.closePosition({ user: args.user, pair_id: args.pairId, size_to_close: args.size }, moduleAddr);
+}
+// The pair's Pair resource lives at its admin account; the admin signs its entry functions
+export function assertPairAdmin(pair, account) {
+    if (!pair.admin)
+        throw new Error(`Perp pair ${pair.symbol} has no admin address (set PERP_MODULE_ADDR or the pair's admin)`);
+    if (account && normalizeAptosAddress(account.accountAddress.toString()) !== pair.admin) {
+        throw new Error(`Perp pair ${pair.symbol} is held by ${pair.admin}; signer ${normalizeAptosAddress(account.accountAddress.toString())} is not its admin and cannot sign perp_core calls`);
+    }
+}
+export class PerpAdapter {
+    client;
+    account;
+    opts;
+    constructor(client, account, opts) {
+        this.client = client;
+        this.account = account;
+        this.opts = opts;
+    }
+    canHandle(intent) { return isPerpOpenIntent(intent) || isPerpCloseIntent(intent); }
+    resolvePair(symbol) {
+        return (this.opts.pairs || getPerpPairRegistry()).get(symbol);
+    }
+    resolveUser(intent) {
+        const user = intent.user || this.account?.accountAddress.toString();
+        if (!user)
+            throw new Error('Position owner address required (no user in intent and no signer configured)');
+        return normalizeAptosAddress(user);
+    }
+    // perp_core has no view functions; mark price and positions are read from the Pair resource (src/perp/perpState.ts)
+    async viewMarkPx(pair) {
+        return (await readPairState(this.client.aptos, this.opts.moduleAddr, pair.admin)).markPx;
+    }
+    async viewPositionSize(pair, user) {
+        const state = await readPairState(this.client.aptos, this.opts.moduleAddr, pair.admin);
+        const pos = await readPosition(this.client.aptos, this.opts.moduleAddr, state, user);
+        if (!pos)
+            throw new Error(`No open position for ${user} on ${pair.symbol}`);
+        return pos.size;
+    }
+    async build(intent) {
+        if (!this.opts.moduleAddr)
+            throw new Error('PERP_MODULE_ADDR not configured');
+        const pair = this.resolvePair(intent.pair);
+        assertPairAdmin(pair, this.account);
+        const user = this.resolveUser(intent);
+        if (isPerpOpenIntent(intent)) {
+            const levBps = Math.round(Number(intent.leverage) * LEV_BPS_PER_X);
+            if (levBps <= 0 || levBps > pair.maxLevBps) {
+                throw new Error(`Leverage ${intent.leverage}x exceeds ${pair.symbol} max ${pair.maxLevBps / LEV_BPS_PER_X}x`);
+            }
+            const size = sizeToLots(pair, intent.size);
+            const margin = marginToUnits(pair, intent.margin);
+            if (size <= 0n)
+                throw new Error('Size rounds to zero base lots');
+            const markPx = await this.viewMarkPx(pair);
+            const required = requiredInitMargin(markPx * size, levBps, pair.initMarginBps);
+            if (margin < required) {
+                throw new Error(`Margin ${margin} below required initial margin ${required} (mark ${markPx}, init ${pair.initMarginBps}bps)`);
+            }
+            const side = intent.side === 'LONG' ? 0 : 1;
+            const payload = buildOpenPositionPayload(this.opts.moduleAddr, { user, pairId: pair.pairId, size, side, levBps, margin });
+            const note = `Open ${intent.side} ${intent.size} ${pair.symbol} at ${intent.leverage}x with ${intent.margin} margin (required ${required})`;
+            return { payload, note, pair, outputs: { pair: pair.symbol, side: intent.side, size: intent.size, margin: intent.margin, user } };
+        }
+        const size = intent.size ? sizeToLots(pair, intent.size) : await this.viewPositionSize(pair, user);
+        const payload = buildClosePositionPayload(this.opts.moduleAddr, { user, pairId: pair.pairId, size });
+        const note = `Close ${intent.size ? intent.size : 'full'} ${pair.symbol} position for ${user}`;
+        return { payload, note, pair, outputs: { pair: pair.symbol, size: intent.size || lotsToSize(pair, size), user } };
+    }
+    async simulate(intent) {
+        const { payload, note, outputs } = await this.build(intent);
+        if (!this.account)
+            return { note: note + ' – no admin signer configured, dry-run only', raw: { payload }, outputs };
+        const { result } = await this.client.simulate(this.account, payload);
+        return { gasEstimate: result[0]?.gas_used?.toString(), raw: result[0], note, outputs };
+    }
+    async execute(intent) {
+        if (!this.account)
+            return { hash: '0xDRY_RUN', simulated: await this.simulate(intent) };
+        const { payload, note, outputs } = await this.build(intent);
+        const { txn, result } = await this.client.simulate(this.account, payload);
+        const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+        return { hash, simulated: { raw: result[0], note }, outputs };
+    }
+    // A confirmed plan's payload, submitted unchanged
+    async executePayload(intent, payload) {
+        if (!this.account)
+            return { hash: '0xDRY_RUN', simulated: { note: 'No admin signer configured – dry-run only', raw: { payload } } };
+        const { txn, result } = await this.client.simulate(this.account, payload);
+        const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+        return { hash, simulated: { raw: result[0], note: 'Executed stored perp payload' } };
+    }
+}
@@ -1,12 +1,165 @@
 import { IActionAdapter, SimulationPreview, ExecutionResult } from './base.js';
 import { Intent } from '../intents/schema.js';
 import { isRiskQueryIntent, RiskQueryIntent } from '../intents/schema.js';
+import { AptosClientWrapper } from '../aptos/aptosClient.js';
+import { Account } from '@aptos-labs/ts-sdk';
+import { LEV_BPS_PER_X, PerpAdapterOptions } from './perpAdapter.js';
+import { PerpPair, getPerpPairRegistry, pxToPrice, lotsToSize, unitsToMargin } from '../perp/pairRegistry.js';
+import { PositionState, PositionRisk, assessPosition, SIDE_LONG } from '../perp/margin.js';
+import { runScenarios } from '../perp/scenarios.js';
+import { readPairState, readPosition } from '../perp/perpState.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+
+/*
+ * Risk adapter: read-only RISK_QUERY handling against perp_core.
+ * The deployed module has no view functions, so state comes from resources (src/perp/perpState.ts): the Pair
+ * resource for config, mark price and funding index, and the owner's entry in its positions table.
+ * `health` is perp_core::health as deployed (|pnl| terms, u128; null with healthAborts when the call would abort),
+ * and `liquidatable` follows it, so it reports what perp_core::liquidate would accept. Equity, margin ratio,
+ * liquidation price and `belowMaintenance` use the side-signed maths the module documents (src/perp/margin.ts)
+ * and are estimates of where the position stands, not of what the chain enforces.
+ * simulation.raw is structured: pair config, market, position and risk metrics as decimal strings.
+ * If the Pair resource belongs to another pair id the locally configured margin parameters are used (configSource: 'config').
+ * shockPcts / altLeverages (and `leverage`) add raw.scenarios: one row per leverage × price shock (src/perp/scenarios.ts).
+ */
+
+export interface RiskPairParams {
+  maxLevBps: number;
+  initMarginBps: number;
+  maintMarginBps: number;
+  maxFundingBpsHour: number;
+  configSource: 'chain' | 'config';
+}
+
+export interface RiskSnapshot {
+  pair: PerpPair;
+  params: RiskPairParams;
+  user?: string;
+  markPx: bigint;
+  cumFundingBps: bigint;
+  position: PositionState | null;
+  risk: PositionRisk | null;
+}
 
 export class RiskQueryAdapter implements IActionAdapter<RiskQueryIntent> {
+  constructor(private client: AptosClientWrapper, private account: Account | undefined, private opts: PerpAdapterOptions) {}
+
   canHandle(intent: Intent): intent is RiskQueryIntent { return isRiskQueryIntent(intent); }
+
+  async snapshot(intent: RiskQueryIntent): Promise<RiskSnapshot> {
+    if (!this.opts.moduleAddr) throw new Error('PERP_MODULE_ADDR not configured');
+    const pair = (this.opts.pairs || getPerpPairRegistry()).get(intent.asset || 'APT-USDC');
+    const owner = intent.user || this.account?.accountAddress.toString();
+    const user = owner ? normalizeAptosAddress(owner) : undefined;
+    const state = await readPairState(this.client.aptos, this.opts.moduleAddr, pair.admin);
+    // One Pair per admin address: a different pair_id there means the registry is out of date, so keep its params
+    const params: RiskPairParams = state.pairId === pair.pairId
+      ? { maxLevBps: state.maxLevBps, initMarginBps: state.initMarginBps, maintMarginBps: state.maintMarginBps, maxFundingBpsHour: state.maxFundingBpsHour, configSource: 'chain' }
+      : { maxLevBps: pair.maxLevBps, initMarginBps: pair.initMarginBps, maintMarginBps: pair.maintMarginBps, maxFundingBpsHour: pair.maxFundingBpsHour, configSource: 'config' };
+    const position = user ? await readPosition(this.client.aptos, this.opts.moduleAddr, state, user) : null;
+    const { markPx, cumFundingBps } = state;
+    const risk = position ? assessPosition(position, { markPx, cumFundingBps, maintMarginBps: params.maintMarginBps }) : null;
+    return { pair, params, user, markPx, cumFundingBps, position, risk };
+  }
+
+  // Ticks are quote units per base lot; report prices per whole base unit in quote tokens
+  private price(px: bigint, pair: PerpPair): string {
+    return pxToPrice(pair, px);
+  }
+
   async simulate(intent: RiskQueryIntent): Promise<SimulationPreview> {
-    return { note: `Risk analysis (${intent.focus || 'general'}) – no on-chain transaction`, raw: { focus: intent.focus } };
+    const s = await this.snapshot(intent);
+    const { pair } = s;
+    const quote = (v: bigint) => unitsToMargin(pair, v);
+    const scenarios = this.scenarioTable(intent, s);
+    const raw = {
+      focus: intent.focus,
+      user: s.user ?? null,
+      pair: {
+        symbol: pair.symbol,
+        pairId: pair.pairId,
+        maxLeverage: s.params.maxLevBps / LEV_BPS_PER_X,
+        initMarginBps: s.params.initMarginBps,
+        maintMarginBps: s.params.maintMarginBps,
+        maxFundingBpsHour: s.params.maxFundingBpsHour,
+        configSource: s.params.configSource,
+      },
+      market: { markPx: this.price(s.markPx, pair), cumFundingBps: s.cumFundingBps.toString() },
+      position: s.position ? {
+        side: s.position.side === SIDE_LONG ? 'LONG' : 'SHORT',
+        size: lotsToSize(pair, s.position.size),
+        entryPx: this.price(s.position.entryPx, pair),
+        margin: quote(s.position.margin),
+        leverage: s.position.levBps / LEV_BPS_PER_X,
+        fundingIndexOpen: s.position.fundingIndexOpen.toString(),
+      } : null,
+      risk: s.risk ? {
+        notional: quote(s.risk.notional),
+        maintenanceMargin: quote(s.risk.maintMargin),
+        pricePnl: quote(s.risk.pricePnl),
+        fundingPnl: quote(s.risk.fundingPnl),
+        pnl: quote(s.risk.pricePnl + s.risk.fundingPnl),
+        equity: quote(s.risk.equity),
+        health: s.risk.moduleHealth === null ? null : quote(s.risk.moduleHealth),
+        healthAborts: s.risk.moduleHealth === null,
+        signedHealth: quote(s.risk.health),
+        marginRatioBps: s.risk.marginRatioBps,
+        maintMarginBps: s.params.maintMarginBps,
+        liquidationPx: s.risk.liquidationPx === null ? null : this.price(s.risk.liquidationPx, pair),
+        distanceToLiquidationBps: s.risk.distanceToLiqBps,
+        belowMaintenance: s.risk.liquidatable,
+        // perp_core::liquidate asserts health < 0 on a u128, and health aborts instead of going negative
+        liquidatable: s.risk.moduleHealth !== null && s.risk.moduleHealth < 0n,
+      } : null,
+      ...(scenarios ? { scenarios } : {}),
+    };
+
+    if (!s.user) return { note: `Risk (${pair.symbol}): no position owner given (set user) – pair parameters only`, raw };
+    if (!raw.position || !raw.risk) return { note: `Risk (${pair.symbol}): no open position for ${s.user}`, raw, outputs: { pair: pair.symbol } };
+    const r = raw.risk;
+    const liq = r.liquidationPx === null ? 'no liquidation price' : `liq ${r.liquidationPx} (${((r.distanceToLiquidationBps ?? 0) / 100).toFixed(2)}% away)`;
+    const scenarioNote = scenarios
+      ? `; ${scenarios.rows.length} scenarios, ${scenarios.rows.filter((row) => row.belowMaintenance).length} below maintenance`
+      : '';
+    const note = `Risk (${pair.symbol} ${raw.position.side} ${raw.position.size}): equity ${r.equity}, margin ratio ${(r.marginRatioBps / 100).toFixed(2)}%`
+      + ` (maint ${(r.maintMarginBps / 100).toFixed(2)}%), ${liq}${r.liquidatable ? ' – LIQUIDATABLE' : ''}`
+      + `${r.belowMaintenance && !r.liquidatable ? ' – below maintenance, but perp_core::liquidate as deployed cannot close it' : ''}${scenarioNote} – no on-chain transaction`;
+    const outputs: Record<string, string> = { pair: pair.symbol, equity: r.equity, marginRatioBps: String(r.marginRatioBps) };
+    if (r.liquidationPx !== null) outputs.liquidationPx = r.liquidationPx;
+    return { note, raw, outputs };
   }
+
+  // Rows for every leverage × shock; leverages are whole-x multipliers (LEV_BPS_PER_X bps each)
+  private scenarioTable(intent: RiskQueryIntent, s: RiskSnapshot) {
+    const alt = [...(intent.altLeverages || []), ...(intent.leverage ? [intent.leverage] : [])];
+    if (!s.position || (!intent.shockPcts?.length && !alt.length)) return undefined;
+    const { pair } = s;
+    const quote = (v: bigint) => unitsToMargin(pair, v);
+    const rows = runScenarios(s.position, { markPx: s.markPx, cumFundingBps: s.cumFundingBps, maintMarginBps: s.params.maintMarginBps }, {
+      shockPcts: intent.shockPcts || [],
+      levBps: alt.map((l) => Math.round(Number(l) * LEV_BPS_PER_X)),
+      initMarginBps: s.params.initMarginBps,
+      maxLevBps: s.params.maxLevBps,
+    });
+    return {
+      columns: ['leverage', 'shockPct', 'markPx', 'margin', 'pnl', 'equity', 'marginRatioBps', 'liquidationPx', 'belowMaintenance'],
+      rows: rows.map((row) => ({
+        leverage: row.levBps / LEV_BPS_PER_X,
+        shockPct: row.shockPct,
+        markPx: this.price(row.markPx, pair),
+        margin: quote(row.margin),
+        pnl: quote(row.risk.pricePnl + row.risk.fundingPnl),
+        equity: quote(row.risk.equity),
+        marginRatioBps: row.risk.marginRatioBps,
+        liquidationPx: row.risk.liquidationPx === null ? null : this.price(row.risk.liquidationPx, pair),
+        // Side-signed health below zero, like the top-level belowMaintenance; the deployed liquidate would not accept it
+        belowMaintenance: row.risk.liquidatable,
+        ...(row.allowed ? {} : { exceedsMaxLeverage: true }),
+        ...(row.current ? { current: true } : {}),
+      })),
+    };
+  }
+
   async execute(intent: RiskQueryIntent): Promise<ExecutionResult> {
     return { hash: '0xNO_TX_RISK_QUERY', simulated: await this.simulate(intent) };
   }
@@ -1,3 +1,11 @@
+import { buildIntentGraph, resolveIntentRefs } from '../intents/graph.js';
+import { errorPayload, findAbort } from '../tx/abortDecoder.js';
+// Values a finished step exposes to downstream $ref lookups
+function outputsOf(r) {
+    if (!r)
+        return undefined;
+    return r.execution?.outputs ?? r.execution?.simulated?.outputs ?? r.simulation?.outputs;
+}
 export class IntentRouter {
     adapters = [];
     register(name, adapter) {
@@ -7,65 +15,77 @@ export class IntentRouter {
     findAdapter(intent) {
         return this.adapters.find(({ adapter }) => adapter.canHandle(intent));
     }
-    async simulateAll(intents) {
-        const results = [];
-        for (const intent of intents) {
+    // Run `step` over intents in dependency order, resolving $refs from upstream results.
+    // Results are returned in the original intent order.
+    async runGraph(intents, step) {
+        const graph = buildIntentGraph(intents);
+        const results = new Array(intents.length);
+        for (const index of graph.order) {
+            const node = graph.nodes[index];
+            const intent = intents[index];
             const found = this.findAdapter(intent);
-            if (!found) {
-                results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
+            const base = { intent, adapterName: found?.name || 'NONE', ...(node.dependsOn.length ? { dependsOn: node.dependsOn } : {}) };
+            if (node.error) {
+                results[index] = { ...base, error: node.error };
                 continue;
             }
-            try {
-                const simulation = await found.adapter.simulate(intent);
-                results.push({ intent, adapterName: found.name, simulation });
-            }
-            catch (e) {
-                results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
+            const failed = node.dependsOn.filter((d) => results[d]?.error || results[d]?.skipped);
+            if (failed.length) {
+                results[index] = { ...base, skipped: true, error: `Skipped: upstream intent ${failed.map((d) => '#' + (d + 1)).join(', ')} failed` };
+                continue;
             }
-        }
-        return results;
-    }
-    async executeAll(intents) {
-        const results = [];
-        for (const intent of intents) {
-            const found = this.findAdapter(intent);
             if (!found) {
-                results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
+                results[index] = { ...base, error: 'No adapter found' };
                 continue;
             }
             try {
-                const execution = await found.adapter.execute(intent);
-                results.push({ intent, adapterName: found.name, execution });
+                const resolved = resolveIntentRefs(intent, node.refs, (d) => outputsOf(results[d]));
+                if (node.refs.length)
+                    base.resolvedIntent = resolved;
+                const out = await step(found.adapter, resolved, index);
+                // Simulations report aborts in the result (success: false) rather than throwing
+                const raw = out.simulation?.raw;
+                const abort = raw && raw.success === false ? findAbort(raw.vm_status) : undefined;
+                results[index] = { ...base, ...out, ...(abort ? { abort } : {}) };
             }
             catch (e) {
-                results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
+                results[index] = { ...base, ...errorPayload(e) };
             }
         }
         return results;
     }
-    // Build raw transaction payloads (if adapter exposes a build() method returning { payload })
+    async simulateAll(intents) {
+        return this.runGraph(intents, async (adapter, intent) => ({ simulation: await adapter.simulate(intent) }));
+    }
+    // With `frozen` (a confirmed stored plan), intents that have a stored payload submit it unchanged
+    async executeAll(intents, frozen) {
+        return this.runGraph(intents, async (adapter, intent, index) => {
+            const f = frozen?.[index];
+            if (!f?.payload)
+                return { execution: await adapter.execute(intent) };
+            if (typeof adapter.executePayload !== 'function')
+                throw new Error('Adapter cannot submit a stored payload');
+            const execution = await adapter.executePayload(intent, f.payload);
+            return { execution: { ...execution, outputs: execution.outputs ?? f.outputs } };
+        });
+    }
+    // Build raw transaction payloads (if adapter exposes a build() method returning { payload }).
+    // Intents with $refs are resolved from simulation outputs of their upstream intents.
     async buildAll(intents) {
-        const results = [];
-        for (const intent of intents) {
-            const found = this.findAdapter(intent);
-            if (!found) {
-                results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
-                continue;
-            }
-            const adapter = found.adapter;
-            if (typeof adapter.build !== 'function') {
-                results.push({ intent, adapterName: found.name, error: 'Adapter does not support raw build' });
-                continue;
-            }
-            try {
-                const built = adapter.build(intent);
-                results.push({ intent, adapterName: found.name, payload: built?.payload });
-            }
-            catch (e) {
-                results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
-            }
-        }
-        return results;
+        const needsSim = buildIntentGraph(intents).nodes.some((n) => n.refs.length);
+        const upstream = needsSim ? await this.simulateAll(intents) : [];
+        return this.runGraph(intents, async (adapter, intent, index) => {
+            if (typeof adapter.build !== 'function')
+                throw new Error('Adapter does not support raw build');
+            const built = await adapter.build(intent); // build may be sync or async (e.g. on-chain lookups)
+            const sim = upstream[index]?.simulation; // carries outputs for downstream refs
+            return {
+                payload: built?.payload,
+                ...(built?.outputs ? { outputs: built.outputs } : {}),
+                ...(built?.summary ? { quote: built.summary } : {}),
+                ...(sim ? { simulation: sim } : {}),
+            };
+        });
     }
 }
 // Convenience factory
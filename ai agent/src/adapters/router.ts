@@ -1,5 +1,7 @@
 import { Intent } from '../intents/schema.js';
+import { buildIntentGraph, resolveIntentRefs } from '../intents/graph.js';
 import { IActionAdapter, SimulationPreview, ExecutionResult } from './base.js';
+import { DecodedAbort, errorPayload, findAbort } from '../tx/abortDecoder.js';
 
 export interface RouteResolution<I extends Intent = Intent> {
   intent: I;
@@ -7,6 +9,27 @@ export interface RouteResolution<I extends Intent = Intent> {
   simulation?: SimulationPreview;
   execution?: ExecutionResult;
   error?: string;
+  abort?: DecodedAbort; // decoded Move abort behind `error` or a failed simulation
+  resolvedIntent?: I; // intent after $ref substitution (only set when it had references)
+  dependsOn?: number[];
+  skipped?: boolean;  // not run because an upstream intent failed
+  payload?: any;      // raw transaction payload (buildAll only); an array of legs for composite swaps
+  outputs?: Record<string, string>; // what the built payload is expected to produce (buildAll only)
+  quote?: any;        // JSON-safe quote the payload's limits were computed from (buildAll, swaps)
+}
+
+// A payload frozen at planning time, with the outputs downstream $refs were resolved from
+export interface FrozenPayload {
+  payload: any;
+  outputs?: Record<string, string>;
+}
+
+type Step = (adapter: IActionAdapter<any>, intent: Intent, index: number) => Promise<Partial<RouteResolution>>;
+
+// Values a finished step exposes to downstream $ref lookups
+function outputsOf(r: RouteResolution | undefined): Record<string, any> | undefined {
+  if (!r) return undefined;
+  return r.execution?.outputs ?? r.execution?.simulated?.outputs ?? r.simulation?.outputs;
 }
 
 export class IntentRouter {
@@ -21,64 +44,75 @@ export class IntentRouter {
     return this.adapters.find(({ adapter }) => adapter.canHandle(intent));
   }
 
-  async simulateAll(intents: Intent[]): Promise<RouteResolution[]> {
-    const results: RouteResolution[] = [];
-    for (const intent of intents) {
+  // Run `step` over intents in dependency order, resolving $refs from upstream results.
+  // Results are returned in the original intent order.
+  private async runGraph(intents: Intent[], step: Step): Promise<RouteResolution[]> {
+    const graph = buildIntentGraph(intents);
+    const results: RouteResolution[] = new Array(intents.length);
+    for (const index of graph.order) {
+      const node = graph.nodes[index];
+      const intent = intents[index];
       const found = this.findAdapter(intent);
-      if (!found) {
-        results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
+      const base: RouteResolution = { intent, adapterName: found?.name || 'NONE', ...(node.dependsOn.length ? { dependsOn: node.dependsOn } : {}) };
+      if (node.error) {
+        results[index] = { ...base, error: node.error };
         continue;
       }
-      try {
-        const simulation = await found.adapter.simulate(intent as any);
-        results.push({ intent, adapterName: found.name, simulation });
-      } catch (e: any) {
-        results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
+      const failed = node.dependsOn.filter((d) => results[d]?.error || results[d]?.skipped);
+      if (failed.length) {
+        results[index] = { ...base, skipped: true, error: `Skipped: upstream intent ${failed.map((d) => '#' + (d + 1)).join(', ')} failed` };
+        continue;
       }
-    }
-    return results;
-  }
-
-  async executeAll(intents: Intent[]): Promise<RouteResolution[]> {
-    const results: RouteResolution[] = [];
-    for (const intent of intents) {
-      const found = this.findAdapter(intent);
       if (!found) {
-        results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
+        results[index] = { ...base, error: 'No adapter found' };
         continue;
       }
       try {
-        const execution = await found.adapter.execute(intent as any);
-        results.push({ intent, adapterName: found.name, execution });
+        const resolved = resolveIntentRefs(intent, node.refs, (d) => outputsOf(results[d]));
+        if (node.refs.length) base.resolvedIntent = resolved;
+        const out = await step(found.adapter, resolved, index);
+        // Simulations report aborts in the result (success: false) rather than throwing
+        const raw = out.simulation?.raw;
+        const abort = raw && raw.success === false ? findAbort(raw.vm_status) : undefined;
+        results[index] = { ...base, ...out, ...(abort ? { abort } : {}) };
       } catch (e: any) {
-        results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
+        results[index] = { ...base, ...errorPayload(e) };
       }
     }
     return results;
   }
 
-  // Build raw transaction payloads (if adapter exposes a build() method returning { payload })
-  async buildAll(intents: Intent[]): Promise<(RouteResolution & { payload?: any })[]> {
-    const results: (RouteResolution & { payload?: any })[] = [];
-    for (const intent of intents) {
-      const found = this.findAdapter(intent);
-      if (!found) {
-        results.push({ intent, adapterName: 'NONE', error: 'No adapter found' });
-        continue;
-      }
-      const adapter: any = found.adapter as any;
-      if (typeof adapter.build !== 'function') {
-        results.push({ intent, adapterName: found.name, error: 'Adapter does not support raw build' });
-        continue;
-      }
-      try {
-        const built = adapter.build(intent as any);
-        results.push({ intent, adapterName: found.name, payload: built?.payload });
-      } catch (e: any) {
-        results.push({ intent, adapterName: found.name, error: e?.message || String(e) });
-      }
-    }
-    return results;
+  async simulateAll(intents: Intent[]): Promise<RouteResolution[]> {
+    return this.runGraph(intents, async (adapter, intent) => ({ simulation: await adapter.simulate(intent) }));
+  }
+
+  // With `frozen` (a confirmed stored plan), intents that have a stored payload submit it unchanged
+  async executeAll(intents: Intent[], frozen?: (FrozenPayload | null)[]): Promise<RouteResolution[]> {
+    return this.runGraph(intents, async (adapter, intent, index) => {
+      const f = frozen?.[index];
+      if (!f?.payload) return { execution: await adapter.execute(intent) };
+      if (typeof adapter.executePayload !== 'function') throw new Error('Adapter cannot submit a stored payload');
+      const execution = await adapter.executePayload(intent, f.payload);
+      return { execution: { ...execution, outputs: execution.outputs ?? f.outputs } };
+    });
+  }
+
+  // Build raw transaction payloads (if adapter exposes a build() method returning { payload }).
+  // Intents with $refs are resolved from simulation outputs of their upstream intents.
+  async buildAll(intents: Intent[]): Promise<RouteResolution[]> {
+    const needsSim = buildIntentGraph(intents).nodes.some((n) => n.refs.length);
+    const upstream = needsSim ? await this.simulateAll(intents) : [];
+    return this.runGraph(intents, async (adapter: any, intent, index) => {
+      if (typeof adapter.build !== 'function') throw new Error('Adapter does not support raw build');
+      const built = await adapter.build(intent); // build may be sync or async (e.g. on-chain lookups)
+      const sim = upstream[index]?.simulation; // carries outputs for downstream refs
+      return {
+        payload: built?.payload,
+        ...(built?.outputs ? { outputs: built.outputs } : {}),
+        ...(built?.summary ? { quote: built.summary } : {}),
+        ...(sim ? { simulation: sim } : {}),
+      };
+    });
   }
 }
 
@@ -1,38 +1,97 @@
-import { isTransfer, toAtomicUnits } from './base.js';
+import { isTransfer } from './base.js';
 import { normalizeAptosAddress } from '../utils/address.js';
+import { getTokenRegistry } from '../tokens/tokenRegistry.js';
+/*
+ * Transfer adapter: any token in the registry.
+ *  - APT:               0x1::aptos_account::transfer (creates the recipient account if needed)
+ *  - other legacy coin: 0x1::coin::transfer<CoinType> (recipient must have registered the CoinStore)
+ *  - fungible asset:    0x1::primary_fungible_store::transfer<Metadata>(metadata, to, amount)
+ * Tokens with both a coinType and FA metadata go through the coin path (coin::balance covers the paired FA).
+ */
+const APT_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
 export class TransferAdapter {
     client;
     account;
-    constructor(client, account) {
+    tokens;
+    constructor(client, account, tokens = getTokenRegistry()) {
         this.client = client;
         this.account = account;
+        this.tokens = tokens;
     }
     canHandle(intent) { return isTransfer(intent); }
     build(intent) {
-        if (intent.token.toUpperCase() !== 'APT')
-            throw new Error('Only APT transfers supported (demo)');
-        const octas = toAtomicUnits(intent.amount, 8);
-        const toNorm = normalizeAptosAddress(intent.to);
-        const payload = {
-            function: '0x1::aptos_account::transfer',
-            functionArguments: [toNorm, octas.toString()],
-        };
-        return { payload };
+        const token = this.tokens.get(intent.token);
+        const atomic = this.tokens.toAtomic(intent.amount, token.symbol);
+        if (atomic <= 0n)
+            throw new Error('Transfer amount rounds to zero');
+        const to = normalizeAptosAddress(intent.to);
+        const standard = token.coinType ? 'coin' : 'fa';
+        let payload;
+        if (token.coinType === APT_COIN_TYPE) {
+            payload = { function: '0x1::aptos_account::transfer', functionArguments: [to, atomic.toString()] };
+        }
+        else if (token.coinType) {
+            payload = { function: '0x1::coin::transfer', typeArguments: [token.coinType], functionArguments: [to, atomic.toString()] };
+        }
+        else {
+            payload = {
+                function: '0x1::primary_fungible_store::transfer',
+                typeArguments: ['0x1::fungible_asset::Metadata'],
+                functionArguments: [token.faMetadata, to, atomic.toString()],
+            };
+        }
+        return { payload, token, standard, atomic, to, outputs: { amount: intent.amount, token: token.symbol, to } };
+    }
+    async viewBalance(owner, token) {
+        const payload = token.coinType
+            ? { function: '0x1::coin::balance', typeArguments: [token.coinType], functionArguments: [owner] }
+            : { function: '0x1::primary_fungible_store::balance', typeArguments: ['0x1::fungible_asset::Metadata'], functionArguments: [owner, token.faMetadata] };
+        const out = await this.client.aptos.view({ payload: payload });
+        return BigInt(out?.[0] ?? 0);
+    }
+    async isCoinRegistered(owner, coinType) {
+        const out = await this.client.aptos.view({ payload: { function: '0x1::coin::is_account_registered', typeArguments: [coinType], functionArguments: [owner] } });
+        return out?.[0] === true;
+    }
+    // Checks that would otherwise surface as an opaque Move abort (or not at all until submit)
+    async preflight(built, sender) {
+        const { token, atomic, to } = built;
+        if (built.standard === 'coin' && token.coinType !== APT_COIN_TYPE && !(await this.isCoinRegistered(to, token.coinType))) {
+            throw new Error(`Recipient ${to} is not registered for ${token.symbol} (${token.coinType}); they must register the coin store before receiving it`);
+        }
+        if (sender) {
+            const balance = await this.viewBalance(sender, token);
+            if (balance < atomic) {
+                throw new Error(`Insufficient ${token.symbol} balance: have ${this.tokens.fromAtomic(balance, token.symbol)}, need ${built.outputs.amount}`);
+            }
+        }
     }
     async simulate(intent) {
+        const built = this.build(intent);
+        const { payload, outputs, token, standard } = built;
+        await this.preflight(built, this.account?.accountAddress.toString());
         if (!this.account)
-            return { note: 'No account configured – dry-run only' };
-        const { payload } = this.build(intent);
+            return { note: 'No account configured – dry-run only', raw: { payload }, outputs };
         const { result } = await this.client.simulate(this.account, payload);
         const resp = result[0];
-        return { gasEstimate: resp?.gas_used?.toString(), raw: resp, note: 'Transfer simulation' };
+        return { gasEstimate: resp?.gas_used?.toString(), raw: resp, note: `Transfer simulation (${token.symbol}, ${standard === 'coin' ? 'coin' : 'fungible asset'})`, outputs };
     }
     async execute(intent) {
         if (!this.account)
             return { hash: '0xDRY_RUN', simulated: await this.simulate(intent) };
-        const { payload } = this.build(intent);
+        const built = this.build(intent);
+        await this.preflight(built, this.account.accountAddress.toString());
+        const { payload, outputs, token } = built;
         const { txn, result } = await this.client.simulate(this.account, payload); // preview first
-        const hash = await this.client.submit(this.account, txn); // placeholder submit may be mock
-        return { hash, simulated: { raw: result[0], note: 'Executed transfer' } };
+        const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+        return { hash, simulated: { raw: result[0], note: `Executed ${token.symbol} transfer` }, outputs };
+    }
+    // A confirmed plan's payload, submitted unchanged
+    async executePayload(intent, payload) {
+        if (!this.account)
+            return { hash: '0xDRY_RUN', simulated: { note: 'No account configured – dry-run only', raw: { payload } } };
+        const { txn, result } = await this.client.simulate(this.account, payload);
+        const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+        return { hash, simulated: { raw: result[0], note: 'Executed stored transfer payload' } };
     }
 }
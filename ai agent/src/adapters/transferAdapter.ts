@@ -1,43 +1,109 @@
 import { TransferIntent } from '../intents/schema.js';
 import { AptosClientWrapper } from '../aptos/aptosClient.js';
 import { Account, InputGenerateTransactionPayloadData } from '@aptos-labs/ts-sdk';
-import { IActionAdapter, SimulationPreview, ExecutionResult, isTransfer, toAtomicUnits } from './base.js';
+import { IActionAdapter, SimulationPreview, ExecutionResult, isTransfer } from './base.js';
 import { normalizeAptosAddress } from '../utils/address.js';
+import { TokenInfo, TokenRegistry, getTokenRegistry } from '../tokens/tokenRegistry.js';
+
+/*
+ * Transfer adapter: any token in the registry.
+ *  - APT:               0x1::aptos_account::transfer (creates the recipient account if needed)
+ *  - other legacy coin: 0x1::coin::transfer<CoinType> (recipient must have registered the CoinStore)
+ *  - fungible asset:    0x1::primary_fungible_store::transfer<Metadata>(metadata, to, amount)
+ * Tokens with both a coinType and FA metadata go through the coin path (coin::balance covers the paired FA).
+ */
+
+const APT_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+
+export type TransferStandard = 'coin' | 'fa';
 
 export interface TransferBuildResult {
   payload: InputGenerateTransactionPayloadData;
+  outputs: Record<string, string>;
+  token: TokenInfo;
+  standard: TransferStandard;
+  atomic: bigint;
+  to: string;
 }
 
 export class TransferAdapter implements IActionAdapter<TransferIntent> {
-  constructor(private client: AptosClientWrapper, private account?: Account) {}
+  constructor(private client: AptosClientWrapper, private account?: Account, private tokens: TokenRegistry = getTokenRegistry()) {}
 
   canHandle(intent: any): intent is TransferIntent { return isTransfer(intent); }
 
   build(intent: TransferIntent): TransferBuildResult {
-    if (intent.token.toUpperCase() !== 'APT') throw new Error('Only APT transfers supported (demo)');
-    const octas = toAtomicUnits(intent.amount, 8);
-    const toNorm = normalizeAptosAddress(intent.to);
-    const payload: InputGenerateTransactionPayloadData = {
-      function: '0x1::aptos_account::transfer',
-      functionArguments: [toNorm, octas.toString()],
-    } as any;
-    return { payload };
+    const token = this.tokens.get(intent.token);
+    const atomic = this.tokens.toAtomic(intent.amount, token.symbol);
+    if (atomic <= 0n) throw new Error('Transfer amount rounds to zero');
+    const to = normalizeAptosAddress(intent.to);
+    const standard: TransferStandard = token.coinType ? 'coin' : 'fa';
+    let payload: InputGenerateTransactionPayloadData;
+    if (token.coinType === APT_COIN_TYPE) {
+      payload = { function: '0x1::aptos_account::transfer', functionArguments: [to, atomic.toString()] } as any;
+    } else if (token.coinType) {
+      payload = { function: '0x1::coin::transfer', typeArguments: [token.coinType], functionArguments: [to, atomic.toString()] } as any;
+    } else {
+      payload = {
+        function: '0x1::primary_fungible_store::transfer',
+        typeArguments: ['0x1::fungible_asset::Metadata'],
+        functionArguments: [token.faMetadata, to, atomic.toString()],
+      } as any;
+    }
+    return { payload, token, standard, atomic, to, outputs: { amount: intent.amount, token: token.symbol, to } };
+  }
+
+  private async viewBalance(owner: string, token: TokenInfo): Promise<bigint> {
+    const payload = token.coinType
+      ? { function: '0x1::coin::balance', typeArguments: [token.coinType], functionArguments: [owner] }
+      : { function: '0x1::primary_fungible_store::balance', typeArguments: ['0x1::fungible_asset::Metadata'], functionArguments: [owner, token.faMetadata] };
+    const out: any = await this.client.aptos.view({ payload: payload as any });
+    return BigInt(out?.[0] ?? 0);
+  }
+
+  private async isCoinRegistered(owner: string, coinType: string): Promise<boolean> {
+    const out: any = await this.client.aptos.view({ payload: { function: '0x1::coin::is_account_registered', typeArguments: [coinType], functionArguments: [owner] } as any });
+    return out?.[0] === true;
+  }
+
+  // Checks that would otherwise surface as an opaque Move abort (or not at all until submit)
+  private async preflight(built: TransferBuildResult, sender?: string) {
+    const { token, atomic, to } = built;
+    if (built.standard === 'coin' && token.coinType !== APT_COIN_TYPE && !(await this.isCoinRegistered(to, token.coinType!))) {
+      throw new Error(`Recipient ${to} is not registered for ${token.symbol} (${token.coinType}); they must register the coin store before receiving it`);
+    }
+    if (sender) {
+      const balance = await this.viewBalance(sender, token);
+      if (balance < atomic) {
+        throw new Error(`Insufficient ${token.symbol} balance: have ${this.tokens.fromAtomic(balance, token.symbol)}, need ${built.outputs.amount}`);
+      }
+    }
   }
 
   async simulate(intent: TransferIntent): Promise<SimulationPreview> {
-    if (!this.account) return { note: 'No account configured – dry-run only' };
-    const { payload } = this.build(intent);
+    const built = this.build(intent);
+    const { payload, outputs, token, standard } = built;
+    await this.preflight(built, this.account?.accountAddress.toString());
+    if (!this.account) return { note: 'No account configured – dry-run only', raw: { payload }, outputs };
     const { result } = await this.client.simulate(this.account, payload);
     const resp = result[0];
-    return { gasEstimate: resp?.gas_used?.toString(), raw: resp, note: 'Transfer simulation' };
+    return { gasEstimate: resp?.gas_used?.toString(), raw: resp, note: `Transfer simulation (${token.symbol}, ${standard === 'coin' ? 'coin' : 'fungible asset'})`, outputs };
   }
 
   async execute(intent: TransferIntent): Promise<ExecutionResult> {
     if (!this.account) return { hash: '0xDRY_RUN', simulated: await this.simulate(intent) };
-    const { payload } = this.build(intent);
+    const built = this.build(intent);
+    await this.preflight(built, this.account.accountAddress.toString());
+    const { payload, outputs, token } = built;
     const { txn, result } = await this.client.simulate(this.account, payload); // preview first
-    const hash = await this.client.submit(this.account, txn); // placeholder submit may be mock
-    return { hash, simulated: { raw: result[0], note: 'Executed transfer' } };
+    const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+    return { hash, simulated: { raw: result[0], note: `Executed ${token.symbol} transfer` }, outputs };
   }
-}
 
+  // A confirmed plan's payload, submitted unchanged
+  async executePayload(intent: TransferIntent, payload: InputGenerateTransactionPayloadData): Promise<ExecutionResult> {
+    if (!this.account) return { hash: '0xDRY_RUN', simulated: { note: 'No account configured – dry-run only', raw: { payload } } };
+    const { txn, result } = await this.client.simulate(this.account, payload);
+    const hash = await this.client.submit(this.account, txn, { intentId: intent.id, intentType: intent.type });
+    return { hash, simulated: { raw: result[0], note: 'Executed stored transfer payload' } };
+  }
+}
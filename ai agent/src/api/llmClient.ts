@@ -2,15 +2,48 @@
  * LLM client wrapper: builds prompts and parses JSON output into intents.
  * Designed to be swappable (OpenAI / Anthropic / Local) via a minimal interface.
  */
-import { buildSystemPrompt, buildUserPrompt, suggestClarification } from '../utils/promptTemplates.js';
-import { classifyLooseIntent, formatZodError, Intent } from '../intents/schema.js';
+import { buildSystemPrompt, buildUserPrompt, buildRepairPrompt, suggestClarification } from '../utils/promptTemplates.js';
+import { classifyLooseIntent, formatZodError, safeParseIntent, validateIntent, Intent } from '../intents/schema.js';
 
-export interface LLMClientConfig {
-  provider: 'openai' | 'anthropic' | 'deepseek' | 'groq' | 'together' | 'replicate' | 'huggingface' | 'openrouter' | 'generic';
+export type LLMProviderName = 'openai' | 'anthropic' | 'deepseek' | 'groq' | 'openai-compatible' | 'together' | 'replicate' | 'huggingface' | 'openrouter' | 'generic';
+
+// One entry in the provider chain
+export interface LLMProviderSpec {
+  provider: LLMProviderName;
   apiKey?: string; // optional here; should preferably be provided server-side
   model: string;
   temperature?: number; // default 0 for determinism
-  endpoint?: string; // override base URL
+  endpoint?: string; // override base URL (required for openai-compatible, e.g. http://localhost:11434/v1)
+  timeoutMs?: number; // per-request timeout for this provider (default retry.timeoutMs)
+}
+
+export interface RetryPolicy {
+  retries: number;      // extra attempts per provider on HTTP 429/5xx (default 2)
+  baseDelayMs: number;  // first backoff delay, doubled each retry (default 500)
+  maxDelayMs: number;   // backoff ceiling (default 8000)
+  timeoutMs: number;    // default per-request timeout (default 30000)
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number; // consecutive failed calls before a provider is skipped (default 3)
+  cooldownMs: number;       // how long it is skipped before one trial call (default 30000)
+}
+
+export interface LLMClientConfig extends LLMProviderSpec {
+  maxRepairAttempts?: number; // re-prompts with validation errors when output is unusable (default 2)
+  fallbacks?: LLMProviderSpec[]; // tried in order when the primary provider fails
+  retry?: Partial<RetryPolicy>;
+  breaker?: Partial<CircuitBreakerOptions>;
+}
+
+// Which provider ended up answering a call, and what was tried on the way
+export interface LLMCallRecord {
+  at: string;
+  kind: 'extract' | 'repair' | 'answer';
+  provider: LLMProviderName;
+  model: string;
+  fallbackUsed: boolean;
+  tries: { provider: LLMProviderName; attempt: number; ms: number; error?: string }[];
 }
 
 export interface RawLLMMessage {
@@ -18,16 +51,40 @@ export interface RawLLMMessage {
   content: string;
 }
 
+export interface RepairAttempt {
+  attempt: number;        // 1-based
+  errors: string[];       // problems in the previous output that triggered this attempt
+  rawText: string;        // model output after the repair prompt
+  resolved: boolean;      // true if this output passed validation
+}
+
 export interface ExtractIntentsResult {
   intents: Intent[];
   rawText: string;
   clarificationsNeeded?: ReturnType<typeof suggestClarification>;
   errors?: string[];
+  repairAttempts?: RepairAttempt[];
+}
+
+export interface RepairStats {
+  extractions: number;  // extractIntents calls
+  repaired: number;     // needed >= 1 repair and ended valid
+  exhausted: number;    // still invalid after max attempts
+  attempts: number;     // total repair prompts sent
 }
 
 export interface ILLMClient {
   extractIntents(userMessage: string): Promise<ExtractIntentsResult>;
-  freeformAnswer(prompt: string): Promise<string>; // general QA / explanation
+  freeformAnswer(prompt: string, systemPrompt?: string): Promise<string>; // general QA / explanation
+}
+
+export class LLMHttpError extends Error {
+  constructor(message: string, readonly status: number) { super(message); }
+}
+
+// Only HTTP 429 and 5xx are retried. Anything else (401, 400, timeouts, network errors) moves on to the next provider.
+export function isRetryableLLMError(e: any): boolean {
+  return e instanceof LLMHttpError && (e.status === 429 || e.status >= 500);
 }
 
 // Minimal fetch wrapper (browser or node). Caller polyfills fetch if needed.
@@ -45,7 +102,7 @@ async function httpJson(url: string, init: RequestInit): Promise<any> {
       const j = JSON.parse(text);
       snippet = JSON.stringify(j).slice(0, 280);
     } catch {}
-    throw new Error(`LLM HTTP error ${res.status}: ${snippet}`);
+    throw new LLMHttpError(`LLM HTTP error ${res.status}: ${snippet}`, res.status);
   }
   try {
     return JSON.parse(text);
@@ -56,8 +113,15 @@ async function httpJson(url: string, init: RequestInit): Promise<any> {
 
 export class LLMClient implements ILLMClient {
   private cfg: LLMClientConfig;
+  private repairStats: RepairStats = { extractions: 0, repaired: 0, exhausted: 0, attempts: 0 };
+  private retryPolicy: RetryPolicy;
+  private breakerOptions: CircuitBreakerOptions;
+  private breakers = new Map<LLMProviderName, { failures: number; openedAt: number }>();
+  private recentCalls: LLMCallRecord[] = [];
   constructor(cfg: LLMClientConfig) {
     this.cfg = { temperature: 0, ...cfg };
+    this.retryPolicy = { retries: 2, baseDelayMs: 500, maxDelayMs: 8000, timeoutMs: 30_000, ...cfg.retry };
+    this.breakerOptions = { failureThreshold: 3, cooldownMs: 30_000, ...cfg.breaker };
   }
 
   private buildMessages(userMessage: string): RawLLMMessage[] {
@@ -70,31 +134,77 @@ export class LLMClient implements ILLMClient {
   async extractIntents(userMessage: string): Promise<ExtractIntentsResult> {
     const messages = this.buildMessages(userMessage);
     const raw = await this.callModel(messages);
+    let current = this.interpretOutput(raw);
+    const attempts: RepairAttempt[] = [];
+    this.repairStats.extractions++;
+
+    // Bounded repair loop: feed the bad output + validation errors back and ask for corrected JSON.
+    // The mock provider is deterministic, so re-asking it cannot help.
+    const maxRepairs = this.cfg.provider === 'generic' ? 0 : (this.cfg.maxRepairAttempts ?? 2);
+    while (current.problems.length && attempts.length < maxRepairs) {
+      let repairedRaw: string;
+      try {
+        repairedRaw = await this.callModel([messages[0], { role: 'user', content: buildRepairPrompt(userMessage, current.result.rawText, current.problems) }], 'repair');
+      } catch (e: any) {
+        if (process.env.LOG_LLM === '1') console.warn('[LLM][repair] call failed:', e?.message || e);
+        break;
+      }
+      const next = this.interpretOutput(repairedRaw);
+      attempts.push({ attempt: attempts.length + 1, errors: current.problems, rawText: next.result.rawText, resolved: !next.problems.length });
+      current = next;
+    }
+
+    this.repairStats.attempts += attempts.length;
+    if (attempts.length && !current.problems.length) this.repairStats.repaired++;
+    if (current.problems.length && attempts.length) this.repairStats.exhausted++;
+    return attempts.length ? { ...current.result, repairAttempts: attempts } : current.result;
+  }
+
+  // Parse + validate one model output. `problems` lists everything a repair prompt should fix,
+  // including intents that only survived by being downgraded to UNKNOWN.
+  private interpretOutput(raw: string): { result: ExtractIntentsResult; problems: string[] } {
     const cleaned = this.cleanResponse(raw);
     const parsed = this.tryParseJSON(cleaned);
 
     if (!parsed.success) {
+      const message = parsed.errorMessage || 'Invalid JSON';
       return {
-        intents: [],
-        rawText: cleaned,
-        errors: [parsed.errorMessage || 'Invalid JSON'],
-        clarificationsNeeded: { needsClarification: true, message: 'Model output was not valid JSON.' },
+        problems: [`(root): ${message}`],
+        result: {
+          intents: [],
+          rawText: cleaned,
+          errors: [message],
+          clarificationsNeeded: { needsClarification: true, message: 'Model output was not valid JSON.' },
+        },
       };
     }
 
     const intentsField = parsed.json?.intents;
     if (!Array.isArray(intentsField)) {
       return {
-        intents: [],
-        rawText: cleaned,
-        errors: ['Missing intents array'],
-        clarificationsNeeded: { needsClarification: true, message: 'Output missing intents array.' },
+        problems: ['intents: Missing intents array'],
+        result: {
+          intents: [],
+          rawText: cleaned,
+          errors: ['Missing intents array'],
+          clarificationsNeeded: { needsClarification: true, message: 'Output missing intents array.' },
+        },
       };
     }
 
     const intents: Intent[] = [];
     const allErrors: string[] = [];
-    for (const obj of intentsField) {
+    const problems: string[] = [];
+    intentsField.forEach((obj: any, idx: number) => {
+      const strict = safeParseIntent(obj);
+      if (!strict.success) {
+        problems.push(...formatZodError(strict.error).map((m) => `intents.${idx}.${m}`));
+      }
+      try {
+        if (strict.success) validateIntent(strict.data);
+      } catch (e: any) {
+        if (e?.errors) problems.push(...formatZodError(e).map((m) => `intents.${idx}.${m}`));
+      }
       try {
         intents.push(classifyLooseIntent(obj));
       } catch (e: any) {
@@ -104,54 +214,151 @@ export class LLMClient implements ILLMClient {
           allErrors.push(String(e?.message || e));
         }
       }
-    }
+    });
 
     const clarification = suggestClarification(allErrors);
 
     return {
-      intents,
-      rawText: cleaned,
-      errors: allErrors.length ? allErrors : undefined,
-      clarificationsNeeded: clarification.needsClarification ? clarification : undefined,
+      problems,
+      result: {
+        intents,
+        rawText: cleaned,
+        errors: allErrors.length ? allErrors : undefined,
+        clarificationsNeeded: clarification.needsClarification ? clarification : undefined,
+      },
     };
   }
 
-  // Provider-specific call (OpenAI style JSON). This is intentionally simple.
-  private async callModel(messages: RawLLMMessage[]): Promise<string> {
-    switch (this.cfg.provider) {
-      case 'openai':
-        return this.callOpenAI(messages);
-      case 'anthropic':
-        return this.callAnthropic(messages);
-      case 'deepseek':
-        return this.callDeepSeek(messages);
-      case 'groq':
-        return this.callGroq(messages);
-      case 'together':
-        return this.callTogether(messages);
-      case 'replicate':
-        return this.callReplicate(messages);
-      case 'huggingface':
-        return this.callHuggingFace(messages);
-      case 'openrouter':
-        return this.callOpenRouter(messages);
-      default:
-        return this.mockEcho(messages);
+  getRepairStats(): RepairStats {
+    return { ...this.repairStats };
+  }
+
+  // Walk the provider chain: retry transient failures with exponential backoff, skip providers whose
+  // circuit is open, fall through to the next provider otherwise. Records who answered in recentCalls.
+  private async callModel(messages: RawLLMMessage[], kind: LLMCallRecord['kind'] = 'extract'): Promise<string> {
+    return (await this.callModelRecorded(messages, kind)).text;
+  }
+
+  // callModel plus this call's own record (concurrent calls interleave in recentCalls, so it cannot be read back)
+  private async callModelRecorded(messages: RawLLMMessage[], kind: LLMCallRecord['kind']): Promise<{ text: string; record: LLMCallRecord }> {
+    const retry = this.retryPolicy;
+    const tries: LLMCallRecord['tries'] = [];
+    const chain = this.providerChain();
+    let lastError: any;
+    for (const [pos, spec] of chain.entries()) {
+      if (!this.breakerAllows(spec.provider)) {
+        tries.push({ provider: spec.provider, attempt: 0, ms: 0, error: 'circuit open' });
+        continue;
+      }
+      for (let attempt = 1; attempt <= retry.retries + 1; attempt++) {
+        const started = Date.now();
+        try {
+          const text = await this.callProvider(spec, messages, spec.timeoutMs ?? retry.timeoutMs);
+          tries.push({ provider: spec.provider, attempt, ms: Date.now() - started });
+          this.breakerSuccess(spec.provider);
+          const record: LLMCallRecord = { at: new Date().toISOString(), kind, provider: spec.provider, model: spec.model, fallbackUsed: pos > 0, tries };
+          this.recordCall(record);
+          return { text, record };
+        } catch (e: any) {
+          lastError = e;
+          tries.push({ provider: spec.provider, attempt, ms: Date.now() - started, error: String(e?.message || e).slice(0, 200) });
+          if (!isRetryableLLMError(e) || attempt > retry.retries) break;
+          await new Promise((r) => setTimeout(r, Math.min(retry.baseDelayMs * 2 ** (attempt - 1), retry.maxDelayMs)));
+        }
+      }
+      this.breakerFailure(spec.provider);
     }
+    this.recordCall({ at: new Date().toISOString(), kind, provider: chain[chain.length - 1].provider, model: chain[chain.length - 1].model, fallbackUsed: true, tries });
+    throw lastError || new Error('All LLM providers are unavailable (circuits open)');
   }
 
-  private async callOpenAI(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing OpenAI API key');
+  private providerChain(): LLMProviderSpec[] {
+    const { provider, apiKey, model, temperature, endpoint, timeoutMs } = this.cfg;
+    return [{ provider, apiKey, model, temperature, endpoint, timeoutMs }, ...(this.cfg.fallbacks || []).map((f) => ({ temperature, ...f }))];
+  }
+
+  private async callProvider(p: LLMProviderSpec, messages: RawLLMMessage[], timeoutMs: number): Promise<string> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const signal = controller.signal;
+      switch (p.provider) {
+        case 'openai':
+          return await this.callOpenAI(p, messages, signal);
+        case 'anthropic':
+          return await this.callAnthropic(p, messages, signal);
+        case 'deepseek':
+          return await this.callDeepSeek(p, messages, signal);
+        case 'groq':
+          return await this.callGroq(p, messages, signal);
+        case 'openai-compatible':
+          return await this.callOpenAICompatible(p, messages, signal);
+        case 'together':
+          return await this.callTogether(p, messages, signal);
+        case 'replicate':
+          return await this.callReplicate(p, messages, signal);
+        case 'huggingface':
+          return await this.callHuggingFace(p, messages, signal);
+        case 'openrouter':
+          return await this.callOpenRouter(p, messages, signal);
+        default:
+          return await this.mockEcho(messages);
+      }
+    } catch (e: any) {
+      if (controller.signal.aborted) throw new Error(`${p.provider} request timed out after ${timeoutMs}ms`);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /******** Circuit breaker (per provider, in-memory) ********/
+  private breakerAllows(provider: LLMProviderName): boolean {
+    const b = this.breakers.get(provider);
+    if (!b || b.failures < this.breakerOptions.failureThreshold) return true;
+    // Open: allow a single trial call once the cooldown has passed (half-open)
+    return Date.now() - b.openedAt >= this.breakerOptions.cooldownMs;
+  }
+
+  private breakerFailure(provider: LLMProviderName) {
+    const b = this.breakers.get(provider) || { failures: 0, openedAt: 0 };
+    b.failures++;
+    if (b.failures >= this.breakerOptions.failureThreshold) b.openedAt = Date.now();
+    this.breakers.set(provider, b);
+  }
+
+  private breakerSuccess(provider: LLMProviderName) {
+    this.breakers.delete(provider);
+  }
+
+  private recordCall(rec: LLMCallRecord) {
+    this.recentCalls.push(rec);
+    if (this.recentCalls.length > 50) this.recentCalls.shift();
+    if (process.env.LOG_LLM === '1') console.log('[LLM][call]', rec.kind, 'answered by', rec.provider, 'tries=', rec.tries.length);
+  }
+
+  // Diagnostics for /debug/ai
+  getProviderStatus() {
+    return {
+      chain: this.providerChain().map((p) => ({ provider: p.provider, model: p.model, hasKey: p.provider === 'generic' || p.provider === 'openai-compatible' || !!p.apiKey })),
+      breakers: Object.fromEntries([...this.breakers.entries()].map(([k, b]) => [k, { failures: b.failures, open: !this.breakerAllows(k) }])),
+      recentCalls: [...this.recentCalls].reverse(),
+    };
+  }
+
+  private async callOpenAI(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing OpenAI API key');
     const body = {
-      model: this.cfg.model,
-      temperature: this.cfg.temperature ?? 0,
+      model: p.model,
+      temperature: p.temperature ?? 0,
       messages: messages.map((m) => ({ role: m.role, content: m.content })),
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://api.openai.com/v1/chat/completions', {
+    const json = await httpJson(p.endpoint || 'https://api.openai.com/v1/chat/completions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -160,24 +367,25 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callAnthropic(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing Anthropic API key');
+  private async callAnthropic(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing Anthropic API key');
     const system = messages.find((m) => m.role === 'system')?.content || '';
     const user = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
     const body = {
-      model: this.cfg.model,
+      model: p.model,
       max_tokens: 1000,
-      temperature: this.cfg.temperature ?? 0,
+      temperature: p.temperature ?? 0,
       system,
       messages: [
         { role: 'user', content: user },
       ],
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://api.anthropic.com/v1/messages', {
+    const json = await httpJson(p.endpoint || 'https://api.anthropic.com/v1/messages', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        'x-api-key': this.cfg.apiKey,
+        'x-api-key': p.apiKey,
         'anthropic-version': '2023-06-01',
       },
       body: JSON.stringify(body),
@@ -187,20 +395,21 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callDeepSeek(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing DeepSeek API key');
+  private async callDeepSeek(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing DeepSeek API key');
     // DeepSeek R1 exposes an OpenAI-compatible /chat/completions style endpoint in many setups.
     const body = {
-      model: this.cfg.model,
-      temperature: this.cfg.temperature ?? 0,
+      model: p.model,
+      temperature: p.temperature ?? 0,
       messages: messages.map(m => ({ role: m.role, content: m.content })),
       stream: false,
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://api.deepseek.com/v1/chat/completions', {
+    const json = await httpJson(p.endpoint || 'https://api.deepseek.com/v1/chat/completions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -209,20 +418,21 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callGroq(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing Groq API key');
+  private async callGroq(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing Groq API key');
     const body = {
-      model: this.cfg.model,
-      temperature: this.cfg.temperature ?? 0,
+      model: p.model,
+      temperature: p.temperature ?? 0,
       messages: messages.map(m => ({ role: m.role, content: m.content })),
       stream: false,
       max_tokens: 1000,
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://api.groq.com/openai/v1/chat/completions', {
+    const json = await httpJson(p.endpoint || 'https://api.groq.com/openai/v1/chat/completions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -231,20 +441,46 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callTogether(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing Together API key');
+  // Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM, LM Studio...). Key is optional.
+  private async callOpenAICompatible(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.endpoint) throw new Error('Missing base URL for openai-compatible provider');
+    const base = p.endpoint.replace(/\/+$/, '');
+    const url = base.endsWith('/chat/completions') ? base : `${base}/chat/completions`;
+    const body = {
+      model: p.model,
+      temperature: p.temperature ?? 0,
+      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      stream: false,
+    };
+    const json = await httpJson(url, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(p.apiKey ? { Authorization: `Bearer ${p.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+    const text = json?.choices?.[0]?.message?.content;
+    if (!text) throw new Error('No content in openai-compatible response');
+    return text;
+  }
+
+  private async callTogether(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing Together API key');
     const body = {
-      model: this.cfg.model,
-      temperature: this.cfg.temperature ?? 0,
+      model: p.model,
+      temperature: p.temperature ?? 0,
       messages: messages.map(m => ({ role: m.role, content: m.content })),
       stream: false,
       max_tokens: 1000,
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://api.together.xyz/v1/chat/completions', {
+    const json = await httpJson(p.endpoint || 'https://api.together.xyz/v1/chat/completions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -253,8 +489,8 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callReplicate(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing Replicate API token');
+  private async callReplicate(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing Replicate API token');
     
     // For Replicate, we need to format the messages as a single prompt
     const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
@@ -262,20 +498,21 @@ export class LLMClient implements ILLMClient {
     const fullPrompt = systemPrompt ? `${systemPrompt}\n\nUser: ${userPrompt}` : userPrompt;
     
     const body = {
-      version: this.cfg.model || "meta/meta-llama-3.1-70b-instruct",
+      version: p.model || "meta/meta-llama-3.1-70b-instruct",
       input: {
         prompt: fullPrompt,
-        temperature: this.cfg.temperature ?? 0,
+        temperature: p.temperature ?? 0,
         max_tokens: 1000,
         system_prompt: systemPrompt,
       }
     };
     
-    const json = await httpJson(this.cfg.endpoint || 'https://api.replicate.com/v1/predictions', {
+    const json = await httpJson(p.endpoint || 'https://api.replicate.com/v1/predictions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Token ${this.cfg.apiKey}`,
+        Authorization: `Token ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -289,8 +526,9 @@ export class LLMClient implements ILLMClient {
       await new Promise(resolve => setTimeout(resolve, 1000));
       result = await httpJson(`https://api.replicate.com/v1/predictions/${predictionId}`, {
         method: 'GET',
+        signal,
         headers: {
-          Authorization: `Token ${this.cfg.apiKey}`,
+          Authorization: `Token ${p.apiKey}`,
         },
       });
       
@@ -306,8 +544,8 @@ export class LLMClient implements ILLMClient {
     throw new Error('Replicate prediction timeout');
   }
 
-  private async callHuggingFace(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing Hugging Face API key');
+  private async callHuggingFace(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing Hugging Face API key');
     
     // Format messages as a single input for HF Inference API
     const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
@@ -317,17 +555,18 @@ export class LLMClient implements ILLMClient {
     const body = {
       inputs: fullPrompt,
       parameters: {
-        temperature: this.cfg.temperature ?? 0,
+        temperature: p.temperature ?? 0,
         max_new_tokens: 1000,
         return_full_text: false,
       }
     };
     
-    const json = await httpJson(this.cfg.endpoint || `https://api-inference.huggingface.co/models/${this.cfg.model}`, {
+    const json = await httpJson(p.endpoint || `https://api-inference.huggingface.co/models/${p.model}`, {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
       },
       body: JSON.stringify(body),
     });
@@ -337,20 +576,21 @@ export class LLMClient implements ILLMClient {
     return text;
   }
 
-  private async callOpenRouter(messages: RawLLMMessage[]): Promise<string> {
-    if (!this.cfg.apiKey) throw new Error('Missing OpenRouter API key');
+  private async callOpenRouter(p: LLMProviderSpec, messages: RawLLMMessage[], signal?: AbortSignal): Promise<string> {
+    if (!p.apiKey) throw new Error('Missing OpenRouter API key');
     const body = {
-      model: this.cfg.model,
-      temperature: this.cfg.temperature ?? 0,
+      model: p.model,
+      temperature: p.temperature ?? 0,
       messages: messages.map(m => ({ role: m.role, content: m.content })),
       stream: false,
       max_tokens: 1000,
     };
-    const json = await httpJson(this.cfg.endpoint || 'https://openrouter.ai/api/v1/chat/completions', {
+    const json = await httpJson(p.endpoint || 'https://openrouter.ai/api/v1/chat/completions', {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.cfg.apiKey}`,
+        Authorization: `Bearer ${p.apiKey}`,
         'HTTP-Referer': 'https://github.com/neurodex',
         'X-Title': 'NeuroDex AI Agent',
       },
@@ -413,9 +653,76 @@ export class LLMClient implements ILLMClient {
       });
     }
 
+    // Chained transfer of a swap's proceeds: swap 10 usdc for apt then send it to 0xabc
+    const chainedRegex = /(send|transfer|move)\s+(?:it|them|that|the proceeds)\s+to\s+(0x[a-f0-9]{1,64})/gi;
+    let chMatch: RegExpExecArray | null;
+    while ((chMatch = chainedRegex.exec(text)) !== null) {
+      const [full, _verb, to] = chMatch;
+      const swapIdx = intents.map((i) => i.type).lastIndexOf('SWAP');
+      if (swapIdx < 0) continue;
+      intents.push({
+        type: 'TRANSFER',
+        sourcePrompt: actualInput,
+        evidence: full,
+        amount: `$ref:${swapIdx}.amountOut`,
+        token: intents[swapIdx].toToken,
+        to,
+        confidence: 0.6,
+        meta: { mock: true },
+      });
+    }
+
+    // Perp open pattern: long/short 10 apt at 5x with 100 usdc margin
+    const perpOpenRegex = /(long|short)\s+([0-9]+(?:\.[0-9]+)?)\s+([a-z0-9-]{2,15})\s+(?:at\s+)?([0-9]+(?:\.[0-9]+)?)x(?:\s+leverage)?\s+(?:with\s+)?([0-9]+(?:\.[0-9]+)?)\s*(?:[a-z0-9]{2,15}\s+)?margin/gi;
+    let pMatch: RegExpExecArray | null;
+    while ((pMatch = perpOpenRegex.exec(text)) !== null) {
+      const [full, side, size, base, lev, margin] = pMatch;
+      intents.push({
+        type: 'PERP_OPEN',
+        sourcePrompt: actualInput,
+        evidence: full,
+        pair: base.includes('-') ? base.toUpperCase() : `${base.toUpperCase()}-USDC`,
+        side: side.toUpperCase(),
+        size,
+        leverage: lev,
+        margin,
+        confidence: 0.7,
+        meta: { mock: true },
+      });
+    }
+
+    // Perp close pattern: close my apt long | close 5 apt position
+    const perpCloseRegex = /close\s+(?:my\s+)?(?:([0-9]+(?:\.[0-9]+)?)\s+)?([a-z0-9-]{2,15})\s+(?:long|short|position|perp)/gi;
+    let cMatch: RegExpExecArray | null;
+    while ((cMatch = perpCloseRegex.exec(text)) !== null) {
+      const [full, size, base] = cMatch;
+      intents.push({
+        type: 'PERP_CLOSE',
+        sourcePrompt: actualInput,
+        evidence: full,
+        pair: base.includes('-') ? base.toUpperCase() : `${base.toUpperCase()}-USDC`,
+        ...(size ? { size } : {}),
+        confidence: 0.65,
+        meta: { mock: true },
+      });
+    }
+    const hasPerp = intents.some((i) => i.type === 'PERP_OPEN' || i.type === 'PERP_CLOSE');
+
     // Risk / liquidation / leverage queries (broadened)
     const riskRegex = /(liquidation|liq price|risk|health factor|health|margin call|maintenance margin|maint margin|leverage|lev\b)/;
-    if (riskRegex.test(text)) {
+    // Scenarios: "if apt falls 15%", "drops by 20%", "at 10x instead of 5x"
+    const shockRegex = /(?:\b([a-z]{2,6})(?:-usdc)?\s+)?\b(falls?|drops?|dumps?|crash(?:es)?|declines?|down|rises?|rall(?:y|ies)|pumps?|jumps?|up)\s+(?:by\s+)?([0-9]+(?:\.[0-9]+)?)\s*%/g;
+    const shocks: number[] = [];
+    let shockAsset: string | undefined;
+    let shMatch: RegExpExecArray | null;
+    while ((shMatch = shockRegex.exec(text)) !== null) {
+      const [, asset, verb, pct] = shMatch;
+      const down = /^(fall|drop|dump|crash|decline|down)/.test(verb);
+      shocks.push(down ? -Number(pct) : Number(pct));
+      if (asset && !['price', 'market', 'it', 'mark', 'if', 'when'].includes(asset)) shockAsset = shockAsset || asset.toUpperCase();
+    }
+    const altLeverages = [...text.matchAll(/\b(?:at|to|with|use)\s+([0-9]+(?:\.[0-9]+)?)x\b/g)].map((m) => m[1]);
+    if (!hasPerp && (riskRegex.test(text) || shocks.length)) {
       const focus = /(liquidation|liq price)/.test(text)
         ? 'liquidation'
         : /(leverage|lev\b)/.test(text)
@@ -423,11 +730,16 @@ export class LLMClient implements ILLMClient {
           : /(health factor|health|margin call|maintenance margin|maint margin)/.test(text)
             ? 'account_health'
             : 'risk';
+      const owner = actualInput.match(/\b0x[0-9a-fA-F]{1,64}\b/)?.[0];
       intents.push({
         type: 'RISK_QUERY',
         sourcePrompt: actualInput,
         evidence: 'risk_query',
-        focus,
+        focus: shocks.length && focus === 'risk' ? 'scenario' : focus,
+        ...(owner ? { user: owner } : {}),
+        ...(shockAsset ? { asset: shockAsset } : {}),
+        ...(shocks.length ? { shockPcts: shocks } : {}),
+        ...(altLeverages.length ? { altLeverages } : {}),
         confidence: 0.62,
         meta: { mock: true }
       });
@@ -457,22 +769,30 @@ export class LLMClient implements ILLMClient {
     }
   }
 
-  async freeformAnswer(prompt: string): Promise<string> {
+  async freeformAnswer(prompt: string, systemPrompt?: string): Promise<string> {
+    return (await this.freeformAnswerDetailed(prompt, systemPrompt)).text;
+  }
+
+  // freeformAnswer plus the provider that answered this call (undefined when none did)
+  async freeformAnswerDetailed(prompt: string, systemPrompt?: string): Promise<{ text: string; provider?: LLMProviderName; model?: string }> {
     const messages: RawLLMMessage[] = [
       { 
         role: 'system', 
-        content: 'You are NeuroDex AI, a helpful blockchain and trading assistant. Respond naturally and conversationally like ChatGPT. Provide clear, accurate information about blockchain, DeFi, trading, cryptocurrencies, and related topics. Be friendly and helpful while maintaining expertise. If asked about specific trading actions, provide educational context but remind users to do their own research.'
+        content: systemPrompt || 'You are NeuroDex AI, a helpful blockchain and trading assistant. Respond naturally and conversationally like ChatGPT. Provide clear, accurate information about blockchain, DeFi, trading, cryptocurrencies, and related topics. Be friendly and helpful while maintaining expertise. If asked about specific trading actions, provide educational context but remind users to do their own research.'
       },
       { role: 'user', content: prompt },
     ];
+    const demo = `I'm currently running in demo mode without an AI provider. You asked: "${prompt}". To get full AI responses, configure a DeepSeek API key in the backend.`;
     try {
       if (this.cfg.provider === 'generic') {
         // Lightweight heuristic fallback
-        return `I'm currently running in demo mode without an AI provider. You asked: "${prompt}". To get full AI responses, configure a DeepSeek API key in the backend.`;
+        return { text: demo, provider: 'generic', model: this.cfg.model };
       }
-      return await this.callModel(messages);
+      const { text, record } = await this.callModelRecorded(messages, 'answer');
+      // The chain may have fallen through to the mock, which only speaks intent JSON
+      return { text: record.provider === 'generic' ? demo : text, provider: record.provider, model: record.model };
     } catch (e: any) {
-      return `I'm sorry, I'm having trouble connecting to my AI backend right now. Error: ${e.message || e}`;
+      return { text: `I'm sorry, I'm having trouble connecting to my AI backend right now. Error: ${e.message || e}` };
     }
   }
 }
@@ -1,8 +1,58 @@
-/* Aptos client wrapper: simulate, sign, submit */
-import { Aptos, AptosConfig, Network, Account, Ed25519PrivateKey } from '@aptos-labs/ts-sdk';
+/* Aptos client wrapper: simulate, sign, submit. Backend is a fullnode ('node') or the offline MemoryLedger ('memory', APTOS_BACKEND=memory) */
+import { Aptos, AptosConfig, Network, Account, SimpleTransaction, Ed25519PrivateKey, AccountAuthenticator, Deserializer, Hex, TransactionPayloadEntryFunction, } from '@aptos-labs/ts-sdk';
+import { getMemoryLedger } from './memoryLedger.js';
+import { TxTracker, TxFailedError, getTxTracker } from '../tx/txTracker.js';
+function fromBcsHex(hex, what, read) {
+    try {
+        return read(new Deserializer(Hex.fromHexInput(hex).toUint8Array()));
+    }
+    catch (e) {
+        throw new Error(`Invalid ${what} BCS: ${e?.message || e}`);
+    }
+}
+export function deserializeTransaction(hex) {
+    return fromBcsHex(hex, 'transaction', (d) => SimpleTransaction.deserialize(d));
+}
+export function deserializeAuthenticator(hex) {
+    return fromBcsHex(hex, 'authenticator', (d) => AccountAuthenticator.deserialize(d));
+}
+// Entry function, type arguments and BCS-encoded arguments of a transaction (the node later returns them decoded)
+export function summarizePayload(txn) {
+    const payload = txn.rawTransaction.payload;
+    if (!(payload instanceof TransactionPayloadEntryFunction))
+        return undefined;
+    const fn = payload.entryFunction;
+    return {
+        function: `${fn.module_name.address.toString()}::${fn.module_name.name.identifier}::${fn.function_name.identifier}`,
+        typeArguments: fn.type_args.map((t) => t.toString()),
+        arguments: fn.args.map((a) => a.bcsToHex().toString()),
+    };
+}
+// The node's 404 for an address with no account resource (AptosApiError, or the memory ledger's LedgerApiError)
+export function isAccountNotFound(e) {
+    return e?.data?.error_code === 'account_not_found';
+}
+export function aptosBackendFromEnv() {
+    const b = (process.env.APTOS_BACKEND || 'node').toLowerCase();
+    if (b !== 'node' && b !== 'memory')
+        throw new Error(`Unknown APTOS_BACKEND "${b}" (expected node | memory)`);
+    return b;
+}
 export class AptosClientWrapper {
+    opts;
     aptos;
+    backend;
+    ledger;
+    localTracker;
     constructor(opts = {}) {
+        this.opts = opts;
+        this.backend = opts.backend || aptosBackendFromEnv();
+        if (this.backend === 'memory') {
+            this.ledger = opts.ledger || getMemoryLedger();
+            // The ledger implements the subset of Aptos used here (view, resources, build/simulate/submit/wait)
+            this.aptos = this.ledger.asAptos();
+            return;
+        }
         const config = new AptosConfig({ network: opts.network || Network.TESTNET, fullnode: opts.nodeUrl });
         this.aptos = new Aptos(config);
     }
@@ -14,18 +64,100 @@ export class AptosClientWrapper {
         });
         return { txn, result };
     }
-    async submit(account, txn) {
+    get tracker() {
+        const shared = this.opts.tracker || getTxTracker();
+        if (shared)
+            return shared;
+        this.localTracker ??= new TxTracker((hash) => this.aptos.getTransactionByHash({ transactionHash: hash }));
+        return this.localTracker;
+    }
+    // Records the transaction and waits up to waitSecs for its outcome (a still-pending record is returned as is)
+    async track(hash, txn, source, meta = {}) {
+        const raw = txn.rawTransaction;
+        const user = meta.user || this.opts.user;
+        const payload = summarizePayload(txn);
+        this.tracker.track({
+            hash,
+            sender: raw.sender.toString(),
+            source,
+            ...(user ? { user } : {}),
+            ...(meta.intentId ? { intentId: meta.intentId } : {}),
+            ...(meta.intentType ? { intentType: meta.intentType } : {}),
+            ...(payload ? { payload } : {}),
+            gasUnitPrice: raw.gas_unit_price.toString(),
+            expirationTimestampSecs: raw.expiration_timestamp_secs.toString(),
+        });
+        return this.tracker.wait(hash, (this.opts.waitSecs ?? 20) * 1000);
+    }
+    // Signs, submits and waits; a transaction that commits but fails throws TxFailedError (readable vm_status)
+    async submit(account, txn, meta = {}) {
         const pending = await this.aptos.signAndSubmitTransaction({ signer: account, transaction: txn });
-        // Optionally wait (can be toggled later)
-        try {
-            await this.aptos.waitForTransaction({ transactionHash: pending.hash });
-        }
-        catch (_) { }
+        const record = await this.track(pending.hash, txn, 'agent', meta);
+        if (record.status === 'failed' || record.status === 'expired')
+            throw new TxFailedError(record);
+        return pending.hash;
+    }
+    // Entry functions with several signers (e.g. perp_core::set_mark_price(admin, caller)): `secondary` in the order of
+    // the function's signer parameters after the sender. Node backend only; the offline ledger runs single-signer transactions.
+    async submitMultiAgent(sender, secondary, payload, meta = {}) {
+        if (this.backend === 'memory')
+            throw new Error('The memory backend does not support multi-agent transactions');
+        const txn = await this.aptos.transaction.build.multiAgent({
+            sender: sender.accountAddress,
+            secondarySignerAddresses: secondary.map((a) => a.accountAddress),
+            data: payload,
+        });
+        const pending = await this.aptos.transaction.submit.multiAgent({
+            transaction: txn,
+            senderAuthenticator: this.aptos.transaction.sign({ signer: sender, transaction: txn }),
+            additionalSignersAuthenticators: secondary.map((a) => this.aptos.transaction.sign({ signer: a, transaction: txn })),
+        });
+        const record = await this.track(pending.hash, txn, 'agent', meta);
+        if (record.status === 'failed' || record.status === 'expired')
+            throw new TxFailedError(record);
         return pending.hash;
     }
     async build(payload, sender) {
         return this.aptos.transaction.build.simple({ sender: sender.accountAddress, data: payload });
     }
+    // Next sequence number; 0 for accounts that do not exist on chain yet. Any other failure (network, rate
+    // limit, bad address) is rethrown: guessing 0 would build a transaction the node rejects.
+    async sequenceNumber(address) {
+        try {
+            const info = await this.aptos.getAccountInfo({ accountAddress: address });
+            return BigInt(info.sequence_number);
+        }
+        catch (e) {
+            if (isAccountNotFound(e))
+                return 0n;
+            throw e;
+        }
+    }
+    // Raw transaction for an address the server cannot sign for (the user's wallet signs it)
+    async buildFor(sender, payload, options = {}) {
+        const txn = await this.aptos.transaction.build.simple({ sender, data: payload, options: options });
+        const raw = txn.rawTransaction;
+        return {
+            transaction: txn.bcsToHex().toString(),
+            rawTransaction: raw.bcsToHex().toString(),
+            sender: raw.sender.toString(),
+            sequenceNumber: raw.sequence_number.toString(),
+            maxGasAmount: raw.max_gas_amount.toString(),
+            gasUnitPrice: raw.gas_unit_price.toString(),
+            expirationTimestampSecs: raw.expiration_timestamp_secs.toString(),
+            chainId: raw.chain_id.chainId,
+        };
+    }
+    // Submit a wallet-signed transaction: both arguments are BCS hex (SimpleTransaction, AccountAuthenticator).
+    // Resolves with the tracked record (pending if the outcome is not known within waitSecs).
+    async submitSigned(transactionHex, authenticatorHex, meta = {}) {
+        const transaction = deserializeTransaction(transactionHex);
+        const pending = await this.aptos.transaction.submit.simple({
+            transaction,
+            senderAuthenticator: deserializeAuthenticator(authenticatorHex),
+        });
+        return this.track(pending.hash, transaction, 'wallet', meta);
+    }
 }
 export function createAccountFromPrivateKeyHex(hex) {
     const pk = new Ed25519PrivateKey(hex.startsWith('0x') ? hex : `0x${hex}`);
@@ -1,15 +1,102 @@
-/* Aptos client wrapper: simulate, sign, submit */
-import { Aptos, AptosConfig, Network, Account, SimpleTransaction, InputGenerateTransactionPayloadData, Ed25519PrivateKey } from '@aptos-labs/ts-sdk';
+/* Aptos client wrapper: simulate, sign, submit. Backend is a fullnode ('node') or the offline MemoryLedger ('memory', APTOS_BACKEND=memory) */
+import {
+  Aptos, AptosConfig, Network, Account, SimpleTransaction, InputGenerateTransactionPayloadData, Ed25519PrivateKey,
+  AccountAuthenticator, Deserializer, Hex, TransactionPayloadEntryFunction, AnyRawTransaction,
+} from '@aptos-labs/ts-sdk';
+import { MemoryLedger, getMemoryLedger } from './memoryLedger.js';
+import { TxTracker, TxRecord, TxFailedError, TxPayloadSummary, getTxTracker } from '../tx/txTracker.js';
+
+export type AptosBackend = 'node' | 'memory';
 
 export interface AptosClientOptions {
   network?: Network;
   faucet?: boolean;
   nodeUrl?: string;
+  backend?: AptosBackend;  // default: APTOS_BACKEND env, else 'node'
+  ledger?: MemoryLedger;   // memory backend only; default is the process-wide ledger
+  tracker?: TxTracker;     // default: the process-wide tracker (getTxTracker), else a private in-memory one
+  user?: string;           // recorded with submitted transactions when the signer acts for someone else
+  waitSecs?: number;       // how long submit waits for the outcome (default 20)
+}
+
+// What a submitted transaction is recorded for
+export interface TxMeta {
+  intentId?: string;
+  intentType?: string;
+  user?: string;
+}
+
+// Unsigned transaction for a wallet to sign: BCS plus the fields the wallet will show
+export interface BuiltTransaction {
+  transaction: string;      // BCS SimpleTransaction (hex), the input to wallet signTransaction
+  rawTransaction: string;   // BCS RawTransaction (hex)
+  sender: string;
+  sequenceNumber: string;
+  maxGasAmount: string;
+  gasUnitPrice: string;
+  expirationTimestampSecs: string;
+  chainId: number;
+}
+
+export interface BuildOptions {
+  accountSequenceNumber?: bigint | number;
+  maxGasAmount?: number;
+  gasUnitPrice?: number;
+  expireTimestamp?: number; // unix seconds
+}
+
+function fromBcsHex<T>(hex: string, what: string, read: (d: Deserializer) => T): T {
+  try {
+    return read(new Deserializer(Hex.fromHexInput(hex).toUint8Array()));
+  } catch (e: any) {
+    throw new Error(`Invalid ${what} BCS: ${e?.message || e}`);
+  }
+}
+
+export function deserializeTransaction(hex: string): SimpleTransaction {
+  return fromBcsHex(hex, 'transaction', (d) => SimpleTransaction.deserialize(d));
+}
+
+export function deserializeAuthenticator(hex: string): AccountAuthenticator {
+  return fromBcsHex(hex, 'authenticator', (d) => AccountAuthenticator.deserialize(d));
+}
+
+// Entry function, type arguments and BCS-encoded arguments of a transaction (the node later returns them decoded)
+export function summarizePayload(txn: AnyRawTransaction): TxPayloadSummary | undefined {
+  const payload = txn.rawTransaction.payload;
+  if (!(payload instanceof TransactionPayloadEntryFunction)) return undefined;
+  const fn = payload.entryFunction;
+  return {
+    function: `${fn.module_name.address.toString()}::${fn.module_name.name.identifier}::${fn.function_name.identifier}`,
+    typeArguments: fn.type_args.map((t) => t.toString()),
+    arguments: fn.args.map((a) => a.bcsToHex().toString()),
+  };
+}
+
+// The node's 404 for an address with no account resource (AptosApiError, or the memory ledger's LedgerApiError)
+export function isAccountNotFound(e: any): boolean {
+  return e?.data?.error_code === 'account_not_found';
+}
+
+export function aptosBackendFromEnv(): AptosBackend {
+  const b = (process.env.APTOS_BACKEND || 'node').toLowerCase();
+  if (b !== 'node' && b !== 'memory') throw new Error(`Unknown APTOS_BACKEND "${b}" (expected node | memory)`);
+  return b;
 }
 
 export class AptosClientWrapper {
   readonly aptos: Aptos;
-  constructor(opts: AptosClientOptions = {}) {
+  readonly backend: AptosBackend;
+  readonly ledger?: MemoryLedger;
+  private localTracker?: TxTracker;
+  constructor(private opts: AptosClientOptions = {}) {
+    this.backend = opts.backend || aptosBackendFromEnv();
+    if (this.backend === 'memory') {
+      this.ledger = opts.ledger || getMemoryLedger();
+      // The ledger implements the subset of Aptos used here (view, resources, build/simulate/submit/wait)
+      this.aptos = this.ledger.asAptos() as unknown as Aptos;
+      return;
+    }
     const config = new AptosConfig({ network: opts.network || Network.TESTNET, fullnode: opts.nodeUrl });
     this.aptos = new Aptos(config);
   }
@@ -23,16 +110,101 @@ export class AptosClientWrapper {
     return { txn, result };
   }
 
-  async submit(account: Account, txn: SimpleTransaction) {
+  get tracker(): TxTracker {
+    const shared = this.opts.tracker || getTxTracker();
+    if (shared) return shared;
+    this.localTracker ??= new TxTracker((hash) => this.aptos.getTransactionByHash({ transactionHash: hash }));
+    return this.localTracker;
+  }
+
+  // Records the transaction and waits up to waitSecs for its outcome (a still-pending record is returned as is)
+  async track(hash: string, txn: AnyRawTransaction, source: TxRecord['source'], meta: TxMeta = {}): Promise<TxRecord> {
+    const raw = txn.rawTransaction;
+    const user = meta.user || this.opts.user;
+    const payload = summarizePayload(txn);
+    this.tracker.track({
+      hash,
+      sender: raw.sender.toString(),
+      source,
+      ...(user ? { user } : {}),
+      ...(meta.intentId ? { intentId: meta.intentId } : {}),
+      ...(meta.intentType ? { intentType: meta.intentType } : {}),
+      ...(payload ? { payload } : {}),
+      gasUnitPrice: raw.gas_unit_price.toString(),
+      expirationTimestampSecs: raw.expiration_timestamp_secs.toString(),
+    });
+    return this.tracker.wait(hash, (this.opts.waitSecs ?? 20) * 1000);
+  }
+
+  // Signs, submits and waits; a transaction that commits but fails throws TxFailedError (readable vm_status)
+  async submit(account: Account, txn: SimpleTransaction, meta: TxMeta = {}) {
     const pending = await this.aptos.signAndSubmitTransaction({ signer: account, transaction: txn });
-    // Optionally wait (can be toggled later)
-    try { await this.aptos.waitForTransaction({ transactionHash: pending.hash }); } catch (_) {}
+    const record = await this.track(pending.hash, txn, 'agent', meta);
+    if (record.status === 'failed' || record.status === 'expired') throw new TxFailedError(record);
+    return pending.hash;
+  }
+
+  // Entry functions with several signers (e.g. perp_core::set_mark_price(admin, caller)): `secondary` in the order of
+  // the function's signer parameters after the sender. Node backend only; the offline ledger runs single-signer transactions.
+  async submitMultiAgent(sender: Account, secondary: Account[], payload: InputGenerateTransactionPayloadData, meta: TxMeta = {}) {
+    if (this.backend === 'memory') throw new Error('The memory backend does not support multi-agent transactions');
+    const txn = await this.aptos.transaction.build.multiAgent({
+      sender: sender.accountAddress,
+      secondarySignerAddresses: secondary.map((a) => a.accountAddress),
+      data: payload,
+    });
+    const pending = await this.aptos.transaction.submit.multiAgent({
+      transaction: txn,
+      senderAuthenticator: this.aptos.transaction.sign({ signer: sender, transaction: txn }),
+      additionalSignersAuthenticators: secondary.map((a) => this.aptos.transaction.sign({ signer: a, transaction: txn })),
+    });
+    const record = await this.track(pending.hash, txn, 'agent', meta);
+    if (record.status === 'failed' || record.status === 'expired') throw new TxFailedError(record);
     return pending.hash;
   }
 
   async build(payload: InputGenerateTransactionPayloadData, sender: Account) {
     return this.aptos.transaction.build.simple({ sender: sender.accountAddress, data: payload });
   }
+
+  // Next sequence number; 0 for accounts that do not exist on chain yet. Any other failure (network, rate
+  // limit, bad address) is rethrown: guessing 0 would build a transaction the node rejects.
+  async sequenceNumber(address: string): Promise<bigint> {
+    try {
+      const info: any = await this.aptos.getAccountInfo({ accountAddress: address });
+      return BigInt(info.sequence_number);
+    } catch (e: any) {
+      if (isAccountNotFound(e)) return 0n;
+      throw e;
+    }
+  }
+
+  // Raw transaction for an address the server cannot sign for (the user's wallet signs it)
+  async buildFor(sender: string, payload: InputGenerateTransactionPayloadData, options: BuildOptions = {}): Promise<BuiltTransaction> {
+    const txn = await this.aptos.transaction.build.simple({ sender, data: payload, options: options as any });
+    const raw = txn.rawTransaction;
+    return {
+      transaction: txn.bcsToHex().toString(),
+      rawTransaction: raw.bcsToHex().toString(),
+      sender: raw.sender.toString(),
+      sequenceNumber: raw.sequence_number.toString(),
+      maxGasAmount: raw.max_gas_amount.toString(),
+      gasUnitPrice: raw.gas_unit_price.toString(),
+      expirationTimestampSecs: raw.expiration_timestamp_secs.toString(),
+      chainId: raw.chain_id.chainId,
+    };
+  }
+
+  // Submit a wallet-signed transaction: both arguments are BCS hex (SimpleTransaction, AccountAuthenticator).
+  // Resolves with the tracked record (pending if the outcome is not known within waitSecs).
+  async submitSigned(transactionHex: string, authenticatorHex: string, meta: TxMeta = {}): Promise<TxRecord> {
+    const transaction = deserializeTransaction(transactionHex);
+    const pending = await this.aptos.transaction.submit.simple({
+      transaction,
+      senderAuthenticator: deserializeAuthenticator(authenticatorHex),
+    });
+    return this.track(pending.hash, transaction, 'wallet', meta);
+  }
 }
 
 export function createAccountFromPrivateKeyHex(hex: string): Account {
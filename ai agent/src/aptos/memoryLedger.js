@@ -0,0 +1,483 @@
+/*
+ * In-memory Aptos ledger (APTOS_BACKEND=memory).
+ * ---------------------------------
+ * A local stand-in for a fullnode so simulate / submit / view work offline. It keeps accounts (sequence
+ * number, coin stores, fungible-asset balances), charges gas in APT and records every committed transaction.
+ * Built in: 0x1::aptos_account::transfer / transfer_coins, 0x1::coin::transfer / register,
+ * 0x1::managed_coin::register, 0x1::primary_fungible_store::transfer and the coin / primary store balance
+ * views. Other modules plug in with registerModule(). Like the chain, a failed transaction still bumps the
+ * sender's sequence number and pays gas, but its state changes are discarded; the max fee is reserved before the
+ * payload runs, so the payload cannot spend the gas money.
+ * Transactions are real BCS SimpleTransactions: build() encodes arguments with each entry function's ABI
+ * (ModuleHandler.abi) and submit() checks the sender's ed25519 / single-key signature, so wallet-signed
+ * transactions from /api/build can be submitted here as on a node.
+ * `asAptos()` exposes the subset of the SDK's Aptos client this codebase uses (view, getAccountResource, getTableItem,
+ * transaction.build/simulate/submit.simple, signAndSubmitTransaction, waitForTransaction, getTransactionByHash).
+ */
+import crypto from 'crypto';
+import { AccountAddress, AccountAuthenticatorEd25519, AccountAuthenticatorSingleKey, ChainId, Deserializer, RawTransaction, SimpleTransaction, TransactionPayloadEntryFunction, TypeTagStruct, TypeTagVector, generateSigningMessageForTransaction, generateTransactionPayloadWithABI, generateUserTransactionHash, parseTypeTag, } from '@aptos-labs/ts-sdk';
+import { normalizeAptosAddress } from '../utils/address.js';
+export const APT_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+const APT_FA_METADATA = normalizeAptosAddress('0xa'); // APT's paired fungible asset shares the coin balance
+// Thrown by handlers to abort like Move: vm_status "Move abort in <module>: <reason>(0x<code>): "
+export class MoveAbortError extends Error {
+    module;
+    reason;
+    abortCode;
+    constructor(module, reason, abortCode) {
+        super(`Move abort in ${module}: ${reason}(0x${abortCode.toString(16)}): `);
+        this.module = module;
+        this.reason = reason;
+        this.abortCode = abortCode;
+        this.name = 'MoveAbortError';
+    }
+}
+// REST-style failure shaped like the SDK's AptosApiError (status + body with error_code), e.g. account_not_found
+export class LedgerApiError extends Error {
+    status;
+    data;
+    constructor(message, status, data) {
+        super(message);
+        this.status = status;
+        this.data = data;
+        this.name = 'LedgerApiError';
+    }
+}
+const BASE_GAS = 6;
+const DEFAULT_MAX_GAS = 200000n;
+const EXPIRY_SECS = 60n;
+// 0x1::coin::CoinType -> 0x000...1::coin::CoinType (addresses anywhere in a type tag)
+export function canonicalType(t) {
+    return t.replace(/0x[0-9a-fA-F]+/g, (a) => normalizeAptosAddress(a));
+}
+function splitFunction(fn) {
+    const parts = fn.split('::');
+    if (parts.length !== 3)
+        throw new Error(`Invalid function id ${fn}`);
+    return { module: `${normalizeAptosAddress(parts[0])}::${parts[1]}`, name: parts[2] };
+}
+// BCS argument -> JSON value as the node renders it (u64+ as strings, vector<u8> as hex)
+function decodeArg(d, tag) {
+    switch (tag.toString()) {
+        case 'bool': return d.deserializeBool();
+        case 'u8': return d.deserializeU8();
+        case 'u16': return d.deserializeU16();
+        case 'u32': return d.deserializeU32();
+        case 'u64': return d.deserializeU64().toString();
+        case 'u128': return d.deserializeU128().toString();
+        case 'u256': return d.deserializeU256().toString();
+        case 'address': return AccountAddress.deserialize(d).toStringLong();
+        case 'vector<u8>': return '0x' + Buffer.from(d.deserializeBytes()).toString('hex');
+    }
+    if (tag instanceof TypeTagVector) {
+        const n = d.deserializeUleb128AsU32();
+        return Array.from({ length: n }, () => decodeArg(d, tag.value));
+    }
+    if (tag instanceof TypeTagStruct) {
+        if (tag.isString())
+            return d.deserializeStr();
+        if (tag.isObject())
+            return AccountAddress.deserialize(d).toStringLong();
+        if (tag.isOption()) {
+            const n = d.deserializeUleb128AsU32();
+            return { vec: n ? [decodeArg(d, tag.value.typeArgs[0])] : [] };
+        }
+    }
+    throw new Error(`Memory ledger cannot decode argument type ${tag.toString()}`);
+}
+function amountArg(v) {
+    const n = BigInt(v);
+    if (n < 0n)
+        throw new Error('Amount must be non-negative');
+    return n;
+}
+export class MemoryLedger {
+    accounts = new Map();
+    modules = new Map();
+    txns = new Map();
+    version = 0n;
+    gasUnitPrice;
+    chainId;
+    autoFund;
+    constructor(opts = {}) {
+        this.gasUnitPrice = opts.gasUnitPrice ?? 100n;
+        this.autoFund = opts.autoFundOctas ?? 0n;
+        this.chainId = opts.chainId ?? 4; // local
+        this.registerBuiltins();
+    }
+    /******** accounts & balances ********/
+    account(addr) {
+        const key = normalizeAptosAddress(addr);
+        let acc = this.accounts.get(key);
+        if (!acc) {
+            acc = { sequenceNumber: 0n, coins: new Map(), registered: new Set([canonicalType(APT_COIN_TYPE)]) };
+            if (this.autoFund > 0n)
+                acc.coins.set(canonicalType(APT_COIN_TYPE), this.autoFund);
+            this.accounts.set(key, acc);
+        }
+        return acc;
+    }
+    hasAccount(addr) {
+        return this.accounts.has(normalizeAptosAddress(addr));
+    }
+    storeKey(coinTypeOrFa) {
+        if (coinTypeOrFa.startsWith('fa:')) {
+            const meta = normalizeAptosAddress(coinTypeOrFa.slice(3));
+            return meta === APT_FA_METADATA ? canonicalType(APT_COIN_TYPE) : `fa:${meta}`;
+        }
+        return canonicalType(coinTypeOrFa);
+    }
+    // coinType is a Move type tag, or `fa:<metadata address>` for fungible assets
+    balance(addr, coinType = APT_COIN_TYPE) {
+        return this.account(addr).coins.get(this.storeKey(coinType)) ?? 0n;
+    }
+    fund(addr, amount, coinType = APT_COIN_TYPE) {
+        const acc = this.account(addr);
+        const key = this.storeKey(coinType);
+        if (!key.startsWith('fa:'))
+            acc.registered.add(key);
+        acc.coins.set(key, (acc.coins.get(key) ?? 0n) + amount);
+    }
+    // With auto-funding every address counts as seen (and funded) as soon as anything looks at it
+    isRegistered(addr, coinType) {
+        return (this.autoFund > 0n || this.hasAccount(addr)) && this.account(addr).registered.has(canonicalType(coinType));
+    }
+    register(addr, coinType) {
+        this.account(addr).registered.add(canonicalType(coinType));
+    }
+    // Moves funds between stores; aborts like 0x1::coin / 0x1::fungible_asset
+    move(from, to, amount, coinType = APT_COIN_TYPE, opts = {}) {
+        const key = this.storeKey(coinType);
+        const isFa = key.startsWith('fa:');
+        const src = this.account(from);
+        if (!isFa && !src.registered.has(key))
+            throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+        const have = src.coins.get(key) ?? 0n;
+        if (have < amount) {
+            throw isFa
+                ? new MoveAbortError('0x1::fungible_asset', 'EINSUFFICIENT_BALANCE', 0x10004)
+                : new MoveAbortError('0x1::coin', 'EINSUFFICIENT_BALANCE', 0x10006);
+        }
+        const dst = this.account(to);
+        if (!isFa && !dst.registered.has(key)) {
+            if (opts.requireRegistered)
+                throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+            dst.registered.add(key);
+        }
+        src.coins.set(key, have - amount);
+        dst.coins.set(key, (dst.coins.get(key) ?? 0n) + amount);
+    }
+    /******** modules ********/
+    // moduleId like "0xabc::perp_core"; later registrations replace earlier ones
+    registerModule(moduleId, handler) {
+        const [addr, name] = moduleId.split('::');
+        this.modules.set(`${normalizeAptosAddress(addr)}::${name}`, handler);
+    }
+    registerBuiltins() {
+        const coinTransfer = (requireRegistered) => (ctx, [to, amount]) => {
+            ctx.chargeGas(4);
+            this.move(ctx.sender, to, amountArg(amount), ctx.typeArguments[0], { requireRegistered });
+        };
+        const register = (ctx) => { ctx.chargeGas(2); this.register(ctx.sender, ctx.typeArguments[0]); };
+        const transferAbi = { parameters: ['address', 'u64'] };
+        const coinAbi = { typeParameters: 1, parameters: ['address', 'u64'] };
+        const registerAbi = { typeParameters: 1, parameters: [] };
+        this.registerModule('0x1::aptos_account', {
+            abi: { transfer: transferAbi, transfer_coins: coinAbi },
+            entry: {
+                transfer: (ctx, [to, amount]) => { ctx.chargeGas(4); this.move(ctx.sender, to, amountArg(amount)); },
+                transfer_coins: coinTransfer(false),
+            },
+        });
+        this.registerModule('0x1::coin', {
+            abi: { transfer: coinAbi, register: registerAbi },
+            entry: { transfer: coinTransfer(true), register },
+            view: {
+                balance: ([owner], [coinType]) => {
+                    if (!this.isRegistered(owner, coinType))
+                        throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+                    return [this.balance(owner, coinType).toString()];
+                },
+                is_account_registered: ([owner], [coinType]) => [this.isRegistered(owner, coinType)],
+            },
+            resource: (account, type) => {
+                const m = canonicalType(type).match(/^0x0*1::coin::CoinStore<(.+)>$/);
+                if (!m || !this.isRegistered(account, m[1]))
+                    return undefined;
+                return { coin: { value: this.balance(account, m[1]).toString() }, frozen: false };
+            },
+        });
+        this.registerModule('0x1::managed_coin', { abi: { register: registerAbi }, entry: { register } });
+        this.registerModule('0x1::primary_fungible_store', {
+            abi: { transfer: { typeParameters: 1, parameters: ['0x1::object::Object<T0>', 'address', 'u64'] } },
+            entry: {
+                transfer: (ctx, [metadata, to, amount]) => { ctx.chargeGas(4); this.move(ctx.sender, to, amountArg(amount), `fa:${metadata}`); },
+            },
+            view: {
+                balance: ([owner, metadata]) => [this.balance(owner, `fa:${metadata}`).toString()],
+            },
+        });
+        this.registerModule('0x1::account', {
+            resource: (account, type) => {
+                if (canonicalType(type) !== canonicalType('0x1::account::Account') || !this.hasAccount(account))
+                    return undefined;
+                return { sequence_number: this.account(account).sequenceNumber.toString(), authentication_key: normalizeAptosAddress(account) };
+            },
+        });
+    }
+    /******** views & resources ********/
+    view(fn, typeArguments = [], args = []) {
+        const { module, name } = splitFunction(fn);
+        const handler = this.modules.get(module)?.view?.[name];
+        if (!handler)
+            throw new Error(`FUNCTION_RESOLUTION_FAILURE: view function ${fn} not found in memory ledger`);
+        return handler(args, typeArguments.map(canonicalType));
+    }
+    getResource(account, resourceType) {
+        const moduleId = resourceType.split('::').slice(0, 2).join('::');
+        const [addr, name] = moduleId.split('::');
+        const handler = this.modules.get(`${normalizeAptosAddress(addr)}::${name}`);
+        const data = handler?.resource?.(normalizeAptosAddress(account), resourceType);
+        if (data === undefined) {
+            throw new LedgerApiError(`Resource not found by Address(${account}), Struct tag(${resourceType})`, 404, {
+                message: `Resource not found by Address(${account}), Struct tag(${resourceType})`, error_code: 'resource_not_found',
+            });
+        }
+        return data;
+    }
+    // Modules own their tables; the first one that knows the handle answers
+    getTableItem(handle, data) {
+        for (const handler of this.modules.values()) {
+            const item = handler.tableItem?.(handle, data.key, data.key_type, data.value_type);
+            if (item !== undefined)
+                return item;
+        }
+        throw new LedgerApiError(`Table Item not found by Table handle(${handle}), Table key(${JSON.stringify(data.key)})`, 404, {
+            message: `Table Item not found by Table handle(${handle})`, error_code: 'table_item_not_found',
+        });
+    }
+    /******** transactions ********/
+    entryAbi(fn) {
+        const { module, name } = splitFunction(fn);
+        const handler = this.modules.get(module);
+        if (!handler?.entry?.[name])
+            throw new Error(`FUNCTION_RESOLUTION_FAILURE: entry function ${fn} not found in memory ledger`);
+        const abi = handler.abi?.[name];
+        if (!abi)
+            throw new Error(`Memory ledger has no ABI for ${fn}`);
+        return { module, name, abi };
+    }
+    parsedAbi(abi) {
+        return {
+            typeParameters: Array.from({ length: abi.typeParameters ?? 0 }, () => ({ constraints: [] })),
+            parameters: abi.parameters.map((p) => parseTypeTag(p, { allowGenerics: true })),
+        };
+    }
+    build(sender, data, options = {}) {
+        const { abi } = this.entryAbi(data.function);
+        const payload = generateTransactionPayloadWithABI({
+            function: data.function,
+            typeArguments: data.typeArguments || [],
+            functionArguments: data.functionArguments || [],
+            abi: this.parsedAbi(abi),
+        });
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        const raw = new RawTransaction(AccountAddress.from(normalizeAptosAddress(sender)), BigInt(options.accountSequenceNumber ?? this.account(sender).sequenceNumber), payload, BigInt(options.maxGasAmount ?? DEFAULT_MAX_GAS), BigInt(options.gasUnitPrice ?? this.gasUnitPrice), BigInt(options.expireTimestamp ?? now + EXPIRY_SECS), new ChainId(this.chainId));
+        return new SimpleTransaction(raw);
+    }
+    decode(txn) {
+        const raw = txn.rawTransaction;
+        if (!(raw.payload instanceof TransactionPayloadEntryFunction))
+            throw new Error('Memory ledger only runs entry function payloads');
+        const ef = raw.payload.entryFunction;
+        const fn = `${ef.module_name.address.toString()}::${ef.module_name.name.identifier}::${ef.function_name.identifier}`;
+        const { abi } = this.entryAbi(fn);
+        const typeArguments = ef.type_args.map((t) => canonicalType(t.toString()));
+        const params = this.parsedAbi(abi).parameters;
+        if (ef.args.length !== params.length)
+            throw new Error('NUMBER_OF_ARGUMENTS_MISMATCH');
+        const args = ef.args.map((a, i) => decodeArg(new Deserializer(a.bcsToBytes()), params[i]));
+        return {
+            sender: normalizeAptosAddress(raw.sender.toString()),
+            sequence_number: raw.sequence_number.toString(),
+            payload: { function: fn, type_arguments: typeArguments, arguments: args },
+            max_gas_amount: raw.max_gas_amount.toString(),
+            gas_unit_price: raw.gas_unit_price.toString(),
+            expiration_timestamp_secs: raw.expiration_timestamp_secs.toString(),
+            chain_id: raw.chain_id.chainId,
+        };
+    }
+    // A failed simulation restores twice (after the abort, then after charging gas), so each restore copies again
+    snapshot() {
+        const copy = (from) => new Map([...from].map(([k, a]) => [k, { sequenceNumber: a.sequenceNumber, coins: new Map(a.coins), registered: new Set(a.registered) }]));
+        const saved = copy(this.accounts);
+        const modules = [...this.modules.values()].flatMap((m) => (m.checkpoint ? [m.checkpoint()] : []));
+        return () => {
+            this.accounts = copy(saved);
+            for (const restore of modules)
+                restore();
+        };
+    }
+    // Runs the payload; commit=false (simulate) always restores the prior state
+    run(raw, hash, commit) {
+        const restore = this.snapshot();
+        const sender = raw.sender;
+        const maxGas = BigInt(raw.max_gas_amount);
+        const price = BigInt(raw.gas_unit_price);
+        const feeKey = canonicalType(APT_COIN_TYPE);
+        const maxFee = maxGas * price;
+        let gasUsed = BigInt(BASE_GAS);
+        let reserved = 0n; // max fee held back from the sender while the handler runs
+        let success = true;
+        let vmStatus = 'Executed successfully';
+        const ctx = {
+            sender,
+            ledger: this,
+            typeArguments: raw.payload.type_arguments,
+            chargeGas: (units) => { gasUsed += BigInt(units); },
+        };
+        try {
+            const { module, name } = splitFunction(raw.payload.function);
+            const handler = this.modules.get(module)?.entry?.[name];
+            if (!handler)
+                throw new Error(`FUNCTION_RESOLUTION_FAILURE`);
+            if (this.balance(sender) < maxFee)
+                throw new Error('INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE');
+            // Like the prologue, set the max fee aside first so the payload cannot spend the gas money
+            const payer = this.account(sender);
+            payer.coins.set(feeKey, (payer.coins.get(feeKey) ?? 0n) - maxFee);
+            reserved = maxFee;
+            handler(ctx, raw.payload.arguments);
+            if (gasUsed > maxGas)
+                throw new Error('OUT_OF_GAS');
+        }
+        catch (e) {
+            success = false;
+            // Handler errors carrying { reason, abortCode } (e.g. PerpCoreError) read like the chain's aborts
+            vmStatus = e instanceof MoveAbortError ? e.message
+                : e?.abortCode !== undefined ? `Move abort in ${splitFunction(raw.payload.function).module}: ${e.reason}(0x${Number(e.abortCode).toString(16)}): `
+                    : typeof e?.reason === 'string' ? e.reason
+                        : /^[A-Z_]+$/.test(e?.message) ? e.message : `Move abort: ${e?.message || e}`;
+            restore(); // discard partial writes (and the reservation)
+            reserved = 0n;
+        }
+        // Fee and sequence number apply to failed transactions too (unless the fee itself cannot be paid);
+        // a successful run refunds the unused part of the reservation
+        const acc = this.account(sender);
+        const fee = (gasUsed > maxGas ? maxGas : gasUsed) * price;
+        if (vmStatus !== 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE') {
+            acc.coins.set(feeKey, (acc.coins.get(feeKey) ?? 0n) + reserved - fee);
+        }
+        acc.sequenceNumber += 1n;
+        const response = {
+            type: 'user_transaction',
+            version: String(commit ? ++this.version : this.version),
+            hash,
+            sender,
+            sequence_number: raw.sequence_number,
+            max_gas_amount: raw.max_gas_amount,
+            gas_unit_price: raw.gas_unit_price,
+            gas_used: (gasUsed > maxGas ? maxGas : gasUsed).toString(),
+            success,
+            vm_status: vmStatus,
+            expiration_timestamp_secs: raw.expiration_timestamp_secs,
+            timestamp: String(Date.now() * 1000),
+            payload: raw.payload,
+            events: [],
+        };
+        if (!commit)
+            restore();
+        return response;
+    }
+    simulate(txn) {
+        // Unsigned, so there is no user transaction hash; use the signing message's digest
+        const hash = '0x' + crypto.createHash('sha3-256').update(generateSigningMessageForTransaction(txn)).digest('hex');
+        return this.run(this.decode(txn), hash, false);
+    }
+    // Signature and mempool checks (auth key, chain id, sequence number, expiry) reject without executing, like a node
+    submit(txn, authenticator) {
+        const raw = this.decode(txn);
+        if (!(authenticator instanceof AccountAuthenticatorEd25519 || authenticator instanceof AccountAuthenticatorSingleKey)) {
+            throw new Error('INVALID_SIGNATURE: only ed25519 / single-key sender authenticators are supported');
+        }
+        const valid = authenticator.public_key.verifySignature({ message: generateSigningMessageForTransaction(txn), signature: authenticator.signature });
+        if (!valid)
+            throw new Error('INVALID_SIGNATURE');
+        if (normalizeAptosAddress(authenticator.public_key.authKey().derivedAddress().toString()) !== raw.sender) {
+            throw new Error('INVALID_AUTH_KEY: signer does not match transaction sender');
+        }
+        if (raw.chain_id !== this.chainId)
+            throw new Error('BAD_CHAIN_ID');
+        const seq = BigInt(raw.sequence_number);
+        const expected = this.account(raw.sender).sequenceNumber;
+        if (seq < expected)
+            throw new Error('SEQUENCE_NUMBER_TOO_OLD');
+        if (seq > expected)
+            throw new Error('SEQUENCE_NUMBER_TOO_NEW');
+        if (BigInt(raw.expiration_timestamp_secs) <= BigInt(Math.floor(Date.now() / 1000)))
+            throw new Error('TRANSACTION_EXPIRED');
+        const res = this.run(raw, generateUserTransactionHash({ transaction: txn, senderAuthenticator: authenticator }), true);
+        this.txns.set(res.hash, res);
+        return res;
+    }
+    getTransaction(hash) {
+        return this.txns.get(hash);
+    }
+    // SDK-shaped facade; cast to Aptos by AptosClientWrapper
+    asAptos() {
+        return {
+            view: async ({ payload }) => this.view(payload.function, (payload.typeArguments || []).map(String), payload.functionArguments || []),
+            getAccountResource: async ({ accountAddress, resourceType }) => this.getResource(String(accountAddress), resourceType),
+            getTableItem: async ({ handle, data }) => this.getTableItem(handle, data),
+            getAccountInfo: async ({ accountAddress }) => {
+                const addr = normalizeAptosAddress(String(accountAddress));
+                if (!this.hasAccount(addr)) {
+                    throw new LedgerApiError(`Account not found by Address(${addr})`, 404, { message: `Account not found by Address(${addr})`, error_code: 'account_not_found' });
+                }
+                return this.getResource(addr, '0x1::account::Account');
+            },
+            getAccountAPTAmount: async ({ accountAddress }) => Number(this.balance(String(accountAddress))),
+            transaction: {
+                build: {
+                    simple: async ({ sender, data, options }) => this.build(String(sender), data, options),
+                },
+                simulate: {
+                    simple: async ({ transaction }) => [this.simulate(transaction)],
+                },
+                submit: {
+                    simple: async ({ transaction, senderAuthenticator }) => ({ hash: this.submit(transaction, senderAuthenticator).hash }),
+                },
+            },
+            signAndSubmitTransaction: async ({ signer, transaction }) => {
+                const res = this.submit(transaction, signer.signTransactionWithAuthenticator(transaction));
+                return { hash: res.hash };
+            },
+            waitForTransaction: async ({ transactionHash, options }) => {
+                const res = this.getTransaction(transactionHash);
+                if (!res)
+                    throw new Error(`Transaction ${transactionHash} not found`);
+                if (!res.success && options?.checkSuccess !== false)
+                    throw new Error(`Transaction ${transactionHash} failed with an error: ${res.vm_status}`);
+                return res;
+            },
+            getTransactionByHash: async ({ transactionHash }) => {
+                const res = this.getTransaction(transactionHash);
+                if (!res)
+                    throw new Error(`Transaction not found by Transaction hash(${transactionHash})`);
+                return res;
+            },
+        };
+    }
+}
+// Process-wide ledger so every AptosClientWrapper in one server sees the same state
+let shared = null;
+export function getMemoryLedger() {
+    if (!shared) {
+        const fund = process.env.MEMORY_LEDGER_FUND_OCTAS;
+        shared = new MemoryLedger({ autoFundOctas: fund !== undefined ? BigInt(fund) : 100000000000n });
+    }
+    return shared;
+}
+export function setMemoryLedger(next) {
+    shared = next;
+}
@@ -0,0 +1,559 @@
+/*
+ * In-memory Aptos ledger (APTOS_BACKEND=memory).
+ * ---------------------------------
+ * A local stand-in for a fullnode so simulate / submit / view work offline. It keeps accounts (sequence
+ * number, coin stores, fungible-asset balances), charges gas in APT and records every committed transaction.
+ * Built in: 0x1::aptos_account::transfer / transfer_coins, 0x1::coin::transfer / register,
+ * 0x1::managed_coin::register, 0x1::primary_fungible_store::transfer and the coin / primary store balance
+ * views. Other modules plug in with registerModule(). Like the chain, a failed transaction still bumps the
+ * sender's sequence number and pays gas, but its state changes are discarded; the max fee is reserved before the
+ * payload runs, so the payload cannot spend the gas money.
+ * Transactions are real BCS SimpleTransactions: build() encodes arguments with each entry function's ABI
+ * (ModuleHandler.abi) and submit() checks the sender's ed25519 / single-key signature, so wallet-signed
+ * transactions from /api/build can be submitted here as on a node.
+ * `asAptos()` exposes the subset of the SDK's Aptos client this codebase uses (view, getAccountResource, getTableItem,
+ * transaction.build/simulate/submit.simple, signAndSubmitTransaction, waitForTransaction, getTransactionByHash).
+ */
+import crypto from 'crypto';
+import {
+  Account, AccountAddress, AccountAuthenticator, AccountAuthenticatorEd25519, AccountAuthenticatorSingleKey, ChainId, Deserializer,
+  RawTransaction, SimpleTransaction, TransactionPayloadEntryFunction, TypeTag, TypeTagStruct, TypeTagVector, generateSigningMessageForTransaction,
+  generateTransactionPayloadWithABI, generateUserTransactionHash, parseTypeTag,
+} from '@aptos-labs/ts-sdk';
+import { normalizeAptosAddress } from '../utils/address.js';
+
+export const APT_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+const APT_FA_METADATA = normalizeAptosAddress('0xa'); // APT's paired fungible asset shares the coin balance
+
+export interface LedgerAccount {
+  sequenceNumber: bigint;
+  coins: Map<string, bigint>; // canonical coin type or `fa:<metadata>` -> balance
+  registered: Set<string>;    // coin types with a CoinStore
+}
+
+export interface MemoryLedgerOptions {
+  gasUnitPrice?: bigint;  // octas per gas unit (default 100)
+  autoFundOctas?: bigint; // APT granted to accounts the first time they are seen (default 0)
+  chainId?: number;
+}
+
+export interface EntryContext {
+  sender: string;
+  ledger: MemoryLedger;
+  typeArguments: string[];
+  chargeGas(units: number): void;
+}
+
+// Entry function signature without the signer: Move type strings, generics as T0, T1, ...
+export interface EntryAbi {
+  typeParameters?: number;
+  parameters: string[];
+}
+
+export interface ModuleHandler {
+  entry?: Record<string, (ctx: EntryContext, args: any[]) => void>;
+  abi?: Record<string, EntryAbi>; // required for every entry function (used to encode / decode arguments)
+  view?: Record<string, (args: any[], typeArguments: string[]) => any[]>;
+  resource?: (account: string, resourceType: string) => any | undefined;
+  // Entry of a table the module owns (handle as listed in its resources), or undefined when the key is absent
+  tableItem?: (handle: string, key: any, keyType: string, valueType: string) => any | undefined;
+  // Saves module-owned state and returns its restore function (used for simulations and failed transactions)
+  checkpoint?: () => () => void;
+}
+
+// Thrown by handlers to abort like Move: vm_status "Move abort in <module>: <reason>(0x<code>): "
+export class MoveAbortError extends Error {
+  constructor(readonly module: string, readonly reason: string, readonly abortCode: number) {
+    super(`Move abort in ${module}: ${reason}(0x${abortCode.toString(16)}): `);
+    this.name = 'MoveAbortError';
+  }
+}
+
+// REST-style failure shaped like the SDK's AptosApiError (status + body with error_code), e.g. account_not_found
+export class LedgerApiError extends Error {
+  constructor(message: string, readonly status: number, readonly data: { message: string; error_code: string }) {
+    super(message);
+    this.name = 'LedgerApiError';
+  }
+}
+
+// A transaction decoded from BCS into the node's JSON shape
+interface DecodedTransaction {
+  sender: string;
+  sequence_number: string;
+  payload: { function: string; type_arguments: string[]; arguments: any[] };
+  max_gas_amount: string;
+  gas_unit_price: string;
+  expiration_timestamp_secs: string;
+  chain_id: number;
+}
+
+export interface LedgerTransactionResponse {
+  type: 'user_transaction';
+  version: string;
+  hash: string;
+  sender: string;
+  sequence_number: string;
+  max_gas_amount: string;
+  gas_unit_price: string;
+  gas_used: string;
+  success: boolean;
+  vm_status: string;
+  expiration_timestamp_secs: string;
+  timestamp: string; // microseconds
+  payload: DecodedTransaction['payload'];
+  events: any[];
+}
+
+const BASE_GAS = 6;
+const DEFAULT_MAX_GAS = 200_000n;
+const EXPIRY_SECS = 60n;
+
+// 0x1::coin::CoinType -> 0x000...1::coin::CoinType (addresses anywhere in a type tag)
+export function canonicalType(t: string): string {
+  return t.replace(/0x[0-9a-fA-F]+/g, (a) => normalizeAptosAddress(a));
+}
+
+function splitFunction(fn: string): { module: string; name: string } {
+  const parts = fn.split('::');
+  if (parts.length !== 3) throw new Error(`Invalid function id ${fn}`);
+  return { module: `${normalizeAptosAddress(parts[0])}::${parts[1]}`, name: parts[2] };
+}
+
+// BCS argument -> JSON value as the node renders it (u64+ as strings, vector<u8> as hex)
+function decodeArg(d: Deserializer, tag: TypeTag): any {
+  switch (tag.toString()) {
+    case 'bool': return d.deserializeBool();
+    case 'u8': return d.deserializeU8();
+    case 'u16': return d.deserializeU16();
+    case 'u32': return d.deserializeU32();
+    case 'u64': return d.deserializeU64().toString();
+    case 'u128': return d.deserializeU128().toString();
+    case 'u256': return d.deserializeU256().toString();
+    case 'address': return AccountAddress.deserialize(d).toStringLong();
+    case 'vector<u8>': return '0x' + Buffer.from(d.deserializeBytes()).toString('hex');
+  }
+  if (tag instanceof TypeTagVector) {
+    const n = d.deserializeUleb128AsU32();
+    return Array.from({ length: n }, () => decodeArg(d, tag.value));
+  }
+  if (tag instanceof TypeTagStruct) {
+    if (tag.isString()) return d.deserializeStr();
+    if (tag.isObject()) return AccountAddress.deserialize(d).toStringLong();
+    if (tag.isOption()) {
+      const n = d.deserializeUleb128AsU32();
+      return { vec: n ? [decodeArg(d, tag.value.typeArgs[0])] : [] };
+    }
+  }
+  throw new Error(`Memory ledger cannot decode argument type ${tag.toString()}`);
+}
+
+function amountArg(v: any): bigint {
+  const n = BigInt(v);
+  if (n < 0n) throw new Error('Amount must be non-negative');
+  return n;
+}
+
+export class MemoryLedger {
+  private accounts = new Map<string, LedgerAccount>();
+  private modules = new Map<string, ModuleHandler>();
+  private txns = new Map<string, LedgerTransactionResponse>();
+  private version = 0n;
+  readonly gasUnitPrice: bigint;
+  readonly chainId: number;
+  private autoFund: bigint;
+
+  constructor(opts: MemoryLedgerOptions = {}) {
+    this.gasUnitPrice = opts.gasUnitPrice ?? 100n;
+    this.autoFund = opts.autoFundOctas ?? 0n;
+    this.chainId = opts.chainId ?? 4; // local
+    this.registerBuiltins();
+  }
+
+  /******** accounts & balances ********/
+  account(addr: string): LedgerAccount {
+    const key = normalizeAptosAddress(addr);
+    let acc = this.accounts.get(key);
+    if (!acc) {
+      acc = { sequenceNumber: 0n, coins: new Map(), registered: new Set([canonicalType(APT_COIN_TYPE)]) };
+      if (this.autoFund > 0n) acc.coins.set(canonicalType(APT_COIN_TYPE), this.autoFund);
+      this.accounts.set(key, acc);
+    }
+    return acc;
+  }
+
+  hasAccount(addr: string): boolean {
+    return this.accounts.has(normalizeAptosAddress(addr));
+  }
+
+  private storeKey(coinTypeOrFa: string): string {
+    if (coinTypeOrFa.startsWith('fa:')) {
+      const meta = normalizeAptosAddress(coinTypeOrFa.slice(3));
+      return meta === APT_FA_METADATA ? canonicalType(APT_COIN_TYPE) : `fa:${meta}`;
+    }
+    return canonicalType(coinTypeOrFa);
+  }
+
+  // coinType is a Move type tag, or `fa:<metadata address>` for fungible assets
+  balance(addr: string, coinType = APT_COIN_TYPE): bigint {
+    return this.account(addr).coins.get(this.storeKey(coinType)) ?? 0n;
+  }
+
+  fund(addr: string, amount: bigint, coinType = APT_COIN_TYPE) {
+    const acc = this.account(addr);
+    const key = this.storeKey(coinType);
+    if (!key.startsWith('fa:')) acc.registered.add(key);
+    acc.coins.set(key, (acc.coins.get(key) ?? 0n) + amount);
+  }
+
+  // With auto-funding every address counts as seen (and funded) as soon as anything looks at it
+  isRegistered(addr: string, coinType: string): boolean {
+    return (this.autoFund > 0n || this.hasAccount(addr)) && this.account(addr).registered.has(canonicalType(coinType));
+  }
+
+  register(addr: string, coinType: string) {
+    this.account(addr).registered.add(canonicalType(coinType));
+  }
+
+  // Moves funds between stores; aborts like 0x1::coin / 0x1::fungible_asset
+  move(from: string, to: string, amount: bigint, coinType = APT_COIN_TYPE, opts: { requireRegistered?: boolean } = {}) {
+    const key = this.storeKey(coinType);
+    const isFa = key.startsWith('fa:');
+    const src = this.account(from);
+    if (!isFa && !src.registered.has(key)) throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+    const have = src.coins.get(key) ?? 0n;
+    if (have < amount) {
+      throw isFa
+        ? new MoveAbortError('0x1::fungible_asset', 'EINSUFFICIENT_BALANCE', 0x10004)
+        : new MoveAbortError('0x1::coin', 'EINSUFFICIENT_BALANCE', 0x10006);
+    }
+    const dst = this.account(to);
+    if (!isFa && !dst.registered.has(key)) {
+      if (opts.requireRegistered) throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+      dst.registered.add(key);
+    }
+    src.coins.set(key, have - amount);
+    dst.coins.set(key, (dst.coins.get(key) ?? 0n) + amount);
+  }
+
+  /******** modules ********/
+  // moduleId like "0xabc::perp_core"; later registrations replace earlier ones
+  registerModule(moduleId: string, handler: ModuleHandler) {
+    const [addr, name] = moduleId.split('::');
+    this.modules.set(`${normalizeAptosAddress(addr)}::${name}`, handler);
+  }
+
+  private registerBuiltins() {
+    const coinTransfer = (requireRegistered: boolean) => (ctx: EntryContext, [to, amount]: any[]) => {
+      ctx.chargeGas(4);
+      this.move(ctx.sender, to, amountArg(amount), ctx.typeArguments[0], { requireRegistered });
+    };
+    const register = (ctx: EntryContext) => { ctx.chargeGas(2); this.register(ctx.sender, ctx.typeArguments[0]); };
+    const transferAbi: EntryAbi = { parameters: ['address', 'u64'] };
+    const coinAbi: EntryAbi = { typeParameters: 1, parameters: ['address', 'u64'] };
+    const registerAbi: EntryAbi = { typeParameters: 1, parameters: [] };
+    this.registerModule('0x1::aptos_account', {
+      abi: { transfer: transferAbi, transfer_coins: coinAbi },
+      entry: {
+        transfer: (ctx, [to, amount]) => { ctx.chargeGas(4); this.move(ctx.sender, to, amountArg(amount)); },
+        transfer_coins: coinTransfer(false),
+      },
+    });
+    this.registerModule('0x1::coin', {
+      abi: { transfer: coinAbi, register: registerAbi },
+      entry: { transfer: coinTransfer(true), register },
+      view: {
+        balance: ([owner], [coinType]) => {
+          if (!this.isRegistered(owner, coinType)) throw new MoveAbortError('0x1::coin', 'ECOIN_STORE_NOT_PUBLISHED', 0x60005);
+          return [this.balance(owner, coinType).toString()];
+        },
+        is_account_registered: ([owner], [coinType]) => [this.isRegistered(owner, coinType)],
+      },
+      resource: (account, type) => {
+        const m = canonicalType(type).match(/^0x0*1::coin::CoinStore<(.+)>$/);
+        if (!m || !this.isRegistered(account, m[1])) return undefined;
+        return { coin: { value: this.balance(account, m[1]).toString() }, frozen: false };
+      },
+    });
+    this.registerModule('0x1::managed_coin', { abi: { register: registerAbi }, entry: { register } });
+    this.registerModule('0x1::primary_fungible_store', {
+      abi: { transfer: { typeParameters: 1, parameters: ['0x1::object::Object<T0>', 'address', 'u64'] } },
+      entry: {
+        transfer: (ctx, [metadata, to, amount]) => { ctx.chargeGas(4); this.move(ctx.sender, to, amountArg(amount), `fa:${metadata}`); },
+      },
+      view: {
+        balance: ([owner, metadata]) => [this.balance(owner, `fa:${metadata}`).toString()],
+      },
+    });
+    this.registerModule('0x1::account', {
+      resource: (account, type) => {
+        if (canonicalType(type) !== canonicalType('0x1::account::Account') || !this.hasAccount(account)) return undefined;
+        return { sequence_number: this.account(account).sequenceNumber.toString(), authentication_key: normalizeAptosAddress(account) };
+      },
+    });
+  }
+
+  /******** views & resources ********/
+  view(fn: string, typeArguments: string[] = [], args: any[] = []): any[] {
+    const { module, name } = splitFunction(fn);
+    const handler = this.modules.get(module)?.view?.[name];
+    if (!handler) throw new Error(`FUNCTION_RESOLUTION_FAILURE: view function ${fn} not found in memory ledger`);
+    return handler(args, typeArguments.map(canonicalType));
+  }
+
+  getResource(account: string, resourceType: string): any {
+    const moduleId = resourceType.split('::').slice(0, 2).join('::');
+    const [addr, name] = moduleId.split('::');
+    const handler = this.modules.get(`${normalizeAptosAddress(addr)}::${name}`);
+    const data = handler?.resource?.(normalizeAptosAddress(account), resourceType);
+    if (data === undefined) {
+      throw new LedgerApiError(`Resource not found by Address(${account}), Struct tag(${resourceType})`, 404, {
+        message: `Resource not found by Address(${account}), Struct tag(${resourceType})`, error_code: 'resource_not_found',
+      });
+    }
+    return data;
+  }
+
+  // Modules own their tables; the first one that knows the handle answers
+  getTableItem(handle: string, data: { key_type: string; value_type: string; key: any }): any {
+    for (const handler of this.modules.values()) {
+      const item = handler.tableItem?.(handle, data.key, data.key_type, data.value_type);
+      if (item !== undefined) return item;
+    }
+    throw new LedgerApiError(`Table Item not found by Table handle(${handle}), Table key(${JSON.stringify(data.key)})`, 404, {
+      message: `Table Item not found by Table handle(${handle})`, error_code: 'table_item_not_found',
+    });
+  }
+
+  /******** transactions ********/
+  private entryAbi(fn: string): { module: string; name: string; abi: EntryAbi } {
+    const { module, name } = splitFunction(fn);
+    const handler = this.modules.get(module);
+    if (!handler?.entry?.[name]) throw new Error(`FUNCTION_RESOLUTION_FAILURE: entry function ${fn} not found in memory ledger`);
+    const abi = handler.abi?.[name];
+    if (!abi) throw new Error(`Memory ledger has no ABI for ${fn}`);
+    return { module, name, abi };
+  }
+
+  private parsedAbi(abi: EntryAbi) {
+    return {
+      typeParameters: Array.from({ length: abi.typeParameters ?? 0 }, () => ({ constraints: [] })),
+      parameters: abi.parameters.map((p) => parseTypeTag(p, { allowGenerics: true })),
+    };
+  }
+
+  build(sender: string, data: { function: string; typeArguments?: any[]; functionArguments?: any[] }, options: { maxGasAmount?: number; gasUnitPrice?: number; expireTimestamp?: number; accountSequenceNumber?: number | bigint } = {}): SimpleTransaction {
+    const { abi } = this.entryAbi(data.function);
+    const payload = generateTransactionPayloadWithABI({
+      function: data.function as `${string}::${string}::${string}`,
+      typeArguments: data.typeArguments || [],
+      functionArguments: data.functionArguments || [],
+      abi: this.parsedAbi(abi),
+    });
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const raw = new RawTransaction(
+      AccountAddress.from(normalizeAptosAddress(sender)),
+      BigInt(options.accountSequenceNumber ?? this.account(sender).sequenceNumber),
+      payload,
+      BigInt(options.maxGasAmount ?? DEFAULT_MAX_GAS),
+      BigInt(options.gasUnitPrice ?? this.gasUnitPrice),
+      BigInt(options.expireTimestamp ?? now + EXPIRY_SECS),
+      new ChainId(this.chainId),
+    );
+    return new SimpleTransaction(raw);
+  }
+
+  private decode(txn: SimpleTransaction): DecodedTransaction {
+    const raw = txn.rawTransaction;
+    if (!(raw.payload instanceof TransactionPayloadEntryFunction)) throw new Error('Memory ledger only runs entry function payloads');
+    const ef = raw.payload.entryFunction;
+    const fn = `${ef.module_name.address.toString()}::${ef.module_name.name.identifier}::${ef.function_name.identifier}`;
+    const { abi } = this.entryAbi(fn);
+    const typeArguments = ef.type_args.map((t) => canonicalType(t.toString()));
+    const params = this.parsedAbi(abi).parameters;
+    if (ef.args.length !== params.length) throw new Error('NUMBER_OF_ARGUMENTS_MISMATCH');
+    const args = ef.args.map((a, i) => decodeArg(new Deserializer(a.bcsToBytes()), params[i]));
+    return {
+      sender: normalizeAptosAddress(raw.sender.toString()),
+      sequence_number: raw.sequence_number.toString(),
+      payload: { function: fn, type_arguments: typeArguments, arguments: args },
+      max_gas_amount: raw.max_gas_amount.toString(),
+      gas_unit_price: raw.gas_unit_price.toString(),
+      expiration_timestamp_secs: raw.expiration_timestamp_secs.toString(),
+      chain_id: raw.chain_id.chainId,
+    };
+  }
+
+  // A failed simulation restores twice (after the abort, then after charging gas), so each restore copies again
+  private snapshot(): () => void {
+    const copy = (from: Map<string, LedgerAccount>) => new Map([...from].map(([k, a]): [string, LedgerAccount] => [k, { sequenceNumber: a.sequenceNumber, coins: new Map(a.coins), registered: new Set(a.registered) }]));
+    const saved = copy(this.accounts);
+    const modules = [...this.modules.values()].flatMap((m) => (m.checkpoint ? [m.checkpoint()] : []));
+    return () => {
+      this.accounts = copy(saved);
+      for (const restore of modules) restore();
+    };
+  }
+
+  // Runs the payload; commit=false (simulate) always restores the prior state
+  private run(raw: DecodedTransaction, hash: string, commit: boolean): LedgerTransactionResponse {
+    const restore = this.snapshot();
+    const sender = raw.sender;
+    const maxGas = BigInt(raw.max_gas_amount);
+    const price = BigInt(raw.gas_unit_price);
+    const feeKey = canonicalType(APT_COIN_TYPE);
+    const maxFee = maxGas * price;
+    let gasUsed = BigInt(BASE_GAS);
+    let reserved = 0n; // max fee held back from the sender while the handler runs
+    let success = true;
+    let vmStatus = 'Executed successfully';
+
+    const ctx: EntryContext = {
+      sender,
+      ledger: this,
+      typeArguments: raw.payload.type_arguments,
+      chargeGas: (units) => { gasUsed += BigInt(units); },
+    };
+    try {
+      const { module, name } = splitFunction(raw.payload.function);
+      const handler = this.modules.get(module)?.entry?.[name];
+      if (!handler) throw new Error(`FUNCTION_RESOLUTION_FAILURE`);
+      if (this.balance(sender) < maxFee) throw new Error('INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE');
+      // Like the prologue, set the max fee aside first so the payload cannot spend the gas money
+      const payer = this.account(sender);
+      payer.coins.set(feeKey, (payer.coins.get(feeKey) ?? 0n) - maxFee);
+      reserved = maxFee;
+      handler(ctx, raw.payload.arguments);
+      if (gasUsed > maxGas) throw new Error('OUT_OF_GAS');
+    } catch (e: any) {
+      success = false;
+      // Handler errors carrying { reason, abortCode } (e.g. PerpCoreError) read like the chain's aborts
+      vmStatus = e instanceof MoveAbortError ? e.message
+        : e?.abortCode !== undefined ? `Move abort in ${splitFunction(raw.payload.function).module}: ${e.reason}(0x${Number(e.abortCode).toString(16)}): `
+          : typeof e?.reason === 'string' ? e.reason
+            : /^[A-Z_]+$/.test(e?.message) ? e.message : `Move abort: ${e?.message || e}`;
+      restore(); // discard partial writes (and the reservation)
+      reserved = 0n;
+    }
+
+    // Fee and sequence number apply to failed transactions too (unless the fee itself cannot be paid);
+    // a successful run refunds the unused part of the reservation
+    const acc = this.account(sender);
+    const fee = (gasUsed > maxGas ? maxGas : gasUsed) * price;
+    if (vmStatus !== 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE') {
+      acc.coins.set(feeKey, (acc.coins.get(feeKey) ?? 0n) + reserved - fee);
+    }
+    acc.sequenceNumber += 1n;
+
+    const response: LedgerTransactionResponse = {
+      type: 'user_transaction',
+      version: String(commit ? ++this.version : this.version),
+      hash,
+      sender,
+      sequence_number: raw.sequence_number,
+      max_gas_amount: raw.max_gas_amount,
+      gas_unit_price: raw.gas_unit_price,
+      gas_used: (gasUsed > maxGas ? maxGas : gasUsed).toString(),
+      success,
+      vm_status: vmStatus,
+      expiration_timestamp_secs: raw.expiration_timestamp_secs,
+      timestamp: String(Date.now() * 1000),
+      payload: raw.payload,
+      events: [],
+    };
+    if (!commit) restore();
+    return response;
+  }
+
+  simulate(txn: SimpleTransaction): LedgerTransactionResponse {
+    // Unsigned, so there is no user transaction hash; use the signing message's digest
+    const hash = '0x' + crypto.createHash('sha3-256').update(generateSigningMessageForTransaction(txn)).digest('hex');
+    return this.run(this.decode(txn), hash, false);
+  }
+
+  // Signature and mempool checks (auth key, chain id, sequence number, expiry) reject without executing, like a node
+  submit(txn: SimpleTransaction, authenticator: AccountAuthenticator): LedgerTransactionResponse {
+    const raw = this.decode(txn);
+    if (!(authenticator instanceof AccountAuthenticatorEd25519 || authenticator instanceof AccountAuthenticatorSingleKey)) {
+      throw new Error('INVALID_SIGNATURE: only ed25519 / single-key sender authenticators are supported');
+    }
+    const valid = authenticator.public_key.verifySignature({ message: generateSigningMessageForTransaction(txn), signature: authenticator.signature as any });
+    if (!valid) throw new Error('INVALID_SIGNATURE');
+    if (normalizeAptosAddress(authenticator.public_key.authKey().derivedAddress().toString()) !== raw.sender) {
+      throw new Error('INVALID_AUTH_KEY: signer does not match transaction sender');
+    }
+    if (raw.chain_id !== this.chainId) throw new Error('BAD_CHAIN_ID');
+    const seq = BigInt(raw.sequence_number);
+    const expected = this.account(raw.sender).sequenceNumber;
+    if (seq < expected) throw new Error('SEQUENCE_NUMBER_TOO_OLD');
+    if (seq > expected) throw new Error('SEQUENCE_NUMBER_TOO_NEW');
+    if (BigInt(raw.expiration_timestamp_secs) <= BigInt(Math.floor(Date.now() / 1000))) throw new Error('TRANSACTION_EXPIRED');
+    const res = this.run(raw, generateUserTransactionHash({ transaction: txn, senderAuthenticator: authenticator }), true);
+    this.txns.set(res.hash, res);
+    return res;
+  }
+
+  getTransaction(hash: string): LedgerTransactionResponse | undefined {
+    return this.txns.get(hash);
+  }
+
+  // SDK-shaped facade; cast to Aptos by AptosClientWrapper
+  asAptos() {
+    return {
+      view: async ({ payload }: { payload: { function: string; typeArguments?: any[]; functionArguments?: any[] } }) =>
+        this.view(payload.function, (payload.typeArguments || []).map(String), payload.functionArguments || []),
+      getAccountResource: async ({ accountAddress, resourceType }: { accountAddress: any; resourceType: string }) =>
+        this.getResource(String(accountAddress), resourceType),
+      getTableItem: async ({ handle, data }: { handle: string; data: { key_type: string; value_type: string; key: any } }) => this.getTableItem(handle, data),
+      getAccountInfo: async ({ accountAddress }: { accountAddress: any }) => {
+        const addr = normalizeAptosAddress(String(accountAddress));
+        if (!this.hasAccount(addr)) {
+          throw new LedgerApiError(`Account not found by Address(${addr})`, 404, { message: `Account not found by Address(${addr})`, error_code: 'account_not_found' });
+        }
+        return this.getResource(addr, '0x1::account::Account');
+      },
+      getAccountAPTAmount: async ({ accountAddress }: { accountAddress: any }) => Number(this.balance(String(accountAddress))),
+      transaction: {
+        build: {
+          simple: async ({ sender, data, options }: { sender: any; data: any; options?: any }) => this.build(String(sender), data, options),
+        },
+        simulate: {
+          simple: async ({ transaction }: { signerPublicKey?: any; transaction: SimpleTransaction }) => [this.simulate(transaction)],
+        },
+        submit: {
+          simple: async ({ transaction, senderAuthenticator }: { transaction: SimpleTransaction; senderAuthenticator: AccountAuthenticator }) =>
+            ({ hash: this.submit(transaction, senderAuthenticator).hash }),
+        },
+      },
+      signAndSubmitTransaction: async ({ signer, transaction }: { signer: Account; transaction: SimpleTransaction }) => {
+        const res = this.submit(transaction, signer.signTransactionWithAuthenticator(transaction));
+        return { hash: res.hash };
+      },
+      waitForTransaction: async ({ transactionHash, options }: { transactionHash: string; options?: { checkSuccess?: boolean } }) => {
+        const res = this.getTransaction(transactionHash);
+        if (!res) throw new Error(`Transaction ${transactionHash} not found`);
+        if (!res.success && options?.checkSuccess !== false) throw new Error(`Transaction ${transactionHash} failed with an error: ${res.vm_status}`);
+        return res;
+      },
+      getTransactionByHash: async ({ transactionHash }: { transactionHash: string }) => {
+        const res = this.getTransaction(transactionHash);
+        if (!res) throw new Error(`Transaction not found by Transaction hash(${transactionHash})`);
+        return res;
+      },
+    };
+  }
+}
+
+// Process-wide ledger so every AptosClientWrapper in one server sees the same state
+let shared: MemoryLedger | null = null;
+export function getMemoryLedger(): MemoryLedger {
+  if (!shared) {
+    const fund = process.env.MEMORY_LEDGER_FUND_OCTAS;
+    shared = new MemoryLedger({ autoFundOctas: fund !== undefined ? BigInt(fund) : 100_000_000_000n });
+  }
+  return shared;
+}
+
+export function setMemoryLedger(next: MemoryLedger) {
+  shared = next;
+}
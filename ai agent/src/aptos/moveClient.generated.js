@@ -0,0 +1,682 @@
+// GENERATED by ai agent/scripts/genMoveClient.mjs from smart contract/*.move – do not edit by hand.
+import { entryPayload, callView, readResource, readTableItem, listTableItems } from './moveCodec.js';
+export const MOVE_ABI = {
+    "ai_bridge": {
+        "address": "My_module",
+        "file": "AIexecutor.move",
+        "structs": {
+            "TradeInstruction": [
+                ["user", "address"],
+                ["pair", "vector<u8>"],
+                ["side", "bool"],
+                ["leverage", "u64"],
+                ["margin", "u64"],
+                ["timestamp", "u64"]
+            ],
+            "TradeLog": [
+                ["trades", "vector<TradeInstruction>"]
+            ],
+            "Bridge": [
+                ["admin", "address"],
+                ["max_leverage", "u64"],
+                ["min_margin", "u64"]
+            ]
+        },
+        "resources": {
+            "TradeLog": {
+                "typeParams": [],
+                "tables": {}
+            },
+            "Bridge": {
+                "typeParams": [],
+                "tables": {}
+            }
+        },
+        "functions": {
+            "init": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["max_leverage", "u64"],
+                    ["min_margin", "u64"]
+                ],
+                "returns": []
+            },
+            "set_params": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["max_leverage", "u64"],
+                    ["min_margin", "u64"]
+                ],
+                "returns": []
+            },
+            "submit_ai_trade": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["user"],
+                "params": [
+                    ["pair", "vector<u8>"],
+                    ["side", "bool"],
+                    ["leverage", "u64"],
+                    ["margin", "u64"],
+                    ["timestamp", "u64"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "governance": {
+        "address": "My_module",
+        "file": "governance.move",
+        "structs": {
+            "Params": [
+                ["max_leverage", "u64"],
+                ["fee_bps", "u64"]
+            ],
+            "Governance": [
+                ["admin", "address"],
+                ["params", "Params"],
+                ["votes", "Table<address, u64>"]
+            ]
+        },
+        "resources": {
+            "Params": {
+                "typeParams": [],
+                "tables": {}
+            },
+            "Governance": {
+                "typeParams": [],
+                "tables": {
+                    "votes": ["address", "u64"]
+                }
+            }
+        },
+        "functions": {
+            "init": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["max_leverage", "u64"],
+                    ["fee_bps", "u64"]
+                ],
+                "returns": []
+            },
+            "set_params": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["max_leverage", "u64"],
+                    ["fee_bps", "u64"]
+                ],
+                "returns": []
+            },
+            "transfer_admin": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["new_admin", "address"]
+                ],
+                "returns": []
+            },
+            "assign_votes": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["user", "address"],
+                    ["power", "u64"]
+                ],
+                "returns": []
+            },
+            "vote_change": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["user"],
+                "params": [
+                    ["max_leverage", "u64"],
+                    ["fee_bps", "u64"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "liquidation_demo": {
+        "address": "My_module",
+        "file": "liquidation.move",
+        "structs": {
+            "Position": [
+                ["size", "u64"],
+                ["margin", "u128"],
+                ["entry_px", "u64"]
+            ],
+            "PairState": [
+                ["pair_id", "u64"],
+                ["positions", "Table<address, Position>"],
+                ["mark_price", "u64"]
+            ]
+        },
+        "resources": {
+            "PairState": {
+                "typeParams": [],
+                "tables": {
+                    "positions": ["address", "Position"]
+                }
+            }
+        },
+        "functions": {
+            "init_pair": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["pair_id", "u64"],
+                    ["mark_px", "u64"]
+                ],
+                "returns": []
+            },
+            "set_mark_price": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["new_px", "u64"]
+                ],
+                "returns": []
+            },
+            "open_position": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["user", "address"],
+                    ["size", "u64"],
+                    ["margin", "u128"],
+                    ["entry_px", "u64"]
+                ],
+                "returns": []
+            },
+            "liquidate": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["user", "address"],
+                    ["min_margin", "u128"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "margin_vault": {
+        "address": "My_module",
+        "file": "vault.move",
+        "structs": {
+            "MarginBox": [
+                ["available", "Coin<T>"],
+                ["locked", "Coin<T>"]
+            ]
+        },
+        "resources": {
+            "MarginBox": {
+                "typeParams": ["T"],
+                "tables": {}
+            }
+        },
+        "functions": {
+            "register": {
+                "kind": "entry",
+                "typeParams": ["T"],
+                "signers": ["user"],
+                "params": [],
+                "returns": []
+            },
+            "deposit": {
+                "kind": "entry",
+                "typeParams": ["T"],
+                "signers": ["user"],
+                "params": [
+                    ["amount", "u64"]
+                ],
+                "returns": []
+            },
+            "withdraw": {
+                "kind": "entry",
+                "typeParams": ["T"],
+                "signers": ["user"],
+                "params": [
+                    ["amount", "u64"]
+                ],
+                "returns": []
+            },
+            "lock": {
+                "kind": "entry",
+                "typeParams": ["T"],
+                "signers": ["user"],
+                "params": [
+                    ["amount", "u64"]
+                ],
+                "returns": []
+            },
+            "unlock": {
+                "kind": "entry",
+                "typeParams": ["T"],
+                "signers": ["user"],
+                "params": [
+                    ["amount", "u64"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "minimal_test": {
+        "address": "My_module",
+        "file": "minimal_test.move",
+        "structs": {},
+        "resources": {},
+        "functions": {
+            "hello": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [],
+                "returns": []
+            }
+        }
+    },
+    "perp_core": {
+        "address": "My_module",
+        "file": "perpetuals.move",
+        "structs": {
+            "Position": [
+                ["side", "u8"],
+                ["size", "u64"],
+                ["entry_px", "u64"],
+                ["margin", "u64"],
+                ["lev_bps", "u64"],
+                ["funding_index_open", "u128"]
+            ],
+            "PairConfig": [
+                ["max_lev_bps", "u64"],
+                ["init_margin_bps", "u64"],
+                ["maint_margin_bps", "u64"],
+                ["max_funding_bps_hour", "u64"]
+            ],
+            "Pair": [
+                ["pair_id", "u64"],
+                ["cfg", "PairConfig"],
+                ["mark_px", "u64"],
+                ["cum_funding_bps", "u128"],
+                ["last_funding_ts", "u64"],
+                ["oracle", "address"],
+                ["vrf_oracle", "address"],
+                ["positions", "Table<address, Position>"]
+            ]
+        },
+        "resources": {
+            "Position": {
+                "typeParams": [],
+                "tables": {}
+            },
+            "Pair": {
+                "typeParams": [],
+                "tables": {
+                    "positions": ["address", "Position"]
+                }
+            }
+        },
+        "functions": {
+            "create_pair": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["pair_id", "u64"],
+                    ["max_lev_bps", "u64"],
+                    ["init_margin_bps", "u64"],
+                    ["maint_margin_bps", "u64"],
+                    ["max_funding_bps_hour", "u64"],
+                    ["oracle", "address"],
+                    ["vrf_oracle", "address"],
+                    ["init_mark_px", "u64"],
+                    ["now_ts", "u64"]
+                ],
+                "returns": []
+            },
+            "set_mark_price": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin", "caller"],
+                "params": [
+                    ["pair_id", "u64"],
+                    ["new_px", "u64"]
+                ],
+                "returns": []
+            },
+            "push_funding": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin", "caller"],
+                "params": [
+                    ["pair_id", "u64"],
+                    ["funding_bps", "u128"],
+                    ["vrf_seed_u128", "u128"],
+                    ["now_ts", "u64"]
+                ],
+                "returns": []
+            },
+            "open_position": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["user", "address"],
+                    ["pair_id", "u64"],
+                    ["size", "u64"],
+                    ["side", "u8"],
+                    ["lev_bps", "u64"],
+                    ["margin", "u64"],
+                    ["entry_px", "u64"]
+                ],
+                "returns": []
+            },
+            "close_position": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["user", "address"],
+                    ["pair_id", "u64"],
+                    ["size_to_close", "u64"]
+                ],
+                "returns": []
+            },
+            "liquidate": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [
+                    ["victim", "address"],
+                    ["pair_id", "u64"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "simple_orderbook": {
+        "address": "My_module",
+        "file": "orderbook.move",
+        "structs": {
+            "Order": [
+                ["id", "u64"],
+                ["owner", "address"],
+                ["side", "u8"],
+                ["price", "u64"],
+                ["qty", "u64"]
+            ],
+            "Book": [
+                ["next_id", "u64"],
+                ["bids", "Table<u64, vector<Order>>"],
+                ["asks", "Table<u64, vector<Order>>"]
+            ]
+        },
+        "resources": {
+            "Book": {
+                "typeParams": [],
+                "tables": {
+                    "bids": ["u64", "vector<Order>"],
+                    "asks": ["u64", "vector<Order>"]
+                }
+            }
+        },
+        "functions": {
+            "init": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin"],
+                "params": [],
+                "returns": []
+            },
+            "place_limit": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin", "user"],
+                "params": [
+                    ["side", "u8"],
+                    ["price", "u64"],
+                    ["qty", "u64"]
+                ],
+                "returns": []
+            },
+            "place_market": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["admin", "user"],
+                "params": [
+                    ["side", "u8"],
+                    ["qty", "u64"]
+                ],
+                "returns": []
+            }
+        }
+    },
+    "simple_wallet": {
+        "address": "neurodex",
+        "file": "sources/simple_wallet.move",
+        "structs": {
+            "WalletConnectedEvent": [
+                ["user_address", "address"],
+                ["apt_balance", "u64"],
+                ["timestamp", "u64"]
+            ],
+            "WalletData": [
+                ["owner", "address"],
+                ["apt_balance", "u64"],
+                ["last_updated", "u64"],
+                ["wallet_connected_events", "EventHandle<WalletConnectedEvent>"]
+            ]
+        },
+        "resources": {
+            "WalletData": {
+                "typeParams": [],
+                "tables": {}
+            }
+        },
+        "functions": {
+            "connect_wallet": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["user"],
+                "params": [],
+                "returns": []
+            },
+            "transfer_apt": {
+                "kind": "entry",
+                "typeParams": [],
+                "signers": ["sender"],
+                "params": [
+                    ["recipient", "address"],
+                    ["amount", "u64"]
+                ],
+                "returns": []
+            },
+            "get_wallet_balance": {
+                "kind": "view",
+                "typeParams": [],
+                "signers": [],
+                "params": [
+                    ["user_addr", "address"]
+                ],
+                "returns": ["u64"]
+            },
+            "get_wallet_info": {
+                "kind": "view",
+                "typeParams": [],
+                "signers": [],
+                "params": [
+                    ["user_addr", "address"]
+                ],
+                "returns": ["u64", "u64"]
+            }
+        }
+    }
+};
+export const aiBridge = {
+    /** ai_bridge::init (entry, signer: admin)
+     * Initialize AI bridge (admin only) */
+    init: (args, address) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'init', args),
+    /** ai_bridge::set_params (entry, signer: admin)
+     * Admin can update parameters */
+    setParams: (args, address) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'set_params', args),
+    /** ai_bridge::submit_ai_trade (entry, signer: user)
+     * User submits their own trade (requires user signature) */
+    submitAiTrade: (args, address) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'submit_ai_trade', args),
+    /** ai_bridge::TradeLog (resource; null when the account does not hold it)
+     * Store all executed AI trades */
+    readTradeLog: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'ai_bridge', 'TradeLog', args),
+    /** ai_bridge::Bridge (resource; null when the account does not hold it)
+     * Bridge admin (trusted backend AI signer) */
+    readBridge: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'ai_bridge', 'Bridge', args),
+};
+export const governance = {
+    /** governance::init (entry, signer: admin)
+     * Initialize governance with admin */
+    init: (args, address) => entryPayload(MOVE_ABI, address, 'governance', 'init', args),
+    /** governance::set_params (entry, signer: admin) */
+    setParams: (args, address) => entryPayload(MOVE_ABI, address, 'governance', 'set_params', args),
+    /** governance::transfer_admin (entry, signer: admin) */
+    transferAdmin: (args, address) => entryPayload(MOVE_ABI, address, 'governance', 'transfer_admin', args),
+    /** governance::assign_votes (entry, signer: admin)
+     * Give voting power (admin controlled, could be tied to governance token) */
+    assignVotes: (args, address) => entryPayload(MOVE_ABI, address, 'governance', 'assign_votes', args),
+    /** governance::vote_change (entry, signer: user)
+     * Simple majority vote to change params */
+    voteChange: (args, address) => entryPayload(MOVE_ABI, address, 'governance', 'vote_change', args),
+    /** governance::Params (resource; null when the account does not hold it)
+     * System parameters controlled by governance */
+    readParams: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'governance', 'Params', args),
+    /** governance::Governance (resource; null when the account does not hold it)
+     * Governance resource (admin + optional voters) */
+    readGovernance: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'governance', 'Governance', args),
+    /** governance::Governance.votes entry by key (null when absent) */
+    readGovernanceVotes: (reader, args, address) => readTableItem(reader, MOVE_ABI, address, 'governance', 'Governance', 'votes', args),
+    /** governance::Governance.votes entries from the indexer */
+    listGovernanceVotes: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'governance', 'Governance', 'votes', args),
+};
+export const liquidationDemo = {
+    /** liquidation_demo::init_pair (entry, signer: admin)
+     * Initialize a pair */
+    initPair: (args, address) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'init_pair', args),
+    /** liquidation_demo::set_mark_price (entry, signer: admin)
+     * Set mark price */
+    setMarkPrice: (args, address) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'set_mark_price', args),
+    /** liquidation_demo::open_position (entry, signer: admin)
+     * Open a position */
+    openPosition: (args, address) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'open_position', args),
+    /** liquidation_demo::liquidate (entry, signer: admin)
+     * Simple liquidation: remove position if margin < threshold */
+    liquidate: (args, address) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'liquidate', args),
+    /** liquidation_demo::PairState (resource; null when the account does not hold it)
+     * Per-pair state */
+    readPairState: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'liquidation_demo', 'PairState', args),
+    /** liquidation_demo::PairState.positions entry by key (null when absent) */
+    readPairStatePositions: (reader, args, address) => readTableItem(reader, MOVE_ABI, address, 'liquidation_demo', 'PairState', 'positions', args),
+    /** liquidation_demo::PairState.positions entries from the indexer */
+    listPairStatePositions: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'liquidation_demo', 'PairState', 'positions', args),
+};
+export const marginVault = {
+    /** margin_vault::register<T> (entry, signer: user)
+     * Register a margin box for a specific coin type `T` (e.g., USDC). */
+    register: (args, address) => entryPayload(MOVE_ABI, address, 'margin_vault', 'register', args),
+    /** margin_vault::deposit<T> (entry, signer: user)
+     * Deposit `amount` of `T` from the user's CoinStore into their MarginBox.available. */
+    deposit: (args, address) => entryPayload(MOVE_ABI, address, 'margin_vault', 'deposit', args),
+    /** margin_vault::withdraw<T> (entry, signer: user)
+     * Withdraw `amount` of `T` from MarginBox.available back to the user's CoinStore. */
+    withdraw: (args, address) => entryPayload(MOVE_ABI, address, 'margin_vault', 'withdraw', args),
+    /** margin_vault::lock<T> (entry, signer: user)
+     * Lock `amount` of `T` from available into locked (for opening/maintaining a position).
+     * Typically called by the user or routed via a higher-level DEX/engine with user intent. */
+    lock: (args, address) => entryPayload(MOVE_ABI, address, 'margin_vault', 'lock', args),
+    /** margin_vault::unlock<T> (entry, signer: user)
+     * Unlock `amount` of `T` from locked back to available (e.g., when closing/reducing a position). */
+    unlock: (args, address) => entryPayload(MOVE_ABI, address, 'margin_vault', 'unlock', args),
+    /** margin_vault::MarginBox<T> (resource; null when the account does not hold it)
+     * Per-user margin box. Funds sit under the user's account (not pooled in the module),
+     * which keeps custody simple and auditable. */
+    readMarginBox: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'margin_vault', 'MarginBox', args),
+};
+export const minimalTest = {
+    /** minimal_test::hello (entry, signer: admin) */
+    hello: (args, address) => entryPayload(MOVE_ABI, address, 'minimal_test', 'hello', args),
+};
+export const perpCore = {
+    /** perp_core::create_pair (entry, signer: admin) */
+    createPair: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'create_pair', args),
+    /** perp_core::set_mark_price (entry, signers: admin, caller (multi-agent))
+     * Set mark price (only price oracle) */
+    setMarkPrice: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'set_mark_price', args),
+    /** perp_core::push_funding (entry, signers: admin, caller (multi-agent))
+     * Update funding using a **VRF seed** (only VRF oracle).
+     * We map seed → signed funding rate in [-max_funding_bps_hour, +max_funding_bps_hour] and
+     * accrue by elapsed hours since last update. */
+    pushFunding: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'push_funding', args),
+    /** perp_core::open_position (entry, signer: admin)
+     * Open a single net position per user per pair (kept simple).
+     * `lev_bps` example: 5000 = 50x; `margin` is the user's lock for this position (quote units). */
+    openPosition: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'open_position', args),
+    /** perp_core::close_position (entry, signer: admin)
+     * Close full (or partial) position at current mark price. Returns PnL + released margin via events or vault hook. */
+    closePosition: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'close_position', args),
+    /** perp_core::liquidate (entry, signer: admin)
+     * Anyone can trigger liquidation if account health < 0 (below maintenance).
+     * For brevity closes 100% and leaves “liquidation fee” as TODO hook. */
+    liquidate: (args, address) => entryPayload(MOVE_ABI, address, 'perp_core', 'liquidate', args),
+    /** perp_core::Position (resource; null when the account does not hold it)
+     * side: 0 = LONG, 1 = SHORT */
+    readPosition: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'perp_core', 'Position', args),
+    /** perp_core::Pair (resource; null when the account does not hold it) */
+    readPair: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'perp_core', 'Pair', args),
+    /** perp_core::Pair.positions entry by key (null when absent) */
+    readPairPositions: (reader, args, address) => readTableItem(reader, MOVE_ABI, address, 'perp_core', 'Pair', 'positions', args),
+    /** perp_core::Pair.positions entries from the indexer */
+    listPairPositions: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'perp_core', 'Pair', 'positions', args),
+};
+export const simpleOrderbook = {
+    /** simple_orderbook::init (entry, signer: admin)
+     * Create empty book */
+    init: (args, address) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'init', args),
+    /** simple_orderbook::place_limit (entry, signers: admin, user (multi-agent))
+     * Place LIMIT order, matches if crossing */
+    placeLimit: (args, address) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'place_limit', args),
+    /** simple_orderbook::place_market (entry, signers: admin, user (multi-agent))
+     * Place MARKET order (fills immediately) */
+    placeMarket: (args, address) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'place_market', args),
+    /** simple_orderbook::Book (resource; null when the account does not hold it) */
+    readBook: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', args),
+    /** simple_orderbook::Book.bids entry by key (null when absent) */
+    readBookBids: (reader, args, address) => readTableItem(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', 'bids', args),
+    /** simple_orderbook::Book.bids entries from the indexer */
+    listBookBids: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'simple_orderbook', 'Book', 'bids', args),
+    /** simple_orderbook::Book.asks entry by key (null when absent) */
+    readBookAsks: (reader, args, address) => readTableItem(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', 'asks', args),
+    /** simple_orderbook::Book.asks entries from the indexer */
+    listBookAsks: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'simple_orderbook', 'Book', 'asks', args),
+};
+export const simpleWallet = {
+    /** simple_wallet::connect_wallet (entry, signer: user) */
+    connectWallet: (args, address) => entryPayload(MOVE_ABI, address, 'simple_wallet', 'connect_wallet', args),
+    /** simple_wallet::transfer_apt (entry, signer: sender) */
+    transferApt: (args, address) => entryPayload(MOVE_ABI, address, 'simple_wallet', 'transfer_apt', args),
+    /** simple_wallet::get_wallet_balance (view) */
+    getWalletBalance: (viewer, args, address) => callView(viewer, MOVE_ABI, address, 'simple_wallet', 'get_wallet_balance', args),
+    /** simple_wallet::get_wallet_info (view) */
+    getWalletInfo: (viewer, args, address) => callView(viewer, MOVE_ABI, address, 'simple_wallet', 'get_wallet_info', args),
+    /** simple_wallet::WalletData (resource; null when the account does not hold it) */
+    readWalletData: (reader, args, address) => readResource(reader, MOVE_ABI, address, 'simple_wallet', 'WalletData', args),
+};
@@ -0,0 +1,224 @@
+const UINT_BITS = { u8: 8, u16: 16, u32: 32, u64: 64, u128: 128, u256: 256 };
+const ADDRESS_RE = /^0x[0-9a-fA-F]{1,64}$/;
+// Framework types by their normalised name, for the fully qualified key / value types getTableItem wants
+const FRAMEWORK_TYPES = { String: '0x1::string::String', Option: '0x1::option::Option', Object: '0x1::object::Object' };
+export function parseType(type) {
+    const open = type.indexOf('<');
+    if (open < 0)
+        return { name: type.trim(), args: [] };
+    const args = [];
+    let depth = 0;
+    let cur = '';
+    for (const ch of type.slice(open + 1, type.lastIndexOf('>'))) {
+        if (ch === '<')
+            depth++;
+        if (ch === '>')
+            depth--;
+        if (ch === ',' && depth === 0) {
+            args.push(parseType(cur));
+            cur = '';
+        }
+        else
+            cur += ch;
+    }
+    if (cur.trim())
+        args.push(parseType(cur));
+    return { name: type.slice(0, open).trim(), args };
+}
+function toBytes(value, where) {
+    if (value instanceof Uint8Array)
+        return value;
+    if (Array.isArray(value))
+        return Uint8Array.from(value);
+    if (typeof value === 'string')
+        return new TextEncoder().encode(value);
+    throw new Error(`${where} must be bytes (Uint8Array, number[] or text)`);
+}
+function encodeUint(bits, value, where) {
+    let n;
+    try {
+        if (typeof value === 'string' && !value.trim())
+            throw new Error('empty');
+        n = BigInt(typeof value === 'string' ? value.trim() : value);
+    }
+    catch (_) {
+        throw new Error(`${where} must be an unsigned integer (got ${value})`);
+    }
+    if (n < 0n || n >= 1n << BigInt(bits))
+        throw new Error(`${where} is out of range for u${bits} (got ${value})`);
+    return bits <= 32 ? Number(n) : n;
+}
+function encodeValue(t, value, where) {
+    if (value === undefined || value === null)
+        throw new Error(`${where} is required`);
+    if (UINT_BITS[t.name])
+        return encodeUint(UINT_BITS[t.name], value, where);
+    switch (t.name) {
+        case 'bool':
+            if (typeof value !== 'boolean')
+                throw new Error(`${where} must be a boolean`);
+            return value;
+        case 'address':
+        case 'Object':
+            if (typeof value !== 'string' || !ADDRESS_RE.test(value))
+                throw new Error(`${where} must be an address (got ${value})`);
+            return value;
+        case 'String':
+            return String(value);
+        case 'vector':
+            if (t.args[0].name === 'u8')
+                return toBytes(value, where);
+            if (!Array.isArray(value))
+                throw new Error(`${where} must be an array`);
+            return value.map((v, i) => encodeValue(t.args[0], v, `${where}[${i}]`));
+        default:
+            throw new Error(`${where}: argument type ${t.name} is not supported`);
+    }
+}
+function encodeArgs(abi, moduleName, fnName, args = {}) {
+    const fn = abi[moduleName]?.functions?.[fnName];
+    if (!fn)
+        throw new Error(`${moduleName}::${fnName} is not in the generated ABI`);
+    const where = `${moduleName}::${fnName}`;
+    const typeArguments = fn.typeParams.map((p) => {
+        if (typeof args[p] !== 'string' || !args[p])
+            throw new Error(`${where}: type argument ${p} is required (e.g. 0x1::aptos_coin::AptosCoin)`);
+        return args[p];
+    });
+    const functionArguments = fn.params.map(([name, type]) => encodeValue(parseType(type), args[name], `${where}: ${name}`));
+    return { fn, typeArguments, functionArguments };
+}
+// SDK payload for an entry function (build.simple; multi-agent when the ABI lists several signers)
+export function entryPayload(abi, address, moduleName, fnName, args) {
+    const { typeArguments, functionArguments } = encodeArgs(abi, moduleName, fnName, args);
+    return { function: `${address}::${moduleName}::${fnName}`, typeArguments, functionArguments };
+}
+export function decodeValue(t, value, structs = {}) {
+    if (value === undefined || value === null)
+        return value;
+    const bits = UINT_BITS[t.name];
+    if (bits)
+        return bits <= 32 ? Number(value) : BigInt(value);
+    switch (t.name) {
+        case 'bool':
+        case 'address':
+        case 'String':
+            return value;
+        case 'Object':
+            return typeof value === 'string' ? value : value.inner;
+        case 'Option':
+            return value.vec?.length ? decodeValue(t.args[0], value.vec[0], structs) : null;
+        case 'Coin':
+            return { value: BigInt(value.value) };
+        case 'Table':
+        case 'TableWithLength':
+        case 'SmartTable':
+            return { handle: value.handle };
+        case 'vector':
+            if (t.args[0].name === 'u8') {
+                const hex = String(value).replace(/^0x/, '');
+                return Uint8Array.from(hex.match(/.{2}/g) || [], (b) => parseInt(b, 16));
+            }
+            return value.map((v) => decodeValue(t.args[0], v, structs));
+        default: {
+            const fields = structs[t.name];
+            if (!fields)
+                return value;
+            return Object.fromEntries(fields.map(([name, type]) => [name, decodeValue(parseType(type), value[name], structs)]));
+        }
+    }
+}
+// Calls a #[view] function and decodes the results: one return value comes back bare, several as an array
+export async function callView(viewer, abi, address, moduleName, fnName, args) {
+    const { fn, typeArguments, functionArguments } = encodeArgs(abi, moduleName, fnName, args);
+    const out = await viewer.view({ payload: { function: `${address}::${moduleName}::${fnName}`, typeArguments, functionArguments } });
+    const structs = abi[moduleName].structs;
+    const decoded = fn.returns.map((type, i) => decodeValue(parseType(type), out?.[i], structs));
+    return decoded.length === 1 ? decoded[0] : decoded;
+}
+// Fully qualified type string as the node spells it (module structs under `address`)
+function qualifyType(t, address, moduleName, structs) {
+    const args = t.args.length ? `<${t.args.map((a) => qualifyType(a, address, moduleName, structs)).join(', ')}>` : '';
+    if (UINT_BITS[t.name] || ['bool', 'address', 'signer', 'vector'].includes(t.name))
+        return t.name + args;
+    if (FRAMEWORK_TYPES[t.name])
+        return FRAMEWORK_TYPES[t.name] + args;
+    if (structs[t.name])
+        return `${address}::${moduleName}::${t.name}${args}`;
+    throw new Error(`Cannot qualify Move type ${t.name} of ${moduleName}`);
+}
+// Key as the node's JSON expects it (u64 and wider as decimal strings)
+const jsonKey = (key) => (typeof key === 'bigint' ? key.toString() : key);
+// Unwraps { type, data } (older SDK shapes) to the resource's fields
+const resourceData = (res) => (res && typeof res === 'object' && 'type' in res && 'data' in res ? res.data : res);
+function resourceAbi(abi, moduleName, structName) {
+    const res = abi[moduleName]?.resources?.[structName];
+    if (!res)
+        throw new Error(`${moduleName}::${structName} is not a resource in the generated ABI`);
+    return res;
+}
+function tableAbi(abi, moduleName, structName, field) {
+    const table = resourceAbi(abi, moduleName, structName).tables[field];
+    if (!table)
+        throw new Error(`${moduleName}::${structName}.${field} is not a table in the generated ABI`);
+    return table.map(parseType);
+}
+// Reads a resource (type parameters from args, e.g. { account, T }); null when the account does not hold it
+export async function readResource(reader, abi, address, moduleName, structName, args) {
+    const res = resourceAbi(abi, moduleName, structName);
+    const where = `${moduleName}::${structName}`;
+    const account = encodeValue({ name: 'address', args: [] }, args.account, `${where}: account`);
+    const typeArguments = res.typeParams.map((p) => {
+        if (typeof args[p] !== 'string' || !args[p])
+            throw new Error(`${where}: type argument ${p} is required (e.g. 0x1::aptos_coin::AptosCoin)`);
+        return args[p];
+    });
+    const resourceType = `${address}::${moduleName}::${structName}${typeArguments.length ? `<${typeArguments.join(', ')}>` : ''}`;
+    let raw;
+    try {
+        raw = await reader.getAccountResource({ accountAddress: account, resourceType: resourceType });
+    }
+    catch (e) {
+        if (e?.data?.error_code === 'resource_not_found')
+            return null;
+        throw e;
+    }
+    return decodeValue({ name: structName, args: [] }, resourceData(raw), abi[moduleName].structs);
+}
+// Reads one entry of a resource's table by key; null when the table has no such key
+export async function readTableItem(reader, abi, address, moduleName, structName, field, args) {
+    const [keyType, valueType] = tableAbi(abi, moduleName, structName, field);
+    const { structs } = abi[moduleName];
+    const key = encodeValue(keyType, args.key, `${moduleName}::${structName}.${field}: key`);
+    let raw;
+    try {
+        raw = await reader.getTableItem({
+            handle: args.handle,
+            data: { key_type: qualifyType(keyType, address, moduleName, structs), value_type: qualifyType(valueType, address, moduleName, structs), key: jsonKey(key) },
+        });
+    }
+    catch (e) {
+        if (e?.data?.error_code === 'table_item_not_found')
+            return null;
+        throw e;
+    }
+    return decodeValue(valueType, raw, structs);
+}
+const TABLE_ITEMS_QUERY = `query TableItems($handle: String!, $limit: Int, $offset: Int) {
+  current_table_items(where: { table_handle: { _eq: $handle }, is_deleted: { _eq: false } }, order_by: { key_hash: asc }, limit: $limit, offset: $offset) {
+    decoded_key
+    decoded_value
+  }
+}`;
+// Lists the live entries of a resource's table from the indexer (tables cannot be enumerated on the node)
+export async function listTableItems(indexer, abi, moduleName, structName, field, args) {
+    const [keyType, valueType] = tableAbi(abi, moduleName, structName, field);
+    const { structs } = abi[moduleName];
+    const out = await indexer.queryIndexer({
+        query: { query: TABLE_ITEMS_QUERY, variables: { handle: args.handle, limit: args.limit ?? 100, offset: args.offset ?? 0 } },
+    });
+    return (out?.current_table_items || []).map((row) => ({
+        key: decodeValue(keyType, row.decoded_key, structs),
+        value: decodeValue(valueType, row.decoded_value, structs),
+    }));
+}
@@ -0,0 +1,257 @@
+/*
+ * Move argument encoding / view and resource decoding for the generated client (moveClient.generated.ts).
+ * ---------------------------------
+ * Driven by the ABI table the generator extracts from smart contract/*.move (npm run gen:move-client).
+ * Types are normalised Move types: u8..u256, bool, address, String, vector<T>, Option<T>, Object<T>, Table<K, V>
+ * (decoded as its handle), Coin<T> (its value) and structs of the same module. Arguments are checked (presence,
+ * integer range, address shape) before they reach the SDK, so a wrong call fails with the Move parameter name
+ * instead of a BCS error.
+ * Resources (`has key` structs) are read with getAccountResource, their tables item by item with getTableItem,
+ * or listed through the indexer (current_table_items); a missing resource or item comes back as null.
+ * walletconnect/src/services/moveCodec.js is the frontend twin (wallet JSON payloads instead of SDK ones).
+ */
+import type { Aptos, InputEntryFunctionData } from '@aptos-labs/ts-sdk';
+
+export interface MoveFunctionAbi {
+  kind: 'entry' | 'view';
+  typeParams: string[];
+  signers: string[];            // &signer parameters, in order (first = sender, others = secondary signers)
+  params: [string, string][];   // [name, type] of the non-signer parameters
+  returns: string[];
+}
+
+export interface MoveResourceAbi {
+  typeParams: string[];
+  tables: Record<string, [string, string]>; // Table fields: name -> [key type, value type]
+}
+
+export interface MoveModuleAbi {
+  address: string; // named address in the source (resolved at publish time)
+  file: string;
+  structs: Record<string, [string, string][]>;
+  resources: Record<string, MoveResourceAbi>;
+  functions: Record<string, MoveFunctionAbi>;
+}
+
+export type MoveAbi = Record<string, MoveModuleAbi>;
+
+// Anything with the SDK's view(): Aptos, or the memory ledger facade
+export type MoveViewer = Pick<Aptos, 'view'>;
+// Resource / table item reads (Aptos, the memory ledger facade, PerpCoreModel.viewClient().aptos)
+export type MoveResourceReader = Pick<Aptos, 'getAccountResource' | 'getTableItem'>;
+// Table listings go through the indexer
+export type MoveIndexer = Pick<Aptos, 'queryIndexer'>;
+
+export interface MoveTable { handle: string }
+export interface MoveCoin { value: bigint }
+
+interface TypeNode { name: string; args: TypeNode[] }
+
+const UINT_BITS: Record<string, number> = { u8: 8, u16: 16, u32: 32, u64: 64, u128: 128, u256: 256 };
+const ADDRESS_RE = /^0x[0-9a-fA-F]{1,64}$/;
+// Framework types by their normalised name, for the fully qualified key / value types getTableItem wants
+const FRAMEWORK_TYPES: Record<string, string> = { String: '0x1::string::String', Option: '0x1::option::Option', Object: '0x1::object::Object' };
+
+export function parseType(type: string): TypeNode {
+  const open = type.indexOf('<');
+  if (open < 0) return { name: type.trim(), args: [] };
+  const args: TypeNode[] = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of type.slice(open + 1, type.lastIndexOf('>'))) {
+    if (ch === '<') depth++;
+    if (ch === '>') depth--;
+    if (ch === ',' && depth === 0) {
+      args.push(parseType(cur));
+      cur = '';
+    } else cur += ch;
+  }
+  if (cur.trim()) args.push(parseType(cur));
+  return { name: type.slice(0, open).trim(), args };
+}
+
+function toBytes(value: any, where: string): Uint8Array {
+  if (value instanceof Uint8Array) return value;
+  if (Array.isArray(value)) return Uint8Array.from(value);
+  if (typeof value === 'string') return new TextEncoder().encode(value);
+  throw new Error(`${where} must be bytes (Uint8Array, number[] or text)`);
+}
+
+function encodeUint(bits: number, value: any, where: string): number | bigint {
+  let n: bigint;
+  try {
+    if (typeof value === 'string' && !value.trim()) throw new Error('empty');
+    n = BigInt(typeof value === 'string' ? value.trim() : value);
+  } catch (_) {
+    throw new Error(`${where} must be an unsigned integer (got ${value})`);
+  }
+  if (n < 0n || n >= 1n << BigInt(bits)) throw new Error(`${where} is out of range for u${bits} (got ${value})`);
+  return bits <= 32 ? Number(n) : n;
+}
+
+function encodeValue(t: TypeNode, value: any, where: string): any {
+  if (value === undefined || value === null) throw new Error(`${where} is required`);
+  if (UINT_BITS[t.name]) return encodeUint(UINT_BITS[t.name], value, where);
+  switch (t.name) {
+    case 'bool':
+      if (typeof value !== 'boolean') throw new Error(`${where} must be a boolean`);
+      return value;
+    case 'address':
+    case 'Object':
+      if (typeof value !== 'string' || !ADDRESS_RE.test(value)) throw new Error(`${where} must be an address (got ${value})`);
+      return value;
+    case 'String':
+      return String(value);
+    case 'vector':
+      if (t.args[0].name === 'u8') return toBytes(value, where);
+      if (!Array.isArray(value)) throw new Error(`${where} must be an array`);
+      return value.map((v, i) => encodeValue(t.args[0], v, `${where}[${i}]`));
+    default:
+      throw new Error(`${where}: argument type ${t.name} is not supported`);
+  }
+}
+
+function encodeArgs(abi: MoveAbi, moduleName: string, fnName: string, args: Record<string, any> = {}) {
+  const fn = abi[moduleName]?.functions?.[fnName];
+  if (!fn) throw new Error(`${moduleName}::${fnName} is not in the generated ABI`);
+  const where = `${moduleName}::${fnName}`;
+  const typeArguments = fn.typeParams.map((p) => {
+    if (typeof args[p] !== 'string' || !args[p]) throw new Error(`${where}: type argument ${p} is required (e.g. 0x1::aptos_coin::AptosCoin)`);
+    return args[p] as string;
+  });
+  const functionArguments = fn.params.map(([name, type]) => encodeValue(parseType(type), args[name], `${where}: ${name}`));
+  return { fn, typeArguments, functionArguments };
+}
+
+// SDK payload for an entry function (build.simple; multi-agent when the ABI lists several signers)
+export function entryPayload(abi: MoveAbi, address: string, moduleName: string, fnName: string, args: Record<string, any>): InputEntryFunctionData {
+  const { typeArguments, functionArguments } = encodeArgs(abi, moduleName, fnName, args);
+  return { function: `${address}::${moduleName}::${fnName}` as `${string}::${string}::${string}`, typeArguments, functionArguments };
+}
+
+export function decodeValue(t: TypeNode, value: any, structs: Record<string, [string, string][]> = {}): any {
+  if (value === undefined || value === null) return value;
+  const bits = UINT_BITS[t.name];
+  if (bits) return bits <= 32 ? Number(value) : BigInt(value);
+  switch (t.name) {
+    case 'bool':
+    case 'address':
+    case 'String':
+      return value;
+    case 'Object':
+      return typeof value === 'string' ? value : value.inner;
+    case 'Option':
+      return value.vec?.length ? decodeValue(t.args[0], value.vec[0], structs) : null;
+    case 'Coin':
+      return { value: BigInt(value.value) };
+    case 'Table':
+    case 'TableWithLength':
+    case 'SmartTable':
+      return { handle: value.handle };
+    case 'vector':
+      if (t.args[0].name === 'u8') {
+        const hex = String(value).replace(/^0x/, '');
+        return Uint8Array.from(hex.match(/.{2}/g) || [], (b) => parseInt(b, 16));
+      }
+      return value.map((v: any) => decodeValue(t.args[0], v, structs));
+    default: {
+      const fields = structs[t.name];
+      if (!fields) return value;
+      return Object.fromEntries(fields.map(([name, type]) => [name, decodeValue(parseType(type), value[name], structs)]));
+    }
+  }
+}
+
+// Calls a #[view] function and decodes the results: one return value comes back bare, several as an array
+export async function callView(viewer: MoveViewer, abi: MoveAbi, address: string, moduleName: string, fnName: string, args: Record<string, any>): Promise<any> {
+  const { fn, typeArguments, functionArguments } = encodeArgs(abi, moduleName, fnName, args);
+  const out: any[] = await viewer.view({ payload: { function: `${address}::${moduleName}::${fnName}` as `${string}::${string}::${string}`, typeArguments, functionArguments } });
+  const structs = abi[moduleName].structs;
+  const decoded = fn.returns.map((type, i) => decodeValue(parseType(type), out?.[i], structs));
+  return decoded.length === 1 ? decoded[0] : decoded;
+}
+
+// Fully qualified type string as the node spells it (module structs under `address`)
+function qualifyType(t: TypeNode, address: string, moduleName: string, structs: Record<string, [string, string][]>): string {
+  const args = t.args.length ? `<${t.args.map((a) => qualifyType(a, address, moduleName, structs)).join(', ')}>` : '';
+  if (UINT_BITS[t.name] || ['bool', 'address', 'signer', 'vector'].includes(t.name)) return t.name + args;
+  if (FRAMEWORK_TYPES[t.name]) return FRAMEWORK_TYPES[t.name] + args;
+  if (structs[t.name]) return `${address}::${moduleName}::${t.name}${args}`;
+  throw new Error(`Cannot qualify Move type ${t.name} of ${moduleName}`);
+}
+
+// Key as the node's JSON expects it (u64 and wider as decimal strings)
+const jsonKey = (key: any) => (typeof key === 'bigint' ? key.toString() : key);
+
+// Unwraps { type, data } (older SDK shapes) to the resource's fields
+const resourceData = (res: any) => (res && typeof res === 'object' && 'type' in res && 'data' in res ? res.data : res);
+
+function resourceAbi(abi: MoveAbi, moduleName: string, structName: string) {
+  const res = abi[moduleName]?.resources?.[structName];
+  if (!res) throw new Error(`${moduleName}::${structName} is not a resource in the generated ABI`);
+  return res;
+}
+
+function tableAbi(abi: MoveAbi, moduleName: string, structName: string, field: string) {
+  const table = resourceAbi(abi, moduleName, structName).tables[field];
+  if (!table) throw new Error(`${moduleName}::${structName}.${field} is not a table in the generated ABI`);
+  return table.map(parseType) as [TypeNode, TypeNode];
+}
+
+// Reads a resource (type parameters from args, e.g. { account, T }); null when the account does not hold it
+export async function readResource(reader: MoveResourceReader, abi: MoveAbi, address: string, moduleName: string, structName: string, args: Record<string, any>): Promise<any> {
+  const res = resourceAbi(abi, moduleName, structName);
+  const where = `${moduleName}::${structName}`;
+  const account = encodeValue({ name: 'address', args: [] }, args.account, `${where}: account`);
+  const typeArguments = res.typeParams.map((p) => {
+    if (typeof args[p] !== 'string' || !args[p]) throw new Error(`${where}: type argument ${p} is required (e.g. 0x1::aptos_coin::AptosCoin)`);
+    return args[p] as string;
+  });
+  const resourceType = `${address}::${moduleName}::${structName}${typeArguments.length ? `<${typeArguments.join(', ')}>` : ''}`;
+  let raw: any;
+  try {
+    raw = await reader.getAccountResource({ accountAddress: account, resourceType: resourceType as `${string}::${string}::${string}` });
+  } catch (e: any) {
+    if (e?.data?.error_code === 'resource_not_found') return null;
+    throw e;
+  }
+  return decodeValue({ name: structName, args: [] }, resourceData(raw), abi[moduleName].structs);
+}
+
+// Reads one entry of a resource's table by key; null when the table has no such key
+export async function readTableItem(reader: MoveResourceReader, abi: MoveAbi, address: string, moduleName: string, structName: string, field: string, args: { handle: string; key: any }): Promise<any> {
+  const [keyType, valueType] = tableAbi(abi, moduleName, structName, field);
+  const { structs } = abi[moduleName];
+  const key = encodeValue(keyType, args.key, `${moduleName}::${structName}.${field}: key`);
+  let raw: any;
+  try {
+    raw = await reader.getTableItem({
+      handle: args.handle,
+      data: { key_type: qualifyType(keyType, address, moduleName, structs), value_type: qualifyType(valueType, address, moduleName, structs), key: jsonKey(key) },
+    });
+  } catch (e: any) {
+    if (e?.data?.error_code === 'table_item_not_found') return null;
+    throw e;
+  }
+  return decodeValue(valueType, raw, structs);
+}
+
+const TABLE_ITEMS_QUERY = `query TableItems($handle: String!, $limit: Int, $offset: Int) {
+  current_table_items(where: { table_handle: { _eq: $handle }, is_deleted: { _eq: false } }, order_by: { key_hash: asc }, limit: $limit, offset: $offset) {
+    decoded_key
+    decoded_value
+  }
+}`;
+
+// Lists the live entries of a resource's table from the indexer (tables cannot be enumerated on the node)
+export async function listTableItems(indexer: MoveIndexer, abi: MoveAbi, moduleName: string, structName: string, field: string, args: { handle: string; limit?: number; offset?: number }): Promise<{ key: any; value: any }[]> {
+  const [keyType, valueType] = tableAbi(abi, moduleName, structName, field);
+  const { structs } = abi[moduleName];
+  const out: any = await indexer.queryIndexer({
+    query: { query: TABLE_ITEMS_QUERY, variables: { handle: args.handle, limit: args.limit ?? 100, offset: args.offset ?? 0 } },
+  });
+  return (out?.current_table_items || []).map((row: any) => ({
+    key: decodeValue(keyType, row.decoded_key, structs),
+    value: decodeValue(valueType, row.decoded_value, structs),
+  }));
+}
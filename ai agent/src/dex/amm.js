@@ -0,0 +1,69 @@
+/*
+ * Constant-product (x * y = k) AMM maths.
+ * ---------------------------------
+ * All amounts are atomic units (bigint). The fee is taken from the input side, Uniswap-v2 style:
+ *   out = (in * (10000 - fee) * rOut) / (rIn * 10000 + in * (10000 - fee))
+ *   in  = ceil(rIn * out * 10000 / ((rOut - out) * (10000 - fee)))
+ * Rounding always favours the pool (floor on out, ceil on in), matching what an on-chain pool would enforce.
+ */
+export const BPS = 10000n;
+function ceilDiv(a, b) {
+    return (a + b - 1n) / b;
+}
+function assertReserves(r) {
+    if (r.reserveIn <= 0n || r.reserveOut <= 0n)
+        throw new Error('Pool has no liquidity');
+    if (r.feeBps < 0 || r.feeBps >= 10_000)
+        throw new Error(`Invalid pool fee ${r.feeBps}bps`);
+}
+export function getAmountOut(amountIn, r) {
+    assertReserves(r);
+    if (amountIn <= 0n)
+        throw new Error('amountIn must be positive');
+    const inAfterFee = amountIn * (BPS - BigInt(r.feeBps));
+    return (inAfterFee * r.reserveOut) / (r.reserveIn * BPS + inAfterFee);
+}
+export function getAmountIn(amountOut, r) {
+    assertReserves(r);
+    if (amountOut <= 0n)
+        throw new Error('amountOut must be positive');
+    if (amountOut >= r.reserveOut)
+        throw new Error(`amountOut ${amountOut} exceeds pool reserve ${r.reserveOut}`);
+    return ceilDiv(r.reserveIn * amountOut * BPS, (r.reserveOut - amountOut) * (BPS - BigInt(r.feeBps)));
+}
+// How far the execution price (net of fee) is below the mid price rOut / rIn, in bps
+export function priceImpactBps(amountIn, amountOut, r) {
+    const inAfterFee = (amountIn * (BPS - BigInt(r.feeBps))) / BPS;
+    if (inAfterFee <= 0n)
+        return 0;
+    const ratio = (amountOut * r.reserveIn * BPS) / (inAfterFee * r.reserveOut); // execution / mid, in bps
+    return Math.max(0, Number(BPS - ratio));
+}
+export function applySlippage(mode, amount, slippageBps) {
+    const s = BigInt(slippageBps);
+    return mode === 'exactIn' ? (amount * (BPS - s)) / BPS : ceilDiv(amount * (BPS + s), BPS);
+}
+export function quoteExactIn(amountIn, r, slippageBps) {
+    const amountOut = getAmountOut(amountIn, r);
+    if (amountOut <= 0n)
+        throw new Error('amountIn too small: output rounds to zero');
+    return {
+        mode: 'exactIn',
+        amountIn,
+        amountOut,
+        feeAmount: (amountIn * BigInt(r.feeBps)) / BPS,
+        priceImpactBps: priceImpactBps(amountIn, amountOut, r),
+        limit: applySlippage('exactIn', amountOut, slippageBps),
+    };
+}
+export function quoteExactOut(amountOut, r, slippageBps) {
+    const amountIn = getAmountIn(amountOut, r);
+    return {
+        mode: 'exactOut',
+        amountIn,
+        amountOut,
+        feeAmount: (amountIn * BigInt(r.feeBps)) / BPS,
+        priceImpactBps: priceImpactBps(amountIn, amountOut, r),
+        limit: applySlippage('exactOut', amountIn, slippageBps),
+    };
+}
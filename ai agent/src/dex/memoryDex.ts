@@ -0,0 +1,136 @@
+/*
+ * Demo DEX router for the in-memory ledger.
+ * ---------------------------------
+ * With APTOS_BACKEND=memory and no `router` in the pool config, swaps are executed by this module instead of
+ * stopping at quote-only: `${MEMORY_DEX_ADDR}::router` trades against the registry's fixture pools with the same
+ * constant-product maths the quoter uses (src/dex/amm.ts), enforces the payload's min-out / max-in and moves the
+ * reserves. Pool liquidity is held by the router account, funded with the fixture reserves at install time.
+ * Entry functions match DexRouterConfig: swap_exact_input<In, Out>(amount_in, min_out),
+ * swap_exact_output<In, Out>(max_in, amount_out) and two-hop variants over <T0, T1, T2>.
+ * When a pair has several pools the one giving the best price is used. On-chain (resource) pools are not traded.
+ */
+import { MemoryLedger, ModuleHandler, EntryContext, MoveAbortError, canonicalType } from '../aptos/memoryLedger.js';
+import { TokenRegistry, getTokenRegistry } from '../tokens/tokenRegistry.js';
+import { DexRouterConfig, Pool, PoolFileConfig, PoolRegistry } from './pools.js';
+import { getAmountIn, getAmountOut } from './amm.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+
+export const MEMORY_DEX_ADDR = normalizeAptosAddress('0xdec'); // the SDK only parses full-length addresses in function ids
+const MODULE = `${MEMORY_DEX_ADDR}::router`;
+
+export const MEMORY_DEX_ROUTER: DexRouterConfig = {
+  exactIn: `${MODULE}::swap_exact_input`,
+  exactOut: `${MODULE}::swap_exact_output`,
+  multihopExactIn: `${MODULE}::swap_exact_input_2hop`,
+  multihopExactOut: `${MODULE}::swap_exact_output_2hop`,
+};
+
+// Abort codes (reason names follow the usual router conventions)
+const E_OUTPUT_LESS_THAN_MIN = 1;
+const E_INPUT_MORE_THAN_MAX = 2;
+const E_NO_POOL = 3;
+const E_UNKNOWN_COIN = 4;
+
+interface Hop { pool: Pool; tokenIn: string; tokenOut: string; amountIn: bigint; amountOut: bigint }
+
+export function memoryDexModule(pools: PoolRegistry, tokens: TokenRegistry = getTokenRegistry()): ModuleHandler {
+  const symbolOf = (coinType: string) => {
+    const token = tokens.list().find((t) => t.coinType && canonicalType(t.coinType) === coinType);
+    if (!token) throw new MoveAbortError(MODULE, 'E_UNKNOWN_COIN', E_UNKNOWN_COIN);
+    return token.symbol;
+  };
+  const coinTypeOf = (symbol: string) => tokens.get(symbol).coinType!;
+
+  const fixturePools = (tokenIn: string, tokenOut: string) => {
+    const found = pools.find(tokenIn, tokenOut).filter((p) => p.source === 'fixture');
+    if (!found.length) throw new MoveAbortError(MODULE, 'E_NO_POOL', E_NO_POOL);
+    return found;
+  };
+
+  // Walk the path forwards from a fixed input, taking the best pool per hop
+  const forward = (path: string[], amountIn: bigint): Hop[] => {
+    const hops: Hop[] = [];
+    let amount = amountIn;
+    for (let i = 0; i + 1 < path.length; i++) {
+      const [tokenIn, tokenOut] = [path[i], path[i + 1]];
+      const best = fixturePools(tokenIn, tokenOut)
+        .map((pool) => ({ pool, out: getAmountOut(amount, pools.reservesFor(pool, tokenIn)) }))
+        .reduce((a, b) => (b.out > a.out ? b : a));
+      hops.push({ pool: best.pool, tokenIn, tokenOut, amountIn: amount, amountOut: best.out });
+      amount = best.out;
+    }
+    return hops;
+  };
+
+  // Walk the path backwards from a fixed output, taking the cheapest pool per hop
+  const backward = (path: string[], amountOut: bigint): Hop[] => {
+    const hops: Hop[] = [];
+    let amount = amountOut;
+    for (let i = path.length - 1; i > 0; i--) {
+      const [tokenIn, tokenOut] = [path[i - 1], path[i]];
+      const best = fixturePools(tokenIn, tokenOut)
+        .flatMap((pool) => {
+          try { return [{ pool, in: getAmountIn(amount, pools.reservesFor(pool, tokenIn)) }]; } catch { return []; }
+        })
+        .reduce<{ pool: Pool; in: bigint } | undefined>((a, b) => (!a || b.in < a.in ? b : a), undefined);
+      if (!best) throw new MoveAbortError(MODULE, 'E_NO_POOL', E_NO_POOL);
+      hops.unshift({ pool: best.pool, tokenIn, tokenOut, amountIn: best.in, amountOut: amount });
+      amount = best.in;
+    }
+    return hops;
+  };
+
+  const settle = (ctx: EntryContext, hops: Hop[]) => {
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+    ctx.ledger.move(ctx.sender, MEMORY_DEX_ADDR, first.amountIn, coinTypeOf(first.tokenIn));
+    for (const h of hops) {
+      if (h.pool.tokenA === h.tokenIn) {
+        h.pool.reserveA += h.amountIn;
+        h.pool.reserveB -= h.amountOut;
+      } else {
+        h.pool.reserveB += h.amountIn;
+        h.pool.reserveA -= h.amountOut;
+      }
+    }
+    ctx.ledger.move(MEMORY_DEX_ADDR, ctx.sender, last.amountOut, coinTypeOf(last.tokenOut));
+  };
+
+  const exactIn = (ctx: EntryContext, [amountIn, minOut]: any[]) => {
+    ctx.chargeGas(10 * (ctx.typeArguments.length - 1));
+    const hops = forward(ctx.typeArguments.map(symbolOf), BigInt(amountIn));
+    if (hops[hops.length - 1].amountOut < BigInt(minOut)) throw new MoveAbortError(MODULE, 'E_OUTPUT_LESS_THAN_MIN', E_OUTPUT_LESS_THAN_MIN);
+    settle(ctx, hops);
+  };
+
+  const exactOut = (ctx: EntryContext, [maxIn, amountOut]: any[]) => {
+    ctx.chargeGas(10 * (ctx.typeArguments.length - 1));
+    const hops = backward(ctx.typeArguments.map(symbolOf), BigInt(amountOut));
+    if (hops[0].amountIn > BigInt(maxIn)) throw new MoveAbortError(MODULE, 'E_INPUT_MORE_THAN_MAX', E_INPUT_MORE_THAN_MAX);
+    settle(ctx, hops);
+  };
+
+  const single = { typeParameters: 2, parameters: ['u64', 'u64'] };
+  const twoHop = { typeParameters: 3, parameters: ['u64', 'u64'] };
+  return {
+    abi: { swap_exact_input: single, swap_exact_output: single, swap_exact_input_2hop: twoHop, swap_exact_output_2hop: twoHop },
+    entry: { swap_exact_input: exactIn, swap_exact_output: exactOut, swap_exact_input_2hop: exactIn, swap_exact_output_2hop: exactOut },
+    checkpoint: () => {
+      const saved = pools.list().map((p) => [p, p.reserveA, p.reserveB] as const);
+      return () => saved.forEach(([p, a, b]) => { p.reserveA = a; p.reserveB = b; });
+    },
+  };
+}
+
+// Pool registry whose swaps run on `ledger`: registers the router module and funds it with the fixture reserves
+export function installMemoryDex(ledger: MemoryLedger, config: PoolFileConfig, tokens: TokenRegistry = getTokenRegistry()): PoolRegistry {
+  const pools = new PoolRegistry({ ...config, router: MEMORY_DEX_ROUTER }, tokens);
+  ledger.registerModule(MODULE, memoryDexModule(pools, tokens));
+  for (const p of pools.list().filter((pool) => pool.source === 'fixture')) {
+    const [coinA, coinB] = [tokens.get(p.tokenA).coinType, tokens.get(p.tokenB).coinType];
+    if (!coinA || !coinB) continue; // the router only takes coin type arguments
+    ledger.fund(MEMORY_DEX_ADDR, p.reserveA, coinA);
+    ledger.fund(MEMORY_DEX_ADDR, p.reserveB, coinB);
+  }
+  return pools;
+}
@@ -0,0 +1,103 @@
+/*
+ * Pool registry for the DEX adapter.
+ * ---------------------------------
+ * Pools come from a JSON config (DEX_POOLS_FILE) or the built-in demo fixture. A pool either carries fixed
+ * reserves (fixture) or points at an on-chain resource whose reserve fields are read on refresh, e.g.
+ *   { "id": "apt-usdc", "tokenA": "APT", "tokenB": "USDC", "feeBps": 30,
+ *     "resource": { "account": "0xpool", "resourceType": "0xdex::pool::Pool<...>",
+ *                   "reserveAPath": "coin_x_reserve.value", "reserveBPath": "coin_y_reserve.value" } }
+ * `router` names the entry functions used to execute swaps (type args: [coinIn, coinOut], or the whole
+ * path for the optional multi-hop variants).
+ */
+import { z } from 'zod';
+import { getTokenRegistry } from '../tokens/tokenRegistry.js';
+// Demo pool so quoting works out of the box (~8 USDC per APT)
+export const DEFAULT_POOL_CONFIG = {
+    pools: [
+        { id: 'apt-usdc', tokenA: 'APT', tokenB: 'USDC', feeBps: 30, reserveA: '100000000000000', reserveB: '8000000000000' },
+    ],
+};
+const AtomicString = z.string().regex(/^\d+$/, 'Reserve must be an integer string (atomic units)');
+const PoolFileSchema = z.object({
+    router: z.object({ exactIn: z.string(), exactOut: z.string(), multihopExactIn: z.string().optional(), multihopExactOut: z.string().optional() }).optional(),
+    refreshMs: z.number().int().nonnegative().optional(),
+    pools: z.array(z.object({
+        id: z.string().min(1),
+        tokenA: z.string(),
+        tokenB: z.string(),
+        feeBps: z.number().int().min(0).max(9999),
+        reserveA: AtomicString.optional(),
+        reserveB: AtomicString.optional(),
+        resource: z.object({ account: z.string(), resourceType: z.string(), reserveAPath: z.string(), reserveBPath: z.string() }).optional(),
+    }).refine((p) => p.resource || (p.reserveA && p.reserveB), 'Pool needs reserveA/reserveB or a resource source')),
+});
+export function loadPoolConfig(json) {
+    if (!json || !json.trim())
+        return DEFAULT_POOL_CONFIG;
+    const parsed = PoolFileSchema.safeParse(JSON.parse(json));
+    if (!parsed.success) {
+        throw new Error('Invalid pool config: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+    }
+    return parsed.data;
+}
+function readPath(data, path) {
+    const value = path.split('.').reduce((acc, k) => acc?.[k], data);
+    if (value === undefined || value === null)
+        throw new Error(`Field ${path} missing from pool resource`);
+    return BigInt(value);
+}
+export class PoolRegistry {
+    config;
+    pools;
+    router;
+    refreshMs;
+    constructor(config = DEFAULT_POOL_CONFIG, tokens = getTokenRegistry()) {
+        this.config = config;
+        this.router = config.router;
+        this.refreshMs = config.refreshMs ?? 10_000;
+        this.pools = config.pools.map((p) => ({
+            id: p.id,
+            tokenA: tokens.get(p.tokenA).symbol,
+            tokenB: tokens.get(p.tokenB).symbol,
+            feeBps: p.feeBps,
+            reserveA: BigInt(p.reserveA ?? 0),
+            reserveB: BigInt(p.reserveB ?? 0),
+            source: p.resource ? 'chain' : 'fixture',
+            resource: p.resource,
+        }));
+    }
+    list() { return this.pools; }
+    // Pools trading the given pair (either orientation)
+    find(tokenIn, tokenOut) {
+        return this.pools.filter((p) => (p.tokenA === tokenIn && p.tokenB === tokenOut) || (p.tokenA === tokenOut && p.tokenB === tokenIn));
+    }
+    // Reserves oriented for a swap that sells tokenIn into the pool
+    reservesFor(pool, tokenIn) {
+        if (pool.tokenA === tokenIn)
+            return { reserveIn: pool.reserveA, reserveOut: pool.reserveB, feeBps: pool.feeBps };
+        if (pool.tokenB === tokenIn)
+            return { reserveIn: pool.reserveB, reserveOut: pool.reserveA, feeBps: pool.feeBps };
+        throw new Error(`Pool ${pool.id} does not trade ${tokenIn}`);
+    }
+    // Re-read on-chain reserves older than refreshMs (fixture pools are left alone)
+    async refresh(client, now = Date.now()) {
+        const stale = this.pools.filter((p) => p.resource && (!p.updatedAt || now - p.updatedAt >= this.refreshMs));
+        await Promise.all(stale.map(async (p) => {
+            const res = await client.aptos.getAccountResource({ accountAddress: p.resource.account, resourceType: p.resource.resourceType });
+            const data = res?.data ?? res; // SDK returns the data object; older shapes wrap it in { data }
+            p.reserveA = readPath(data, p.resource.reserveAPath);
+            p.reserveB = readPath(data, p.resource.reserveBPath);
+            p.updatedAt = now;
+        }));
+    }
+}
+// Process-wide pool registry; the server replaces it at startup from DEX_POOLS_FILE
+let registry = null;
+export function getPoolRegistry() {
+    if (!registry)
+        registry = new PoolRegistry();
+    return registry;
+}
+export function setPoolRegistry(next) {
+    registry = next;
+}
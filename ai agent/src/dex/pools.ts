@@ -0,0 +1,153 @@
+/*
+ * Pool registry for the DEX adapter.
+ * ---------------------------------
+ * Pools come from a JSON config (DEX_POOLS_FILE) or the built-in demo fixture. A pool either carries fixed
+ * reserves (fixture) or points at an on-chain resource whose reserve fields are read on refresh, e.g.
+ *   { "id": "apt-usdc", "tokenA": "APT", "tokenB": "USDC", "feeBps": 30,
+ *     "resource": { "account": "0xpool", "resourceType": "0xdex::pool::Pool<...>",
+ *                   "reserveAPath": "coin_x_reserve.value", "reserveBPath": "coin_y_reserve.value" } }
+ * `router` names the entry functions used to execute swaps (type args: [coinIn, coinOut], or the whole
+ * path for the optional multi-hop variants).
+ */
+import { z } from 'zod';
+import { AptosClientWrapper } from '../aptos/aptosClient.js';
+import { TokenRegistry, getTokenRegistry } from '../tokens/tokenRegistry.js';
+import { PoolReserves } from './amm.js';
+
+export interface PoolResourceSource {
+  account: string;
+  resourceType: string;
+  reserveAPath: string; // dot path into the resource data, e.g. coin_x_reserve.value
+  reserveBPath: string;
+}
+
+export interface PoolConfig {
+  id: string;
+  tokenA: string;
+  tokenB: string;
+  feeBps: number;
+  reserveA?: string; // atomic units (fixture pools)
+  reserveB?: string;
+  resource?: PoolResourceSource;
+}
+
+export interface DexRouterConfig {
+  exactIn: string;  // fun<In, Out>(amount_in, min_amount_out)
+  exactOut: string; // fun<In, Out>(max_amount_in, amount_out)
+  multihopExactIn?: string;  // fun<T0, ..., Tn>(amount_in, min_amount_out), type args = route path
+  multihopExactOut?: string; // fun<T0, ..., Tn>(max_amount_in, amount_out)
+}
+
+export interface PoolFileConfig {
+  router?: DexRouterConfig;
+  refreshMs?: number; // how long on-chain reserves are reused (default 10s)
+  pools: PoolConfig[];
+}
+
+export interface Pool {
+  id: string;
+  tokenA: string;
+  tokenB: string;
+  feeBps: number;
+  reserveA: bigint;
+  reserveB: bigint;
+  source: 'fixture' | 'chain';
+  updatedAt?: number;
+  resource?: PoolResourceSource;
+}
+
+// Demo pool so quoting works out of the box (~8 USDC per APT)
+export const DEFAULT_POOL_CONFIG: PoolFileConfig = {
+  pools: [
+    { id: 'apt-usdc', tokenA: 'APT', tokenB: 'USDC', feeBps: 30, reserveA: '100000000000000', reserveB: '8000000000000' },
+  ],
+};
+
+const AtomicString = z.string().regex(/^\d+$/, 'Reserve must be an integer string (atomic units)');
+
+const PoolFileSchema = z.object({
+  router: z.object({ exactIn: z.string(), exactOut: z.string(), multihopExactIn: z.string().optional(), multihopExactOut: z.string().optional() }).optional(),
+  refreshMs: z.number().int().nonnegative().optional(),
+  pools: z.array(z.object({
+    id: z.string().min(1),
+    tokenA: z.string(),
+    tokenB: z.string(),
+    feeBps: z.number().int().min(0).max(9999),
+    reserveA: AtomicString.optional(),
+    reserveB: AtomicString.optional(),
+    resource: z.object({ account: z.string(), resourceType: z.string(), reserveAPath: z.string(), reserveBPath: z.string() }).optional(),
+  }).refine((p) => p.resource || (p.reserveA && p.reserveB), 'Pool needs reserveA/reserveB or a resource source')),
+});
+
+export function loadPoolConfig(json?: string): PoolFileConfig {
+  if (!json || !json.trim()) return DEFAULT_POOL_CONFIG;
+  const parsed = PoolFileSchema.safeParse(JSON.parse(json));
+  if (!parsed.success) {
+    throw new Error('Invalid pool config: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+  }
+  return parsed.data;
+}
+
+function readPath(data: any, path: string): bigint {
+  const value = path.split('.').reduce((acc, k) => acc?.[k], data);
+  if (value === undefined || value === null) throw new Error(`Field ${path} missing from pool resource`);
+  return BigInt(value);
+}
+
+export class PoolRegistry {
+  private pools: Pool[];
+  readonly router?: DexRouterConfig;
+  private refreshMs: number;
+
+  constructor(readonly config: PoolFileConfig = DEFAULT_POOL_CONFIG, tokens: TokenRegistry = getTokenRegistry()) {
+    this.router = config.router;
+    this.refreshMs = config.refreshMs ?? 10_000;
+    this.pools = config.pools.map((p) => ({
+      id: p.id,
+      tokenA: tokens.get(p.tokenA).symbol,
+      tokenB: tokens.get(p.tokenB).symbol,
+      feeBps: p.feeBps,
+      reserveA: BigInt(p.reserveA ?? 0),
+      reserveB: BigInt(p.reserveB ?? 0),
+      source: p.resource ? 'chain' : 'fixture',
+      resource: p.resource,
+    }));
+  }
+
+  list(): Pool[] { return this.pools; }
+
+  // Pools trading the given pair (either orientation)
+  find(tokenIn: string, tokenOut: string): Pool[] {
+    return this.pools.filter((p) => (p.tokenA === tokenIn && p.tokenB === tokenOut) || (p.tokenA === tokenOut && p.tokenB === tokenIn));
+  }
+
+  // Reserves oriented for a swap that sells tokenIn into the pool
+  reservesFor(pool: Pool, tokenIn: string): PoolReserves {
+    if (pool.tokenA === tokenIn) return { reserveIn: pool.reserveA, reserveOut: pool.reserveB, feeBps: pool.feeBps };
+    if (pool.tokenB === tokenIn) return { reserveIn: pool.reserveB, reserveOut: pool.reserveA, feeBps: pool.feeBps };
+    throw new Error(`Pool ${pool.id} does not trade ${tokenIn}`);
+  }
+
+  // Re-read on-chain reserves older than refreshMs (fixture pools are left alone)
+  async refresh(client: AptosClientWrapper, now = Date.now()) {
+    const stale = this.pools.filter((p) => p.resource && (!p.updatedAt || now - p.updatedAt >= this.refreshMs));
+    await Promise.all(stale.map(async (p) => {
+      const res: any = await client.aptos.getAccountResource({ accountAddress: p.resource!.account, resourceType: p.resource!.resourceType as any });
+      const data = res?.data ?? res; // SDK returns the data object; older shapes wrap it in { data }
+      p.reserveA = readPath(data, p.resource!.reserveAPath);
+      p.reserveB = readPath(data, p.resource!.reserveBPath);
+      p.updatedAt = now;
+    }));
+  }
+}
+
+// Process-wide pool registry; the server replaces it at startup from DEX_POOLS_FILE
+let registry: PoolRegistry | null = null;
+export function getPoolRegistry(): PoolRegistry {
+  if (!registry) registry = new PoolRegistry();
+  return registry;
+}
+
+export function setPoolRegistry(next: PoolRegistry) {
+  registry = next;
+}
@@ -0,0 +1,9 @@
+import { quoteExactIn, quoteExactOut } from './amm.js';
+export function quotePool(pools, poolId, tokenIn, tokenOut, mode, amount, slippageBps) {
+    const pool = pools.list().find((p) => p.id === poolId);
+    if (!pool)
+        throw new Error(`Unknown pool ${poolId}`);
+    const reserves = pools.reservesFor(pool, tokenIn);
+    const q = mode === 'exactIn' ? quoteExactIn(amount, reserves, slippageBps) : quoteExactOut(amount, reserves, slippageBps);
+    return { ...q, poolId, tokenIn, tokenOut, slippageBps };
+}
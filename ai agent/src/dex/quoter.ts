@@ -0,0 +1,20 @@
+/*
+ * Single-pool quote, oriented by the token being sold. Route search (routeFinder.ts) chains these per hop.
+ */
+import { PoolRegistry } from './pools.js';
+import { SwapMode, SwapQuote, quoteExactIn, quoteExactOut } from './amm.js';
+
+export interface PoolQuote extends SwapQuote {
+  poolId: string;
+  tokenIn: string;
+  tokenOut: string;
+  slippageBps: number;
+}
+
+export function quotePool(pools: PoolRegistry, poolId: string, tokenIn: string, tokenOut: string, mode: SwapMode, amount: bigint, slippageBps: number): PoolQuote {
+  const pool = pools.list().find((p) => p.id === poolId);
+  if (!pool) throw new Error(`Unknown pool ${poolId}`);
+  const reserves = pools.reservesFor(pool, tokenIn);
+  const q = mode === 'exactIn' ? quoteExactIn(amount, reserves, slippageBps) : quoteExactOut(amount, reserves, slippageBps);
+  return { ...q, poolId, tokenIn, tokenOut, slippageBps };
+}
@@ -0,0 +1,113 @@
+import { applySlippage } from './amm.js';
+import { quotePool } from './quoter.js';
+// All simple token paths from tokenIn to tokenOut (no token or pool visited twice)
+export function enumeratePaths(pools, tokenIn, tokenOut, maxHops = 3) {
+    const out = [];
+    const walk = (token, path, poolIds) => {
+        if (poolIds.length >= maxHops)
+            return;
+        for (const pool of pools.list()) {
+            if (poolIds.includes(pool.id))
+                continue;
+            const next = pool.tokenA === token ? pool.tokenB : pool.tokenB === token ? pool.tokenA : undefined;
+            if (!next || path.includes(next))
+                continue;
+            if (next === tokenOut)
+                out.push({ path: [...path, next], poolIds: [...poolIds, pool.id] });
+            else
+                walk(next, [...path, next], [...poolIds, pool.id]);
+        }
+    };
+    walk(tokenIn, [tokenIn], []);
+    return out;
+}
+function compound(bpsList) {
+    const keep = bpsList.reduce((acc, b) => acc * (1 - b / 10_000), 1);
+    return Math.round((1 - keep) * 10_000);
+}
+export function quoteRoute(pools, c, mode, amount, slippageBps) {
+    const hops = [];
+    if (mode === 'exactIn') {
+        let running = amount;
+        c.poolIds.forEach((poolId, i) => {
+            const q = quotePool(pools, poolId, c.path[i], c.path[i + 1], 'exactIn', running, 0);
+            hops.push(q);
+            running = q.amountOut;
+        });
+    }
+    else {
+        let running = amount;
+        for (let i = c.poolIds.length - 1; i >= 0; i--) {
+            const q = quotePool(pools, c.poolIds[i], c.path[i], c.path[i + 1], 'exactOut', running, 0);
+            hops.unshift(q);
+            running = q.amountIn;
+        }
+    }
+    const amountIn = hops[0].amountIn;
+    const amountOut = hops[hops.length - 1].amountOut;
+    return {
+        mode,
+        path: c.path,
+        poolIds: c.poolIds,
+        hops,
+        amountIn,
+        amountOut,
+        limit: applySlippage(mode, mode === 'exactIn' ? amountOut : amountIn, slippageBps),
+        priceImpactBps: compound(hops.map((h) => h.priceImpactBps)),
+        feeBps: compound(c.poolIds.map((id) => pools.list().find((p) => p.id === id).feeBps)),
+    };
+}
+// Pools a router that takes the best pool per hop (e.g. src/dex/memoryDex.ts) trades `path` through for
+// `amount`: walking forward from the input for exactIn, backward from the output for exactOut
+export function routeThroughBestPools(pools, path, mode, amount) {
+    const poolIds = new Array(path.length - 1);
+    const pickHop = (i, running) => {
+        const quotes = pools.find(path[i], path[i + 1]).flatMap((pool) => {
+            try {
+                return [quotePool(pools, pool.id, path[i], path[i + 1], mode, running, 0)];
+            }
+            catch {
+                return [];
+            }
+        });
+        if (!quotes.length)
+            throw new Error(`No pool can fill ${path[i]} → ${path[i + 1]}`);
+        const best = quotes.reduce((a, b) => (mode === 'exactIn' ? b.amountOut > a.amountOut : b.amountIn < a.amountIn) ? b : a);
+        poolIds[i] = best.poolId;
+        return mode === 'exactIn' ? best.amountOut : best.amountIn;
+    };
+    let running = amount;
+    if (mode === 'exactIn')
+        for (let i = 0; i + 1 < path.length; i++)
+            running = pickHop(i, running);
+    else
+        for (let i = path.length - 2; i >= 0; i--)
+            running = pickHop(i, running);
+    return { path, poolIds };
+}
+// Positive when a is the better route
+export function compareRoutes(a, b) {
+    const diff = a.mode === 'exactIn' ? a.amountOut - b.amountOut : b.amountIn - a.amountIn;
+    if (diff !== 0n)
+        return diff > 0n ? 1 : -1;
+    return b.hops.length - a.hops.length;
+}
+export function findBestRoute(pools, tokenIn, tokenOut, mode, amount, slippageBps, opts = {}) {
+    const candidates = enumeratePaths(pools, tokenIn, tokenOut, opts.maxHops ?? 3);
+    if (!candidates.length)
+        throw new Error(`No route from ${tokenIn} to ${tokenOut} through known pools`);
+    const quoted = [];
+    const rejected = [];
+    for (const c of candidates) {
+        try {
+            quoted.push(quoteRoute(pools, c, mode, amount, slippageBps));
+        }
+        catch (e) {
+            rejected.push({ ...c, reason: e.message });
+        }
+    }
+    if (!quoted.length)
+        throw new Error(`No route can fill ${tokenIn} → ${tokenOut} (${rejected.map((r) => `${r.path.join('→')}: ${r.reason}`).join('; ')})`);
+    quoted.sort((a, b) => compareRoutes(b, a));
+    return { best: quoted[0], alternatives: quoted.slice(1), rejected };
+}
@@ -0,0 +1,82 @@
+import { quoteRoute } from './routeFinder.js';
+// Unordered token pairs a route trades, e.g. APT/USDC
+function pairsOf(route) {
+    return route.path.slice(1).map((token, i) => [route.path[i], token].sort().join('/'));
+}
+// Best routes that share no pool or token pair with a better one (so never the same path twice).
+// Routes rejected for the full amount come last: they may still fill part of it (e.g. a shallow pool on an exactOut order).
+export function selectDisjointRoutes(search, maxLegs) {
+    const picked = [];
+    const usedPools = new Set();
+    const usedPairs = new Set();
+    for (const r of [search.best, ...search.alternatives, ...search.rejected]) {
+        if (picked.length >= maxLegs)
+            break;
+        if (r.poolIds.some((id) => usedPools.has(id)) || pairsOf(r).some((pair) => usedPairs.has(pair)))
+            continue;
+        picked.push(r);
+        r.poolIds.forEach((id) => usedPools.add(id));
+        pairsOf(r).forEach((pair) => usedPairs.add(pair));
+    }
+    return picked;
+}
+// Amount on the quoted side for an allocation; undefined when the route cannot fill it
+function quoteSide(pools, route, mode, alloc) {
+    if (alloc === 0n)
+        return 0n;
+    try {
+        const q = quoteRoute(pools, route, mode, alloc, 0);
+        return mode === 'exactIn' ? q.amountOut : q.amountIn;
+    }
+    catch {
+        return undefined;
+    }
+}
+export function optimiseSplit(pools, search, amount, slippageBps, opts = {}) {
+    const mode = search.best.mode;
+    const single = search.best;
+    const routes = selectDisjointRoutes(search, opts.maxLegs ?? 3);
+    const maxSteps = BigInt(opts.steps ?? 200);
+    const steps = amount < maxSteps ? amount : maxSteps;
+    const chunk = amount / steps;
+    const alloc = routes.map(() => 0n);
+    const side = routes.map(() => 0n); // current output (exactIn) or input (exactOut) per route
+    for (let i = 0n; i < steps; i++) {
+        const size = i === steps - 1n ? amount - chunk * (steps - 1n) : chunk;
+        let pick = -1;
+        let pickSide = 0n;
+        let pickDelta = 0n;
+        routes.forEach((r, idx) => {
+            const next = quoteSide(pools, r, mode, alloc[idx] + size);
+            if (next === undefined)
+                return;
+            const delta = next - side[idx];
+            const better = mode === 'exactIn' ? delta > pickDelta : delta < pickDelta;
+            if (pick < 0 || better) {
+                pick = idx;
+                pickSide = next;
+                pickDelta = delta;
+            }
+        });
+        if (pick < 0)
+            throw new Error(`No route can absorb the order (${routes.map((r) => r.path.join('→')).join(', ')})`);
+        alloc[pick] += size;
+        side[pick] = pickSide;
+    }
+    const legs = [];
+    routes.forEach((r, idx) => {
+        if (alloc[idx] === 0n)
+            return;
+        const route = quoteRoute(pools, r, mode, alloc[idx], slippageBps);
+        const probe = chunk > 0n && chunk < alloc[idx] ? chunk : alloc[idx];
+        const delta = side[idx] - (quoteSide(pools, r, mode, alloc[idx] - probe) ?? side[idx]);
+        const marginalRate = delta <= 0n ? 0 : mode === 'exactIn' ? Number(delta) / Number(probe) : Number(probe) / Number(delta);
+        legs.push({ route, shareBps: Number((alloc[idx] * 10000n) / amount), marginalRate });
+    });
+    const amountIn = legs.reduce((acc, l) => acc + l.route.amountIn, 0n);
+    const amountOut = legs.reduce((acc, l) => acc + l.route.amountOut, 0n);
+    const improvementBps = mode === 'exactIn'
+        ? Number(((amountOut - single.amountOut) * 10000n) / single.amountOut)
+        : Number(((single.amountIn - amountIn) * 10000n) / single.amountIn);
+    return { mode, legs, amountIn, amountOut, single, improvementBps };
+}
@@ -0,0 +1,111 @@
+/*
+ * Split optimiser: spreads one swap over several routes so no single pool takes the whole order.
+ * ---------------------------------
+ * The order is cut into equal chunks and each chunk goes to the route whose next unit is cheapest
+ * (highest marginal output for exactIn, lowest marginal input for exactOut). Repeating this until the
+ * order is filled converges on equal marginal prices across the legs used — the optimum for
+ * constant-product pools. Only routes that share no pool and no token pair are combined: executing the
+ * legs one after another then does not move the reserves another leg was quoted against, and since the
+ * router payload names coin types only (the router picks the pool for each pair), two legs over the same
+ * pair could not be kept in different pools anyway.
+ */
+import { PoolRegistry } from './pools.js';
+import { SwapMode } from './amm.js';
+import { RouteCandidate, RouteQuote, RouteSearchResult, quoteRoute } from './routeFinder.js';
+
+export interface SplitLeg {
+  route: RouteQuote;
+  shareBps: number;      // share of the order (input for exactIn, output for exactOut)
+  marginalRate: number;  // atomic out per atomic in for the leg's last chunk
+}
+
+export interface SplitPlan {
+  mode: SwapMode;
+  legs: SplitLeg[];
+  amountIn: bigint;
+  amountOut: bigint;
+  single: RouteQuote;      // best single route, for comparison
+  improvementBps: number;  // extra output (exactIn) or saved input (exactOut) vs single
+}
+
+export interface SplitOptions {
+  maxLegs?: number; // default 3
+  steps?: number;   // chunks the order is cut into, default 200
+}
+
+// Unordered token pairs a route trades, e.g. APT/USDC
+function pairsOf(route: RouteCandidate): string[] {
+  return route.path.slice(1).map((token, i) => [route.path[i], token].sort().join('/'));
+}
+
+// Best routes that share no pool or token pair with a better one (so never the same path twice).
+// Routes rejected for the full amount come last: they may still fill part of it (e.g. a shallow pool on an exactOut order).
+export function selectDisjointRoutes(search: RouteSearchResult, maxLegs: number): RouteCandidate[] {
+  const picked: RouteCandidate[] = [];
+  const usedPools = new Set<string>();
+  const usedPairs = new Set<string>();
+  for (const r of [search.best, ...search.alternatives, ...search.rejected]) {
+    if (picked.length >= maxLegs) break;
+    if (r.poolIds.some((id) => usedPools.has(id)) || pairsOf(r).some((pair) => usedPairs.has(pair))) continue;
+    picked.push(r);
+    r.poolIds.forEach((id) => usedPools.add(id));
+    pairsOf(r).forEach((pair) => usedPairs.add(pair));
+  }
+  return picked;
+}
+
+// Amount on the quoted side for an allocation; undefined when the route cannot fill it
+function quoteSide(pools: PoolRegistry, route: RouteCandidate, mode: SwapMode, alloc: bigint): bigint | undefined {
+  if (alloc === 0n) return 0n;
+  try {
+    const q = quoteRoute(pools, route, mode, alloc, 0);
+    return mode === 'exactIn' ? q.amountOut : q.amountIn;
+  } catch {
+    return undefined;
+  }
+}
+
+export function optimiseSplit(pools: PoolRegistry, search: RouteSearchResult, amount: bigint, slippageBps: number, opts: SplitOptions = {}): SplitPlan {
+  const mode = search.best.mode;
+  const single = search.best;
+  const routes = selectDisjointRoutes(search, opts.maxLegs ?? 3);
+  const maxSteps = BigInt(opts.steps ?? 200);
+  const steps = amount < maxSteps ? amount : maxSteps;
+  const chunk = amount / steps;
+
+  const alloc = routes.map(() => 0n);
+  const side = routes.map(() => 0n); // current output (exactIn) or input (exactOut) per route
+  for (let i = 0n; i < steps; i++) {
+    const size = i === steps - 1n ? amount - chunk * (steps - 1n) : chunk;
+    let pick = -1;
+    let pickSide = 0n;
+    let pickDelta = 0n;
+    routes.forEach((r, idx) => {
+      const next = quoteSide(pools, r, mode, alloc[idx] + size);
+      if (next === undefined) return;
+      const delta = next - side[idx];
+      const better = mode === 'exactIn' ? delta > pickDelta : delta < pickDelta;
+      if (pick < 0 || better) { pick = idx; pickSide = next; pickDelta = delta; }
+    });
+    if (pick < 0) throw new Error(`No route can absorb the order (${routes.map((r) => r.path.join('→')).join(', ')})`);
+    alloc[pick] += size;
+    side[pick] = pickSide;
+  }
+
+  const legs: SplitLeg[] = [];
+  routes.forEach((r, idx) => {
+    if (alloc[idx] === 0n) return;
+    const route = quoteRoute(pools, r, mode, alloc[idx], slippageBps);
+    const probe = chunk > 0n && chunk < alloc[idx] ? chunk : alloc[idx];
+    const delta = side[idx] - (quoteSide(pools, r, mode, alloc[idx] - probe) ?? side[idx]);
+    const marginalRate = delta <= 0n ? 0 : mode === 'exactIn' ? Number(delta) / Number(probe) : Number(probe) / Number(delta);
+    legs.push({ route, shareBps: Number((alloc[idx] * 10_000n) / amount), marginalRate });
+  });
+
+  const amountIn = legs.reduce((acc, l) => acc + l.route.amountIn, 0n);
+  const amountOut = legs.reduce((acc, l) => acc + l.route.amountOut, 0n);
+  const improvementBps = mode === 'exactIn'
+    ? Number(((amountOut - single.amountOut) * 10_000n) / single.amountOut)
+    : Number(((single.amountIn - amountIn) * 10_000n) / single.amountIn);
+  return { mode, legs, amountIn, amountOut, single, improvementBps };
+}
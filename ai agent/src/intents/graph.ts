@@ -0,0 +1,91 @@
+/*
+ * Intent dependency graph.
+ * ---------------------------------
+ * Intents may reference the output of an earlier intent instead of a literal value, e.g.
+ *   { type: 'TRANSFER', amount: '$ref:0.amountOut', ... }
+ * means "use the amountOut produced by intent #0". This module extracts those references,
+ * orders intents so producers run before consumers, and substitutes resolved values.
+ */
+import { Intent, parseIntent, REF_PREFIX, intentRefRegex } from './schema.js';
+
+export interface IntentRef {
+  field: string;   // intent field holding the reference (e.g. amount)
+  ref: string;     // raw reference string ($ref:0.amountOut)
+  source: number;  // index of the producing intent
+  path: string[];  // path into the producer's outputs
+}
+
+export interface IntentGraphNode {
+  index: number;
+  dependsOn: number[];
+  refs: IntentRef[];
+  error?: string; // malformed / out-of-range / circular reference
+}
+
+export interface IntentGraph {
+  nodes: IntentGraphNode[];
+  order: number[]; // topological execution order (stable by original index)
+}
+
+export function isIntentRef(value: unknown): value is string {
+  return typeof value === 'string' && value.startsWith(REF_PREFIX);
+}
+
+export function parseIntentRef(field: string, raw: string): IntentRef {
+  const m = intentRefRegex.exec(raw);
+  if (!m) throw new Error(`Invalid reference "${raw}" in ${field} (expected ${REF_PREFIX}<index>.<field>)`);
+  return { field, ref: raw, source: Number(m[1]), path: m[2].split('.') };
+}
+
+export function extractIntentRefs(intent: Intent): IntentRef[] {
+  return Object.entries(intent)
+    .filter(([, v]) => isIntentRef(v))
+    .map(([field, v]) => parseIntentRef(field, v as string));
+}
+
+export function buildIntentGraph(intents: Intent[]): IntentGraph {
+  const nodes: IntentGraphNode[] = intents.map((intent, index) => {
+    try {
+      const refs = extractIntentRefs(intent);
+      const dependsOn = [...new Set(refs.map((r) => r.source))].sort((a, b) => a - b);
+      const bad = dependsOn.find((d) => d === index || d < 0 || d >= intents.length);
+      if (bad !== undefined) {
+        return { index, refs, dependsOn, error: bad === index ? 'Intent references its own output' : `Reference to unknown intent index ${bad}` };
+      }
+      return { index, refs, dependsOn };
+    } catch (e: any) {
+      return { index, refs: [], dependsOn: [], error: e?.message || String(e) };
+    }
+  });
+
+  // Kahn's algorithm, always picking the lowest ready index so independent intents keep prompt order
+  const remaining = new Map(nodes.map((n) => [n.index, new Set(n.error ? [] : n.dependsOn)]));
+  const order: number[] = [];
+  while (remaining.size) {
+    const ready = [...remaining.entries()].filter(([, deps]) => deps.size === 0).map(([i]) => i).sort((a, b) => a - b);
+    if (!ready.length) break;
+    const next = ready[0];
+    order.push(next);
+    remaining.delete(next);
+    remaining.forEach((deps) => deps.delete(next));
+  }
+  // Anything left is part of (or downstream of) a cycle
+  for (const index of [...remaining.keys()].sort((a, b) => a - b)) {
+    nodes[index].error = nodes[index].error || 'Circular reference between intents';
+    order.push(index);
+  }
+  return { nodes, order };
+}
+
+// Substitute references with values from upstream outputs, then re-validate the concrete intent.
+export function resolveIntentRefs<I extends Intent>(intent: I, refs: IntentRef[], outputsOf: (index: number) => Record<string, any> | undefined): I {
+  if (!refs.length) return intent;
+  const concrete: Record<string, any> = { ...intent };
+  for (const r of refs) {
+    let value: any = outputsOf(r.source);
+    for (const key of r.path) value = value == null ? undefined : value[key];
+    if (value == null) throw new Error(`Unresolved reference ${r.ref}: intent #${r.source + 1} produced no "${r.path.join('.')}"`);
+    concrete[r.field] = String(value);
+  }
+  return parseIntent(concrete) as I;
+}
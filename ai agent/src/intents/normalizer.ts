@@ -17,7 +17,7 @@
  * See example server usage at bottom of file.
  */
 
-import { createLLMClient, LLMClient, LLMClientConfig, ExtractIntentsResult } from '../api/llmClient.js';
+import { createLLMClient, LLMClient, LLMClientConfig, LLMProviderSpec, LLMProviderName, ExtractIntentsResult } from '../api/llmClient.js';
 
 export interface IntentParserConfig {
   llm?: LLMClient; // preconfigured client (optional)
@@ -26,6 +26,55 @@ export interface IntentParserConfig {
   temperature?: number;
   // For server-side creation: pass explicit API key or rely on process.env
   apiKey?: string;
+  maxRepairAttempts?: number; // JSON self-repair attempts (falls back to LLM_MAX_REPAIRS env, then 2)
+  fallbacks?: LLMProviderSpec[]; // explicit fallback chain (falls back to LLM_PROVIDER_CHAIN env, then every keyed provider + mock)
+}
+
+const PROVIDER_ENV: Partial<Record<LLMProviderName, { key: string; model: string; defaultModel: string; endpoint?: string }>> = {
+  groq: { key: 'GROQ_API_KEY', model: 'GROQ_MODEL', defaultModel: 'llama-3.1-70b-versatile' },
+  deepseek: { key: 'DEEPSEEK_API_KEY', model: 'DEEPSEEK_MODEL', defaultModel: 'deepseek-chat' },
+  openai: { key: 'OPENAI_API_KEY', model: 'OPENAI_MODEL', defaultModel: 'gpt-4o-mini' },
+  anthropic: { key: 'ANTHROPIC_API_KEY', model: 'ANTHROPIC_MODEL', defaultModel: 'claude-3-sonnet-20240229' },
+  // Local server (Ollama / llama.cpp); configured by base URL, the key is optional
+  'openai-compatible': { key: 'LOCAL_LLM_API_KEY', model: 'LOCAL_LLM_MODEL', defaultModel: 'llama3.1', endpoint: 'LOCAL_LLM_BASE_URL' },
+};
+
+function envSet(name: string): boolean {
+  return !!(process.env[name] && process.env[name]!.trim());
+}
+
+// Whether a provider has what it needs in the environment (key, or base URL for local servers)
+export function providerConfigured(provider: LLMProviderName): boolean {
+  if (provider === 'generic') return true;
+  const env = PROVIDER_ENV[provider];
+  if (!env) return false;
+  return env.endpoint ? envSet(env.endpoint) : envSet(env.key);
+}
+
+// Auto-selection priority: groq, deepseek, openai, anthropic, local openai-compatible server, else generic mock
+export function selectProvider(): LLMProviderName {
+  return (['groq', 'deepseek', 'openai', 'anthropic', 'openai-compatible'] as const).find(providerConfigured) || 'generic';
+}
+
+// Provider spec from environment variables (undefined when the provider is not configured)
+function providerFromEnv(provider: LLMProviderName): LLMProviderSpec | undefined {
+  if (provider === 'generic') return { provider, model: 'mock' };
+  const env = PROVIDER_ENV[provider];
+  if (!env || !providerConfigured(provider)) return undefined;
+  return {
+    provider,
+    model: process.env[env.model] || env.defaultModel,
+    apiKey: process.env[env.key] || undefined,
+    ...(env.endpoint ? { endpoint: process.env[env.endpoint] } : {}),
+  };
+}
+
+function fallbackChain(primary: LLMProviderName): LLMProviderSpec[] {
+  if (primary === 'generic') return [];
+  const names = process.env.LLM_PROVIDER_CHAIN
+    ? process.env.LLM_PROVIDER_CHAIN.split(',').map((s) => s.trim()).filter(Boolean) as LLMProviderName[]
+    : [...Object.keys(PROVIDER_ENV) as LLMProviderName[], 'generic' as const];
+  return names.filter((n) => n !== primary).map(providerFromEnv).filter((p): p is LLMProviderSpec => !!p);
 }
 
 export class IntentParser {
@@ -36,32 +85,22 @@ export class IntentParser {
     if (cfg.llm) {
       this.llm = cfg.llm;
     } else {
-      // Auto-select provider priority: groq first, then deepseek, then explicit, else openai, else generic
-      const provider = cfg.provider || (
-        process.env.GROQ_API_KEY ? 'groq' :
-        process.env.DEEPSEEK_API_KEY ? 'deepseek' :
-        'openai'
-      );
-      // Improved default model selection per provider
-      const model = cfg.model || (
-        provider === 'anthropic' ? 'claude-3-sonnet-20240229' :
-        provider === 'groq' ? (process.env.GROQ_MODEL || 'llama-3.1-70b-versatile') :
-        provider === 'deepseek' ? (process.env.DEEPSEEK_MODEL || 'deepseek-chat') :
-        'gpt-4o-mini'
-      );
-      const apiKey = cfg.apiKey || (
-        provider === 'openai' ? process.env.OPENAI_API_KEY :
-        provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY :
-        provider === 'groq' ? process.env.GROQ_API_KEY :
-        provider === 'deepseek' ? process.env.DEEPSEEK_API_KEY : undefined
-      );
-      if (!apiKey) {
+      const provider = cfg.provider || selectProvider();
+      const fromEnv = providerFromEnv(provider);
+      const model = cfg.model || fromEnv?.model || 'gpt-4o-mini';
+      const apiKey = cfg.apiKey || fromEnv?.apiKey;
+      if (!apiKey && provider !== 'generic' && provider !== 'openai-compatible') {
         // We don't throw immediately; consumer can still attempt mock provider or handle error gracefully.
-        if (provider !== 'generic') {
-          console.warn(`[IntentParser] Missing API key for provider ${provider}. Set environment variable GROQ_API_KEY, DEEPSEEK_API_KEY, OPENAI_API_KEY, or ANTHROPIC_API_KEY.`);
-        }
+        console.warn(`[IntentParser] Missing API key for provider ${provider}. Set environment variable GROQ_API_KEY, DEEPSEEK_API_KEY, OPENAI_API_KEY, or ANTHROPIC_API_KEY.`);
       }
-      this.llm = createLLMClient({ provider, model, apiKey, temperature: cfg.temperature ?? 0 });
+      const envRepairs = process.env.LLM_MAX_REPAIRS ? Number(process.env.LLM_MAX_REPAIRS) : undefined;
+      const maxRepairAttempts = cfg.maxRepairAttempts ?? envRepairs;
+      const fallbacks = cfg.fallbacks ?? fallbackChain(provider);
+      const retry = {
+        ...(process.env.LLM_RETRIES ? { retries: Number(process.env.LLM_RETRIES) } : {}),
+        ...(process.env.LLM_TIMEOUT_MS ? { timeoutMs: Number(process.env.LLM_TIMEOUT_MS) } : {}),
+      };
+      this.llm = createLLMClient({ provider, model, apiKey, endpoint: fromEnv?.endpoint, temperature: cfg.temperature ?? 0, maxRepairAttempts, fallbacks, retry });
     }
   }
 
@@ -81,9 +120,26 @@ export class IntentParser {
     return this.llm.extractIntents(userPrompt.trim());
   }
 
-  async answer(userPrompt: string): Promise<string> {
+  // Free-form answer; systemPrompt overrides the default assistant persona (see buildAssistantSystemPrompt)
+  async answer(userPrompt: string, systemPrompt?: string): Promise<string> {
     if (!userPrompt || !userPrompt.trim()) return 'Please provide a non-empty prompt.';
-    return this.llm.freeformAnswer(userPrompt.trim());
+    return this.llm.freeformAnswer(userPrompt.trim(), systemPrompt);
+  }
+
+  // answer() plus the provider and model that produced it
+  async answerDetailed(userPrompt: string, systemPrompt?: string) {
+    if (!userPrompt || !userPrompt.trim()) return { text: 'Please provide a non-empty prompt.' };
+    return this.llm.freeformAnswerDetailed(userPrompt.trim(), systemPrompt);
+  }
+
+  // How often extraction needed the JSON repair loop (for diagnostics)
+  getRepairStats() {
+    return this.llm.getRepairStats();
+  }
+
+  // Provider chain, circuit breaker state and which provider answered recent calls
+  getProviderStatus() {
+    return this.llm.getProviderStatus();
   }
 }
 
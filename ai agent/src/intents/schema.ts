@@ -4,6 +4,7 @@
  * We model on-chain actionable intents (initially for Aptos) such as:
  *  - TRANSFER: move fungible tokens between accounts
  *  - SWAP: swap one fungible token for another via a DEX adapter
+ *  - PERP_OPEN / PERP_CLOSE: open or reduce a perp_core position
  *  - (extensible) FUTURE intents can be added with strong typing
  *
  * Design goals:
@@ -14,6 +15,7 @@
  */
 
 import { z } from 'zod';
+import { getTokenRegistry } from '../tokens/tokenRegistry.js';
 
 /**************************************
  * Primitive / branded scalar schemas *
@@ -26,13 +28,25 @@ export const AptosAddress = z
   .regex(aptosAddressRegex, 'Invalid Aptos address (expected 0x + hex, <= 64 chars)')
   .transform((s) => s.toLowerCase() as `${string}`);
 
-// Token symbol: letters/numbers + at most one dash, 2-15 chars
-export const TokenSymbol = z
+// Market / asset symbol: letters/numbers + at most one dash, 2-15 chars (not checked against the registry)
+export const MarketSymbol = z
   .string()
   .min(2)
   .max(15)
   .regex(/^[A-Z0-9]+(-[A-Z0-9]+)?$/i, 'Invalid token symbol');
 
+// Token symbol: must be known to the token registry (symbol or alias); normalized to the canonical symbol
+export const TokenSymbol = z
+  .string()
+  .min(2)
+  .max(15)
+  .superRefine((value, ctx) => {
+    if (!getTokenRegistry().has(value)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Unknown token symbol ${value} (known: ${getTokenRegistry().symbols().join(', ')})` });
+    }
+  })
+  .transform((value) => getTokenRegistry().resolve(value)?.symbol ?? value);
+
 // Positive decimal amount (string to preserve precision)
 export const PositiveAmountString = z
   .string()
@@ -41,6 +55,27 @@ export const PositiveAmountString = z
   .regex(/^(?:0|[1-9]\d*)(?:\.\d+)?$/, 'Amount must be a positive decimal number')
   .refine((v) => Number(v) > 0, 'Amount must be greater than zero');
 
+// Reference to an earlier intent's output: $ref:<index>.<field> (resolved by the executor, see graph.ts)
+export const REF_PREFIX = '$ref:';
+export const intentRefRegex = /^\$ref:(\d+)\.([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)$/;
+
+// Amount that is either a literal positive decimal or a reference to an upstream output
+export const AmountOrRef = z
+  .string()
+  .trim()
+  .superRefine((v, ctx) => {
+    if (v.startsWith(REF_PREFIX)) {
+      if (!intentRefRegex.test(v)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid reference (expected $ref:<index>.<field>)' });
+      }
+      return;
+    }
+    const literal = PositiveAmountString.safeParse(v);
+    if (!literal.success) {
+      literal.error.issues.forEach((i) => ctx.addIssue({ code: z.ZodIssueCode.custom, message: i.message }));
+    }
+  });
+
 // Confidence 0..1 inclusive
 export const Confidence = z
   .number({ invalid_type_error: 'Confidence must be a number' })
@@ -54,6 +89,14 @@ export const SlippageBps = z
   .min(1)
   .max(10_000);
 
+// Leverage multiplier as decimal string (e.g. "5" = 5x); bounded per pair by the perp adapter
+export const LeverageString = PositiveAmountString;
+
+// Perp market symbol: BASE-QUOTE (e.g. APT-USDC) or bare BASE (quote defaults in the adapter)
+export const PerpPairSymbol = MarketSymbol;
+
+export const PerpSide = z.enum(['LONG', 'SHORT']);
+
 // Network identifier (only aptos for now) kept as enum for future multi-chain
 export const Network = z.enum(['aptos']);
 
@@ -61,7 +104,7 @@ export const Network = z.enum(['aptos']);
  * Base intent metadata *
  ***********************/
 
-export const IntentType = z.enum(['TRANSFER', 'SWAP', 'RISK_QUERY', 'UNKNOWN']);
+export const IntentType = z.enum(['TRANSFER', 'SWAP', 'PERP_OPEN', 'PERP_CLOSE', 'RISK_QUERY', 'UNKNOWN']);
 
 export const BaseIntent = z.object({
   type: IntentType,
@@ -89,7 +132,7 @@ export const TransferIntent = BaseIntent.extend({
   type: z.literal('TRANSFER'),
   from: AptosAddress.optional(), // optional if using connected wallet
   to: AptosAddress.describe('Recipient address'),
-  amount: PositiveAmountString.describe('Token amount as decimal string'),
+  amount: AmountOrRef.describe('Token amount as decimal string (or $ref to an earlier output)'),
   token: TokenSymbol.describe('Fungible token symbol'),
 }).strict();
 
@@ -99,9 +142,31 @@ export const SwapIntent = BaseIntent.extend({
   type: z.literal('SWAP'),
   fromToken: TokenSymbol,
   toToken: TokenSymbol,
-  amountIn: PositiveAmountString.optional(),
-  amountOut: PositiveAmountString.optional(),
+  amountIn: AmountOrRef.optional(),
+  amountOut: AmountOrRef.optional(),
   slippageBps: SlippageBps.default(50).describe('Max slippage in basis points (0.50% default)'),
+  split: z.boolean().optional().describe('Spread the order over several routes to reduce price impact'),
+  maxLegs: z.number().int().min(2).max(5).optional().describe('Most routes a split order may use (default 3)'),
+}).strict();
+
+// PERP_OPEN intent (perp_core::open_position)
+export const PerpOpenIntent = BaseIntent.extend({
+  type: z.literal('PERP_OPEN'),
+  pair: PerpPairSymbol.describe('Market symbol e.g. APT-USDC'),
+  side: PerpSide,
+  size: AmountOrRef.describe('Position size in base asset units'),
+  leverage: LeverageString.describe('Leverage multiplier e.g. "5" for 5x'),
+  margin: AmountOrRef.describe('Margin to lock in quote asset units'),
+  user: AptosAddress.optional(), // position owner; defaults to the adapter signer
+}).strict();
+
+// PERP_CLOSE intent (perp_core::close_position). Omitting size closes the full position.
+export const PerpCloseIntent = BaseIntent.extend({
+  type: z.literal('PERP_CLOSE'),
+  pair: PerpPairSymbol.describe('Market symbol e.g. APT-USDC'),
+  size: AmountOrRef.optional().describe('Size to close in base asset units (omit for full close)'),
+  side: PerpSide.optional(),
+  user: AptosAddress.optional(),
 }).strict();
 
 // UNKNOWN fallback (captures unparsed but maybe partially extracted info)
@@ -114,21 +179,26 @@ export const UnknownIntent = BaseIntent.extend({
 // RISK_QUERY informational (non-executable on-chain) — e.g. liquidation, leverage health
 export const RiskQueryIntent = BaseIntent.extend({
   type: z.literal('RISK_QUERY'),
-  asset: TokenSymbol.optional(),
+  asset: MarketSymbol.optional(),
   leverage: PositiveAmountString.optional(),
   focus: z.string().optional().describe('Specific risk focus e.g. liquidation, health, margin'),
+  user: AptosAddress.optional(), // position owner; defaults to the adapter signer
+  shockPcts: z.array(z.number().gt(-100).max(1000)).max(10).optional().describe('Mark price moves to test in percent, e.g. [-15, -20]'),
+  altLeverages: z.array(PositiveAmountString).max(5).optional().describe('Alternate leverages to compare, e.g. ["10"] for 10x'),
 }).strict();
 
 /****************
  * Union schema *
  ****************/
 
-export const Intent = z.discriminatedUnion('type', [TransferIntent, SwapIntent, RiskQueryIntent, UnknownIntent]);
+export const Intent = z.discriminatedUnion('type', [TransferIntent, SwapIntent, PerpOpenIntent, PerpCloseIntent, RiskQueryIntent, UnknownIntent]);
 export type Intent = z.infer<typeof Intent>;
 export type TransferIntent = z.infer<typeof TransferIntent>;
 export type SwapIntent = z.infer<typeof SwapIntent>;
 export type UnknownIntent = z.infer<typeof UnknownIntent>;
 export type RiskQueryIntent = z.infer<typeof RiskQueryIntent>;
+export type PerpOpenIntent = z.infer<typeof PerpOpenIntent>;
+export type PerpCloseIntent = z.infer<typeof PerpCloseIntent>;
 
 /********************************
  * Helpers / type guards / utils *
@@ -155,6 +225,8 @@ export function isUnknownIntent(i: Intent): i is UnknownIntent {
   return i.type === 'UNKNOWN';
 }
 export function isRiskQueryIntent(i: Intent): i is RiskQueryIntent { return i.type === 'RISK_QUERY'; }
+export function isPerpOpenIntent(i: Intent): i is PerpOpenIntent { return i.type === 'PERP_OPEN'; }
+export function isPerpCloseIntent(i: Intent): i is PerpCloseIntent { return i.type === 'PERP_CLOSE'; }
 
 // Flatten zod error to a concise array of path: message strings (UI friendly)
 export function formatZodError(err: z.ZodError): string[] {
@@ -0,0 +1,333 @@
+/*
+ * Mark price oracle: polls price sources on a schedule and pushes perp_core::set_mark_price.
+ * ---------------------------------
+ * Each round fetches every source once, then per pair:
+ *   1. staleness  – quotes older than maxAgeMs are dropped;
+ *   2. median     – of the fresh quotes; quotes more than maxDeviationBps away from it are dropped as outliers and
+ *                   the median of the rest is the new price (fewer than minSources usable quotes: no update);
+ *   3. tick       – the price is rounded to the pair's tick grid (roundPriceToPx);
+ *   4. change     – moves under minChangeBps from the on-chain mark are not sent;
+ *   5. jump       – moves over maxJumpBps are held until the same price (within maxDeviationBps) has been seen in
+ *                   jumpConfirmations consecutive rounds, so one bad round cannot move the mark.
+ * set_mark_price takes the pair admin and the pair's oracle as signers. On chain that is a multi-agent
+ * transaction (admin sends, the oracle key co-signs), so the two must be different accounts; the offline ledger
+ * runs it single-signer with the admin as the oracle. Pairs whose admin / oracle do not match the keys are
+ * listed in the status as disabled.
+ */
+import { z } from 'zod';
+import type { Account } from '@aptos-labs/ts-sdk';
+import { AptosClientWrapper } from '../aptos/aptosClient.js';
+import { perpCore } from '../aptos/moveClient.generated.js';
+import { readPairState } from '../perp/perpState.js';
+import { PerpPair, PerpPairRegistry, getPerpPairRegistry, roundPriceToPx, pxToPrice } from '../perp/pairRegistry.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { PriceQuote, PriceSource, PriceSourceConfig, FileReplaySource, createPriceSource } from './priceSources.js';
+
+export interface OracleGuards {
+  maxAgeMs: number;          // quotes older than this are stale
+  minSources: number;        // usable quotes needed for an update
+  maxDeviationBps: number;   // outlier threshold around the median
+  maxJumpBps: number;        // larger moves from the on-chain mark need confirmation (0 = no limit)
+  jumpConfirmations: number; // consecutive rounds a large move must persist
+  minChangeBps: number;      // smaller moves are not sent (0 = send any tick change)
+}
+
+export interface OracleConfig extends OracleGuards {
+  intervalMs: number;
+  pairs?: string[];          // symbols or ids; default: every registry pair whose oracle is the oracle key
+  sources: PriceSourceConfig[];
+}
+
+export const DEFAULT_ORACLE_GUARDS: OracleGuards = {
+  maxAgeMs: 60_000,
+  minSources: 1,
+  maxDeviationBps: 100,
+  maxJumpBps: 1000,
+  jumpConfirmations: 3,
+  minChangeBps: 0,
+};
+
+const Bps = z.number().int().min(0).max(10_000);
+
+const SourceSchema = z.union([
+  z.object({ type: z.literal('file'), path: z.string().min(1), loop: z.boolean().optional(), name: z.string().optional() }),
+  z.object({ type: z.literal('http'), url: z.string().url(), name: z.string().optional(), timeoutMs: z.number().int().positive().optional() }),
+  z.object({
+    type: z.enum(['binance', 'coinbase', 'kraken']),
+    markets: z.record(z.string()).optional(), // pair symbol (or base) -> exchange market
+    baseUrl: z.string().url().optional(),
+    name: z.string().optional(),
+    timeoutMs: z.number().int().positive().optional(),
+  }),
+]);
+
+const OracleConfigSchema = z.object({
+  intervalMs: z.number().int().min(1000).default(15_000),
+  maxAgeMs: z.number().int().positive().default(DEFAULT_ORACLE_GUARDS.maxAgeMs),
+  minSources: z.number().int().min(1).default(DEFAULT_ORACLE_GUARDS.minSources),
+  maxDeviationBps: Bps.default(DEFAULT_ORACLE_GUARDS.maxDeviationBps),
+  maxJumpBps: Bps.default(DEFAULT_ORACLE_GUARDS.maxJumpBps),
+  jumpConfirmations: z.number().int().min(1).default(DEFAULT_ORACLE_GUARDS.jumpConfirmations),
+  minChangeBps: Bps.default(DEFAULT_ORACLE_GUARDS.minChangeBps),
+  pairs: z.array(z.union([z.string(), z.number().int()]).transform(String)).optional(),
+  sources: z.array(SourceSchema).min(1, 'at least one price source is required'),
+});
+
+export function loadOracleConfig(json: string): OracleConfig {
+  const parsed = OracleConfigSchema.safeParse(JSON.parse(json));
+  if (!parsed.success) {
+    throw new Error('Invalid oracle config: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+  }
+  return parsed.data;
+}
+
+/******** aggregation ********/
+export interface RejectedQuote extends PriceQuote {
+  reason: 'stale' | 'deviation';
+}
+
+export interface AggregatedPrice {
+  price?: number;           // undefined when the guards leave too few quotes
+  used: PriceQuote[];
+  rejected: RejectedQuote[];
+  reason?: string;
+}
+
+export function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const deviationBps = (price: number, ref: number) => (Math.abs(price - ref) / ref) * 10_000;
+
+// Staleness, then median with outliers removed; quotes are one pair's
+export function aggregateQuotes(quotes: PriceQuote[], guards: OracleGuards, now = Date.now()): AggregatedPrice {
+  const rejected: RejectedQuote[] = [];
+  const fresh = quotes.filter((q) => {
+    if (now - q.ts <= guards.maxAgeMs) return true;
+    rejected.push({ ...q, reason: 'stale' });
+    return false;
+  });
+  if (fresh.length < guards.minSources) {
+    return { used: [], rejected, reason: `${fresh.length} fresh quote(s), ${guards.minSources} required` };
+  }
+  const mid = median(fresh.map((q) => q.price));
+  const used = fresh.filter((q) => {
+    if (deviationBps(q.price, mid) <= guards.maxDeviationBps) return true;
+    rejected.push({ ...q, reason: 'deviation' });
+    return false;
+  });
+  if (used.length < guards.minSources) {
+    return { used, rejected, reason: `${used.length} quote(s) within ${guards.maxDeviationBps} bps of the median ${mid}, ${guards.minSources} required` };
+  }
+  return { price: median(used.map((q) => q.price)), used, rejected };
+}
+
+/******** service ********/
+export type OracleAction = 'pushed' | 'unchanged' | 'held' | 'skipped' | 'error';
+
+export interface OracleRound {
+  at: string;
+  action: OracleAction;
+  reason?: string;
+  quotes: PriceQuote[];
+  rejected: RejectedQuote[];
+  price?: number;           // aggregated, before tick rounding
+  px?: string;              // ticks sent (or that would have been)
+  markPx?: string;          // on-chain mark before the round
+  hash?: string;
+}
+
+export interface OraclePairStatus {
+  pairId: number;
+  symbol: string;
+  disabled?: string;
+  lastRound?: OracleRound;
+  lastPush?: { at: string; px: string; price: string; hash: string };
+  pendingJump?: { px: string; price: string; rounds: number; since: string };
+  counts: Record<OracleAction, number>;
+}
+
+export interface OracleSourceStatus {
+  name: string;
+  ok?: boolean;
+  lastFetchAt?: string;
+  lastError?: string;
+  quotes: number;           // in the last fetch
+  replay?: { step: number; steps: number };
+}
+
+export interface OracleServiceOptions {
+  moduleAddr: string;
+  admin: Account;           // sends set_mark_price (the pair admin)
+  oracle: Account;          // the pair's oracle (co-signer on chain)
+  config: OracleConfig;
+  registry?: PerpPairRegistry;
+  sources?: PriceSource[];  // default: built from config.sources
+}
+
+interface PairEntry {
+  pair: PerpPair;
+  status: OraclePairStatus;
+  jump?: { px: bigint; rounds: number; since: string }; // large move waiting for confirmation
+}
+
+export class OracleService {
+  private sources: PriceSource[];
+  private sourceStatus: OracleSourceStatus[];
+  private pairs: PairEntry[] = [];
+  private timer?: NodeJS.Timeout;
+  private running = false;
+  private rounds = 0;
+  private lastRoundAt?: string;
+  readonly adminAddr: string;
+  readonly oracleAddr: string;
+
+  constructor(private client: AptosClientWrapper, private opts: OracleServiceOptions) {
+    this.sources = opts.sources || opts.config.sources.map(createPriceSource);
+    this.sourceStatus = this.sources.map((s) => ({ name: s.name, quotes: 0 }));
+    this.adminAddr = normalizeAptosAddress(opts.admin.accountAddress.toString());
+    this.oracleAddr = normalizeAptosAddress(opts.oracle.accountAddress.toString());
+    const registry = opts.registry || getPerpPairRegistry();
+    const selected = opts.config.pairs
+      ? opts.config.pairs.map((p) => registry.get(p))
+      : registry.list().filter((p) => p.oracle === this.oracleAddr);
+    for (const pair of selected) {
+      const status: OraclePairStatus = { pairId: pair.pairId, symbol: pair.symbol, counts: { pushed: 0, unchanged: 0, held: 0, skipped: 0, error: 0 } };
+      const disabled = this.checkSigners(pair);
+      if (disabled) status.disabled = disabled;
+      this.pairs.push({ pair, status });
+    }
+  }
+
+  get config(): OracleConfig {
+    return this.opts.config;
+  }
+
+  // Why set_mark_price cannot be signed for the pair with these keys (undefined when it can)
+  private checkSigners(pair: PerpPair): string | undefined {
+    if (pair.admin !== this.adminAddr) return `pair admin ${pair.admin || '(none)'} is not the admin key's account ${this.adminAddr}`;
+    if (pair.oracle !== this.oracleAddr) return `pair oracle ${pair.oracle} is not the oracle key's account ${this.oracleAddr}`;
+    const singleSigner = this.adminAddr === this.oracleAddr;
+    if (this.client.backend === 'memory' && !singleSigner) return 'the memory backend runs set_mark_price with the admin as the oracle; use one key for both';
+    if (this.client.backend !== 'memory' && singleSigner) return 'on chain set_mark_price needs the admin and the oracle as two different signers; set ORACLE_PRIVATE_KEY to the pair oracle key';
+    return undefined;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => void this.runRound(), this.config.intervalMs);
+    this.timer.unref();
+    setTimeout(() => void this.runRound(), 0).unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = undefined;
+  }
+
+  // One round over every enabled pair; a round still running when the next is due is not overlapped
+  async runRound(): Promise<void> {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const active = this.pairs.filter((p) => !p.status.disabled);
+      if (!active.length) return;
+      const quotes = await this.fetchQuotes(active.map((p) => p.pair));
+      for (const entry of active) {
+        const round = await this.updatePair(entry, quotes.filter((q) => q.symbol === entry.pair.symbol));
+        entry.status.lastRound = round;
+        entry.status.counts[round.action]++;
+        if (round.action === 'error') console.warn(`[oracle] ${entry.pair.symbol}: ${round.reason}`);
+      }
+      this.rounds++;
+      this.lastRoundAt = new Date().toISOString();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  private async fetchQuotes(pairs: PerpPair[]): Promise<PriceQuote[]> {
+    const results = await Promise.allSettled(this.sources.map((s) => s.fetch(pairs)));
+    const at = new Date().toISOString();
+    return results.flatMap((r, i) => {
+      const status = this.sourceStatus[i];
+      const source = this.sources[i];
+      status.lastFetchAt = at;
+      status.ok = r.status === 'fulfilled';
+      status.quotes = r.status === 'fulfilled' ? r.value.length : 0;
+      if (r.status === 'rejected') status.lastError = r.reason?.message || String(r.reason);
+      if (source instanceof FileReplaySource) status.replay = source.position;
+      return r.status === 'fulfilled' ? r.value : [];
+    });
+  }
+
+  private async updatePair(entry: PairEntry, quotes: PriceQuote[]): Promise<OracleRound> {
+    const { pair } = entry;
+    const agg = aggregateQuotes(quotes, this.config);
+    const round: OracleRound = { at: new Date().toISOString(), action: 'skipped', quotes: agg.used, rejected: agg.rejected };
+    if (agg.price === undefined) return { ...round, reason: agg.reason };
+    round.price = agg.price;
+    try {
+      const px = roundPriceToPx(pair, agg.price);
+      round.px = px.toString();
+      if (px === 0n) return { ...round, reason: `price ${agg.price} rounds to zero ticks` };
+      const { markPx } = await readPairState(this.client.aptos, this.opts.moduleAddr, pair.admin);
+      round.markPx = markPx.toString();
+      const moveBps = markPx === 0n ? Infinity : Number((px > markPx ? px - markPx : markPx - px) * 10_000n) / Number(markPx);
+      if (px === markPx || moveBps < this.config.minChangeBps) {
+        entry.jump = undefined;
+        return { ...round, action: 'unchanged', reason: px === markPx ? 'mark already at this price' : `move of ${moveBps.toFixed(1)} bps is under minChangeBps` };
+      }
+      if (this.config.maxJumpBps && markPx > 0n && moveBps > this.config.maxJumpBps) {
+        const jump = entry.jump;
+        entry.jump = jump && deviationBps(Number(px), Number(jump.px)) <= this.config.maxDeviationBps
+          ? { ...jump, px, rounds: jump.rounds + 1 }
+          : { px, rounds: 1, since: round.at };
+        if (entry.jump.rounds < this.config.jumpConfirmations) {
+          this.syncPendingJump(entry);
+          return { ...round, action: 'held', reason: `move of ${moveBps.toFixed(0)} bps exceeds maxJumpBps ${this.config.maxJumpBps} (${entry.jump.rounds}/${this.config.jumpConfirmations} rounds)` };
+        }
+      }
+      entry.jump = undefined;
+      this.syncPendingJump(entry);
+      const hash = await this.pushMarkPrice(pair, px);
+      entry.status.lastPush = { at: round.at, px: px.toString(), price: pxToPrice(pair, px), hash };
+      return { ...round, action: 'pushed', hash };
+    } catch (e: any) {
+      return { ...round, action: 'error', reason: e?.message || String(e) };
+    }
+  }
+
+  private syncPendingJump(entry: PairEntry) {
+    const { jump, pair } = entry;
+    entry.status.pendingJump = jump && { px: jump.px.toString(), price: pxToPrice(pair, jump.px), rounds: jump.rounds, since: jump.since };
+  }
+
+  private async pushMarkPrice(pair: PerpPair, px: bigint): Promise<string> {
+    const payload = perpCore.setMarkPrice({ pair_id: pair.pairId, new_px: px }, this.opts.moduleAddr);
+    const meta = { intentType: 'ORACLE_MARK_PRICE' };
+    if (this.client.backend === 'memory') {
+      const { txn } = await this.client.simulate(this.opts.admin, payload);
+      return this.client.submit(this.opts.admin, txn, meta);
+    }
+    return this.client.submitMultiAgent(this.opts.admin, [this.opts.oracle], payload, meta);
+  }
+
+  status() {
+    const { sources: _sources, pairs: _pairs, ...settings } = this.config;
+    return {
+      enabled: true,
+      running: !!this.timer,
+      admin: this.adminAddr,
+      oracle: this.oracleAddr,
+      backend: this.client.backend,
+      ...settings,
+      rounds: this.rounds,
+      lastRoundAt: this.lastRoundAt || null,
+      sources: this.sourceStatus,
+      pairs: this.pairs.map((p) => p.status),
+    };
+  }
+}
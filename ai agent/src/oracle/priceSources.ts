@@ -0,0 +1,213 @@
+/*
+ * Price sources for the mark price oracle.
+ * ---------------------------------
+ * A source answers `fetch(pairs)` with at most one quote per pair (price in quote tokens per base token, `ts` in
+ * ms: when the source says the price was observed). Pairs it has no price for are simply missing; a bad entry is
+ * skipped, and the fetch only throws when the request fails or no requested pair has a usable price.
+ *   file      – CSV replay (`timestamp,symbol,price` rows, header optional; timestamps in ms or seconds), played at
+ *               the recorded pace: each pass is shifted so its first row is "now", and a round serves the latest
+ *               group that is due, stamped with its shifted timestamp. `loop` starts a new pass after the last
+ *               group, otherwise the source goes quiet.
+ *   http      – a JSON endpoint, e.g. a local stand-in: { "APT-USDC": 8.12 } or { "APT-USDC": { "price": 8.12, "ts": ... } }
+ *               or { "prices": [{ "symbol": "APT-USDC", "price": 8.12, "ts": ... }] } (ts in ms or seconds)
+ *   binance / coinbase / kraken – public endpoints: the rolling ticker's last price and closeTime (Binance), the
+ *               ticker's price and time (Coinbase), the last trade (Kraken). Markets default to BASE + USDT
+ *               (Binance), BASE-USD (Coinbase) and BASEUSD (Kraken); `markets` overrides them per pair symbol.
+ * Several sources are aggregated (median, outlier and staleness guards) by OracleService. Quotes without a time of
+ * their own (http entries without `ts`, an exchange response missing it) are stamped with the fetch time, so they
+ * bypass the staleness guard.
+ */
+import fs from 'fs';
+import type { PerpPair } from '../perp/pairRegistry.js';
+
+export interface PriceQuote {
+  source: string;
+  symbol: string; // BASE-QUOTE
+  price: number;
+  ts: number;     // ms
+}
+
+export interface PriceSource {
+  readonly name: string;
+  fetch(pairs: PerpPair[]): Promise<PriceQuote[]>;
+}
+
+export type ExchangeName = 'binance' | 'coinbase' | 'kraken';
+
+export type PriceSourceConfig =
+  | { type: 'file'; path: string; loop?: boolean; name?: string }
+  | { type: 'http'; url: string; name?: string; timeoutMs?: number }
+  | { type: ExchangeName; markets?: Record<string, string>; baseUrl?: string; name?: string; timeoutMs?: number };
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+function positivePrice(value: unknown, what: string): number {
+  const price = typeof value === 'string' ? Number(value) : value;
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) throw new Error(`Invalid price ${JSON.stringify(value)} for ${what}`);
+  return price;
+}
+
+// Unix seconds or ms -> ms
+const toMs = (ts: number) => (ts < 1e12 ? ts * 1000 : ts);
+
+async function getJson(url: string, timeoutMs: number): Promise<any> {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), headers: { accept: 'application/json' } });
+  if (!res.ok) throw new Error(`GET ${url} failed (${res.status})`);
+  return res.json();
+}
+
+/******** file replay ********/
+interface ReplayStep { ts: number; prices: Map<string, number> }
+
+export class FileReplaySource implements PriceSource {
+  readonly name: string;
+  private steps: ReplayStep[] = [];
+  private next = 0;
+  private offset = 0; // added to recorded timestamps in the current pass
+
+  constructor(readonly path: string, readonly loop = false, name?: string) {
+    this.name = name || `file:${path}`;
+    const groups = new Map<number, Map<string, number>>();
+    fs.readFileSync(path, 'utf8').split(/\r?\n/).forEach((line, i) => {
+      const cells = line.split(',').map((c) => c.trim());
+      if (!line.trim() || line.trim().startsWith('#') || (i === 0 && !/^\d/.test(cells[0]))) return; // blank, comment, header
+      if (cells.length !== 3) throw new Error(`${path}:${i + 1}: expected timestamp,symbol,price`);
+      const ts = Number(cells[0]);
+      if (!Number.isFinite(ts)) throw new Error(`${path}:${i + 1}: invalid timestamp ${cells[0]}`);
+      const step = groups.get(ts) || new Map<string, number>();
+      step.set(cells[1].toUpperCase(), positivePrice(cells[2], `${path}:${i + 1}`));
+      groups.set(ts, step);
+    });
+    this.steps = [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([ts, prices]) => ({ ts: toMs(ts), prices }));
+    if (!this.steps.length) throw new Error(`${path} has no price rows`);
+  }
+
+  get position() {
+    return { step: this.next, steps: this.steps.length };
+  }
+
+  async fetch(pairs: PerpPair[]): Promise<PriceQuote[]> {
+    const now = Date.now();
+    if (this.next >= this.steps.length) {
+      if (!this.loop) return [];
+      this.next = 0;
+    }
+    if (this.next === 0) this.offset = now - this.steps[0].ts; // a new pass starts now
+    // Serve the latest group that is due; until the next one is, the same prices keep their (ageing) timestamp
+    while (this.next < this.steps.length && this.steps[this.next].ts + this.offset <= now) this.next++;
+    const step = this.steps[this.next - 1];
+    const quotes: PriceQuote[] = [];
+    for (const pair of pairs) {
+      // Rows may name the pair as BASE-QUOTE or just BASE
+      const price = step.prices.get(pair.symbol) ?? step.prices.get(pair.base);
+      if (price !== undefined) quotes.push({ source: this.name, symbol: pair.symbol, price, ts: step.ts + this.offset });
+    }
+    return quotes;
+  }
+}
+
+/******** local HTTP stand-in ********/
+export class HttpJsonSource implements PriceSource {
+  readonly name: string;
+
+  constructor(readonly url: string, name?: string, readonly timeoutMs = DEFAULT_TIMEOUT_MS) {
+    this.name = name || `http:${url}`;
+  }
+
+  async fetch(pairs: PerpPair[]): Promise<PriceQuote[]> {
+    const body = await getJson(this.url, this.timeoutMs);
+    const now = Date.now();
+    const entries: Record<string, any> = Array.isArray(body?.prices)
+      ? Object.fromEntries(body.prices.map((p: any) => [String(p?.symbol || '').toUpperCase(), p]))
+      : Object.fromEntries(Object.entries(body || {}).map(([k, v]) => [k.toUpperCase(), v]));
+    const quotes: PriceQuote[] = [];
+    const invalid: string[] = [];
+    for (const pair of pairs) {
+      const entry = entries[pair.symbol] ?? entries[pair.base];
+      if (entry === undefined || entry === null) continue;
+      // A bad entry does not hide the other pairs
+      try {
+        const isObject = typeof entry === 'object';
+        const ts = isObject && entry.ts !== undefined ? toMs(Number(entry.ts)) : now;
+        if (!Number.isFinite(ts)) throw new Error(`Invalid ts ${JSON.stringify(entry.ts)} for ${pair.symbol} from ${this.url}`);
+        quotes.push({ source: this.name, symbol: pair.symbol, price: positivePrice(isObject ? entry.price : entry, `${pair.symbol} from ${this.url}`), ts });
+      } catch (e: any) {
+        invalid.push(e.message);
+      }
+    }
+    if (!quotes.length && invalid.length) throw new Error(invalid.join('; '));
+    return quotes;
+  }
+}
+
+/******** exchange tickers ********/
+interface ExchangeApi {
+  baseUrl: string;
+  market(pair: PerpPair): string;
+  url(baseUrl: string, market: string): string;
+  parse(body: any): { price: unknown; ts?: number }; // ts in ms
+}
+
+const EXCHANGES: Record<ExchangeName, ExchangeApi> = {
+  binance: {
+    baseUrl: 'https://api.binance.com',
+    market: (p) => `${p.base}${p.quote === 'USDC' ? 'USDT' : p.quote}`,
+    // Rolling window ticker: closeTime is when its last price was current
+    url: (base, m) => `${base}/api/v3/ticker?symbol=${encodeURIComponent(m)}&windowSize=1m`,
+    parse: (b) => ({ price: b?.lastPrice, ts: Number(b?.closeTime) }),
+  },
+  coinbase: {
+    baseUrl: 'https://api.exchange.coinbase.com',
+    market: (p) => `${p.base}-${p.quote === 'USDC' ? 'USD' : p.quote}`,
+    url: (base, m) => `${base}/products/${encodeURIComponent(m)}/ticker`,
+    parse: (b) => ({ price: b?.price, ts: b?.time ? Date.parse(b.time) : undefined }),
+  },
+  kraken: {
+    baseUrl: 'https://api.kraken.com',
+    market: (p) => `${p.base}${p.quote === 'USDC' ? 'USD' : p.quote}`,
+    // The ticker carries no time, so read the last trade: [price, volume, time (s), side, type, misc, trade id]
+    url: (base, m) => `${base}/0/public/Trades?pair=${encodeURIComponent(m)}&count=1`,
+    // Result keys are Kraken's own pair names (e.g. XXBTZUSD) next to the `last` cursor
+    parse: (b) => {
+      if (b?.error?.length) throw new Error(`kraken: ${b.error.join(', ')}`);
+      const trades: any = Object.entries(b?.result || {}).find(([k]) => k !== 'last')?.[1];
+      const last = trades?.[trades.length - 1];
+      return { price: last?.[0], ts: last ? Number(last[2]) * 1000 : undefined };
+    },
+  },
+};
+
+export class ExchangeTickerSource implements PriceSource {
+  readonly name: string;
+  private api: ExchangeApi;
+
+  constructor(readonly exchange: ExchangeName, private markets: Record<string, string> = {}, private baseUrl?: string, name?: string, readonly timeoutMs = DEFAULT_TIMEOUT_MS) {
+    this.api = EXCHANGES[exchange];
+    this.name = name || exchange;
+  }
+
+  marketFor(pair: PerpPair): string {
+    return this.markets[pair.symbol] || this.markets[pair.base] || this.api.market(pair);
+  }
+
+  async fetch(pairs: PerpPair[]): Promise<PriceQuote[]> {
+    // One ticker request per pair; a pair that fails does not hide the others
+    const settled = await Promise.allSettled(pairs.map(async (pair) => {
+      const market = this.marketFor(pair);
+      const { price, ts } = this.api.parse(await getJson(this.api.url(this.baseUrl || this.api.baseUrl, market), this.timeoutMs));
+      return { source: this.name, symbol: pair.symbol, price: positivePrice(price, `${this.exchange} ${market}`), ts: ts && Number.isFinite(ts) ? ts : Date.now() };
+    }));
+    const quotes = settled.flatMap((r) => (r.status === 'fulfilled' ? [r.value] : []));
+    const failed = settled.find((r): r is PromiseRejectedResult => r.status === 'rejected');
+    if (!quotes.length && failed) throw failed.reason;
+    return quotes;
+  }
+}
+
+export function createPriceSource(config: PriceSourceConfig): PriceSource {
+  switch (config.type) {
+    case 'file': return new FileReplaySource(config.path, config.loop, config.name);
+    case 'http': return new HttpJsonSource(config.url, config.name, config.timeoutMs);
+    default: return new ExchangeTickerSource(config.type, config.markets, config.baseUrl, config.name, config.timeoutMs);
+  }
+}
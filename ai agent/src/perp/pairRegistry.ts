@@ -0,0 +1,116 @@
+/*
+ * Perp pair registry: which perp_core pairs exist.
+ * ---------------------------------
+ * The unit maths (ticks, lots, quote units) lives in pairUnits.ts, which the frontend shares; it is re-exported
+ * here so callers keep one import.
+ *
+ * The module keeps one Pair resource per admin account (pair_object_address ignores pair_id), so each pair
+ * names the account holding it (`admin`, default PERP_MODULE_ADDR) and two pairs cannot share an admin.
+ * `oracle` / `vrfOracle` are the callers create_pair authorised for set_mark_price / push_funding (default
+ * the admin). Config is plain JSON (PERP_PAIRS_FILE); file pairs replace built-ins with the same symbol.
+ */
+import { z } from 'zod';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { PerpPairInfo, PerpPairUnits, DEFAULT_PERP_PAIRS, pairSymbol, pairUnits } from './pairUnits.js';
+
+export type { PerpPairInfo, PerpPairUnits } from './pairUnits.js';
+export { priceToPx, pxToPrice, roundPriceToPx, sizeToLots, lotsToSize, marginToUnits, unitsToMargin } from './pairUnits.js';
+
+export interface PerpPair extends PerpPairInfo, PerpPairUnits {
+  admin: string;             // '' when neither the pair nor PERP_MODULE_ADDR names one
+  oracle: string;
+  vrfOracle: string;
+}
+
+export interface PerpPairRegistryConfig {
+  pairs: PerpPairInfo[];
+}
+
+export const DEFAULT_PERP_PAIR_REGISTRY: PerpPairRegistryConfig = { pairs: DEFAULT_PERP_PAIRS };
+
+const Address = z.string().regex(/^0x[0-9a-fA-F]{1,64}$/, 'Invalid address');
+const Decimal = z.string().regex(/^\d+(\.\d+)?$/, 'Invalid decimal');
+const Bps = z.number().int().min(1).max(1_000_000);
+
+const PerpPairInfoSchema = z.object({
+  pairId: z.number().int().min(0),
+  base: z.string().regex(/^[A-Z0-9]+$/i, 'Invalid symbol'),
+  quote: z.string().regex(/^[A-Z0-9]+$/i, 'Invalid symbol'),
+  tickSize: Decimal,
+  lotSize: z.string().regex(/^(1|0\.0*1)$/, 'lotSize must be a power of ten up to 1 (1, 0.1, 0.01, ...)'),
+  priceDecimals: z.number().int().min(0).max(18),
+  admin: Address.optional(),
+  oracle: Address.optional(),
+  vrfOracle: Address.optional(),
+  maxLevBps: Bps,
+  initMarginBps: Bps,
+  maintMarginBps: Bps,
+  maxFundingBpsHour: z.number().int().min(0),
+});
+
+const PerpPairRegistryConfigSchema = z.object({ pairs: z.array(PerpPairInfoSchema) });
+
+export class PerpPairRegistry {
+  private bySymbol = new Map<string, PerpPair>();
+
+  constructor(readonly config: PerpPairRegistryConfig = DEFAULT_PERP_PAIR_REGISTRY, defaultAdmin = '', readonly defaultQuote = 'USDC') {
+    const admins = new Map<string, string>();
+    for (const info of config.pairs) {
+      const symbol = pairSymbol(info.base, info.quote);
+      const admin = (info.admin || defaultAdmin) ? normalizeAptosAddress(info.admin || defaultAdmin) : '';
+      if (this.bySymbol.has(symbol)) throw new Error(`Perp pair ${symbol} is listed twice`);
+      if (this.list().some((p) => p.pairId === info.pairId)) throw new Error(`Perp pair id ${info.pairId} is used by more than one pair`);
+      if (admin && admins.has(admin)) throw new Error(`Perp pairs ${admins.get(admin)} and ${symbol} share admin ${admin}; perp_core holds one pair per admin account`);
+      const pair: PerpPair = {
+        ...info,
+        ...pairUnits(info),
+        base: info.base.toUpperCase(),
+        quote: info.quote.toUpperCase(),
+        admin,
+        oracle: info.oracle ? normalizeAptosAddress(info.oracle) : admin,
+        vrfOracle: info.vrfOracle ? normalizeAptosAddress(info.vrfOracle) : admin,
+      };
+      if (admin) admins.set(admin, symbol);
+      this.bySymbol.set(symbol, pair);
+    }
+  }
+
+  list(): PerpPair[] { return [...this.bySymbol.values()]; }
+
+  symbols(): string[] { return [...this.bySymbol.keys()]; }
+
+  // BASE-QUOTE, a bare base symbol (defaultQuote appended) or a pair id
+  resolve(symbolOrId: string | number): PerpPair | undefined {
+    const s = String(symbolOrId).trim().toUpperCase();
+    if (/^\d+$/.test(s)) return this.list().find((p) => p.pairId === Number(s));
+    return this.bySymbol.get(s.includes('-') ? s : `${s}-${this.defaultQuote}`);
+  }
+
+  get(symbolOrId: string | number): PerpPair {
+    const pair = this.resolve(symbolOrId);
+    if (!pair) throw new Error(`Unknown perp pair ${symbolOrId} (configured: ${this.symbols().join(', ') || 'none'})`);
+    return pair;
+  }
+}
+
+export function loadPerpPairRegistryConfig(json?: string): PerpPairRegistryConfig {
+  if (!json || !json.trim()) return DEFAULT_PERP_PAIR_REGISTRY;
+  const parsed = PerpPairRegistryConfigSchema.safeParse(JSON.parse(json));
+  if (!parsed.success) {
+    throw new Error('Invalid perp pair registry: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+  }
+  const pairs = new Map(DEFAULT_PERP_PAIR_REGISTRY.pairs.map((p) => [pairSymbol(p.base, p.quote), p]));
+  for (const p of parsed.data.pairs) pairs.set(pairSymbol(p.base, p.quote), p);
+  return { pairs: [...pairs.values()] };
+}
+
+// Process-wide registry used by the perp / risk adapters; the server replaces it at startup from PERP_PAIRS_FILE
+let registry: PerpPairRegistry | null = null;
+export function getPerpPairRegistry(): PerpPairRegistry {
+  if (!registry) registry = new PerpPairRegistry(DEFAULT_PERP_PAIR_REGISTRY, process.env.PERP_MODULE_ADDR || '');
+  return registry;
+}
+
+export function setPerpPairRegistry(next: PerpPairRegistry) {
+  registry = next;
+}
@@ -0,0 +1,82 @@
+/*
+ * Perp pair units: how human prices / sizes map to perp_core's integer units.
+ * ---------------------------------
+ * perp_core stores prices as ticks (quote units per base lot), sizes as base lots and margin as quote units,
+ * and compares margin with px * size directly, so ticks and margin share one scale:
+ *   lots   = size / lotSize                          (lotSize: base tokens per lot, 1 / 0.1 / 0.01 ...)
+ *   px     = price * lotSize * 10^priceDecimals      (price: quote tokens per base token)
+ *   margin = amount * 10^priceDecimals
+ * tickSize is the smallest price step (quote tokens per base token); prices off the grid are rejected.
+ *
+ * Shared with the frontend: npm run gen:perp-pairs transpiles this file to
+ * walletconnect/src/config/perpUnits.generated.js, so keep it free of Node-only imports.
+ */
+import { toAtomicUnits, fromAtomicUnits } from '../utils/decimal.js';
+export const DEFAULT_PERP_PAIRS = [
+    { pairId: 1, base: 'APT', quote: 'USDC', tickSize: '0.01', lotSize: '1', priceDecimals: 6, maxLevBps: 5000, initMarginBps: 2000, maintMarginBps: 1000, maxFundingBpsHour: 50 },
+];
+// perp_core documents lev_bps as "5000 = 50x", i.e. 100 bps per 1x
+export const LEV_BPS_PER_X = 100;
+export const pairSymbol = (base, quote) => `${base}-${quote}`.toUpperCase();
+// Derived scales of a pair; rejects tick and lot sizes perp_core's integer units cannot represent
+export function pairUnits(info) {
+    const symbol = pairSymbol(info.base, info.quote);
+    const sizeDecimals = info.lotSize === '1' ? 0 : info.lotSize.split('.')[1].length;
+    if (info.priceDecimals < sizeDecimals)
+        throw new Error(`Perp pair ${symbol}: priceDecimals must be at least the lot size's decimals (${sizeDecimals})`);
+    const tickUnits = toAtomicUnits(info.tickSize, info.priceDecimals);
+    const lotScale = 10n ** BigInt(sizeDecimals);
+    if (tickUnits === 0n || tickUnits % lotScale !== 0n)
+        throw new Error(`Perp pair ${symbol}: tickSize ${info.tickSize} is not a whole number of ticks`);
+    return {
+        symbol,
+        tickSize: info.tickSize,
+        lotSize: info.lotSize,
+        priceDecimals: info.priceDecimals,
+        sizeDecimals,
+        marginDecimals: info.priceDecimals,
+        tickPx: (tickUnits / lotScale).toString(),
+    };
+}
+/******** unit conversions ********/
+// Human price (quote per base token) -> ticks; rejects prices off the tick grid
+export function priceToPx(pair, price) {
+    const units = toAtomicUnits(price, pair.priceDecimals);
+    const lotScale = 10n ** BigInt(pair.sizeDecimals);
+    const tick = BigInt(pair.tickPx);
+    if (units % lotScale !== 0n || (units / lotScale) % tick !== 0n) {
+        throw new Error(`Price ${price} is not a multiple of ${pair.symbol}'s tick size ${pair.tickSize}`);
+    }
+    return units / lotScale;
+}
+// Ticks -> human price (quote tokens per base token)
+export function pxToPrice(pair, px) {
+    return fromAtomicUnits(px * 10n ** BigInt(pair.sizeDecimals), pair.priceDecimals);
+}
+// Nearest tick on the grid (half up) for prices that come from outside, e.g. an oracle feed
+export function roundPriceToPx(pair, price) {
+    if (!Number.isFinite(price) || price < 0)
+        throw new Error(`Invalid price ${price}`);
+    const px = BigInt(Math.round(price * 10 ** (pair.priceDecimals - pair.sizeDecimals)));
+    const tick = BigInt(pair.tickPx);
+    return ((px + tick / 2n) / tick) * tick;
+}
+// Human size (base tokens) -> lots; rejects sizes that are not whole lots
+export function sizeToLots(pair, size) {
+    try {
+        return toAtomicUnits(size, pair.sizeDecimals);
+    }
+    catch (e) {
+        throw new Error(`Size ${size} is not a multiple of ${pair.symbol}'s lot size ${pair.lotSize}`);
+    }
+}
+export function lotsToSize(pair, lots) {
+    return fromAtomicUnits(lots, pair.sizeDecimals);
+}
+// Human margin / PnL (quote tokens) <-> quote units
+export function marginToUnits(pair, amount) {
+    return toAtomicUnits(amount, pair.priceDecimals);
+}
+export function unitsToMargin(pair, units) {
+    return fromAtomicUnits(units, pair.priceDecimals);
+}
@@ -0,0 +1,362 @@
+/*
+ * In-memory reference model of My_module::perp_core.
+ * ---------------------------------
+ * Mirrors the Move module's state machine in BigInt: create_pair, set_mark_price, push_funding, open_position,
+ * close_position, liquidate and the health / get_* functions, with the same bps conventions and abort codes.
+ * Two arithmetic modes:
+ *   'move'   – bit-for-bit with the deployed bytecode: unsigned (|x|) PnL helpers, u128 health and funding that
+ *              abort with ARITHMETIC_ERROR on underflow. Use this to diff against on-chain state.
+ *   'signed' – the maths the module documents (src/perp/margin.ts): side-signed PnL, negative health is
+ *              liquidatable, funding can go negative. Use this for demos and risk tests.
+ * Like the module, a pair lives at its admin's address (pair_object_address ignores pair_id), so one admin
+ * holds one pair and pair_id arguments are not used for lookup.
+ * The Pair resource lists its positions table by handle, and table items are served like the node's getTableItem.
+ * `viewClient()` answers getAccountResource / getTableItem in the chain's JSON shapes, so adapters that take an
+ * AptosClientWrapper (e.g. RiskQueryAdapter) can run against the model unchanged, and `perpCoreModule()`
+ * registers it as the perp_core handler of a MemoryLedger (APTOS_BACKEND=memory).
+ */
+import crypto from 'crypto';
+import { BPS, fundingPnl as signedFundingPnl, health as signedHealth, maintMargin, notional, pricePnl as signedPricePnl, requiredInitMargin } from './margin.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+// std::error categories used by perp_core
+const CATEGORY = { invalid_argument: 0x1, invalid_state: 0x3, permission_denied: 0x5, not_found: 0x6, already_exists: 0x8 };
+export const PERP_CORE_ERRORS = {
+    E_PAIR_EXISTS: 1, E_PAIR_NOT_FOUND: 2, E_POS_EXISTS: 3, E_POS_NOT_FOUND: 4, E_BAD_SIDE: 5,
+    E_BAD_QTY: 6, E_BAD_LEV: 7, E_BAD_MARGIN: 8, E_NOT_AUTH: 9, E_UNSAFE: 10,
+};
+// Aborts carry the same reason / abort code the chain would report (abortCode = category << 16 | reason)
+export class PerpCoreError extends Error {
+    reason;
+    abortCode;
+    constructor(reason, abortCode) {
+        super(abortCode === undefined ? `perp_core: ${reason}` : `perp_core: ${reason} (abort 0x${abortCode.toString(16)})`);
+        this.reason = reason;
+        this.abortCode = abortCode;
+        this.name = 'PerpCoreError';
+    }
+}
+function abort(category, reason) {
+    throw new PerpCoreError(reason, (CATEGORY[category] << 16) | PERP_CORE_ERRORS[reason]);
+}
+function check(cond, category, reason) {
+    if (!cond)
+        abort(category, reason);
+}
+const U64_MAX = (1n << 64n) - 1n;
+const U128_MAX = (1n << 128n) - 1n;
+export class PerpCoreModel {
+    semantics;
+    pairs = new Map();
+    constructor(semantics = 'signed') {
+        this.semantics = semantics;
+    }
+    /******** arithmetic ********/
+    // Unsigned Move arithmetic only in 'move' mode; 'signed' mode lets values go negative
+    sub(a, b) {
+        const r = a - b;
+        if (this.semantics === 'move' && r < 0n)
+            throw new PerpCoreError('ARITHMETIC_ERROR');
+        return r;
+    }
+    fit(v, max) {
+        if (this.semantics === 'move' && v > max)
+            throw new PerpCoreError('ARITHMETIC_ERROR');
+        return v;
+    }
+    pricePnl(px, entry, size, side) {
+        if (this.semantics === 'signed')
+            return signedPricePnl(px, entry, size, side);
+        return (px > entry ? px - entry : entry - px) * size;
+    }
+    fundingPnl(px, size, side, cumNow, cumOpen) {
+        if (this.semantics === 'signed')
+            return signedFundingPnl(px, size, side, cumNow, cumOpen);
+        return (notional(px, size) * (cumNow > cumOpen ? cumNow - cumOpen : cumOpen - cumNow)) / BPS;
+    }
+    /******** state access ********/
+    // perp_core::pair_object_address returns the admin address whatever the pair id
+    pairAt(admin, _pairId) {
+        const pair = this.pairs.get(normalizeAptosAddress(admin));
+        if (!pair)
+            abort('not_found', 'E_PAIR_NOT_FOUND');
+        return pair;
+    }
+    pair(admin, pairId) {
+        return this.pairAt(admin, pairId);
+    }
+    /******** admin / oracles ********/
+    createPair(admin, p) {
+        const key = normalizeAptosAddress(admin);
+        check(!this.pairs.has(key), 'already_exists', 'E_PAIR_EXISTS');
+        this.pairs.set(key, {
+            pairId: p.pairId,
+            cfg: { maxLevBps: p.maxLevBps, initMarginBps: p.initMarginBps, maintMarginBps: p.maintMarginBps, maxFundingBpsHour: p.maxFundingBpsHour },
+            markPx: p.initMarkPx,
+            cumFundingBps: 0n,
+            lastFundingTs: p.nowTs,
+            oracle: normalizeAptosAddress(p.oracle),
+            vrfOracle: normalizeAptosAddress(p.vrfOracle),
+            positions: new Map(),
+        });
+    }
+    setMarkPrice(admin, pairId, caller, newPx) {
+        const pair = this.pairAt(admin, pairId);
+        check(normalizeAptosAddress(caller) === pair.oracle, 'permission_denied', 'E_NOT_AUTH');
+        pair.markPx = this.fit(newPx, U64_MAX);
+    }
+    // fundingBps is accepted but unused, as in the module; the rate comes from the VRF seed
+    pushFunding(admin, pairId, caller, _fundingBps, vrfSeed, nowTs) {
+        const pair = this.pairAt(admin, pairId);
+        check(normalizeAptosAddress(caller) === pair.vrfOracle, 'permission_denied', 'E_NOT_AUTH');
+        const dt = nowTs > pair.lastFundingTs ? nowTs - pair.lastFundingTs : 0n;
+        if (dt === 0n)
+            return;
+        const cap = BigInt(pair.cfg.maxFundingBpsHour);
+        const span = cap * 2n + 1n;
+        const r = vrfSeed % span;
+        const signed = this.sub(r, cap);
+        const hours = dt / 3600n;
+        if (hours > 0n) {
+            pair.cumFundingBps = this.fit(pair.cumFundingBps + signed * hours, U128_MAX);
+            pair.lastFundingTs += hours * 3600n;
+        }
+    }
+    /******** trading ********/
+    // entryPx is ignored like on chain: positions open at the current mark
+    openPosition(admin, user, pairId, size, side, levBps, margin, _entryPx = 0n) {
+        check(side < 2, 'invalid_argument', 'E_BAD_SIDE');
+        check(size > 0n, 'invalid_argument', 'E_BAD_QTY');
+        const pair = this.pairAt(admin, pairId);
+        check(levBps > 0 && levBps <= pair.cfg.maxLevBps, 'invalid_argument', 'E_BAD_LEV');
+        const owner = normalizeAptosAddress(user);
+        check(!pair.positions.has(owner), 'already_exists', 'E_POS_EXISTS');
+        const req = requiredInitMargin(notional(pair.markPx, size), levBps, pair.cfg.initMarginBps);
+        check(margin >= req, 'invalid_argument', 'E_BAD_MARGIN');
+        pair.positions.set(owner, { side, size, entryPx: pair.markPx, margin, levBps, fundingIndexOpen: pair.cumFundingBps });
+    }
+    closePosition(admin, user, pairId, sizeToClose) {
+        const pair = this.pairAt(admin, pairId);
+        const owner = normalizeAptosAddress(user);
+        const pos = pair.positions.get(owner);
+        if (!pos)
+            abort('not_found', 'E_POS_NOT_FOUND');
+        check(sizeToClose > 0n, 'invalid_argument', 'E_BAD_QTY');
+        check(pos.size >= sizeToClose, 'invalid_argument', 'E_BAD_QTY');
+        const marginShare = this.fit((pos.margin * sizeToClose) / pos.size, U64_MAX);
+        const pnlPrice = this.pricePnl(pair.markPx, pos.entryPx, sizeToClose, pos.side);
+        const pnlFunding = this.fundingPnl(pair.markPx, sizeToClose, pos.side, pair.cumFundingBps, pos.fundingIndexOpen);
+        const equityReleased = marginShare + pnlPrice + pnlFunding;
+        // On chain `equity_released >= 0` is always true for u128; signed mode enforces what it means
+        if (this.semantics === 'signed')
+            check(equityReleased >= 0n, 'invalid_state', 'E_UNSAFE');
+        pos.size -= sizeToClose;
+        pos.margin -= marginShare;
+        if (pos.size === 0n)
+            pair.positions.delete(owner);
+        return { marginShare, pnlPrice, pnlFunding, equityReleased };
+    }
+    healthOf(pair, pos) {
+        if (this.semantics === 'signed') {
+            return signedHealth(pos, { markPx: pair.markPx, cumFundingBps: pair.cumFundingBps, maintMarginBps: pair.cfg.maintMarginBps });
+        }
+        const mm = maintMargin(notional(pair.markPx, pos.size), pair.cfg.maintMarginBps);
+        const gross = pos.margin
+            + this.pricePnl(pair.markPx, pos.entryPx, pos.size, pos.side)
+            + this.fundingPnl(pair.markPx, pos.size, pos.side, pair.cumFundingBps, pos.fundingIndexOpen);
+        return this.sub(gross, mm);
+    }
+    health(admin, pairId, owner) {
+        const pair = this.pairAt(admin, pairId);
+        const pos = pair.positions.get(normalizeAptosAddress(owner));
+        if (!pos)
+            abort('not_found', 'E_POS_NOT_FOUND');
+        return this.healthOf(pair, pos);
+    }
+    // Returns the equity at liquidation (the module drops it; vault / insurance hooks are TODO there)
+    liquidate(admin, victim, pairId) {
+        const pair = this.pairAt(admin, pairId);
+        const owner = normalizeAptosAddress(victim);
+        const pos = pair.positions.get(owner);
+        if (!pos)
+            abort('not_found', 'E_POS_NOT_FOUND');
+        check(this.healthOf(pair, pos) < 0n, 'invalid_state', 'E_UNSAFE');
+        const equity = pos.margin
+            + this.pricePnl(pair.markPx, pos.entryPx, pos.size, pos.side)
+            + this.fundingPnl(pair.markPx, pos.size, pos.side, pair.cumFundingBps, pos.fundingIndexOpen);
+        pair.positions.delete(owner);
+        return equity;
+    }
+    /******** getters (public functions, not #[view] on chain) ********/
+    getMarkPx(admin, pairId) {
+        return this.pairAt(admin, pairId).markPx;
+    }
+    getCumFundingBps(admin, pairId) {
+        return this.pairAt(admin, pairId).cumFundingBps;
+    }
+    getPosition(admin, pairId, owner) {
+        const pos = this.pairAt(admin, pairId).positions.get(normalizeAptosAddress(owner));
+        return pos ? { ...pos } : null;
+    }
+    // Stable stand-in for the positions table handle (on chain it is allocated when create_pair runs)
+    positionsHandle(admin) {
+        return '0x' + crypto.createHash('sha3-256').update(`perp_core::Pair::positions@${normalizeAptosAddress(admin)}`).digest('hex');
+    }
+    // Pair resource as getAccountResource returns it (the positions table is only its handle, as on chain)
+    resource(admin) {
+        const pair = this.pairs.get(normalizeAptosAddress(admin));
+        if (!pair)
+            throw new Error(`Resource perp_core::Pair not found at ${admin}`);
+        return {
+            pair_id: String(pair.pairId),
+            cfg: {
+                max_lev_bps: String(pair.cfg.maxLevBps),
+                init_margin_bps: String(pair.cfg.initMarginBps),
+                maint_margin_bps: String(pair.cfg.maintMarginBps),
+                max_funding_bps_hour: String(pair.cfg.maxFundingBpsHour),
+            },
+            mark_px: pair.markPx.toString(),
+            cum_funding_bps: pair.cumFundingBps.toString(),
+            last_funding_ts: pair.lastFundingTs.toString(),
+            oracle: pair.oracle,
+            vrf_oracle: pair.vrfOracle,
+            positions: { handle: this.positionsHandle(admin) },
+        };
+    }
+    // positions table entry by handle, undefined when the handle or owner is unknown
+    tableItem(handle, owner) {
+        for (const admin of this.pairs.keys()) {
+            if (this.positionsHandle(admin) !== handle)
+                continue;
+            const pos = this.pairs.get(admin).positions.get(normalizeAptosAddress(owner));
+            return pos ? positionJson(pos) : undefined;
+        }
+        return undefined;
+    }
+    // Saves all pairs; the returned function puts a fresh copy of them back (it may be called more than once)
+    checkpoint() {
+        const copy = (from) => new Map([...from].map(([k, p]) => [k, { ...p, cfg: { ...p.cfg }, positions: new Map([...p.positions].map(([o, pos]) => [o, { ...pos }])) }]));
+        const saved = copy(this.pairs);
+        return () => { this.pairs = copy(saved); };
+    }
+    // Minimal AptosClientWrapper stand-in for read paths: the Pair resource and its positions table
+    viewClient() {
+        const notFound = (message, errorCode) => Object.assign(new Error(message), { data: { message, error_code: errorCode } });
+        return {
+            aptos: {
+                getAccountResource: async ({ accountAddress, resourceType }) => {
+                    if (!String(resourceType).endsWith('::perp_core::Pair'))
+                        throw new Error(`Resource ${resourceType} not modelled`);
+                    if (!this.pairs.has(normalizeAptosAddress(accountAddress)))
+                        throw notFound(`Resource not found by Address(${accountAddress})`, 'resource_not_found');
+                    return this.resource(accountAddress);
+                },
+                getTableItem: async ({ handle, data }) => {
+                    const item = this.tableItem(handle, data.key);
+                    if (item === undefined)
+                        throw notFound(`Table Item not found by Table handle(${handle})`, 'table_item_not_found');
+                    return item;
+                },
+            },
+        };
+    }
+}
+// MemoryLedger handler for `${moduleAddr}::perp_core`. Entry arguments (and the ABI) follow the Move signatures
+// minus the signers; the transaction sender is the admin (and, single-signer, the oracle caller of set_mark_price / push_funding).
+export function perpCoreModule(model) {
+    return {
+        abi: {
+            create_pair: { parameters: ['u64', 'u64', 'u64', 'u64', 'u64', 'address', 'address', 'u64', 'u64'] },
+            set_mark_price: { parameters: ['u64', 'u64'] },
+            push_funding: { parameters: ['u64', 'u128', 'u128', 'u64'] },
+            open_position: { parameters: ['address', 'u64', 'u64', 'u8', 'u64', 'u64', 'u64'] },
+            close_position: { parameters: ['address', 'u64', 'u64'] },
+            liquidate: { parameters: ['address', 'u64'] },
+        },
+        entry: {
+            create_pair: ({ sender, chargeGas }, args) => {
+                chargeGas(40);
+                const [pairId, maxLev, initBps, maintBps, maxFunding, oracle, vrfOracle, initMarkPx, nowTs] = args;
+                model.createPair(sender, {
+                    pairId: Number(pairId), maxLevBps: Number(maxLev), initMarginBps: Number(initBps), maintMarginBps: Number(maintBps),
+                    maxFundingBpsHour: Number(maxFunding), oracle, vrfOracle, initMarkPx: BigInt(initMarkPx), nowTs: BigInt(nowTs),
+                });
+            },
+            set_mark_price: ({ sender, chargeGas }, args) => {
+                chargeGas(8);
+                model.setMarkPrice(sender, Number(args[0]), sender, BigInt(args[1]));
+            },
+            push_funding: ({ sender, chargeGas }, args) => {
+                chargeGas(10);
+                model.pushFunding(sender, Number(args[0]), sender, BigInt(args[1]), BigInt(args[2]), BigInt(args[3]));
+            },
+            open_position: ({ sender, chargeGas }, args) => {
+                chargeGas(20);
+                const [user, pairId, size, side, levBps, margin, entryPx] = args;
+                model.openPosition(sender, user, Number(pairId), BigInt(size), Number(side), Number(levBps), BigInt(margin), BigInt(entryPx));
+            },
+            close_position: ({ sender, chargeGas }, args) => {
+                chargeGas(20);
+                model.closePosition(sender, args[0], Number(args[1]), BigInt(args[2]));
+            },
+            liquidate: ({ sender, chargeGas }, args) => {
+                chargeGas(20);
+                model.liquidate(sender, args[0], Number(args[1]));
+            },
+        },
+        resource: (account, type) => {
+            if (!type.endsWith('::perp_core::Pair'))
+                return undefined;
+            try {
+                return model.resource(account);
+            }
+            catch {
+                return undefined;
+            }
+        },
+        tableItem: (handle, key) => model.tableItem(handle, key),
+        checkpoint: () => model.checkpoint(),
+    };
+}
+function positionJson(pos) {
+    return {
+        side: pos.side,
+        size: pos.size.toString(),
+        entry_px: pos.entryPx.toString(),
+        margin: pos.margin.toString(),
+        lev_bps: String(pos.levBps),
+        funding_index_open: pos.fundingIndexOpen.toString(),
+    };
+}
+// Compare the model's state with a live node's for the pair at `admin` and a set of owners. The deployed module
+// has no view functions, so both sides are read as the Pair resource and its positions table; the table handle
+// is left out of the comparison (the model's is a stand-in).
+export async function diffAgainstChain(model, client, moduleAddr, admin, owners = []) {
+    const out = [];
+    const settle = async (read) => {
+        try {
+            return await read();
+        }
+        catch (e) {
+            return { error: e?.data?.error_code || e?.message || String(e) };
+        }
+    };
+    const withoutHandle = (pair) => (pair && !pair.error ? { ...pair, positions: undefined } : pair);
+    const modelPair = await settle(() => model.resource(admin));
+    const chainPair = await settle(() => client.aptos.getAccountResource({ accountAddress: admin, resourceType: `${moduleAddr}::perp_core::Pair` }));
+    out.push({ what: 'Pair', model: withoutHandle(modelPair), chain: withoutHandle(chainPair), equal: canonical(withoutHandle(modelPair)) === canonical(withoutHandle(chainPair)) });
+    const handle = chainPair?.positions?.handle;
+    for (const owner of owners.map(normalizeAptosAddress)) {
+        const modelPos = model.tableItem(model.positionsHandle(admin), owner) ?? null;
+        const chainPos = !handle ? { error: 'no Pair on chain' } : await settle(() => client.aptos.getTableItem({
+            handle,
+            data: { key_type: 'address', value_type: `${moduleAddr}::perp_core::Position`, key: owner },
+        }));
+        const chain = chainPos?.error === 'table_item_not_found' ? null : chainPos;
+        out.push({ what: `positions[${owner}]`, model: modelPos, chain, equal: canonical(modelPos) === canonical(chain) });
+    }
+    return out;
+}
+// The node returns numbers as strings or numbers depending on width; compare them as strings
+function canonical(v) {
+    return JSON.stringify(v, (_k, x) => (typeof x === 'number' || typeof x === 'bigint' ? String(x) : x));
+}
@@ -0,0 +1,69 @@
+/*
+ * perp_core state read through resources.
+ * ---------------------------------
+ * The deployed perp_core exposes no #[view] functions, so reads use what exists on chain today, through the
+ * generated resource readers: the Pair resource at the admin address (pair_object_address ignores pair_id) for
+ * config, mark price and funding index, and its `positions` Table<address, Position> item by item.
+ *
+ * Shared with the frontend: npm run gen:perp-math transpiles this file to
+ * walletconnect/src/services/perpState.generated.js (the Move client and address helper map to their frontend
+ * counterparts; type-only imports are dropped).
+ */
+import { perpCore, PerpCorePosition } from '../aptos/moveClient.generated.js';
+import type { MoveResourceReader } from '../aptos/moveCodec.js';
+import type { PositionState } from './margin.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+
+export interface PerpPairState {
+  admin: string;
+  pairId: number;
+  maxLevBps: number;
+  initMarginBps: number;
+  maintMarginBps: number;
+  maxFundingBpsHour: number;
+  markPx: bigint;
+  cumFundingBps: bigint;
+  lastFundingTs: bigint;
+  oracle: string;
+  vrfOracle: string;
+  positionsHandle: string;
+}
+
+// The subset of the SDK client these reads need (the memory ledger and PerpCoreModel.viewClient() provide it too)
+export type PerpStateReader = MoveResourceReader;
+
+export async function readPairState(aptos: PerpStateReader, moduleAddr: string, admin: string): Promise<PerpPairState> {
+  const pair = await perpCore.readPair(aptos, { account: normalizeAptosAddress(admin) }, moduleAddr);
+  if (!pair) throw new Error(`No perp_core::Pair at ${admin} (E_PAIR_NOT_FOUND)`);
+  return {
+    admin: normalizeAptosAddress(admin),
+    pairId: Number(pair.pair_id),
+    maxLevBps: Number(pair.cfg.max_lev_bps),
+    initMarginBps: Number(pair.cfg.init_margin_bps),
+    maintMarginBps: Number(pair.cfg.maint_margin_bps),
+    maxFundingBpsHour: Number(pair.cfg.max_funding_bps_hour),
+    markPx: pair.mark_px,
+    cumFundingBps: pair.cum_funding_bps,
+    lastFundingTs: pair.last_funding_ts,
+    oracle: normalizeAptosAddress(pair.oracle),
+    vrfOracle: normalizeAptosAddress(pair.vrf_oracle),
+    positionsHandle: pair.positions.handle,
+  };
+}
+
+export function toPositionState(raw: PerpCorePosition): PositionState {
+  return {
+    side: raw.side,
+    size: raw.size,
+    entryPx: raw.entry_px,
+    margin: raw.margin,
+    levBps: Number(raw.lev_bps),
+    fundingIndexOpen: raw.funding_index_open,
+  };
+}
+
+// The owner's position, or null when the table has no entry for them
+export async function readPosition(aptos: PerpStateReader, moduleAddr: string, pair: PerpPairState, owner: string): Promise<PositionState | null> {
+  const raw = await perpCore.readPairPositions(aptos, { handle: pair.positionsHandle, key: normalizeAptosAddress(owner) }, moduleAddr);
+  return raw ? toPositionState(raw) : null;
+}
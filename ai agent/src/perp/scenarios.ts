@@ -0,0 +1,57 @@
+/*
+ * What-if grid for a perp position: price shocks × leverages, each row evaluated with margin.ts.
+ * A shock moves the mark by shockPct (e.g. -15 = mark falls 15%). An alternate leverage re-sizes the margin to
+ * what perp_core::open_position would have required at that leverage for the same size and entry
+ * (required_init_margin on the entry notional); the current leverage keeps the position's actual margin.
+ */
+import { BPS, MarketState, PositionRisk, PositionState, assessPosition, notional, requiredInitMargin } from './margin.js';
+
+export interface ScenarioParams {
+  shockPcts: number[];   // 0 (current mark) is always included
+  levBps: number[];      // alternate leverages; the position's own lev_bps is always included
+  initMarginBps: number;
+  maxLevBps: number;
+}
+
+export interface ScenarioRow {
+  levBps: number;
+  shockPct: number;
+  markPx: bigint;
+  margin: bigint;
+  risk: PositionRisk;
+  allowed: boolean; // false when the leverage exceeds the pair maximum (row still evaluated)
+  current: boolean; // actual leverage at the actual mark
+}
+
+export function shockedPrice(markPx: bigint, shockPct: number): bigint {
+  const bps = BigInt(Math.round(shockPct * 100));
+  const px = (markPx * (BPS + bps)) / BPS;
+  return px > 0n ? px : 0n;
+}
+
+export function marginAtLeverage(pos: PositionState, levBps: number, initMarginBps: number): bigint {
+  if (levBps === pos.levBps) return pos.margin;
+  return requiredInitMargin(notional(pos.entryPx, pos.size), levBps, initMarginBps);
+}
+
+export function runScenarios(pos: PositionState, market: MarketState, p: ScenarioParams): ScenarioRow[] {
+  const shocks = [...new Set([0, ...p.shockPcts])].sort((a, b) => a - b);
+  const levs = [...new Set([pos.levBps, ...p.levBps])].filter((l) => l > 0).sort((a, b) => a - b);
+  const rows: ScenarioRow[] = [];
+  for (const levBps of levs) {
+    const margin = marginAtLeverage(pos, levBps, p.initMarginBps);
+    for (const shockPct of shocks) {
+      const markPx = shockedPrice(market.markPx, shockPct);
+      rows.push({
+        levBps,
+        shockPct,
+        markPx,
+        margin,
+        risk: assessPosition({ ...pos, margin, levBps }, { ...market, markPx }),
+        allowed: levBps <= p.maxLevBps,
+        current: levBps === pos.levBps && shockPct === 0,
+      });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,116 @@
+/*
+ * Plan store for two-phase execution.
+ * ---------------------------------
+ * /api/plan stores the parsed intents + built payloads under a plan id and returns a signed token.
+ * /api/plan/:id/confirm later submits exactly those stored payloads (no re-parse, no re-quote), once, before expiry.
+ * Swap payloads keep the min-out / max-in computed at planning time, so a pool that moved past the slippage
+ * bound makes the transaction abort rather than silently trade at a new price.
+ *
+ * Token = base64url(HMAC-SHA256(secret, `${id}.${hash}.${expiresAt}`)); the hash covers intents + payloads
+ * so a client cannot swap in different intents under an existing id.
+ */
+import crypto from 'crypto';
+import { Intent } from '../intents/schema.js';
+import type { SignerDescriptor } from '../signers/signerProvider.js';
+
+export type StoredPlanStatus = 'pending' | 'executing' | 'executed' | 'failed';
+
+export interface StoredPlan {
+  id: string;
+  hash: string;
+  token: string;
+  createdAt: number;
+  expiresAt: number;
+  status: StoredPlanStatus;
+  intents: Intent[];
+  payloads: any[]; // built payload per intent (null when the intent could not be built)
+  outputs: (Record<string, string> | null)[]; // what each payload was built to produce (feeds downstream $refs)
+  quotes: any[];   // per intent: the swap quote the payload's limits came from (null otherwise)
+  user?: string;
+  signer?: SignerDescriptor; // mode + sender the plan was simulated for; confirm must present the same
+  result?: any;
+}
+
+export interface PlanStoreOptions {
+  ttlMs?: number;   // default 5 minutes
+  secret?: string;  // HMAC key; random per process when omitted (tokens die with the process)
+}
+
+export class PlanError extends Error {
+  constructor(message: string, readonly status: number) { super(message); }
+}
+
+// JSON.stringify with sorted keys and bigint support so equal plans hash equally
+export function canonicalJson(value: any): string {
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).filter((k) => value[k] !== undefined).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashPlan(intents: Intent[], payloads: any[]): string {
+  return crypto.createHash('sha256').update(canonicalJson({ intents, payloads })).digest('hex');
+}
+
+export class PlanStore {
+  private plans = new Map<string, StoredPlan>();
+  private ttlMs: number;
+  private secret: string;
+
+  constructor(opts: PlanStoreOptions = {}) {
+    this.ttlMs = opts.ttlMs ?? 5 * 60_000;
+    this.secret = opts.secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  private sign(id: string, hash: string, expiresAt: number): string {
+    return crypto.createHmac('sha256', this.secret).update(`${id}.${hash}.${expiresAt}`).digest('base64url');
+  }
+
+  private prune(now = Date.now()) {
+    // Keep finished plans around for one extra TTL so a late duplicate confirm gets a clear 409
+    for (const [id, p] of this.plans) if (now > p.expiresAt + this.ttlMs) this.plans.delete(id);
+  }
+
+  create(intents: Intent[], built: { payload?: any; outputs?: Record<string, string>; quote?: any }[], user?: string, signer?: SignerDescriptor): StoredPlan {
+    this.prune();
+    const id = crypto.randomUUID();
+    const payloads = built.map((b) => b.payload ?? null);
+    const hash = hashPlan(intents, payloads);
+    const createdAt = Date.now();
+    const expiresAt = createdAt + this.ttlMs;
+    const plan: StoredPlan = {
+      id, hash, token: this.sign(id, hash, expiresAt), createdAt, expiresAt, status: 'pending', intents, payloads,
+      outputs: built.map((b) => b.outputs ?? null), quotes: built.map((b) => b.quote ?? null), user, ...(signer ? { signer } : {}),
+    };
+    this.plans.set(id, plan);
+    return plan;
+  }
+
+  get(id: string): StoredPlan | undefined {
+    this.prune();
+    return this.plans.get(id);
+  }
+
+  // Validate and claim a plan for execution. Claiming is synchronous so two concurrent confirms cannot both pass.
+  claim(id: string, token: string): StoredPlan {
+    const plan = this.get(id);
+    if (!plan) throw new PlanError('Unknown or expired plan', 404);
+    const expected = Buffer.from(plan.token);
+    const given = Buffer.from(String(token || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw new PlanError('Invalid plan token', 403);
+    if (plan.status !== 'pending') throw new PlanError(`Plan already ${plan.status}`, 409);
+    if (Date.now() > plan.expiresAt) throw new PlanError('Plan expired', 410);
+    plan.status = 'executing';
+    return plan;
+  }
+
+  finish(id: string, result: any, ok: boolean) {
+    const plan = this.plans.get(id);
+    if (!plan) return;
+    plan.status = ok ? 'executed' : 'failed';
+    plan.result = result;
+  }
+}
@@ -0,0 +1,112 @@
+import { isIntentRef } from '../intents/graph.js';
+import { toAtomicUnits } from '../adapters/base.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+const DEFAULT_ACTIONS = {
+    maxAmount: 'deny',
+    dailySpendCap: 'deny',
+    recipientAllowlist: 'deny',
+    recipientDenylist: 'deny',
+    maxSlippageBps: 'deny',
+    maxLeverage: 'deny',
+    minConfidence: 'confirm',
+};
+// Common scale for comparing decimal strings without floating point
+const SCALE = 18;
+function scaled(amount) { return toAtomicUnits(amount, SCALE); }
+// Token + amount an intent spends from the user's wallet (undefined if it spends nothing).
+// An exact-out swap spends at most its quoted maxAmountIn; without a quote the amount is undefined.
+export function spendOf(intent, quoted) {
+    switch (intent.type) {
+        case 'TRANSFER': return { token: intent.token.toUpperCase(), amount: intent.amount };
+        case 'SWAP': return { token: intent.fromToken.toUpperCase(), amount: intent.amountIn ?? quoted?.maxAmountIn };
+        case 'PERP_OPEN': {
+            const quote = intent.pair.includes('-') ? intent.pair.split('-')[1] : 'USDC';
+            return { token: quote.toUpperCase(), amount: intent.margin };
+        }
+        default: return undefined;
+    }
+}
+function rank(d) { return d === 'deny' ? 2 : d === 'confirm' ? 1 : 0; }
+export class PolicyEngine {
+    config;
+    spent = new Map(); // `${day}|${sender}|${token}` -> scaled amount
+    constructor(config = {}) {
+        this.config = config;
+    }
+    action(rule) {
+        return this.config.actions?.[rule] || DEFAULT_ACTIONS[rule];
+    }
+    spendKey(ctx, token) {
+        const day = (ctx.now || new Date()).toISOString().slice(0, 10);
+        return `${day}|${ctx.sender ? normalizeAptosAddress(ctx.sender) : 'anonymous'}|${token}`;
+    }
+    // `quoted[i]` holds intent i's quoted outputs, which price exact-out swaps
+    evaluate(intents, ctx = {}, quoted = []) {
+        const cfg = this.config;
+        const violations = [];
+        const pendingSpend = new Map(); // spend earlier in the same plan counts toward the cap
+        const flag = (intentIndex, rule, reason) => violations.push({ intentIndex, rule, decision: this.action(rule), reason });
+        intents.forEach((intent, idx) => {
+            if (cfg.minConfidence != null && intent.confidence != null && intent.confidence < cfg.minConfidence) {
+                flag(idx, 'minConfidence', `Parse confidence ${intent.confidence} below floor ${cfg.minConfidence}`);
+            }
+            const spend = spendOf(intent, quoted[idx]);
+            if (spend && (spend.amount === undefined || isIntentRef(spend.amount))) {
+                // Amount only known once the upstream intent runs or the swap is quoted; never auto-approve a capped token
+                if (cfg.maxAmount?.[spend.token] || cfg.dailySpendCap?.[spend.token]) {
+                    const why = spend.amount === undefined ? 'exact-out swap has no quoted max input' : 'amount depends on an earlier intent';
+                    violations.push({ intentIndex: idx, rule: 'maxAmount', decision: 'confirm', reason: `${spend.token} ${why} and cannot be checked up front` });
+                }
+            }
+            else if (spend?.amount) {
+                const max = cfg.maxAmount?.[spend.token];
+                if (max && scaled(spend.amount) > scaled(max)) {
+                    flag(idx, 'maxAmount', `${spend.amount} ${spend.token} exceeds per-intent limit ${max}`);
+                }
+                const cap = cfg.dailySpendCap?.[spend.token];
+                if (cap) {
+                    const key = this.spendKey(ctx, spend.token);
+                    const total = (this.spent.get(key) || 0n) + (pendingSpend.get(key) || 0n) + scaled(spend.amount);
+                    pendingSpend.set(key, (pendingSpend.get(key) || 0n) + scaled(spend.amount));
+                    if (total > scaled(cap))
+                        flag(idx, 'dailySpendCap', `${spend.token} spend today would exceed daily cap ${cap}`);
+                }
+            }
+            if (intent.type === 'TRANSFER') {
+                const to = intent.to.toLowerCase();
+                const same = (a) => a.toLowerCase().replace(/^0x0*/, '') === to.replace(/^0x0*/, '');
+                if (cfg.recipientDenylist?.some(same))
+                    flag(idx, 'recipientDenylist', `Recipient ${intent.to} is deny-listed`);
+                if (cfg.recipientAllowlist && !cfg.recipientAllowlist.some(same))
+                    flag(idx, 'recipientAllowlist', `Recipient ${intent.to} is not on the allow-list`);
+            }
+            if (intent.type === 'SWAP' && cfg.maxSlippageBps != null && intent.slippageBps > cfg.maxSlippageBps) {
+                flag(idx, 'maxSlippageBps', `Slippage ${intent.slippageBps}bps exceeds max ${cfg.maxSlippageBps}bps`);
+            }
+            if (intent.type === 'PERP_OPEN' && cfg.maxLeverage != null && Number(intent.leverage) > cfg.maxLeverage) {
+                flag(idx, 'maxLeverage', `Leverage ${intent.leverage}x exceeds policy max ${cfg.maxLeverage}x`);
+            }
+        });
+        const perIntent = intents.map((_, idx) => violations.filter((v) => v.intentIndex === idx).reduce((d, v) => (rank(v.decision) > rank(d) ? v.decision : d), 'allow'));
+        const decision = perIntent.reduce((d, x) => (rank(x) > rank(d) ? x : d), 'allow');
+        return { decision, perIntent, violations };
+    }
+    // Record spend for intents that actually executed (feeds the daily cap); `quoted` as in evaluate
+    recordSpend(intents, ctx = {}, quoted = []) {
+        intents.forEach((intent, idx) => {
+            const spend = spendOf(intent, quoted[idx]);
+            if (!spend?.amount || isIntentRef(spend.amount) || !this.config.dailySpendCap?.[spend.token])
+                return;
+            const key = this.spendKey(ctx, spend.token);
+            this.spent.set(key, (this.spent.get(key) || 0n) + scaled(spend.amount));
+        });
+    }
+}
+export function loadPolicyConfig(json) {
+    if (!json || !json.trim())
+        return {};
+    const cfg = JSON.parse(json);
+    if (typeof cfg !== 'object' || Array.isArray(cfg))
+        throw new Error('Policy config must be a JSON object');
+    return cfg;
+}
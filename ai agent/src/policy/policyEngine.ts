@@ -0,0 +1,169 @@
+/*
+ * Policy engine: configurable guard rails evaluated between plan and execute.
+ * ---------------------------------
+ * Each rule inspects one intent and returns nothing (allow) or a violation whose decision is
+ * either 'deny' (never execute) or 'confirm' (execute only after explicit user confirmation).
+ * The overall decision is the most restrictive one across all intents: deny > confirm > allow.
+ *
+ * Config is plain JSON so it can live in a file (POLICY_FILE) next to the server.
+ */
+import { Intent } from '../intents/schema.js';
+import { isIntentRef } from '../intents/graph.js';
+import { toAtomicUnits } from '../adapters/base.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+
+export type PolicyDecision = 'allow' | 'deny' | 'confirm';
+export type PolicyAction = Exclude<PolicyDecision, 'allow'>;
+
+export interface PolicyConfig {
+  maxAmount?: Record<string, string>;      // token symbol -> max amount per intent
+  dailySpendCap?: Record<string, string>;  // token symbol -> max total per sender per UTC day
+  recipientAllowlist?: string[];           // if set, transfers may only go to these addresses
+  recipientDenylist?: string[];
+  maxSlippageBps?: number;
+  maxLeverage?: number;                    // multiplier, e.g. 10 = 10x
+  minConfidence?: number;                  // 0..1, below this the parse is not trusted
+  // Per-rule action override (default: deny, except minConfidence which defaults to confirm)
+  actions?: Partial<Record<PolicyRuleName, PolicyAction>>;
+}
+
+export type PolicyRuleName = 'maxAmount' | 'dailySpendCap' | 'recipientAllowlist' | 'recipientDenylist' | 'maxSlippageBps' | 'maxLeverage' | 'minConfidence';
+
+export interface PolicyViolation {
+  intentIndex: number;
+  rule: PolicyRuleName;
+  decision: PolicyAction;
+  reason: string;
+}
+
+export interface PolicyEvaluation {
+  decision: PolicyDecision;
+  perIntent: PolicyDecision[];
+  violations: PolicyViolation[];
+}
+
+export interface PolicyContext {
+  // Address the spend leaves from: the resolved signer's account (or the client-mode wallet), never a
+  // caller-supplied label, so the daily cap cannot be reset by renaming the request
+  sender?: string;
+  now?: Date;
+}
+
+const DEFAULT_ACTIONS: Record<PolicyRuleName, PolicyAction> = {
+  maxAmount: 'deny',
+  dailySpendCap: 'deny',
+  recipientAllowlist: 'deny',
+  recipientDenylist: 'deny',
+  maxSlippageBps: 'deny',
+  maxLeverage: 'deny',
+  minConfidence: 'confirm',
+};
+
+// Common scale for comparing decimal strings without floating point
+const SCALE = 18;
+function scaled(amount: string): bigint { return toAtomicUnits(amount, SCALE); }
+
+// Outputs an adapter quoted for an intent (simulation, built payload or execution), e.g. a swap's maxAmountIn
+export type QuotedOutputs = Record<string, string> | undefined;
+
+// Token + amount an intent spends from the user's wallet (undefined if it spends nothing).
+// An exact-out swap spends at most its quoted maxAmountIn; without a quote the amount is undefined.
+export function spendOf(intent: Intent, quoted?: QuotedOutputs): { token: string; amount?: string } | undefined {
+  switch (intent.type) {
+    case 'TRANSFER': return { token: intent.token.toUpperCase(), amount: intent.amount };
+    case 'SWAP': return { token: intent.fromToken.toUpperCase(), amount: intent.amountIn ?? quoted?.maxAmountIn };
+    case 'PERP_OPEN': {
+      const quote = intent.pair.includes('-') ? intent.pair.split('-')[1] : 'USDC';
+      return { token: quote.toUpperCase(), amount: intent.margin };
+    }
+    default: return undefined;
+  }
+}
+
+function rank(d: PolicyDecision): number { return d === 'deny' ? 2 : d === 'confirm' ? 1 : 0; }
+
+export class PolicyEngine {
+  private spent = new Map<string, bigint>(); // `${day}|${sender}|${token}` -> scaled amount
+
+  constructor(readonly config: PolicyConfig = {}) {}
+
+  private action(rule: PolicyRuleName): PolicyAction {
+    return this.config.actions?.[rule] || DEFAULT_ACTIONS[rule];
+  }
+
+  private spendKey(ctx: PolicyContext, token: string): string {
+    const day = (ctx.now || new Date()).toISOString().slice(0, 10);
+    return `${day}|${ctx.sender ? normalizeAptosAddress(ctx.sender) : 'anonymous'}|${token}`;
+  }
+
+  // `quoted[i]` holds intent i's quoted outputs, which price exact-out swaps
+  evaluate(intents: Intent[], ctx: PolicyContext = {}, quoted: QuotedOutputs[] = []): PolicyEvaluation {
+    const cfg = this.config;
+    const violations: PolicyViolation[] = [];
+    const pendingSpend = new Map<string, bigint>(); // spend earlier in the same plan counts toward the cap
+    const flag = (intentIndex: number, rule: PolicyRuleName, reason: string) =>
+      violations.push({ intentIndex, rule, decision: this.action(rule), reason });
+
+    intents.forEach((intent, idx) => {
+      if (cfg.minConfidence != null && intent.confidence != null && intent.confidence < cfg.minConfidence) {
+        flag(idx, 'minConfidence', `Parse confidence ${intent.confidence} below floor ${cfg.minConfidence}`);
+      }
+
+      const spend = spendOf(intent, quoted[idx]);
+      if (spend && (spend.amount === undefined || isIntentRef(spend.amount))) {
+        // Amount only known once the upstream intent runs or the swap is quoted; never auto-approve a capped token
+        if (cfg.maxAmount?.[spend.token] || cfg.dailySpendCap?.[spend.token]) {
+          const why = spend.amount === undefined ? 'exact-out swap has no quoted max input' : 'amount depends on an earlier intent';
+          violations.push({ intentIndex: idx, rule: 'maxAmount', decision: 'confirm', reason: `${spend.token} ${why} and cannot be checked up front` });
+        }
+      } else if (spend?.amount) {
+        const max = cfg.maxAmount?.[spend.token];
+        if (max && scaled(spend.amount) > scaled(max)) {
+          flag(idx, 'maxAmount', `${spend.amount} ${spend.token} exceeds per-intent limit ${max}`);
+        }
+        const cap = cfg.dailySpendCap?.[spend.token];
+        if (cap) {
+          const key = this.spendKey(ctx, spend.token);
+          const total = (this.spent.get(key) || 0n) + (pendingSpend.get(key) || 0n) + scaled(spend.amount);
+          pendingSpend.set(key, (pendingSpend.get(key) || 0n) + scaled(spend.amount));
+          if (total > scaled(cap)) flag(idx, 'dailySpendCap', `${spend.token} spend today would exceed daily cap ${cap}`);
+        }
+      }
+
+      if (intent.type === 'TRANSFER') {
+        const to = intent.to.toLowerCase();
+        const same = (a: string) => a.toLowerCase().replace(/^0x0*/, '') === to.replace(/^0x0*/, '');
+        if (cfg.recipientDenylist?.some(same)) flag(idx, 'recipientDenylist', `Recipient ${intent.to} is deny-listed`);
+        if (cfg.recipientAllowlist && !cfg.recipientAllowlist.some(same)) flag(idx, 'recipientAllowlist', `Recipient ${intent.to} is not on the allow-list`);
+      }
+      if (intent.type === 'SWAP' && cfg.maxSlippageBps != null && intent.slippageBps > cfg.maxSlippageBps) {
+        flag(idx, 'maxSlippageBps', `Slippage ${intent.slippageBps}bps exceeds max ${cfg.maxSlippageBps}bps`);
+      }
+      if (intent.type === 'PERP_OPEN' && cfg.maxLeverage != null && Number(intent.leverage) > cfg.maxLeverage) {
+        flag(idx, 'maxLeverage', `Leverage ${intent.leverage}x exceeds policy max ${cfg.maxLeverage}x`);
+      }
+    });
+
+    const perIntent: PolicyDecision[] = intents.map((_, idx) =>
+      violations.filter((v) => v.intentIndex === idx).reduce<PolicyDecision>((d, v) => (rank(v.decision) > rank(d) ? v.decision : d), 'allow'));
+    const decision = perIntent.reduce<PolicyDecision>((d, x) => (rank(x) > rank(d) ? x : d), 'allow');
+    return { decision, perIntent, violations };
+  }
+
+  // Record spend for intents that actually executed (feeds the daily cap); `quoted` as in evaluate
+  recordSpend(intents: Intent[], ctx: PolicyContext = {}, quoted: QuotedOutputs[] = []) {
+    intents.forEach((intent, idx) => {
+      const spend = spendOf(intent, quoted[idx]);
+      if (!spend?.amount || isIntentRef(spend.amount) || !this.config.dailySpendCap?.[spend.token]) return;
+      const key = this.spendKey(ctx, spend.token);
+      this.spent.set(key, (this.spent.get(key) || 0n) + scaled(spend.amount));
+    });
+  }
+}
+
+export function loadPolicyConfig(json?: string): PolicyConfig {
+  if (!json || !json.trim()) return {};
+  const cfg = JSON.parse(json);
+  if (typeof cfg !== 'object' || Array.isArray(cfg)) throw new Error('Policy config must be a JSON object');
+  return cfg as PolicyConfig;
+}
@@ -0,0 +1,85 @@
+/*
+ * Delegated session keys.
+ * ---------------------------------
+ * POST /api/signer/session mints a fresh ed25519 key for a user and returns its address plus a bearer token
+ * (shown once; only its sha256 is kept). The user delegates by funding that address from their wallet; the
+ * server can then sign with it until the session expires or is revoked, and it can never spend more than the
+ * session account holds. Keys live in memory only, so a restart revokes every session.
+ */
+import crypto from 'crypto';
+import { Account } from '@aptos-labs/ts-sdk';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { SignerError } from './signerProvider.js';
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+export class SessionKeyStore {
+    sessions = new Map();
+    ttlMs;
+    maxTtlMs;
+    constructor(opts = {}) {
+        this.ttlMs = opts.ttlMs ?? 60 * 60_000;
+        this.maxTtlMs = opts.maxTtlMs ?? 24 * 60 * 60_000;
+    }
+    prune(now = Date.now()) {
+        for (const [id, s] of this.sessions)
+            if (now > s.expiresAt)
+                this.sessions.delete(id);
+    }
+    info(s) {
+        return {
+            sessionId: s.id,
+            user: s.user,
+            address: s.account.accountAddress.toString(),
+            publicKey: s.account.publicKey.toString(),
+            createdAt: new Date(s.createdAt).toISOString(),
+            expiresAt: new Date(s.expiresAt).toISOString(),
+        };
+    }
+    create(user, ttlMs) {
+        this.prune();
+        if (ttlMs !== undefined && (!Number.isFinite(ttlMs) || ttlMs <= 0))
+            throw new SignerError('ttlMs must be a positive number', 400);
+        const token = crypto.randomBytes(32).toString('base64url');
+        const createdAt = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            user: normalizeAptosAddress(user),
+            account: Account.generate(),
+            tokenHash: hashToken(token).toString('hex'),
+            createdAt,
+            expiresAt: createdAt + Math.min(ttlMs ?? this.ttlMs, this.maxTtlMs),
+        };
+        this.sessions.set(session.id, session);
+        return { ...this.info(session), sessionToken: token };
+    }
+    authenticate(id, token) {
+        const s = this.sessions.get(id);
+        if (!s)
+            throw new SignerError('Unknown or expired session', 401);
+        const expected = Buffer.from(s.tokenHash, 'hex');
+        if (!crypto.timingSafeEqual(expected, hashToken(String(token || ''))))
+            throw new SignerError('Invalid session token', 401);
+        if (Date.now() > s.expiresAt) {
+            this.sessions.delete(id);
+            throw new SignerError('Session expired', 401);
+        }
+        return s;
+    }
+    // user, when the request names one, must be the user the session was delegated by
+    resolve(id, token, user) {
+        const s = this.authenticate(id, token);
+        if (user && normalizeAptosAddress(user) !== s.user)
+            throw new SignerError('Session belongs to a different user', 403);
+        return { mode: 'session', account: s.account, address: s.account.accountAddress.toString(), sessionId: s.id, user: s.user };
+    }
+    get(id, token) {
+        return this.info(this.authenticate(id, token));
+    }
+    revoke(id, token) {
+        this.authenticate(id, token);
+        return this.sessions.delete(id);
+    }
+    count() {
+        this.prune();
+        return this.sessions.size;
+    }
+}
@@ -0,0 +1,151 @@
+/*
+ * Signer providers: who signs the transactions an execute request submits.
+ * ---------------------------------
+ * Every request names its mode explicitly (body.signer.mode):
+ *   'custodial' – a server-held key from SIGNER_PRIVATE_KEY or a keystore file (SIGNER_KEYSTORE_FILE), picked by keyId.
+ *                 Off unless CUSTODIAL_API_TOKEN is set; each request must then carry it (X-Signer-Token header),
+ *                 otherwise any page that can reach the server could spend the server's keys.
+ *   'session'   – a per-user delegated session key minted by POST /api/signer/session (see sessionKeys.ts).
+ *   'client'    – the server never signs; it simulates dry-run and builds payloads for the user's wallet.
+ * Execute paths call `resolveForExecution`, which rejects a missing signer and the client mode, so nothing is
+ * ever submitted from a key the caller did not choose.
+ *
+ * Keystore JSON: { "default"?: "<id>", "keys": { "<id>": "0x<ed25519 private key hex>" } }
+ */
+import crypto from 'crypto';
+import { z } from 'zod';
+import { createAccountFromPrivateKeyHex } from '../aptos/aptosClient.js';
+import { normalizeAptosAddress } from '../utils/address.js';
+export const SignerRequestSchema = z.discriminatedUnion('mode', [
+    z.object({ mode: z.literal('custodial'), keyId: z.string().optional() }).strict(),
+    z.object({ mode: z.literal('session'), sessionId: z.string(), sessionToken: z.string() }).strict(),
+    z.object({ mode: z.literal('client'), address: z.string().optional() }).strict(),
+]);
+export class SignerError extends Error {
+    status;
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+}
+const KeystoreSchema = z.object({
+    default: z.string().optional(),
+    keys: z.record(z.string().regex(/^(0x)?[0-9a-fA-F]{64}$/, 'expected 32-byte hex private key')),
+}).strict();
+export function loadKeystoreConfig(json, envKey) {
+    const config = { keys: {} };
+    if (json && json.trim()) {
+        const parsed = KeystoreSchema.safeParse(JSON.parse(json));
+        if (!parsed.success) {
+            throw new Error('Invalid signer keystore: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+        }
+        Object.assign(config, parsed.data);
+    }
+    // The env key is the 'env' entry and the default unless the keystore names one
+    if (envKey) {
+        config.keys = { ...config.keys, env: envKey };
+        config.default = config.default || 'env';
+    }
+    if (config.default && !config.keys[config.default])
+        throw new Error(`Signer keystore default "${config.default}" has no key`);
+    return config;
+}
+export class CustodialSigners {
+    accounts = new Map();
+    defaultId;
+    constructor(config) {
+        for (const [id, hex] of Object.entries(config.keys))
+            this.accounts.set(id, createAccountFromPrivateKeyHex(hex));
+        this.defaultId = config.default ?? this.accounts.keys().next().value;
+    }
+    resolve(keyId) {
+        const id = keyId || this.defaultId;
+        if (!id)
+            throw new SignerError('No custodial key configured (set SIGNER_PRIVATE_KEY or SIGNER_KEYSTORE_FILE)', 400);
+        const account = this.accounts.get(id);
+        if (!account)
+            throw new SignerError(`Unknown custodial key "${id}"`, 400);
+        return { mode: 'custodial', account, address: account.accountAddress.toString(), keyId: id };
+    }
+    list() {
+        return [...this.accounts].map(([id, a]) => ({ keyId: id, address: a.accountAddress.toString(), default: id === this.defaultId }));
+    }
+}
+export class SignerProvider {
+    custodial;
+    sessions;
+    custodialToken;
+    constructor(custodial, sessions, opts = {}) {
+        this.custodial = custodial;
+        this.sessions = sessions;
+        this.custodialToken = opts.custodialToken || '';
+    }
+    get custodialEnabled() {
+        return !!this.custodialToken;
+    }
+    assertCustodialAccess(credential) {
+        if (!this.custodialToken)
+            throw new SignerError('Custodial signing is disabled (set CUSTODIAL_API_TOKEN on the server)', 403);
+        const expected = Buffer.from(this.custodialToken);
+        const given = Buffer.from(String(credential || ''));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            throw new SignerError('Custodial signing requires a valid X-Signer-Token header', 401);
+        }
+    }
+    parse(input) {
+        const parsed = SignerRequestSchema.safeParse(input);
+        if (!parsed.success) {
+            throw new SignerError('Invalid signer: ' + parsed.error.issues.map((i) => `${i.path.join('.') || 'mode'}: ${i.message}`).join('; '), 400);
+        }
+        return parsed.data;
+    }
+    // `credential` is the request's X-Signer-Token (checked for custodial mode only)
+    resolve(input, user, credential) {
+        const req = this.parse(input);
+        switch (req.mode) {
+            case 'custodial':
+                this.assertCustodialAccess(credential);
+                return this.custodial.resolve(req.keyId);
+            case 'session':
+                return this.sessions.resolve(req.sessionId, req.sessionToken, user);
+            case 'client': {
+                const address = req.address || user;
+                return { mode: 'client', ...(address ? { address: normalizeAptosAddress(address) } : {}) };
+            }
+        }
+    }
+    // Plan / build paths: no signer means client mode for the request's user
+    resolveForPlanning(input, user, credential) {
+        return input === undefined || input === null ? this.resolve({ mode: 'client' }, user) : this.resolve(input, user, credential);
+    }
+    // Execute paths: the mode must be given and must be able to sign
+    resolveForExecution(input, user, credential) {
+        if (input === undefined || input === null) {
+            throw new SignerError('Execution requires a signer: { "signer": { "mode": "custodial" | "session" | "client", ... } }', 400);
+        }
+        const signer = this.resolve(input, user, credential);
+        if (!signer.account) {
+            throw new SignerError('Signer mode "client" cannot execute on the server; build with /api/build and sign in the wallet', 400);
+        }
+        return signer;
+    }
+    describe() {
+        return {
+            modes: ['custodial', 'session', 'client'],
+            custodialEnabled: this.custodialEnabled,
+            custodial: this.custodialEnabled ? this.custodial.list() : [],
+            sessions: this.sessions.count(),
+        };
+    }
+}
+export function describeSigner(signer) {
+    return { mode: signer.mode, ...(signer.address ? { address: signer.address } : {}) };
+}
+// Confirm must use the signer the plan was built for
+export function assertSameSigner(expected, actual) {
+    if (!expected)
+        return;
+    if (expected.mode !== actual.mode || (expected.address || '') !== (actual.address || '')) {
+        throw new SignerError(`Plan was created for ${expected.mode} signer ${expected.address || '(none)'}; got ${actual.mode} ${actual.address || '(none)'}`, 409);
+    }
+}
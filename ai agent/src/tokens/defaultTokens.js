@@ -0,0 +1,12 @@
+/*
+ * Built-in token list and the token shapes the registry is configured with.
+ * ---------------------------------
+ * Shared with the frontend: npm run gen:tokens transpiles this file to
+ * walletconnect/src/config/tokens.generated.js, so keep it free of imports.
+ */
+export const DEFAULT_TOKEN_REGISTRY = {
+    tokens: [
+        { symbol: 'APT', name: 'Aptos Coin', decimals: 8, coinType: '0x1::aptos_coin::AptosCoin', faMetadata: '0xa', aliases: ['APTOS'] },
+        { symbol: 'USDC', name: 'USD Coin', decimals: 6, coinType: '0xf22bede237a07e121b56d91a491eb7bcdfd1f5907926a9e58338f964a01b17fa::asset::USDC', aliases: ['USD COIN'] },
+    ],
+};
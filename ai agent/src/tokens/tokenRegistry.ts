@@ -0,0 +1,107 @@
+/*
+ * Token registry: the one place that knows token symbols, on-chain identifiers and decimals.
+ * ---------------------------------
+ * A token is either a legacy coin (`coinType`, e.g. 0x1::aptos_coin::AptosCoin) or a fungible asset
+ * (`faMetadata`, the metadata object address); some tokens have both. Aliases let the parser accept
+ * "aptos" or "usd coin" and normalize to the canonical symbol.
+ *
+ * Per-network overrides patch individual fields (addresses usually differ between testnet and mainnet).
+ * Config is plain JSON so extra tokens can live in a file (TOKEN_REGISTRY_FILE) without code changes;
+ * file entries are merged over the built-in defaults by symbol. The defaults live in defaultTokens.ts, which
+ * the frontend shares.
+ */
+import { z } from 'zod';
+import { toAtomicUnits, fromAtomicUnits } from '../adapters/base.js';
+import { TokenInfo, TokenRegistryConfig, DEFAULT_TOKEN_REGISTRY } from './defaultTokens.js';
+
+export type { TokenInfo, TokenRegistryConfig } from './defaultTokens.js';
+export { DEFAULT_TOKEN_REGISTRY } from './defaultTokens.js';
+
+const TokenInfoSchema = z.object({
+  symbol: z.string().regex(/^[A-Z0-9]+(-[A-Z0-9]+)?$/i, 'Invalid token symbol'),
+  name: z.string().optional(),
+  decimals: z.number().int().min(0).max(32),
+  coinType: z.string().regex(/^0x[0-9a-fA-F]+::\w+::\w+(<.+>)?$/, 'Invalid coin type').optional(),
+  faMetadata: z.string().regex(/^0x[0-9a-fA-F]+$/, 'Invalid metadata address').optional(),
+  aliases: z.array(z.string()).optional(),
+});
+
+const TokenRegistryConfigSchema = z.object({
+  tokens: z.array(TokenInfoSchema),
+  networks: z.record(z.record(TokenInfoSchema.omit({ symbol: true }).partial())).optional(),
+});
+
+function key(s: string): string { return s.trim().toUpperCase(); }
+
+export class TokenRegistry {
+  private bySymbol = new Map<string, TokenInfo>();
+  private byAlias = new Map<string, string>(); // alias -> symbol
+
+  constructor(readonly config: TokenRegistryConfig = DEFAULT_TOKEN_REGISTRY, readonly network = 'testnet') {
+    const overrides = config.networks?.[network] || {};
+    for (const base of config.tokens) {
+      const symbol = key(base.symbol);
+      const token: TokenInfo = { ...base, ...overrides[base.symbol], ...overrides[symbol], symbol };
+      if (!token.coinType && !token.faMetadata) throw new Error(`Token ${symbol} needs a coinType or faMetadata on ${network}`);
+      this.bySymbol.set(symbol, token);
+      for (const alias of token.aliases || []) this.byAlias.set(key(alias), symbol);
+    }
+  }
+
+  list(): TokenInfo[] { return [...this.bySymbol.values()]; }
+
+  symbols(): string[] { return [...this.bySymbol.keys()]; }
+
+  // Symbol or alias (case-insensitive) -> token
+  resolve(symbolOrAlias: string): TokenInfo | undefined {
+    const k = key(symbolOrAlias);
+    return this.bySymbol.get(k) || this.bySymbol.get(this.byAlias.get(k) || '');
+  }
+
+  has(symbolOrAlias: string): boolean { return !!this.resolve(symbolOrAlias); }
+
+  get(symbolOrAlias: string): TokenInfo {
+    const token = this.resolve(symbolOrAlias);
+    if (!token) throw new Error(`Unknown token ${symbolOrAlias} (known: ${this.symbols().join(', ') || 'none'})`);
+    return token;
+  }
+
+  // Reverse lookup by coin type or FA metadata address
+  findByAddress(coinTypeOrMetadata: string): TokenInfo | undefined {
+    const want = coinTypeOrMetadata.toLowerCase();
+    return this.list().find((t) => t.coinType?.toLowerCase() === want || t.faMetadata?.toLowerCase() === want);
+  }
+
+  toAtomic(amount: string, symbol: string): bigint { return toAtomicUnits(amount, this.get(symbol).decimals); }
+
+  fromAtomic(atomic: bigint, symbol: string): string { return fromAtomicUnits(atomic, this.get(symbol).decimals); }
+}
+
+// Merge a JSON config over the defaults (tokens replaced by symbol, network overrides merged per symbol)
+export function mergeTokenRegistryConfig(base: TokenRegistryConfig, extra: TokenRegistryConfig): TokenRegistryConfig {
+  const tokens = new Map(base.tokens.map((t) => [key(t.symbol), t]));
+  for (const t of extra.tokens) tokens.set(key(t.symbol), t);
+  const networks: NonNullable<TokenRegistryConfig['networks']> = { ...base.networks };
+  for (const [net, overrides] of Object.entries(extra.networks || {})) networks[net] = { ...networks[net], ...overrides };
+  return { tokens: [...tokens.values()], networks };
+}
+
+export function loadTokenRegistryConfig(json?: string): TokenRegistryConfig {
+  if (!json || !json.trim()) return DEFAULT_TOKEN_REGISTRY;
+  const parsed = TokenRegistryConfigSchema.safeParse(JSON.parse(json));
+  if (!parsed.success) {
+    throw new Error('Invalid token registry: ' + parsed.error.issues.map((i) => `${i.path.join('.')}: ${i.message}`).join('; '));
+  }
+  return mergeTokenRegistryConfig(DEFAULT_TOKEN_REGISTRY, parsed.data);
+}
+
+// Process-wide registry used by the schema and adapters; the server replaces it at startup from TOKEN_REGISTRY_FILE
+let registry: TokenRegistry | null = null;
+export function getTokenRegistry(): TokenRegistry {
+  if (!registry) registry = new TokenRegistry(DEFAULT_TOKEN_REGISTRY, process.env.APTOS_NETWORK || 'testnet');
+  return registry;
+}
+
+export function setTokenRegistry(next: TokenRegistry) {
+  registry = next;
+}
@@ -0,0 +1,216 @@
+// GENERATED by ai agent/scripts/genMoveErrors.mjs from smart contract/*.move – do not edit by hand.
+
+export interface MoveErrorInfo {
+  name: string;
+  categories: string[]; // std::error categories the constant is raised with (empty: raw abort code)
+  explanation: string;
+  fix?: string;
+}
+
+export interface MoveModuleErrors {
+  address: string; // named address in the source (resolved at publish time)
+  file: string;
+  errors: Record<number, MoveErrorInfo>;
+}
+
+export const MOVE_ERRORS: Record<string, MoveModuleErrors> = {
+  "ai_bridge": {
+    "address": "My_module",
+    "file": "AIexecutor.move",
+    "errors": {
+      "1": {
+        "name": "E_NOT_ADMIN",
+        "categories": [],
+        "explanation": "Only the AI bridge admin can call this.",
+        "fix": "Sign with the bridge admin account."
+      },
+      "2": {
+        "name": "E_INVALID_MARGIN",
+        "categories": [],
+        "explanation": "Margin is below the bridge minimum (min_margin).",
+        "fix": "Raise the margin to at least the configured minimum."
+      },
+      "3": {
+        "name": "E_INVALID_LEVERAGE",
+        "categories": [],
+        "explanation": "Leverage is above the bridge maximum (max_leverage).",
+        "fix": "Lower the leverage."
+      },
+      "4": {
+        "name": "E_INVALID_PAIR",
+        "categories": [],
+        "explanation": "The trading pair is empty.",
+        "fix": "Pass a pair name such as \"APT/USDC\"."
+      }
+    }
+  },
+  "governance": {
+    "address": "My_module",
+    "file": "governance.move",
+    "errors": {
+      "1": {
+        "name": "E_NOT_ADMIN",
+        "categories": [],
+        "explanation": "Only the governance admin can call this.",
+        "fix": "Sign with the admin account (see transfer_admin)."
+      },
+      "2": {
+        "name": "E_NO_PERMISSION",
+        "categories": [],
+        "explanation": "The signer has no voting power.",
+        "fix": "Ask the admin to assign votes to this account first."
+      }
+    }
+  },
+  "liquidation_demo": {
+    "address": "My_module",
+    "file": "liquidation.move",
+    "errors": {}
+  },
+  "margin_vault": {
+    "address": "My_module",
+    "file": "vault.move",
+    "errors": {
+      "1": {
+        "name": "E_ALREADY_REGISTERED",
+        "categories": [
+          "invalid_state"
+        ],
+        "explanation": "A margin box for this coin type is already registered.",
+        "fix": "Nothing to do; deposit into the existing margin box."
+      },
+      "2": {
+        "name": "E_NOT_REGISTERED",
+        "categories": [
+          "not_found"
+        ],
+        "explanation": "No margin box for this coin type.",
+        "fix": "Register (or deposit, which registers) before withdrawing, locking or unlocking."
+      },
+      "3": {
+        "name": "E_INSUFFICIENT_AVAILABLE",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Not enough free (unlocked) collateral in the margin box.",
+        "fix": "Deposit more, reduce the amount, or unlock collateral from closed positions first."
+      },
+      "4": {
+        "name": "E_INSUFFICIENT_LOCKED",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Not enough locked collateral to unlock this amount.",
+        "fix": "Unlock at most the currently locked amount."
+      }
+    }
+  },
+  "minimal_test": {
+    "address": "My_module",
+    "file": "minimal_test.move",
+    "errors": {}
+  },
+  "perp_core": {
+    "address": "My_module",
+    "file": "perpetuals.move",
+    "errors": {
+      "1": {
+        "name": "E_PAIR_EXISTS",
+        "categories": [
+          "already_exists"
+        ],
+        "explanation": "A pair with this id already exists under the admin account.",
+        "fix": "Pick an unused pair id, or keep using the existing pair."
+      },
+      "2": {
+        "name": "E_PAIR_NOT_FOUND",
+        "categories": [
+          "not_found"
+        ],
+        "explanation": "No pair with this id exists under the admin account.",
+        "fix": "Check the pair id and that the admin address is the one that called create_pair."
+      },
+      "3": {
+        "name": "E_POS_EXISTS",
+        "categories": [
+          "already_exists"
+        ],
+        "explanation": "The user already has an open position on this pair (one net position per user per pair).",
+        "fix": "Close the existing position before opening a new one."
+      },
+      "4": {
+        "name": "E_POS_NOT_FOUND",
+        "categories": [
+          "not_found"
+        ],
+        "explanation": "The user has no open position on this pair.",
+        "fix": "Check the user address and pair id; the position may already be closed or liquidated."
+      },
+      "5": {
+        "name": "E_BAD_SIDE",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Side must be 0 (long) or 1 (short).",
+        "fix": "Pass side 0 for long or 1 for short."
+      },
+      "6": {
+        "name": "E_BAD_QTY",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Size is zero, or larger than the open position when closing.",
+        "fix": "Use a positive size no larger than the current position size."
+      },
+      "7": {
+        "name": "E_BAD_LEV",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Leverage is zero or above the pair maximum (max_lev_bps).",
+        "fix": "Lower the leverage to at most the pair maximum."
+      },
+      "8": {
+        "name": "E_BAD_MARGIN",
+        "categories": [
+          "invalid_argument"
+        ],
+        "explanation": "Margin is below the initial margin required for this size and leverage.",
+        "fix": "Add margin, reduce the size, or raise the leverage within the pair limit."
+      },
+      "9": {
+        "name": "E_NOT_AUTH",
+        "categories": [
+          "permission_denied"
+        ],
+        "explanation": "The caller is not the pair oracle (mark price) or VRF oracle (funding).",
+        "fix": "Sign the update with the oracle account configured for the pair."
+      },
+      "10": {
+        "name": "E_UNSAFE",
+        "categories": [
+          "invalid_state"
+        ],
+        "explanation": "Unsafe position state: closing would release negative equity, or a liquidation targets a healthy position.",
+        "fix": "Add margin before closing; only liquidate positions below maintenance margin."
+      }
+    }
+  },
+  "simple_orderbook": {
+    "address": "My_module",
+    "file": "orderbook.move",
+    "errors": {
+      "1": {
+        "name": "E_NO_LIQUIDITY",
+        "categories": [],
+        "explanation": "No resting orders on the other side of the book.",
+        "fix": "Retry later or place a limit order instead."
+      }
+    }
+  },
+  "simple_wallet": {
+    "address": "neurodex",
+    "file": "sources/simple_wallet.move",
+    "errors": {}
+  }
+};
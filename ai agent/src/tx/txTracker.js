@@ -0,0 +1,181 @@
+/*
+ * Transaction tracker: every transaction the server submits or relays, with its outcome.
+ * ---------------------------------
+ * Records are appended to a JSON-lines journal (TX_JOURNAL_FILE), one full record per line, so the file is
+ * also a readable audit log. On start the journal is replayed (last line per hash wins), compacted, and
+ * pending transactions resume polling. Polling checks at once, then backs off from pollIntervalMs to 10s, and
+ * stops once the node reports the transaction committed or it has expired without appearing; a record still
+ * pending after maxPollMs is only re-checked on read (refresh).
+ */
+import fs from 'fs';
+import path from 'path';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { describeVmStatus } from './vmStatus.js';
+// Thrown by submit paths when the transaction committed but did not succeed
+export class TxFailedError extends Error {
+    record;
+    constructor(record) {
+        super(`Transaction ${record.hash} failed: ${record.error?.message || record.vmStatus}${record.error?.code ? ` (${record.error.code})` : ''}`);
+        this.record = record;
+        this.name = 'TxFailedError';
+    }
+}
+const MAX_POLL_DELAY_MS = 10_000;
+const EXPIRY_GRACE_SECS = 5;
+export class TxTracker {
+    fetchTransaction;
+    opts;
+    records = new Map();
+    waiters = new Map();
+    polling = new Set();
+    pollIntervalMs;
+    maxPollMs;
+    constructor(fetchTransaction, opts = {}) {
+        this.fetchTransaction = fetchTransaction;
+        this.opts = opts;
+        this.pollIntervalMs = opts.pollIntervalMs ?? 1000;
+        this.maxPollMs = opts.maxPollMs ?? 10 * 60_000;
+        if (opts.journalPath)
+            this.load(opts.journalPath);
+    }
+    load(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (!fs.existsSync(file))
+            return;
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim())
+                continue;
+            try {
+                const rec = JSON.parse(line);
+                if (rec?.hash)
+                    this.records.set(rec.hash, rec);
+            }
+            catch (_) {
+                // torn last line after a crash
+            }
+        }
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, [...this.records.values()].map((r) => JSON.stringify(r) + '\n').join(''));
+        fs.renameSync(tmp, file);
+        for (const rec of this.records.values())
+            if (rec.status === 'pending')
+                this.poll(rec.hash);
+    }
+    save(rec) {
+        rec.updatedAt = new Date().toISOString();
+        if (this.opts.journalPath)
+            fs.appendFileSync(this.opts.journalPath, JSON.stringify(rec) + '\n');
+    }
+    track(input) {
+        const existing = this.records.get(input.hash);
+        if (existing)
+            return existing; // resubmitted / replayed hash: keep the first record
+        const now = new Date().toISOString();
+        const rec = {
+            source: 'agent',
+            ...input,
+            sender: normalizeAptosAddress(input.sender),
+            ...(input.user ? { user: normalizeAptosAddress(input.user) } : {}),
+            status: 'pending',
+            submittedAt: now,
+            updatedAt: now,
+        };
+        this.records.set(rec.hash, rec);
+        this.save(rec);
+        this.poll(rec.hash);
+        return rec;
+    }
+    get(hash) {
+        return this.records.get(hash);
+    }
+    // Newest first; user matches the sender or the user a transaction was made for
+    list(filter = {}) {
+        const user = filter.user ? normalizeAptosAddress(filter.user) : undefined;
+        return [...this.records.values()]
+            .filter((r) => !user || r.sender === user || r.user === user)
+            .filter((r) => !filter.status || r.status === filter.status)
+            .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+            .slice(0, filter.limit ?? 50);
+    }
+    // Check a pending transaction once now (also revives records whose background polling gave up)
+    async refresh(hash) {
+        const rec = this.records.get(hash);
+        if (rec?.status === 'pending')
+            await this.check(rec);
+        return this.records.get(hash);
+    }
+    // Resolves with the record once final, or as it stands after timeoutMs
+    wait(hash, timeoutMs) {
+        const rec = this.records.get(hash);
+        if (!rec)
+            return Promise.reject(new Error(`Unknown transaction ${hash}`));
+        if (rec.status !== 'pending')
+            return Promise.resolve(rec);
+        return new Promise((resolve) => {
+            const set = this.waiters.get(hash) ?? new Set();
+            this.waiters.set(hash, set);
+            const done = (r) => {
+                clearTimeout(timer);
+                set.delete(done);
+                resolve(r);
+            };
+            const timer = setTimeout(() => done(this.records.get(hash)), timeoutMs);
+            set.add(done);
+        });
+    }
+    poll(hash) {
+        if (this.polling.has(hash))
+            return;
+        this.polling.add(hash);
+        const started = Date.now();
+        const step = async (delay) => {
+            const rec = this.records.get(hash);
+            if (rec?.status === 'pending')
+                await this.check(rec);
+            if (this.records.get(hash)?.status !== 'pending' || Date.now() - started > this.maxPollMs) {
+                this.polling.delete(hash);
+                return;
+            }
+            setTimeout(() => step(Math.min(delay * 1.5, MAX_POLL_DELAY_MS)), delay).unref();
+        };
+        setTimeout(() => step(this.pollIntervalMs), 0).unref(); // first check right away (the offline ledger is instant)
+    }
+    async check(rec) {
+        let tx;
+        try {
+            tx = await this.fetchTransaction(rec.hash);
+        }
+        catch (_) {
+            tx = undefined;
+        }
+        if (tx && tx.type !== 'pending_transaction' && tx.success !== undefined) {
+            this.finalize(rec, {
+                status: tx.success ? 'success' : 'failed',
+                vmStatus: tx.vm_status,
+                gasUsed: String(tx.gas_used),
+                gasUnitPrice: tx.gas_unit_price ? String(tx.gas_unit_price) : rec.gasUnitPrice,
+                version: String(tx.version),
+                ...(tx.payload?.function ? { payload: { function: tx.payload.function, typeArguments: tx.payload.type_arguments || [], arguments: tx.payload.arguments || [] } } : {}),
+                ...(tx.success ? {} : { error: describeVmStatus(tx.vm_status) }),
+            });
+        }
+        else if (!tx && rec.expirationTimestampSecs && Date.now() / 1000 > Number(rec.expirationTimestampSecs) + EXPIRY_GRACE_SECS) {
+            this.finalize(rec, { status: 'expired', vmStatus: 'TRANSACTION_EXPIRED', error: describeVmStatus('TRANSACTION_EXPIRED') });
+        }
+    }
+    finalize(rec, patch) {
+        Object.assign(rec, patch, { finalizedAt: new Date().toISOString() });
+        this.save(rec);
+        for (const fn of [...(this.waiters.get(rec.hash) ?? [])])
+            fn(rec);
+        this.waiters.delete(rec.hash);
+    }
+}
+// Process-wide tracker; the server installs a journaled one at startup (TX_JOURNAL_FILE)
+let tracker = null;
+export function getTxTracker() {
+    return tracker;
+}
+export function setTxTracker(next) {
+    tracker = next;
+}
@@ -0,0 +1,214 @@
+/*
+ * Transaction tracker: every transaction the server submits or relays, with its outcome.
+ * ---------------------------------
+ * Records are appended to a JSON-lines journal (TX_JOURNAL_FILE), one full record per line, so the file is
+ * also a readable audit log. On start the journal is replayed (last line per hash wins), compacted, and
+ * pending transactions resume polling. Polling checks at once, then backs off from pollIntervalMs to 10s, and
+ * stops once the node reports the transaction committed or it has expired without appearing; a record still
+ * pending after maxPollMs is only re-checked on read (refresh).
+ */
+import fs from 'fs';
+import path from 'path';
+import { normalizeAptosAddress } from '../utils/address.js';
+import { describeVmStatus, VmStatusInfo } from './vmStatus.js';
+
+export type TxStatus = 'pending' | 'success' | 'failed' | 'expired';
+
+export interface TxPayloadSummary {
+  function: string;
+  typeArguments: string[];
+  arguments: any[]; // BCS hex until the node returns the decoded JSON arguments
+}
+
+export interface TxRecord {
+  hash: string;
+  sender: string;
+  user?: string;       // the user the transaction was made for, when it differs from the sender (session keys)
+  source: 'agent' | 'wallet';
+  intentId?: string;
+  intentType?: string;
+  payload?: TxPayloadSummary;
+  status: TxStatus;
+  vmStatus?: string;
+  error?: VmStatusInfo; // failed / expired only
+  gasUsed?: string;
+  gasUnitPrice?: string;
+  version?: string;
+  expirationTimestampSecs?: string;
+  submittedAt: string;
+  updatedAt: string;
+  finalizedAt?: string;
+}
+
+export type TrackInput = Pick<TxRecord, 'hash' | 'sender'>
+  & Partial<Pick<TxRecord, 'user' | 'source' | 'intentId' | 'intentType' | 'payload' | 'gasUnitPrice' | 'expirationTimestampSecs'>>;
+
+// Fetches the node's transaction JSON by hash; throws (404) while the transaction is unknown
+export type FetchTransaction = (hash: string) => Promise<any>;
+
+export interface TxTrackerOptions {
+  journalPath?: string;   // omit for an in-memory tracker
+  pollIntervalMs?: number; // delay after the first check (default 1s)
+  maxPollMs?: number;      // stop background polling after this long (default 10 min)
+}
+
+// Thrown by submit paths when the transaction committed but did not succeed
+export class TxFailedError extends Error {
+  constructor(readonly record: TxRecord) {
+    super(`Transaction ${record.hash} failed: ${record.error?.message || record.vmStatus}${record.error?.code ? ` (${record.error.code})` : ''}`);
+    this.name = 'TxFailedError';
+  }
+}
+
+const MAX_POLL_DELAY_MS = 10_000;
+const EXPIRY_GRACE_SECS = 5;
+
+export class TxTracker {
+  private records = new Map<string, TxRecord>();
+  private waiters = new Map<string, Set<(r: TxRecord) => void>>();
+  private polling = new Set<string>();
+  private pollIntervalMs: number;
+  private maxPollMs: number;
+
+  constructor(private fetchTransaction: FetchTransaction, private opts: TxTrackerOptions = {}) {
+    this.pollIntervalMs = opts.pollIntervalMs ?? 1000;
+    this.maxPollMs = opts.maxPollMs ?? 10 * 60_000;
+    if (opts.journalPath) this.load(opts.journalPath);
+  }
+
+  private load(file: string) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!fs.existsSync(file)) return;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const rec = JSON.parse(line) as TxRecord;
+        if (rec?.hash) this.records.set(rec.hash, rec);
+      } catch (_) {
+        // torn last line after a crash
+      }
+    }
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, [...this.records.values()].map((r) => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, file);
+    for (const rec of this.records.values()) if (rec.status === 'pending') this.poll(rec.hash);
+  }
+
+  private save(rec: TxRecord) {
+    rec.updatedAt = new Date().toISOString();
+    if (this.opts.journalPath) fs.appendFileSync(this.opts.journalPath, JSON.stringify(rec) + '\n');
+  }
+
+  track(input: TrackInput): TxRecord {
+    const existing = this.records.get(input.hash);
+    if (existing) return existing; // resubmitted / replayed hash: keep the first record
+    const now = new Date().toISOString();
+    const rec: TxRecord = {
+      source: 'agent',
+      ...input,
+      sender: normalizeAptosAddress(input.sender),
+      ...(input.user ? { user: normalizeAptosAddress(input.user) } : {}),
+      status: 'pending',
+      submittedAt: now,
+      updatedAt: now,
+    };
+    this.records.set(rec.hash, rec);
+    this.save(rec);
+    this.poll(rec.hash);
+    return rec;
+  }
+
+  get(hash: string): TxRecord | undefined {
+    return this.records.get(hash);
+  }
+
+  // Newest first; user matches the sender or the user a transaction was made for
+  list(filter: { user?: string; status?: TxStatus; limit?: number } = {}): TxRecord[] {
+    const user = filter.user ? normalizeAptosAddress(filter.user) : undefined;
+    return [...this.records.values()]
+      .filter((r) => !user || r.sender === user || r.user === user)
+      .filter((r) => !filter.status || r.status === filter.status)
+      .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+      .slice(0, filter.limit ?? 50);
+  }
+
+  // Check a pending transaction once now (also revives records whose background polling gave up)
+  async refresh(hash: string): Promise<TxRecord | undefined> {
+    const rec = this.records.get(hash);
+    if (rec?.status === 'pending') await this.check(rec);
+    return this.records.get(hash);
+  }
+
+  // Resolves with the record once final, or as it stands after timeoutMs
+  wait(hash: string, timeoutMs: number): Promise<TxRecord> {
+    const rec = this.records.get(hash);
+    if (!rec) return Promise.reject(new Error(`Unknown transaction ${hash}`));
+    if (rec.status !== 'pending') return Promise.resolve(rec);
+    return new Promise((resolve) => {
+      const set = this.waiters.get(hash) ?? new Set();
+      this.waiters.set(hash, set);
+      const done = (r: TxRecord) => {
+        clearTimeout(timer);
+        set.delete(done);
+        resolve(r);
+      };
+      const timer = setTimeout(() => done(this.records.get(hash)!), timeoutMs);
+      set.add(done);
+    });
+  }
+
+  private poll(hash: string) {
+    if (this.polling.has(hash)) return;
+    this.polling.add(hash);
+    const started = Date.now();
+    const step = async (delay: number) => {
+      const rec = this.records.get(hash);
+      if (rec?.status === 'pending') await this.check(rec);
+      if (this.records.get(hash)?.status !== 'pending' || Date.now() - started > this.maxPollMs) {
+        this.polling.delete(hash);
+        return;
+      }
+      setTimeout(() => step(Math.min(delay * 1.5, MAX_POLL_DELAY_MS)), delay).unref();
+    };
+    setTimeout(() => step(this.pollIntervalMs), 0).unref(); // first check right away (the offline ledger is instant)
+  }
+
+  private async check(rec: TxRecord) {
+    let tx: any;
+    try {
+      tx = await this.fetchTransaction(rec.hash);
+    } catch (_) {
+      tx = undefined;
+    }
+    if (tx && tx.type !== 'pending_transaction' && tx.success !== undefined) {
+      this.finalize(rec, {
+        status: tx.success ? 'success' : 'failed',
+        vmStatus: tx.vm_status,
+        gasUsed: String(tx.gas_used),
+        gasUnitPrice: tx.gas_unit_price ? String(tx.gas_unit_price) : rec.gasUnitPrice,
+        version: String(tx.version),
+        ...(tx.payload?.function ? { payload: { function: tx.payload.function, typeArguments: tx.payload.type_arguments || [], arguments: tx.payload.arguments || [] } } : {}),
+        ...(tx.success ? {} : { error: describeVmStatus(tx.vm_status) }),
+      });
+    } else if (!tx && rec.expirationTimestampSecs && Date.now() / 1000 > Number(rec.expirationTimestampSecs) + EXPIRY_GRACE_SECS) {
+      this.finalize(rec, { status: 'expired', vmStatus: 'TRANSACTION_EXPIRED', error: describeVmStatus('TRANSACTION_EXPIRED') });
+    }
+  }
+
+  private finalize(rec: TxRecord, patch: Partial<TxRecord>) {
+    Object.assign(rec, patch, { finalizedAt: new Date().toISOString() });
+    this.save(rec);
+    for (const fn of [...(this.waiters.get(rec.hash) ?? [])]) fn(rec);
+    this.waiters.delete(rec.hash);
+  }
+}
+
+// Process-wide tracker; the server installs a journaled one at startup (TX_JOURNAL_FILE)
+let tracker: TxTracker | null = null;
+export function getTxTracker(): TxTracker | null {
+  return tracker;
+}
+
+export function setTxTracker(next: TxTracker) {
+  tracker = next;
+}
@@ -0,0 +1,49 @@
+/*
+ * vm_status -> readable message.
+ * ---------------------------------
+ * The node reports failures as bare VM codes ("OUT_OF_GAS", "SEQUENCE_NUMBER_TOO_OLD") or Move aborts:
+ *   "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins to complete transaction"
+ *   "Move abort in 0x<addr>::perp_core: 0x10008"              (no error map published with the module)
+ * Aborts are decoded by abortDecoder (error constants generated from the Move sources).
+ */
+import { findAbort } from './abortDecoder.js';
+// Non-abort VM statuses seen from the node (and the offline ledger)
+const VM_STATUS_MESSAGES = {
+    OUT_OF_GAS: 'Ran out of gas; raise maxGasAmount',
+    INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE: 'The sender cannot pay the maximum gas fee',
+    SEQUENCE_NUMBER_TOO_OLD: 'Sequence number already used (transaction replayed or superseded)',
+    SEQUENCE_NUMBER_TOO_NEW: 'Sequence number is ahead of the account; an earlier transaction is missing',
+    TRANSACTION_EXPIRED: 'The transaction expired before it was included; rebuild and sign again',
+    INVALID_AUTH_KEY: 'The signature does not belong to the sender account',
+    INVALID_SIGNATURE: 'The transaction signature is invalid',
+    BAD_CHAIN_ID: 'The transaction was built for a different network',
+    FUNCTION_RESOLUTION_FAILURE: 'The called function does not exist (module not published at that address?)',
+    LINKER_ERROR: 'The called module or function does not exist',
+    NUMBER_OF_ARGUMENTS_MISMATCH: 'Wrong number of arguments for the function',
+    ARITHMETIC_ERROR: 'Arithmetic overflow, underflow or division by zero',
+    SENDING_ACCOUNT_DOES_NOT_EXIST: 'The sender account does not exist on chain (fund it first)',
+};
+export function describeVmStatus(vmStatus) {
+    const status = (vmStatus || '').trim();
+    if (status === 'Executed successfully')
+        return { code: 'EXECUTED', message: 'Executed successfully' };
+    const abort = /^Move abort in /.test(status) ? findAbort(status) : undefined;
+    if (abort) {
+        return {
+            code: abort.name,
+            message: `${abort.module}: ${abort.explanation}`,
+            module: abort.module,
+            ...(abort.category ? { category: abort.category } : {}),
+            abortCode: abort.abortCode,
+            ...(abort.fix ? { fix: abort.fix } : {}),
+        };
+    }
+    const code = status.replace(/^Move abort: /, '');
+    const upper = code.toUpperCase().replace(/\s+/g, '_');
+    if (VM_STATUS_MESSAGES[upper])
+        return { code: upper, message: VM_STATUS_MESSAGES[upper] };
+    const failed = /^Execution failed in (\S+)/.exec(status);
+    if (failed)
+        return { code: 'EXECUTION_FAILURE', message: `Execution failed in ${failed[1]}` };
+    return { code: /^[A-Z_]+$/.test(code) ? code : 'UNKNOWN', message: code || 'Unknown failure' };
+}
@@ -1,4 +1,5 @@
 // Address utilities
+// Shared with the frontend: npm run gen:perp-math transpiles it to walletconnect/src/services/address.generated.js.
 // Normalize an Aptos address to 0x + 64 hex chars by left-padding with zeros.
 export function normalizeAptosAddress(addr) {
     if (!addr.startsWith('0x'))
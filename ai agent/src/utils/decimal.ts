@@ -0,0 +1,21 @@
+// Decimal string <-> integer unit conversions (exact, no floats)
+// Shared with the frontend (config/perpPairs.js, config/tokens.js): npm run gen:perp-pairs transpiles it to
+// walletconnect/src/config/decimal.generated.js.
+
+// Lightweight decimal -> atomic units converter (avoids bringing big decimal lib for now)
+export function toAtomicUnits(amount: string, decimals: number): bigint {
+  if (!/^\d+(?:\.\d+)?$/.test(amount)) throw new Error('Invalid decimal amount');
+  const [whole, frac = ''] = amount.split('.');
+  if (frac.length > decimals) throw new Error(`Too many decimal places (max ${decimals})`);
+  const padded = (frac + '0'.repeat(decimals)).slice(0, decimals);
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(padded);
+}
+
+// Inverse of toAtomicUnits: atomic integer -> trimmed decimal string
+export function fromAtomicUnits(atomic: bigint, decimals: number): string {
+  const neg = atomic < 0n;
+  const abs = neg ? -atomic : atomic;
+  const base = 10n ** BigInt(decimals);
+  const frac = (abs % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${neg ? '-' : ''}${abs / base}${frac ? '.' + frac : ''}`;
+}
@@ -3,6 +3,7 @@
  * The goal: deterministically instruct the LLM to output ONLY JSON matching our schema.
  */
 import { IntentType } from '../intents/schema.js';
+import { getTokenRegistry } from '../tokens/tokenRegistry.js';
 // Textual schema description (kept simple & explicit for the model)
 export const INTENT_JSON_SCHEMA_TEXT = `Array of intent objects. Each intent MUST include base fields: 
   type: one of ${IntentType.options.join(', ')}
@@ -23,6 +24,36 @@ Depending on type:
     toToken: symbol (different from fromToken)
     Exactly one of amountIn OR amountOut: decimal string > 0
     (Optional) slippageBps: integer 1..10000
+    (Optional) split: true to spread a large order over several pools/routes (e.g. "split", "rebalance", "minimise impact")
+    (Optional) maxLegs: integer 2..5, most routes a split order may use
+
+  PERP_OPEN intent fields:
+    type: "PERP_OPEN"
+    pair: market symbol BASE-QUOTE (e.g. APT-USDC)
+    side: "LONG" or "SHORT"
+    size: decimal string > 0 (base asset units)
+    leverage: decimal string > 0 (multiplier, e.g. "5" for 5x)
+    margin: decimal string > 0 (quote asset units)
+    (Optional) user: Aptos address of the position owner
+
+  PERP_CLOSE intent fields:
+    type: "PERP_CLOSE"
+    pair: market symbol BASE-QUOTE (e.g. APT-USDC)
+    (Optional) size: decimal string > 0 (omit to close the full position)
+    (Optional) user: Aptos address of the position owner
+
+  RISK_QUERY intent fields:
+    type: "RISK_QUERY"
+    (Optional) asset: market symbol (e.g. APT or APT-USDC)
+    (Optional) leverage: decimal string > 0
+    (Optional) focus: e.g. liquidation, health, margin
+    (Optional) user: Aptos address of the position owner
+    (Optional) shockPcts: array of numbers, price moves in percent ("if APT falls 15%" → [-15])
+    (Optional) altLeverages: array of decimal strings, leverages to compare ("at 10x instead of 5x" → ["10"])
+
+  Chaining: an amount field (amount, amountIn, amountOut, size, margin) may reference an earlier
+  intent's result instead of a literal, as "$ref:<index>.<field>" (index is 0-based in the array).
+  Use this when the user says "it", "the proceeds", etc. A SWAP exposes amountIn/amountOut; a TRANSFER exposes amount.
 
   UNKNOWN intent fields:
     type: "UNKNOWN"
@@ -69,6 +100,44 @@ const FEW_SHOT_EXAMPLES = [
             ],
         },
     },
+    {
+        user: 'Swap 10 USDC for APT then send it to 0xabc',
+        json: {
+            intents: [
+                {
+                    type: 'SWAP',
+                    sourcePrompt: 'Swap 10 USDC for APT',
+                    fromToken: 'USDC',
+                    toToken: 'APT',
+                    amountIn: '10',
+                    slippageBps: 50,
+                },
+                {
+                    type: 'TRANSFER',
+                    sourcePrompt: 'send it to 0xabc',
+                    to: '0xabc',
+                    token: 'APT',
+                    amount: '$ref:0.amountOut',
+                },
+            ],
+        },
+    },
+    {
+        user: 'Long 10 APT at 5x with 100 USDC margin',
+        json: {
+            intents: [
+                {
+                    type: 'PERP_OPEN',
+                    sourcePrompt: 'Long 10 APT at 5x with 100 USDC margin',
+                    pair: 'APT-USDC',
+                    side: 'LONG',
+                    size: '10',
+                    leverage: '5',
+                    margin: '100',
+                },
+            ],
+        },
+    },
     {
         user: 'Move everything somewhere safe',
         json: {
@@ -91,6 +160,7 @@ export function buildSystemPrompt() {
         'Never include markdown fences.',
         'Never include commentary.',
         'Always lowercase addresses.',
+        `Supported token symbols: ${getTokenRegistry().symbols().join(', ')}.`,
     ].join(' ');
 }
 export function buildUserPrompt(userMessage) {
@@ -104,6 +174,62 @@ export function buildUserPrompt(userMessage) {
         'Respond with ONLY the JSON object.',
     ].join('\n\n');
 }
+// Follow-up prompt asking the model to fix its own output. Self-contained (includes the original
+// request and output) because some providers only forward user turns.
+export function buildRepairPrompt(userMessage, previousOutput, errors) {
+    return [
+        'Your previous response could not be used. Return corrected JSON matching this schema:',
+        INTENT_JSON_SCHEMA_TEXT,
+        'Original User Input:',
+        userMessage,
+        'Your previous response:',
+        previousOutput || '(empty)',
+        'Validation errors (path: message):',
+        errors.map((e) => `- ${e}`).join('\n'),
+        'Fix every error. If a required value is genuinely missing from the user input, emit an UNKNOWN intent with a note instead.',
+        'Respond with ONLY the JSON object.',
+    ].join('\n\n');
+}
+const ASSISTANT_BASE_PROMPT = 'You are NeuroDex AI, an expert blockchain and DeFi trading assistant. You provide clear, accurate, and helpful information about cryptocurrencies, trading strategies, and blockchain technology.';
+const ASSISTANT_CONTEXT_PROMPTS = {
+    general: `${ASSISTANT_BASE_PROMPT} Respond in a conversational and helpful manner.`,
+    trading: `${ASSISTANT_BASE_PROMPT}
+
+TRADING CONTEXT:
+- Focus on risk management and proper analysis
+- Always mention potential risks and volatility
+- Provide specific, actionable advice when possible
+- Consider market conditions and user's risk tolerance
+- Suggest proper position sizing and stop-loss levels
+
+Remember to always remind users to do their own research (DYOR) and never invest more than they can afford to lose.`,
+    execution: `${ASSISTANT_BASE_PROMPT}
+
+EXECUTION CONTEXT:
+- You're helping execute a trading decision
+- Provide step-by-step guidance
+- Include safety checks and confirmations
+- Warn about slippage and gas fees
+- Suggest optimal timing if relevant
+
+Always prioritize user safety and proper risk management.`,
+};
+export function buildAssistantSystemPrompt(context) {
+    return ASSISTANT_CONTEXT_PROMPTS[context] || ASSISTANT_CONTEXT_PROMPTS.general;
+}
+// Market snapshot supplied by the frontend, rendered as plain text ahead of the user's request
+export function buildTradingContext(marketData = {}) {
+    if (!marketData || Object.keys(marketData).length === 0)
+        return 'Current market data not available.';
+    return [
+        'CURRENT MARKET DATA:',
+        `- APT Price: ${marketData.aptPrice || 'N/A'}`,
+        `- Market Trend: ${marketData.trend || 'Unknown'}`,
+        `- Volume: ${marketData.volume || 'N/A'}`,
+        `- Volatility: ${marketData.volatility || 'Normal'}`,
+        `- User Balance: ${marketData.userBalance || 'N/A'}`,
+    ].join('\n');
+}
 export function suggestClarification(errors) {
     if (!errors.length)
         return { needsClarification: false };
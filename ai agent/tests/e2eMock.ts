@@ -1,5 +1,6 @@
 // End-to-end mock test (no real OpenAI / Aptos submission)
-// Uses heuristic mock LLM to extract TRANSFER and SWAP intents.
+// Uses heuristic mock LLM to extract TRANSFER and SWAP intents, and runs them on the in-memory ledger
+// (swaps go through the demo router over the fixture pool).
 import { IntentParser } from '../src/intents/normalizer.js';
 import { AptosClientWrapper } from '../src/aptos/aptosClient.js';
 import { TransferAdapter } from '../src/adapters/transferAdapter.js';
@@ -7,14 +8,20 @@ import { DexSwapAdapter } from '../src/adapters/dexAdapter.js';
 import { createDefaultRouter } from '../src/adapters/router.js';
 import { AgentExecutor } from '../src/adapters/executor.js';
 import { Account } from '@aptos-labs/ts-sdk';
+import { installMemoryDex } from '../src/dex/memoryDex.js';
+import { DEFAULT_POOL_CONFIG } from '../src/dex/pools.js';
+import { getTokenRegistry } from '../src/tokens/tokenRegistry.js';
 
 async function main() {
   // Mock: provider generic (IntentParser default openai, but no key => generic fallback inside parser already)
   const parser = new IntentParser({ provider: 'generic' });
-  const aptos = new AptosClientWrapper();
+  const aptos = new AptosClientWrapper({ backend: 'memory' });
+  const ledger = aptos.ledger!;
   const account = Account.generate();
+  const tokens = getTokenRegistry();
+  ledger.fund(account.accountAddress.toString(), tokens.toAtomic('100', 'USDC'), tokens.get('USDC').coinType);
   const transferAdapter = new TransferAdapter(aptos, account);
-  const swapAdapter = new DexSwapAdapter(aptos, account);
+  const swapAdapter = new DexSwapAdapter(aptos, account, tokens, installMemoryDex(ledger, DEFAULT_POOL_CONFIG, tokens));
   const router = createDefaultRouter({ transfer: transferAdapter, swap: swapAdapter });
   const executor = new AgentExecutor(parser, router);
 
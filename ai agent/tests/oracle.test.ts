@@ -0,0 +1,147 @@
+// Mark price oracle: quote aggregation guards and the price sources' timestamps and error handling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { PerpPairRegistry, loadPerpPairRegistryConfig } from '../src/perp/pairRegistry.js';
+import { DEFAULT_ORACLE_GUARDS, aggregateQuotes, median } from '../src/oracle/oracleService.js';
+import { PriceQuote, FileReplaySource, HttpJsonSource, ExchangeTickerSource } from '../src/oracle/priceSources.js';
+
+const registry = new PerpPairRegistry(loadPerpPairRegistryConfig(JSON.stringify({
+  pairs: [{ pairId: 2, base: 'BTC', quote: 'USDC', tickSize: '0.5', lotSize: '0.001', priceDecimals: 6, admin: '0xb', maxLevBps: 2000, initMarginBps: 1000, maintMarginBps: 500, maxFundingBpsHour: 50 }],
+})), '0xa');
+const APT = registry.get('APT-USDC');
+const BTC = registry.get('BTC-USDC');
+
+const NOW = 1_700_000_000_000;
+const quote = (source: string, price: number, ageMs = 0): PriceQuote => ({ source, symbol: 'APT-USDC', price, ts: NOW - ageMs });
+
+/******** aggregation ********/
+test('median of the fresh quotes', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  const agg = aggregateQuotes([quote('a', 8.1), quote('b', 8.12), quote('c', 8.11)], DEFAULT_ORACLE_GUARDS, NOW);
+  assert.equal(agg.price, 8.11);
+  assert.equal(agg.used.length, 3);
+  assert.deepEqual(agg.rejected, []);
+});
+
+test('drops stale quotes and outliers before taking the median', () => {
+  const guards = { ...DEFAULT_ORACLE_GUARDS, maxAgeMs: 60_000, maxDeviationBps: 100 };
+  const agg = aggregateQuotes([quote('a', 8.1), quote('b', 8.12), quote('old', 7, 60_001), quote('bad', 9)], guards, NOW);
+  assert.equal(agg.price, 8.11);
+  assert.deepEqual(agg.rejected.map((q) => [q.source, q.reason]), [['old', 'stale'], ['bad', 'deviation']]);
+});
+
+test('skips the pair when the guards leave fewer than minSources quotes', () => {
+  const guards = { ...DEFAULT_ORACLE_GUARDS, minSources: 2 };
+  const stale = aggregateQuotes([quote('a', 8.1), quote('old', 8.1, 120_000)], guards, NOW);
+  assert.equal(stale.price, undefined);
+  assert.match(stale.reason!, /1 fresh quote\(s\), 2 required/);
+  // Median of 8 / 8.5 is 8.25: both are ~300 bps away
+  const split = aggregateQuotes([quote('a', 8), quote('b', 8.5)], guards, NOW);
+  assert.equal(split.price, undefined);
+  assert.match(split.reason!, /0 quote\(s\) within 100 bps of the median 8.25/);
+});
+
+/******** file replay ********/
+async function withCsv(rows: string, fn: (file: string) => Promise<void>) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-test-'));
+  const file = path.join(dir, 'prices.csv');
+  fs.writeFileSync(file, rows);
+  try {
+    await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const CSV = 'timestamp,symbol,price\n1700000000,APT,8\n1700000000,BTC-USDC,60000\n1700000010,APT,9\n1700000030,APT,10\n';
+
+test('file replay plays the recording at its pace, shifted to now', (t) => withCsv(CSV, async (file) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const source = new FileReplaySource(file);
+  assert.deepEqual(await source.fetch([APT, BTC]), [
+    { source: `file:${file}`, symbol: 'APT-USDC', price: 8, ts: NOW },
+    { source: `file:${file}`, symbol: 'BTC-USDC', price: 60000, ts: NOW },
+  ]);
+  // Before the next row is due the same price is served with its recorded (ageing) time
+  t.mock.timers.tick(5_000);
+  assert.deepEqual((await source.fetch([APT])).map((q) => [q.price, q.ts]), [[8, NOW]]);
+  // Rows that fell due together: the latest one wins
+  t.mock.timers.tick(30_000);
+  assert.deepEqual((await source.fetch([APT])).map((q) => [q.price, q.ts]), [[10, NOW + 30_000]]);
+  assert.deepEqual(source.position, { step: 3, steps: 3 });
+  // Without loop the source goes quiet after the last row
+  assert.deepEqual(await source.fetch([APT]), []);
+}));
+
+test('file replay with loop starts a new pass at the current time', (t) => withCsv(CSV, async (file) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const source = new FileReplaySource(file, true);
+  await source.fetch([APT]);
+  t.mock.timers.tick(40_000);
+  assert.equal((await source.fetch([APT]))[0].price, 10);
+  t.mock.timers.tick(1_000);
+  assert.deepEqual((await source.fetch([APT])).map((q) => [q.price, q.ts]), [[8, NOW + 41_000]]);
+}));
+
+test('file replay rejects malformed rows', () => withCsv('1700000000,APT\n', async (file) => {
+  assert.throws(() => new FileReplaySource(file), /expected timestamp,symbol,price/);
+}));
+
+/******** http and exchange sources ********/
+async function withServer(routes: Record<string, unknown>, fn: (baseUrl: string) => Promise<void>) {
+  const server = http.createServer((req, res) => {
+    const body = routes[req.url!] ?? routes[req.url!.split('?')[0]]; // exact URL first, then any query
+    res.writeHead(body === undefined ? 404 : 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body ?? { error: 'not found' }));
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${(server.address() as AddressInfo).port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('http source uses the entry timestamps and skips bad entries individually', () => withServer({
+  '/prices.json': { APT: { price: 'x' }, 'BTC-USDC': { price: '60000.5', ts: 1_700_000_000 } },
+}, async (base) => {
+  const source = new HttpJsonSource(`${base}/prices.json`, 'local');
+  assert.deepEqual(await source.fetch([APT, BTC]), [{ source: 'local', symbol: 'BTC-USDC', price: 60000.5, ts: 1_700_000_000_000 }]);
+  // Only when no requested pair is usable does the fetch fail
+  await assert.rejects(source.fetch([APT]), /Invalid price "x" for APT-USDC/);
+}));
+
+test('http entries without ts are stamped with the fetch time', () => withServer({ '/prices.json': { APT: 8.12 } }, async (base) => {
+  const before = Date.now();
+  const [q] = await new HttpJsonSource(`${base}/prices.json`).fetch([APT]);
+  assert.equal(q.price, 8.12);
+  assert.ok(q.ts >= before && q.ts <= Date.now());
+}));
+
+test('exchange tickers carry the exchange timestamps', () => withServer({
+  '/api/v3/ticker': { symbol: 'APTUSDT', lastPrice: '8.11', closeTime: 1_700_000_001_000 },
+  '/products/APT-USD/ticker': { price: '8.12', time: '2023-11-14T22:13:22.000Z' },
+  '/0/public/Trades': { error: [], result: { APTUSD: [['8.10', '1.0', 1_700_000_000.5, 'b', 'm', '', 1], ['8.13', '2.0', 1_700_000_002.25, 's', 'l', '', 2]], last: '1700000002250000000' } },
+}, async (base) => {
+  const fetchOne = async (exchange: 'binance' | 'coinbase' | 'kraken') => (await new ExchangeTickerSource(exchange, {}, base).fetch([APT]))[0];
+  assert.deepEqual(await fetchOne('binance'), { source: 'binance', symbol: 'APT-USDC', price: 8.11, ts: 1_700_000_001_000 });
+  assert.deepEqual(await fetchOne('coinbase'), { source: 'coinbase', symbol: 'APT-USDC', price: 8.12, ts: Date.parse('2023-11-14T22:13:22.000Z') });
+  assert.deepEqual(await fetchOne('kraken'), { source: 'kraken', symbol: 'APT-USDC', price: 8.13, ts: 1_700_000_002_250 });
+}));
+
+test('an exchange pair that fails does not hide the others', () => withServer({
+  '/api/v3/ticker?symbol=APTUSDT&windowSize=1m': { lastPrice: '8.11', closeTime: 1_700_000_001_000 },
+}, async (base) => {
+  const source = new ExchangeTickerSource('binance', {}, base);
+  assert.deepEqual((await source.fetch([APT, BTC])).map((q) => q.symbol), ['APT-USDC']);
+  // A market override points BTC at the listed market
+  const overridden = new ExchangeTickerSource('binance', { BTC: 'APTUSDT' }, base);
+  assert.equal((await overridden.fetch([BTC]))[0].price, 8.11);
+  await assert.rejects(source.fetch([BTC]), /failed \(404\)/);
+}));
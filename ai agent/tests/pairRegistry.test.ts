@@ -0,0 +1,53 @@
+// Perp pair registry: unit conversions between human amounts and perp_core's ticks / lots / quote units
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PerpPairRegistry, DEFAULT_PERP_PAIR_REGISTRY, loadPerpPairRegistryConfig,
+  priceToPx, pxToPrice, roundPriceToPx, sizeToLots, lotsToSize, marginToUnits, unitsToMargin,
+} from '../src/perp/pairRegistry.js';
+
+const BTC = { pairId: 2, base: 'BTC', quote: 'USDC', tickSize: '0.5', lotSize: '0.001', priceDecimals: 6, admin: '0xb', maxLevBps: 2000, initMarginBps: 1000, maintMarginBps: 500, maxFundingBpsHour: 50 };
+const registry = new PerpPairRegistry(loadPerpPairRegistryConfig(JSON.stringify({ pairs: [BTC] })), '0xa');
+const apt = registry.get('APT');
+const btc = registry.get('BTC-USDC');
+
+test('derives lot decimals and the tick in ticks', () => {
+  assert.equal(apt.sizeDecimals, 0);
+  assert.equal(apt.tickPx, '10000');
+  assert.equal(btc.sizeDecimals, 3);
+  assert.equal(btc.tickPx, '500'); // 0.5 USDC per BTC = 500 quote units per 0.001 BTC lot
+  assert.equal(registry.resolve(2), btc);
+});
+
+test('price <-> ticks is exact and rejects prices off the tick grid', () => {
+  assert.equal(priceToPx(apt, '8.12'), 8_120_000n);
+  assert.equal(pxToPrice(apt, 8_120_000n), '8.12');
+  assert.equal(priceToPx(btc, '60000.5'), 60_000_500n);
+  assert.equal(pxToPrice(btc, 60_000_500n), '60000.5');
+  // Beyond float precision: no rounding on the way back
+  assert.equal(pxToPrice(apt, 123_456_789_012_345_678_901n), '123456789012345.678901');
+  assert.throws(() => priceToPx(apt, '8.125'), /not a multiple of APT-USDC's tick size 0.01/);
+  assert.throws(() => priceToPx(btc, '60000.25'), /tick size 0.5/);
+});
+
+test('rounds outside prices to the nearest tick', () => {
+  assert.equal(roundPriceToPx(apt, 8.1249), 8_120_000n);
+  assert.equal(roundPriceToPx(apt, 8.125), 8_130_000n);
+  assert.throws(() => roundPriceToPx(apt, Number.NaN), /Invalid price/);
+});
+
+test('size <-> lots and margin <-> quote units', () => {
+  assert.equal(sizeToLots(btc, '1.5'), 1500n);
+  assert.equal(lotsToSize(btc, 1500n), '1.5');
+  assert.throws(() => sizeToLots(btc, '0.0005'), /not a multiple of BTC-USDC's lot size 0.001/);
+  assert.equal(marginToUnits(apt, '12.5'), 12_500_000n);
+  assert.equal(unitsToMargin(apt, -2_500_000n), '-2.5');
+});
+
+test('rejects pairs perp_core cannot hold', () => {
+  const base = DEFAULT_PERP_PAIR_REGISTRY.pairs[0];
+  assert.throws(() => new PerpPairRegistry({ pairs: [base, { ...BTC, admin: '0xa' }] }, '0xa'), /share admin/);
+  assert.throws(() => new PerpPairRegistry({ pairs: [{ ...BTC, tickSize: '0.0005' }] }), /not a whole number of ticks/);
+  assert.throws(() => new PerpPairRegistry({ pairs: [{ ...BTC, priceDecimals: 2 }] }), /priceDecimals must be at least/);
+  assert.throws(() => loadPerpPairRegistryConfig(JSON.stringify({ pairs: [{ ...BTC, lotSize: '0.5' }] })), /lotSize must be a power of ten/);
+});
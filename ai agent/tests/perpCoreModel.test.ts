@@ -0,0 +1,124 @@
+// perp_core reference model: aborts, margin checks, health / liquidation and funding in both semantics
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerpCoreModel, PerpCoreError, PairParams, diffAgainstChain } from '../src/perp/perpCoreModel.js';
+import { readPairState, readPosition } from '../src/perp/perpState.js';
+import { SIDE_LONG, SIDE_SHORT } from '../src/perp/margin.js';
+
+const ADMIN = '0xa';
+const ORACLE = '0x0f';
+const USER = '0xb';
+const MODULE = '0xc0de';
+const PAIR: PairParams = {
+  pairId: 1, maxLevBps: 5000, initMarginBps: 2000, maintMarginBps: 1000, maxFundingBpsHour: 50,
+  oracle: ORACLE, vrfOracle: ORACLE, initMarkPx: 10_000_000n, nowTs: 0n,
+};
+
+// Long 10 lots at mark 10 (notional 1e8, initial margin 20% = 2e7)
+function withLong(semantics: 'move' | 'signed', margin = 20_000_000n) {
+  const model = new PerpCoreModel(semantics);
+  model.createPair(ADMIN, PAIR);
+  model.openPosition(ADMIN, USER, 1, 10n, SIDE_LONG, 500, margin);
+  return model;
+}
+
+function abortOf(fn: () => unknown): { reason: string; abortCode?: number } {
+  try {
+    fn();
+  } catch (e) {
+    assert.ok(e instanceof PerpCoreError);
+    return { reason: e.reason, abortCode: e.abortCode };
+  }
+  assert.fail('expected a perp_core abort');
+}
+
+test('aborts with the module reason and std::error abort code', () => {
+  const model = withLong('signed');
+  assert.deepEqual(abortOf(() => model.openPosition(ADMIN, '0xd', 1, 10n, SIDE_LONG, 500, 19_999_999n)), { reason: 'E_BAD_MARGIN', abortCode: 0x10008 });
+  assert.deepEqual(abortOf(() => model.openPosition(ADMIN, USER, 1, 1n, SIDE_LONG, 500, 20_000_000n)), { reason: 'E_POS_EXISTS', abortCode: 0x80003 });
+  assert.deepEqual(abortOf(() => model.openPosition(ADMIN, '0xd', 1, 1n, SIDE_LONG, 5001, 20_000_000n)), { reason: 'E_BAD_LEV', abortCode: 0x10007 });
+  assert.deepEqual(abortOf(() => model.setMarkPrice(ADMIN, 1, USER, 1n)), { reason: 'E_NOT_AUTH', abortCode: 0x50009 });
+  assert.deepEqual(abortOf(() => model.health(ADMIN, 1, '0xd')), { reason: 'E_POS_NOT_FOUND', abortCode: 0x60004 });
+  assert.match(new PerpCoreError('E_BAD_MARGIN', 0x10008).message, /^perp_core: E_BAD_MARGIN \(abort 0x10008\)$/);
+});
+
+test('positions open at the mark whatever entry price is passed', () => {
+  const model = new PerpCoreModel();
+  model.createPair(ADMIN, PAIR);
+  model.openPosition(ADMIN, USER, 1, 10n, SIDE_SHORT, 500, 20_000_000n, 99n);
+  assert.equal(model.getPosition(ADMIN, 1, USER)?.entryPx, 10_000_000n);
+});
+
+test('signed semantics: a losing long goes below maintenance and can be liquidated', () => {
+  const model = withLong('signed');
+  model.setMarkPrice(ADMIN, 1, ORACLE, 9_000_000n);
+  assert.equal(model.health(ADMIN, 1, USER), 1_000_000n); // equity 1e7 - maintenance 9e6
+  model.setMarkPrice(ADMIN, 1, ORACLE, 8_500_000n);
+  assert.equal(model.health(ADMIN, 1, USER), -3_500_000n);
+  assert.equal(model.liquidate(ADMIN, USER, 1), 5_000_000n);
+  assert.equal(model.getPosition(ADMIN, 1, USER), null);
+});
+
+test('move semantics: unsigned PnL keeps the same position healthy and liquidate refuses it', () => {
+  const model = withLong('move');
+  model.setMarkPrice(ADMIN, 1, ORACLE, 8_500_000n);
+  assert.equal(model.health(ADMIN, 1, USER), 26_500_000n); // margin 2e7 + |pnl| 1.5e7 - maintenance 8.5e6
+  assert.deepEqual(abortOf(() => model.liquidate(ADMIN, USER, 1)), { reason: 'E_UNSAFE', abortCode: 0x3000a });
+});
+
+test('move semantics: health aborts on u128 underflow when maintenance exceeds margin plus PnL', () => {
+  const model = new PerpCoreModel('move');
+  model.createPair(ADMIN, { ...PAIR, initMarginBps: 1000, maintMarginBps: 3000 });
+  model.openPosition(ADMIN, USER, 1, 10n, SIDE_LONG, 500, 10_000_000n);
+  assert.equal(abortOf(() => model.health(ADMIN, 1, USER)).reason, 'ARITHMETIC_ERROR');
+});
+
+test('closing releases the margin share plus PnL', () => {
+  const signed = withLong('signed');
+  signed.setMarkPrice(ADMIN, 1, ORACLE, 11_000_000n);
+  assert.deepEqual(signed.closePosition(ADMIN, USER, 1, 5n), { marginShare: 10_000_000n, pnlPrice: 5_000_000n, pnlFunding: 0n, equityReleased: 15_000_000n });
+  assert.equal(signed.getPosition(ADMIN, 1, USER)?.size, 5n);
+
+  // As deployed, a loss is paid out as a gain
+  const move = withLong('move');
+  move.setMarkPrice(ADMIN, 1, ORACLE, 9_000_000n);
+  assert.equal(move.closePosition(ADMIN, USER, 1, 10n).pnlPrice, 10_000_000n);
+  assert.equal(move.getPosition(ADMIN, 1, USER), null);
+});
+
+test('funding comes from the VRF seed, per whole hour', () => {
+  const model = withLong('signed');
+  model.pushFunding(ADMIN, 1, ORACLE, 0n, 60n, 7200n); // 60 % 101 - 50 = +10 bps an hour
+  assert.equal(model.getCumFundingBps(ADMIN, 1), 20n);
+  model.pushFunding(ADMIN, 1, ORACLE, 0n, 10n, 7300n); // under an hour: nothing accrues
+  assert.equal(model.getCumFundingBps(ADMIN, 1), 20n);
+
+  // A negative rate underflows the module's u64 subtraction
+  const move = withLong('move');
+  assert.equal(abortOf(() => move.pushFunding(ADMIN, 1, ORACLE, 0n, 10n, 3600n)).reason, 'ARITHMETIC_ERROR');
+});
+
+test('checkpoint restores the saved state', () => {
+  const model = withLong('signed');
+  const restore = model.checkpoint();
+  model.closePosition(ADMIN, USER, 1, 10n);
+  restore();
+  assert.equal(model.getPosition(ADMIN, 1, USER)?.size, 10n);
+});
+
+test('viewClient serves the Pair resource and positions table as the chain does', async () => {
+  const model = withLong('move');
+  const client = model.viewClient();
+  const pair = await readPairState(client.aptos, MODULE, ADMIN);
+  assert.equal(pair.markPx, 10_000_000n);
+  assert.equal(pair.maintMarginBps, 1000);
+  assert.equal(pair.positionsHandle, model.positionsHandle(ADMIN));
+  assert.deepEqual(await readPosition(client.aptos, MODULE, pair, USER), {
+    side: SIDE_LONG, size: 10n, entryPx: 10_000_000n, margin: 20_000_000n, levBps: 500, fundingIndexOpen: 0n,
+  });
+  assert.equal(await readPosition(client.aptos, MODULE, pair, '0xd'), null);
+  await assert.rejects(readPairState(client.aptos, MODULE, '0xd'), /No perp_core::Pair/);
+
+  const diffs = await diffAgainstChain(model, client, MODULE, ADMIN, [USER, '0xd']);
+  assert.ok(diffs.every((d) => d.equal));
+});
@@ -0,0 +1,56 @@
+// Plan store: signed tokens, TTL expiry and single-claim confirmation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Intent } from '../src/intents/schema.js';
+import { PlanError, PlanStore, canonicalJson, hashPlan } from '../src/plans/planStore.js';
+
+const intents = [{ type: 'TRANSFER', network: 'aptos', sourcePrompt: 'send 1 APT', to: '0xb0b', amount: '1', token: 'APT' }] as Intent[];
+const built = [{ payload: { function: '0x1::aptos_account::transfer', functionArguments: ['0xb0b', '100000000'] } }];
+
+function rejects(fn: () => unknown, status: number, message: RegExp) {
+  assert.throws(fn, (e: unknown) => e instanceof PlanError && e.status === status && message.test(e.message));
+}
+
+test('a tampered or foreign token is rejected with 403 and leaves the plan pending', () => {
+  const store = new PlanStore({ secret: 's3cret' });
+  const plan = store.create(intents, built);
+  const flipped = (plan.token[0] === 'A' ? 'B' : 'A') + plan.token.slice(1);
+  rejects(() => store.claim(plan.id, flipped), 403, /Invalid plan token/);
+  rejects(() => store.claim(plan.id, plan.token.slice(1)), 403, /Invalid plan token/);
+  rejects(() => store.claim(plan.id, ''), 403, /Invalid plan token/);
+  // Another plan's token, or the same plan signed under another secret, does not open it either
+  rejects(() => store.claim(plan.id, store.create(intents, built).token), 403, /Invalid plan token/);
+  const other = new PlanStore({ secret: 'other' });
+  rejects(() => store.claim(plan.id, other.create(intents, built).token), 403, /Invalid plan token/);
+  assert.equal(store.get(plan.id)?.status, 'pending');
+  assert.equal(store.claim(plan.id, plan.token).status, 'executing');
+});
+
+test('a plan past its TTL cannot be confirmed, and is dropped one TTL later', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const store = new PlanStore({ ttlMs: 60_000 });
+  const plan = store.create(intents, built);
+  assert.equal(plan.expiresAt, 1_060_000);
+  t.mock.timers.tick(60_001);
+  rejects(() => store.claim(plan.id, plan.token), 410, /Plan expired/);
+  t.mock.timers.tick(60_000);
+  rejects(() => store.claim(plan.id, plan.token), 404, /Unknown or expired plan/);
+  rejects(() => store.claim('no-such-plan', plan.token), 404, /Unknown or expired plan/);
+});
+
+test('a plan is claimed once: a second confirm gets 409 while executing and after finishing', () => {
+  const store = new PlanStore();
+  const plan = store.create(intents, built);
+  store.claim(plan.id, plan.token);
+  rejects(() => store.claim(plan.id, plan.token), 409, /Plan already executing/);
+  store.finish(plan.id, { hash: '0x1' }, true);
+  rejects(() => store.claim(plan.id, plan.token), 409, /Plan already executed/);
+  assert.deepEqual(store.get(plan.id)?.result, { hash: '0x1' });
+});
+
+test('the plan hash covers intents and payloads, independent of key order', () => {
+  assert.equal(canonicalJson({ b: 1n, a: [undefined, { d: 2, c: null }] }), '{"a":[null,{"c":null,"d":2}],"b":"1"}');
+  const payloads = built.map((b) => b.payload);
+  assert.equal(hashPlan(intents, payloads), hashPlan([Object.fromEntries(Object.entries(intents[0]).reverse()) as Intent], payloads));
+  assert.notEqual(hashPlan(intents, payloads), hashPlan([{ ...intents[0], amount: '2' } as Intent], payloads));
+});
@@ -0,0 +1,82 @@
+// Policy engine: per-intent max, daily cap per signer address, recipient lists, $ref and exact-out amounts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Intent } from '../src/intents/schema.js';
+import { PolicyEngine, spendOf } from '../src/policy/policyEngine.js';
+
+const ALICE = '0xa11ce';
+const BOB = '0xb0b';
+const now = new Date('2026-01-02T12:00:00Z');
+
+const transfer = (amount: string, token = 'APT', to = BOB) =>
+  ({ type: 'TRANSFER', network: 'aptos', sourcePrompt: 'send', to, amount, token }) as Intent;
+const swap = (fields: { amountIn?: string; amountOut?: string }, fromToken = 'USDC', toToken = 'APT') =>
+  ({ type: 'SWAP', network: 'aptos', sourcePrompt: 'swap', fromToken, toToken, slippageBps: 50, ...fields }) as Intent;
+
+test('maxAmount denies a single intent above the limit and allows one at it', () => {
+  const policy = new PolicyEngine({ maxAmount: { APT: '10' } });
+  assert.equal(policy.evaluate([transfer('10')]).decision, 'allow');
+  const over = policy.evaluate([transfer('10.00000001')]);
+  assert.equal(over.decision, 'deny');
+  assert.deepEqual(over.violations.map((v) => v.rule), ['maxAmount']);
+  assert.equal(policy.evaluate([transfer('50', 'USDC')]).decision, 'allow'); // other tokens are uncapped
+});
+
+test('rule actions can downgrade a violation to confirm', () => {
+  const policy = new PolicyEngine({ maxAmount: { APT: '10' }, actions: { maxAmount: 'confirm' } });
+  assert.equal(policy.evaluate([transfer('11')]).decision, 'confirm');
+});
+
+test('dailySpendCap counts earlier intents in the plan and recorded spend, per signer address', () => {
+  const policy = new PolicyEngine({ dailySpendCap: { APT: '10' } });
+  const ctx = { sender: ALICE, now };
+  const plan = policy.evaluate([transfer('6'), transfer('6')], ctx);
+  assert.deepEqual(plan.perIntent, ['allow', 'deny']);
+
+  policy.recordSpend([transfer('8')], ctx);
+  assert.equal(policy.evaluate([transfer('3')], ctx).decision, 'deny');
+  // Same address in another spelling shares the tally; another signer or another day does not
+  assert.equal(policy.evaluate([transfer('3')], { sender: '0x000a11ce', now }).decision, 'deny');
+  assert.equal(policy.evaluate([transfer('3')], { sender: BOB, now }).decision, 'allow');
+  assert.equal(policy.evaluate([transfer('3')], { sender: ALICE, now: new Date('2026-01-03T00:00:00Z') }).decision, 'allow');
+});
+
+test('recipient allow-list and deny-list compare normalised addresses', () => {
+  const allow = new PolicyEngine({ recipientAllowlist: ['0x0B0B'] });
+  assert.equal(allow.evaluate([transfer('1', 'APT', BOB)]).decision, 'allow');
+  const stranger = allow.evaluate([transfer('1', 'APT', '0xc4a1')]);
+  assert.equal(stranger.decision, 'deny');
+  assert.equal(stranger.violations[0].rule, 'recipientAllowlist');
+
+  const deny = new PolicyEngine({ recipientDenylist: [BOB] });
+  assert.equal(deny.evaluate([transfer('1', 'APT', '0x000b0b')]).violations[0].rule, 'recipientDenylist');
+});
+
+test('a $ref amount needs confirmation for capped tokens and passes for uncapped ones', () => {
+  const policy = new PolicyEngine({ maxAmount: { APT: '10' } });
+  const ref = policy.evaluate([swap({ amountIn: '100' }), transfer('$ref:0.amountOut')]);
+  assert.deepEqual(ref.perIntent, ['allow', 'confirm']);
+  assert.match(ref.violations[0].reason, /depends on an earlier intent/);
+  assert.equal(policy.evaluate([transfer('$ref:0.amountOut', 'USDC')]).decision, 'allow');
+});
+
+test('an exact-out swap is charged its quoted maxAmountIn', () => {
+  assert.deepEqual(spendOf(swap({ amountOut: '5' }), { maxAmountIn: '52.5' }), { token: 'USDC', amount: '52.5' });
+  const policy = new PolicyEngine({ maxAmount: { USDC: '50' }, dailySpendCap: { USDC: '100' } });
+  const ctx = { sender: ALICE, now };
+  assert.equal(policy.evaluate([swap({ amountOut: '5' })], ctx, [{ maxAmountIn: '49' }]).decision, 'allow');
+  const over = policy.evaluate([swap({ amountOut: '5' })], ctx, [{ maxAmountIn: '52.5' }]);
+  assert.deepEqual(over.violations.map((v) => v.rule), ['maxAmount']);
+
+  // Executed exact-out swaps feed the daily cap
+  policy.recordSpend([swap({ amountOut: '5' }), swap({ amountOut: '5' })], ctx, [{ maxAmountIn: '45' }, { maxAmountIn: '45' }]);
+  assert.equal(policy.evaluate([swap({ amountIn: '20' })], ctx).violations[0].rule, 'dailySpendCap');
+});
+
+test('an unquoted exact-out swap needs confirmation for capped tokens', () => {
+  const policy = new PolicyEngine({ dailySpendCap: { USDC: '100' } });
+  const unquoted = policy.evaluate([swap({ amountOut: '5' })]);
+  assert.equal(unquoted.decision, 'confirm');
+  assert.match(unquoted.violations[0].reason, /no quoted max input/);
+  assert.equal(policy.evaluate([swap({ amountOut: '5' }, 'APT', 'USDC')]).decision, 'allow');
+});
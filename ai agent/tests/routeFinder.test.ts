@@ -0,0 +1,90 @@
+// Route finder: path enumeration, hop-by-hop quoting and route ranking
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenRegistry, DEFAULT_TOKEN_REGISTRY } from '../src/tokens/tokenRegistry.js';
+import { PoolRegistry, PoolConfig } from '../src/dex/pools.js';
+import { getAmountIn, getAmountOut } from '../src/dex/amm.js';
+import { RouteQuote, compareRoutes, enumeratePaths, findBestRoute, routeThroughBestPools } from '../src/dex/routeFinder.js';
+
+const tokens = new TokenRegistry({
+  tokens: [
+    ...DEFAULT_TOKEN_REGISTRY.tokens,
+    { symbol: 'WETH', decimals: 8, coinType: '0x1::weth::WETH' },
+    { symbol: 'SOL', decimals: 8, coinType: '0x1::sol::SOL' },
+  ],
+});
+
+// A shallow direct pool and a deep route through WETH
+const POOLS: PoolConfig[] = [
+  { id: 'apt-usdc', tokenA: 'APT', tokenB: 'USDC', feeBps: 30, reserveA: '1000000', reserveB: '1000000' },
+  { id: 'weth-apt', tokenA: 'WETH', tokenB: 'APT', feeBps: 30, reserveA: '1000000000', reserveB: '1000000000' },
+  { id: 'weth-usdc', tokenA: 'WETH', tokenB: 'USDC', feeBps: 5, reserveA: '1000000000', reserveB: '2000000000' },
+];
+const pools = new PoolRegistry({ pools: POOLS }, tokens);
+const reserves = (id: string, tokenIn: string) => pools.reservesFor(pools.list().find((p) => p.id === id)!, tokenIn);
+
+test('enumerates simple paths up to maxHops', () => {
+  const paths = enumeratePaths(pools, 'APT', 'USDC').map((c) => c.path.join('>'));
+  assert.deepEqual(paths.sort(), ['APT>USDC', 'APT>WETH>USDC']);
+  assert.deepEqual(enumeratePaths(pools, 'APT', 'USDC', 1).map((c) => c.poolIds), [['apt-usdc']]);
+  assert.deepEqual(enumeratePaths(pools, 'APT', 'SOL'), []);
+});
+
+test('exactIn: quotes each hop with the previous output and ranks by amountOut', () => {
+  const amount = 100_000n;
+  const { best, alternatives } = findBestRoute(pools, 'APT', 'USDC', 'exactIn', amount, 50);
+  const viaWeth = getAmountOut(getAmountOut(amount, reserves('weth-apt', 'APT')), reserves('weth-usdc', 'WETH'));
+  assert.deepEqual(best.path, ['APT', 'WETH', 'USDC']);
+  assert.equal(best.amountIn, amount);
+  assert.equal(best.amountOut, viaWeth);
+  assert.equal(best.hops[1].amountIn, best.hops[0].amountOut);
+  assert.equal(best.limit, (viaWeth * 9950n) / 10_000n);
+  assert.equal(best.feeBps, 35); // 1 - (1 - 0.003)(1 - 0.0005), rounded
+  assert.deepEqual(alternatives.map((r) => r.path), [['APT', 'USDC']]);
+  assert.equal(alternatives[0].amountOut, getAmountOut(amount, reserves('apt-usdc', 'APT')));
+});
+
+test('exactOut: walks back from the output and ranks by amountIn', () => {
+  const amount = 50_000n;
+  const { best, alternatives } = findBestRoute(pools, 'APT', 'USDC', 'exactOut', amount, 50);
+  const wethNeeded = getAmountIn(amount, reserves('weth-usdc', 'WETH'));
+  assert.deepEqual(best.path, ['APT', 'WETH', 'USDC']);
+  assert.equal(best.amountOut, amount);
+  assert.equal(best.hops[0].amountOut, wethNeeded);
+  assert.equal(best.amountIn, getAmountIn(wethNeeded, reserves('weth-apt', 'APT')));
+  assert.equal(best.limit, (best.amountIn * 10_050n + 9_999n) / 10_000n);
+  assert.ok(alternatives[0].amountIn > best.amountIn);
+});
+
+test('routes that cannot fill the amount are rejected, not fatal', () => {
+  const { best, rejected } = findBestRoute(pools, 'APT', 'USDC', 'exactOut', 1_500_000n, 0);
+  assert.deepEqual(best.path, ['APT', 'WETH', 'USDC']);
+  assert.deepEqual(rejected.map((r) => r.poolIds), [['apt-usdc']]);
+  assert.match(rejected[0].reason, /exceeds pool reserve/);
+  assert.throws(() => findBestRoute(pools, 'APT', 'SOL', 'exactIn', 1n, 0), /No route from APT to SOL/);
+  assert.throws(() => findBestRoute(pools, 'APT', 'USDC', 'exactOut', 3_000_000_000n, 0), /No route can fill APT → USDC/);
+});
+
+test('ties go to the route with fewer hops', () => {
+  const quote = (hops: number, amountOut: bigint) => ({ mode: 'exactIn', amountOut, amountIn: 1n, hops: Array(hops) }) as unknown as RouteQuote;
+  assert.ok(compareRoutes(quote(1, 10n), quote(2, 10n)) > 0);
+  assert.ok(compareRoutes(quote(2, 11n), quote(1, 10n)) > 0);
+  assert.ok(compareRoutes(quote(2, 10n), quote(1, 10n)) < 0);
+});
+
+test('routeThroughBestPools picks the pool per hop the way the router does', () => {
+  // A cheap shallow pool wins small trades, a deep pool with a higher fee wins large ones
+  const twoPools = new PoolRegistry({
+    pools: [
+      { id: 'cheap', tokenA: 'APT', tokenB: 'USDC', feeBps: 5, reserveA: '1000000', reserveB: '1000000' },
+      { id: 'deep', tokenA: 'APT', tokenB: 'USDC', feeBps: 30, reserveA: '100000000', reserveB: '100000000' },
+      { id: 'weth-apt', tokenA: 'WETH', tokenB: 'APT', feeBps: 30, reserveA: '1000000000', reserveB: '1000000000' },
+    ],
+  }, tokens);
+  assert.deepEqual(routeThroughBestPools(twoPools, ['APT', 'USDC'], 'exactIn', 1_000n).poolIds, ['cheap']);
+  assert.deepEqual(routeThroughBestPools(twoPools, ['APT', 'USDC'], 'exactIn', 500_000n).poolIds, ['deep']);
+  assert.deepEqual(routeThroughBestPools(twoPools, ['WETH', 'APT', 'USDC'], 'exactOut', 1_000n).poolIds, ['weth-apt', 'cheap']);
+  // exactOut beyond the shallow pool's reserve can only go through the deep one
+  assert.deepEqual(routeThroughBestPools(twoPools, ['APT', 'USDC'], 'exactOut', 2_000_000n).poolIds, ['deep']);
+  assert.throws(() => routeThroughBestPools(twoPools, ['APT', 'USDC'], 'exactOut', 200_000_000n), /No pool can fill APT → USDC/);
+});
@@ -0,0 +1,82 @@
+// Signer provider: every way an execute request can be refused a signer, and the paths that succeed
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CustodialSigners, SignerError, SignerProvider, assertSameSigner, describeSigner, loadKeystoreConfig } from '../src/signers/signerProvider.js';
+import { SessionKeyStore } from '../src/signers/sessionKeys.js';
+
+const KEY = '0x' + '11'.repeat(32);
+const ALICE = '0xa11ce';
+const BOB = '0xb0b';
+
+function provider(custodialToken?: string) {
+  const sessions = new SessionKeyStore();
+  return { sessions, signers: new SignerProvider(new CustodialSigners(loadKeystoreConfig(undefined, KEY)), sessions, { custodialToken }) };
+}
+
+function rejects(fn: () => unknown, status: number, message: RegExp) {
+  assert.throws(fn, (e: unknown) => e instanceof SignerError && e.status === status && message.test(e.message));
+}
+
+test('execution without a signer is rejected', () => {
+  const { signers } = provider('t0ken');
+  rejects(() => signers.resolveForExecution(undefined, ALICE), 400, /Execution requires a signer/);
+  rejects(() => signers.resolveForExecution(null, ALICE), 400, /Execution requires a signer/);
+  rejects(() => signers.resolveForExecution({ mode: 'hsm' }, ALICE), 400, /Invalid signer/);
+});
+
+test('client mode can plan but not execute', () => {
+  const { signers } = provider('t0ken');
+  rejects(() => signers.resolveForExecution({ mode: 'client', address: ALICE }), 400, /"client" cannot execute on the server/);
+  const planned = signers.resolveForPlanning(undefined, ALICE);
+  assert.equal(planned.mode, 'client');
+  assert.equal(planned.account, undefined);
+});
+
+test('custodial mode needs CUSTODIAL_API_TOKEN on the server and the matching X-Signer-Token', () => {
+  rejects(() => provider().signers.resolveForExecution({ mode: 'custodial' }, ALICE, 'anything'), 403, /Custodial signing is disabled/);
+
+  const { signers } = provider('t0ken');
+  rejects(() => signers.resolveForExecution({ mode: 'custodial' }, ALICE), 401, /valid X-Signer-Token/);
+  rejects(() => signers.resolveForExecution({ mode: 'custodial' }, ALICE, 't0kem'), 401, /valid X-Signer-Token/);
+  rejects(() => signers.resolveForExecution({ mode: 'custodial' }, ALICE, 't0ken-and-more'), 401, /valid X-Signer-Token/);
+  rejects(() => signers.resolveForExecution({ mode: 'custodial', keyId: 'missing' }, ALICE, 't0ken'), 400, /Unknown custodial key "missing"/);
+
+  const signer = signers.resolveForExecution({ mode: 'custodial' }, ALICE, 't0ken');
+  assert.equal(signer.keyId, 'env');
+  assert.ok(signer.account);
+  assert.deepEqual(signers.describe().custodial.map((k) => k.keyId), ['env']);
+});
+
+test('a session key signs only for the user who delegated it, with its own token', () => {
+  const { signers, sessions } = provider();
+  const session = sessions.create(ALICE);
+  const request = { mode: 'session', sessionId: session.sessionId, sessionToken: session.sessionToken };
+
+  const signer = signers.resolveForExecution(request, '0x000A11CE');
+  assert.equal(signer.address, session.address);
+  rejects(() => signers.resolveForExecution(request, BOB), 403, /Session belongs to a different user/);
+  rejects(() => signers.resolveForExecution({ ...request, sessionToken: 'stolen' }, ALICE), 401, /Invalid session token/);
+  rejects(() => signers.resolveForExecution({ ...request, sessionId: 'other' }, ALICE), 401, /Unknown or expired session/);
+
+  sessions.revoke(session.sessionId, session.sessionToken);
+  rejects(() => signers.resolveForExecution(request, ALICE), 401, /Unknown or expired session/);
+});
+
+test('an expired session is refused and forgotten', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const { signers, sessions } = provider();
+  const session = sessions.create(ALICE, 60_000);
+  t.mock.timers.tick(60_001);
+  const request = { mode: 'session', sessionId: session.sessionId, sessionToken: session.sessionToken };
+  rejects(() => signers.resolveForExecution(request, ALICE), 401, /Session expired/);
+  assert.equal(sessions.count(), 0);
+});
+
+test('confirm must present the signer the plan was built for', () => {
+  const { signers, sessions } = provider('t0ken');
+  const custodial = signers.resolveForExecution({ mode: 'custodial' }, ALICE, 't0ken');
+  const session = sessions.create(ALICE);
+  const other = signers.resolveForExecution({ mode: 'session', sessionId: session.sessionId, sessionToken: session.sessionToken }, ALICE);
+  assert.doesNotThrow(() => assertSameSigner(describeSigner(custodial), custodial));
+  rejects(() => assertSameSigner(describeSigner(custodial), other), 409, /Plan was created for custodial signer/);
+});
@@ -0,0 +1,91 @@
+// Split optimiser: allocation across routes sharing no pool or token pair converges on equal marginal prices
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenRegistry, DEFAULT_TOKEN_REGISTRY } from '../src/tokens/tokenRegistry.js';
+import { PoolRegistry, PoolConfig } from '../src/dex/pools.js';
+import { findBestRoute, quoteRoute } from '../src/dex/routeFinder.js';
+import { optimiseSplit, selectDisjointRoutes } from '../src/dex/splitOptimizer.js';
+
+const tokens = new TokenRegistry({
+  tokens: [
+    ...DEFAULT_TOKEN_REGISTRY.tokens,
+    { symbol: 'WETH', decimals: 8, coinType: '0x1::weth::WETH' },
+    { symbol: 'SOL', decimals: 8, coinType: '0x1::sol::SOL' },
+  ],
+});
+
+function registry(...pools: PoolConfig[]) {
+  return new PoolRegistry({ pools }, tokens);
+}
+
+const pool = (id: string, tokenA: string, tokenB: string, reserve: number, feeBps = 0): PoolConfig =>
+  ({ id, tokenA, tokenB, feeBps, reserveA: String(reserve), reserveB: String(reserve) });
+
+// Two-hop routes APT → <via> → USDC through pools of the given depth
+const via = (token: string, reserve: number) =>
+  [pool(`apt-${token.toLowerCase()}`, 'APT', token, reserve), pool(`${token.toLowerCase()}-usdc`, token, 'USDC', reserve)];
+
+test('two equal routes take half the order each', () => {
+  const pools = registry(...via('WETH', 1e9), ...via('SOL', 1e9));
+  const amount = 100_000_000n;
+  const plan = optimiseSplit(pools, findBestRoute(pools, 'APT', 'USDC', 'exactIn', amount, 0), amount, 0);
+  assert.deepEqual(plan.legs.map((l) => l.shareBps), [5000, 5000]);
+  assert.equal(plan.amountIn, amount);
+  const half = quoteRoute(pools, plan.legs[0].route, 'exactIn', amount / 2n, 0).amountOut;
+  assert.equal(plan.amountOut, 2n * half);
+  assert.ok(plan.improvementBps > 0);
+});
+
+test('a deeper route takes a proportionally larger share, at equal marginal rates', () => {
+  const pools = registry(...via('WETH', 1e9), ...via('SOL', 3e9));
+  const amount = 200_000_000n;
+  const plan = optimiseSplit(pools, findBestRoute(pools, 'APT', 'USDC', 'exactIn', amount, 30), amount, 30);
+  const share = Object.fromEntries(plan.legs.map((l) => [l.route.path[1], l.shareBps]));
+  assert.ok(Math.abs(share.SOL - 7500) <= 50, `deep share ${share.SOL}`);
+  assert.ok(Math.abs(share.WETH - 2500) <= 50, `shallow share ${share.WETH}`);
+  const [r1, r2] = plan.legs.map((l) => l.marginalRate);
+  assert.ok(Math.abs(r1 - r2) / r1 < 0.01, `marginal rates ${r1} / ${r2}`);
+  assert.ok(plan.amountOut > plan.single.amountOut);
+  for (const l of plan.legs) assert.equal(l.route.limit, (l.route.amountOut * 9970n) / 10_000n);
+});
+
+test('exactOut splits the output and spends less input than the best single route', () => {
+  const pools = registry(...via('WETH', 1e9), ...via('SOL', 1e9));
+  const amount = 100_000_000n;
+  const plan = optimiseSplit(pools, findBestRoute(pools, 'APT', 'USDC', 'exactOut', amount, 0), amount, 0);
+  assert.equal(plan.amountOut, amount);
+  assert.ok(plan.amountIn < plan.single.amountIn);
+  assert.ok(plan.improvementBps > 0);
+});
+
+test('routes sharing a pool are not combined', () => {
+  // Both WETH routes start in the same APT/WETH pool, so only the better one is used
+  const pools = registry(pool('apt-weth', 'APT', 'WETH', 1e10), pool('weth-usdc-1', 'WETH', 'USDC', 1e9), pool('weth-usdc-2', 'WETH', 'USDC', 1e9), pool('apt-usdc', 'APT', 'USDC', 1e9));
+  const search = findBestRoute(pools, 'APT', 'USDC', 'exactIn', 100_000_000n, 0);
+  const picked = selectDisjointRoutes(search, 3);
+  assert.equal(picked.length, 2);
+  assert.equal(picked.filter((r) => r.poolIds.includes('apt-weth')).length, 1);
+  assert.equal(selectDisjointRoutes(search, 1).length, 1);
+});
+
+test('routes sharing a token pair are not combined, even through different pools', () => {
+  // The router picks one pool per pair, so two APT/USDC pools cannot be split between legs
+  const pools = registry(pool('a', 'APT', 'USDC', 1e9), pool('b', 'APT', 'USDC', 1e9));
+  const amount = 100_000_000n;
+  const search = findBestRoute(pools, 'APT', 'USDC', 'exactIn', amount, 0);
+  assert.equal(search.alternatives.length, 1);
+  assert.deepEqual(selectDisjointRoutes(search, 3).map((r) => r.poolIds), [search.best.poolIds]);
+  assert.equal(optimiseSplit(pools, search, amount, 0).legs.length, 1);
+
+  const twoHop = registry(pool('apt-weth-1', 'APT', 'WETH', 1e9), pool('apt-weth-2', 'APT', 'WETH', 1e9), pool('weth-usdc', 'WETH', 'USDC', 1e9), pool('weth-sol', 'WETH', 'SOL', 1e9), pool('sol-usdc', 'SOL', 'USDC', 1e9));
+  const paths = selectDisjointRoutes(findBestRoute(twoHop, 'APT', 'USDC', 'exactIn', amount, 0), 3).map((r) => r.path.join('→'));
+  assert.deepEqual(paths, ['APT→WETH→USDC']);
+});
+
+test('a single route leaves the order whole', () => {
+  const pools = registry(pool('a', 'APT', 'USDC', 1e9));
+  const plan = optimiseSplit(pools, findBestRoute(pools, 'APT', 'USDC', 'exactIn', 1_000n, 0), 1_000n, 0);
+  assert.equal(plan.legs.length, 1);
+  assert.equal(plan.legs[0].shareBps, 10_000);
+  assert.equal(plan.improvementBps, 0);
+});
@@ -3,10 +3,18 @@ module My_module::ai_bridge {
     use std::vector;
     // ...existing code...
 
-        /// Errors
+        // Errors
+        /// Only the AI bridge admin can call this.
+        /// Fix: sign with the bridge admin account.
         const E_NOT_ADMIN: u64 = 1;
+        /// Margin is below the bridge minimum (min_margin).
+        /// Fix: raise the margin to at least the configured minimum.
         const E_INVALID_MARGIN: u64 = 2;
+        /// Leverage is above the bridge maximum (max_leverage).
+        /// Fix: lower the leverage.
         const E_INVALID_LEVERAGE: u64 = 3;
+        /// The trading pair is empty.
+        /// Fix: pass a pair name such as "APT/USDC".
         const E_INVALID_PAIR: u64 = 4;
 
         /// AI Trade Instruction
@@ -2,8 +2,12 @@ module My_module::governance {
     use std::signer;
     use aptos_std::table::{Self as table, Table};
 
-    /// Errors
+    // Errors
+    /// Only the governance admin can call this.
+    /// Fix: sign with the admin account (see transfer_admin).
     const E_NOT_ADMIN: u64 = 1;
+    /// The signer has no voting power.
+    /// Fix: ask the admin to assign votes to this account first.
     const E_NO_PERMISSION: u64 = 2;
 
     /// System parameters controlled by governance
@@ -3,6 +3,8 @@ module My_module::simple_orderbook {
     // ...existing code...
     use aptos_std::table::{Self as table, Table};
 
+    /// No resting orders on the other side of the book.
+    /// Fix: retry later or place a limit order instead.
     const E_NO_LIQUIDITY: u64 = 1;
 
     /// BUY = 0, SELL = 1
@@ -5,15 +5,35 @@ module My_module::perp_core {
     use aptos_std::table::{Self as table, Table};
 
     /******** Errors ********/
+    /// A pair with this id already exists under the admin account.
+    /// Fix: pick an unused pair id, or keep using the existing pair.
     const E_PAIR_EXISTS: u64 = 1;
+    /// No pair with this id exists under the admin account.
+    /// Fix: check the pair id and that the admin address is the one that called create_pair.
     const E_PAIR_NOT_FOUND: u64 = 2;
+    /// The user already has an open position on this pair (one net position per user per pair).
+    /// Fix: close the existing position before opening a new one.
     const E_POS_EXISTS: u64 = 3;
+    /// The user has no open position on this pair.
+    /// Fix: check the user address and pair id; the position may already be closed or liquidated.
     const E_POS_NOT_FOUND: u64 = 4;
+    /// Side must be 0 (long) or 1 (short).
+    /// Fix: pass side 0 for long or 1 for short.
     const E_BAD_SIDE: u64 = 5;
+    /// Size is zero, or larger than the open position when closing.
+    /// Fix: use a positive size no larger than the current position size.
     const E_BAD_QTY: u64 = 6;
+    /// Leverage is zero or above the pair maximum (max_lev_bps).
+    /// Fix: lower the leverage to at most the pair maximum.
     const E_BAD_LEV: u64 = 7;
+    /// Margin is below the initial margin required for this size and leverage.
+    /// Fix: add margin, reduce the size, or raise the leverage within the pair limit.
     const E_BAD_MARGIN: u64 = 8;
+    /// The caller is not the pair oracle (mark price) or VRF oracle (funding).
+    /// Fix: sign the update with the oracle account configured for the pair.
     const E_NOT_AUTH: u64 = 9;
+    /// Unsafe position state: closing would release negative equity, or a liquidation targets a healthy position.
+    /// Fix: add margin before closing; only liquidate positions below maintenance margin.
     const E_UNSAFE: u64 = 10;
 
     /******** Types ********/
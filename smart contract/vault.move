@@ -4,10 +4,18 @@ module My_module::margin_vault {
     use aptos_framework::coin;
     use aptos_framework::coin::Coin;
 
-    /// Error codes
+    // Error codes
+    /// A margin box for this coin type is already registered.
+    /// Fix: nothing to do; deposit into the existing margin box.
     const E_ALREADY_REGISTERED: u64 = 1;
+    /// No margin box for this coin type.
+    /// Fix: register (or deposit, which registers) before withdrawing, locking or unlocking.
     const E_NOT_REGISTERED: u64 = 2;
+    /// Not enough free (unlocked) collateral in the margin box.
+    /// Fix: deposit more, reduce the amount, or unlock collateral from closed positions first.
     const E_INSUFFICIENT_AVAILABLE: u64 = 3;
+    /// Not enough locked collateral to unlock this amount.
+    /// Fix: unlock at most the currently locked amount.
     const E_INSUFFICIENT_LOCKED: u64 = 4;
 
     /// Per-user margin box. Funds sit under the user's account (not pooled in the module),
@@ -78,21 +78,21 @@ if (!fs.existsSync(envPath)) {
   console.log('   ✅ .env.local already exists\n');
 }
 
-// Check for contract config
-const contractConfigPath = path.join(currentDir, 'src', 'config', 'contractConfig.js');
+// Check for the generated Move client
+const moveClientPath = path.join(currentDir, 'src', 'services', 'moveClient.generated.js');
 
-if (fs.existsSync(contractConfigPath)) {
-  console.log('   ✅ Contract configuration found');
+if (fs.existsSync(moveClientPath)) {
+  console.log('   ✅ Generated Move client found');
 } else {
-  console.log('   ❌ Contract configuration missing at src/config/contractConfig.js');
-  console.log('       This file contains your deployed contract addresses.');
+  console.log('   ❌ Move client missing at src/services/moveClient.generated.js');
+  console.log('       Run `npm run gen:move-client` in ai agent/ to generate it from smart contract/*.move.');
 }
 
 // Final instructions
 console.log('\n🎯 Next Steps:');
 console.log('');
 console.log('1. Update Contract Addresses:');
-console.log('   Edit src/config/contractConfig.js with your deployed addresses');
+console.log('   Set VITE_MODULE_ADDR in .env.local to your deployed package address');
 console.log('');
 console.log('2. Configure Environment:');
 console.log('   Edit .env.local with your AI agent backend URL');
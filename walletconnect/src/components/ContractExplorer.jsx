@@ -1,31 +1,30 @@
 import { useState, useEffect } from 'react'
-import { MODULES, MODULE_ADDR } from '../config/chain.js'
-
-async function view(functionId, args=[]) {
-  const body = { function: functionId, functionArguments: args }
-  const r = await fetch('/api/aptos/view', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(body) })
-  if (!r.ok) throw new Error('view failed')
-  return r.json()
-}
+import { MODULE_ADDR } from '../config/chain.js'
+import useWallet from '../hooks/useWallet'
+import { governance } from '../services/moveClient.generated'
+import * as perpClient from '../services/perpClient'
 
+// The deployed modules have no #[view] functions: perp state comes from the server's /api/perp routes (Pair
+// resource + positions table) and governance params from the Governance resource.
 export default function ContractExplorer({ wallet }) {
   const [mark, setMark] = useState(null)
   const [params, setParams] = useState(null)
   const [position, setPosition] = useState(null)
   const [userAddr, setUserAddr] = useState('')
   const [err, setErr] = useState(null)
+  const { aptos } = useWallet()
 
   const refresh = async () => {
     setErr(null)
     try {
-      const m = await view(`${MODULES.perp_core}::get_mark_px`, [MODULE_ADDR, 1])
-      setMark(m[0])
+      const m = await perpClient.getMark(1)
+      setMark(m.markPx)
       if (userAddr) {
-        const p = await view(`${MODULES.perp_core}::get_position`, [MODULE_ADDR, 1, userAddr])
-        setPosition(p[0] || null)
+        const p = await perpClient.getPosition(userAddr, 1)
+        setPosition(p.position || null)
       } else setPosition(null)
-      const g = await view(`${MODULES.governance}::get_params`, [MODULE_ADDR])
-      setParams(g)
+      const g = await governance.readGovernance(aptos, { account: MODULE_ADDR })
+      setParams(g && { max_leverage: g.params.max_leverage.toString(), fee_bps: g.params.fee_bps.toString() })
     } catch(e){ setErr(e.message) }
   }
 
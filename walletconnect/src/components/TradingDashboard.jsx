@@ -183,15 +183,15 @@ const TradingDashboard = () => {
                       <div className="text-red-600 font-medium">Asks</div>
                       {orderBook.asks.slice(0, 3).map((ask, i) => (
                         <div key={i} className="flex justify-between text-xs">
-                          <span>{ask.price.toFixed(4)}</span>
-                          <span>{ask.amount.toFixed(2)}</span>
+                          <span>{Number(ask.price).toFixed(4)}</span>
+                          <span>{Number(ask.amount).toFixed(2)}</span>
                         </div>
                       ))}
                       <div className="border-t pt-2 text-green-600 font-medium">Bids</div>
                       {orderBook.bids.slice(0, 3).map((bid, i) => (
                         <div key={i} className="flex justify-between text-xs">
-                          <span>{bid.price.toFixed(4)}</span>
-                          <span>{bid.amount.toFixed(2)}</span>
+                          <span>{Number(bid.price).toFixed(4)}</span>
+                          <span>{Number(bid.amount).toFixed(2)}</span>
                         </div>
                       ))}
                     </div>
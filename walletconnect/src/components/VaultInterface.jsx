@@ -11,7 +11,7 @@ const VaultInterface = () => {
     loading,
     error,
     userBalance,
-    totalSupply,
+    lockedBalance,
     clearError
   } = useVault();
 
@@ -62,8 +62,8 @@ const VaultInterface = () => {
       <div className="flex items-center justify-between mb-6">
         <h3 className="text-lg font-semibold text-gray-900">Vault</h3>
         <div className="text-sm text-gray-600">
-          <p>Your Balance: <span className="font-medium">{userBalance?.toFixed(4) || '0'} {selectedToken}</span></p>
-          <p>Total Supply: <span className="font-medium">{totalSupply?.toFixed(2) || '0'} {selectedToken}</span></p>
+          <p>Your Balance: <span className="font-medium">{Number(userBalance ?? 0).toFixed(4)} {selectedToken}</span></p>
+          <p>Locked in Positions: <span className="font-medium">{Number(lockedBalance ?? 0).toFixed(4)} {selectedToken}</span></p>
         </div>
       </div>
 
@@ -148,12 +148,12 @@ const VaultInterface = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
               <p className="text-xs text-gray-500 mt-1">
-                Max: {userBalance?.toFixed(4) || '0'} {selectedToken}
+                Max: {Number(userBalance ?? 0).toFixed(4)} {selectedToken}
               </p>
             </div>
             <button
               type="submit"
-              disabled={loading || !withdrawAmount || parseFloat(withdrawAmount) > (userBalance || 0)}
+              disabled={loading || !withdrawAmount || parseFloat(withdrawAmount) > Number(userBalance ?? 0)}
               className="w-full bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {loading ? 'Processing...' : 'Withdraw'}
@@ -183,9 +183,9 @@ const VaultInterface = () => {
           >
             10 {selectedToken}
           </button>
-          {userBalance > 0 && (
+          {Number(userBalance ?? 0) > 0 && (
             <button
-              onClick={() => setWithdrawAmount(userBalance.toString())}
+              onClick={() => setWithdrawAmount(userBalance)}
               className="px-3 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200"
             >
               Max Withdraw
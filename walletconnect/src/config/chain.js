@@ -2,6 +2,13 @@
 // Replace with your deployed address (same as PERP_MODULE_ADDR / admin deployer)
 export const MODULE_ADDR = import.meta.env.VITE_MODULE_ADDR || '0xYOUR_DEPLOYED_ACCOUNT';
 
+// Named addresses of the Move packages (smart contract/*.move) -> deployed address; used by the generated
+// client (services/moveClient.generated.js). simple_wallet is published from its own package (neurodex).
+export const NAMED_ADDRESSES = {
+  My_module: MODULE_ADDR,
+  neurodex: import.meta.env.VITE_NEURODEX_ADDR || MODULE_ADDR,
+};
+
 export const MODULES = {
   perp_core: `${MODULE_ADDR}::perp_core`,
   margin_vault: `${MODULE_ADDR}::margin_vault`,
@@ -0,0 +1,79 @@
+// Perp pair registry for the frontend
+// The pairs come from the server's active registry (GET /api/perp/pairs, which includes PERP_PAIRS_FILE) once
+// loadPerpPairs() has run; until then the built-in list. The built-in list, LEV_BPS_PER_X and the unit
+// conversions are the server's src/perp/pairUnits.ts, shared through config/perpUnits.generated.js
+// (`npm run gen:perp-pairs` in ai agent). Conversions back to human units return exact decimal strings.
+// perp_core units: size in lots (lotSize base tokens each), prices in ticks (quote units per lot), margin in
+// quote units (10^priceDecimals per quote token). Each pair's Pair resource lives at its `admin` account.
+import { MODULE_ADDR } from './chain';
+import { DEFAULT_PERP_PAIRS, LEV_BPS_PER_X, pairUnits, priceToPx as toPx, sizeToLots as toLots, marginToUnits as toMarginUnits } from './perpUnits.generated';
+
+export { LEV_BPS_PER_X, pxToPrice, lotsToSize, unitsToMargin } from './perpUnits.generated';
+
+const API_BASE = import.meta.env.VITE_AGENT_API_BASE || '/api';
+
+// symbol (BASE-QUOTE) -> pair
+export const PERP_PAIRS = {};
+
+// Server pairs already carry their units; the built-in list gets them derived the same way
+function setPairs(list) {
+  for (const k of Object.keys(PERP_PAIRS)) delete PERP_PAIRS[k];
+  for (const p of list) {
+    const pair = { ...p, ...pairUnits(p) };
+    const admin = p.admin || MODULE_ADDR;
+    PERP_PAIRS[pair.symbol] = { ...pair, admin, oracle: p.oracle || admin, vrfOracle: p.vrfOracle || admin };
+  }
+}
+
+setPairs(DEFAULT_PERP_PAIRS);
+
+// BASE-QUOTE, a bare base symbol (USDC quote) or a pair id
+export function resolvePerpPair(symbolOrId) {
+  if (symbolOrId === undefined || symbolOrId === null) return undefined;
+  const k = String(symbolOrId).trim().toUpperCase();
+  if (/^\d+$/.test(k)) return Object.values(PERP_PAIRS).find((p) => p.pairId === Number(k));
+  return PERP_PAIRS[k.includes('-') ? k : `${k}-USDC`];
+}
+
+export function getPerpPair(symbolOrId) {
+  const pair = resolvePerpPair(symbolOrId);
+  if (!pair) throw new Error(`No perp pair ${symbolOrId} (configured: ${Object.keys(PERP_PAIRS).join(', ')})`);
+  return pair;
+}
+
+export function listPerpPairs() {
+  return Object.values(PERP_PAIRS);
+}
+
+// Form inputs may be numbers; the shared conversions take decimal strings
+const decimal = (value) => (typeof value === 'number' ? String(value) : String(value).trim());
+
+// Human price (quote per base token) -> ticks (bigint); rejects prices off the tick grid
+export const priceToPx = (pair, price) => toPx(pair, decimal(price));
+
+// Human size (base tokens) -> lots (bigint); rejects sizes that are not whole lots
+export const sizeToLots = (pair, size) => toLots(pair, decimal(size));
+
+// Human margin (quote tokens) -> quote units (bigint)
+export const marginToUnits = (pair, amount) => toMarginUnits(pair, decimal(amount));
+
+let loading = null;
+export function loadPerpPairs() {
+  if (!loading) {
+    loading = fetch(`${API_BASE}/perp/pairs`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`perp pairs failed (${r.status})`);
+        return r.json();
+      })
+      .then((data) => {
+        if (Array.isArray(data.pairs) && data.pairs.length) setPairs(data.pairs);
+        return listPerpPairs();
+      })
+      .catch((err) => {
+        console.warn('Perp pair registry unavailable, using built-in list:', err.message);
+        loading = null; // allow a retry later
+        return listPerpPairs();
+      });
+  }
+  return loading;
+}
@@ -0,0 +1,84 @@
+// Token registry for the frontend
+// The built-in list is generated from the server's (ai agent/src/tokens/defaultTokens.ts, npm run gen:tokens) and
+// used until loadTokenRegistry() fetches the server's active registry (GET /api/tokens, which includes
+// TOKEN_REGISTRY_FILE + network overrides). Amounts convert with the server's exact decimal helpers.
+import { DEFAULT_TOKEN_REGISTRY } from './tokens.generated';
+import { toAtomicUnits, fromAtomicUnits } from './decimal.generated';
+
+const API_BASE = import.meta.env.VITE_AGENT_API_BASE || '/api';
+
+// symbol -> token; `address` kept for older call sites (type argument for coin-generic entry functions)
+export const TOKENS = {};
+const aliases = {};
+let network = 'testnet';
+
+function setTokens(list) {
+  for (const k of Object.keys(TOKENS)) delete TOKENS[k];
+  for (const k of Object.keys(aliases)) delete aliases[k];
+  for (const t of list) {
+    const symbol = t.symbol.toUpperCase();
+    TOKENS[symbol] = { ...t, symbol, address: t.coinType || t.faMetadata };
+    for (const a of t.aliases || []) aliases[a.toUpperCase()] = symbol;
+  }
+}
+setTokens(DEFAULT_TOKEN_REGISTRY.tokens);
+
+export function resolveToken(symbolOrAlias) {
+  if (!symbolOrAlias) return undefined;
+  const k = String(symbolOrAlias).trim().toUpperCase();
+  return TOKENS[k] || TOKENS[aliases[k]];
+}
+
+export function getToken(symbolOrAlias) {
+  const token = resolveToken(symbolOrAlias);
+  if (!token) throw new Error(`Token ${symbolOrAlias} not supported`);
+  return token;
+}
+
+export function listTokens() {
+  return Object.values(TOKENS);
+}
+
+export function getTokenNetwork() {
+  return network;
+}
+
+// Human decimal string -> atomic integer string (no float rounding)
+export function toAtomic(amount, symbol) {
+  const { decimals } = getToken(symbol);
+  // Numbers (e.g. a computed position size) are rounded to the token's precision first
+  const str = typeof amount === 'number' ? amount.toFixed(decimals) : String(amount).trim();
+  try {
+    return toAtomicUnits(str, decimals).toString();
+  } catch (err) {
+    throw new Error(`Invalid amount ${amount} for ${symbol}: ${err.message}`);
+  }
+}
+
+// Atomic integer (string/number/bigint) -> exact decimal string, like the server's TokenRegistry.fromAtomic.
+// Wrap in Number() only where the value is displayed or compared.
+export function fromAtomic(atomic, symbol) {
+  return fromAtomicUnits(BigInt(atomic), getToken(symbol).decimals);
+}
+
+let loading = null;
+export function loadTokenRegistry() {
+  if (!loading) {
+    loading = fetch(`${API_BASE}/tokens`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`tokens failed (${r.status})`);
+        return r.json();
+      })
+      .then((data) => {
+        if (Array.isArray(data.tokens) && data.tokens.length) setTokens(data.tokens);
+        network = data.network || network;
+        return listTokens();
+      })
+      .catch((err) => {
+        console.warn('Token registry unavailable, using built-in list:', err.message);
+        loading = null; // allow a retry later
+        return listTokens();
+      });
+  }
+  return loading;
+}
@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { aiBridge, aiHelpers } from '../services/aiBridge';
+import { describeError } from '../services/abortDecoder';
 
 export function useAI() {
   const [isConnected, setIsConnected] = useState(false);
@@ -29,7 +30,7 @@ export function useAI() {
         setError(null);
       }
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       setIsConnected(false);
     }
   }, []);
@@ -47,7 +48,7 @@ export function useAI() {
       setLastResponse(response);
       return response;
     } catch (err) {
-      const errorMsg = err.message || 'AI chat failed';
+      const errorMsg = err.message ? describeError(err) : 'AI chat failed';
       setError(errorMsg);
       throw new Error(errorMsg);
     } finally {
@@ -64,7 +65,7 @@ export function useAI() {
       setLastResponse(analysis);
       return analysis;
     } catch (err) {
-      const errorMsg = err.message || 'Trade analysis failed';
+      const errorMsg = err.message ? describeError(err) : 'Trade analysis failed';
       setError(errorMsg);
       throw new Error(errorMsg);
     } finally {
@@ -1,7 +1,9 @@
-// useAIExecutor.js - AI Executor contract interaction hooks
+// useAIExecutor.js - AI suggestions executed through ai_bridge (perp trade log) and margin_vault
 import { useState, useCallback, useEffect } from 'react';
 import useWallet from './useWallet';
-import { buildFunctionName } from '../config/contractConfig';
+import { aiBridge, marginVault } from '../services/moveClient.generated';
+import { getToken, toAtomic } from '../config/tokens';
+import { describeError } from '../services/abortDecoder';
 
 // AI Agent API service
 const AI_AGENT_API_URL = process.env.REACT_APP_AI_AGENT_API || 'http://localhost:3004/api';
@@ -53,7 +55,7 @@ export const useAIExecutor = () => {
       
       return suggestion;
     } catch (err) {
-      setError(`AI service error: ${err.message}`);
+      setError(`AI service error: ${describeError(err)}`);
       throw err;
     } finally {
       setLoading(false);
@@ -80,6 +82,7 @@ export const useAIExecutor = () => {
     
     // Check for perpetual trading patterns
     const perpPattern = /(open|long|short)\s+([\d.]+)\s*([A-Z]+).*?leverage\s*([\d.]+)/gi;
+    const marginMatch = /margin\s*(?:of\s*)?\$?([\d.]+)/i.exec(aiResponse);
     let match;
     while ((match = perpPattern.exec(aiResponse)) !== null) {
       suggestion.actions.push({
@@ -88,6 +91,7 @@ export const useAIExecutor = () => {
         amount: parseFloat(match[2]),
         token: match[3],
         leverage: parseFloat(match[4]),
+        margin: marginMatch ? parseFloat(marginMatch[1]) : null, // USDC
         market: `${match[3]}-USDC`
       });
     }
@@ -137,48 +141,27 @@ export const useAIExecutor = () => {
 
         switch (action.type) {
           case 'perpetual':
-            transaction = {
-              type: "entry_function_payload",
-              function: buildFunctionName('AI_EXECUTOR', 'executeAITrade'),
-              type_arguments: [],
-              arguments: [
-                'perpetual', // trade type
-                JSON.stringify(action), // trade parameters
-                suggestion.id, // suggestion ID for tracking
-                userConfirmation.riskAccepted ? '1' : '0'
-              ]
-            };
+            // Logged on chain by ai_bridge (checked against the bridge's max leverage / min margin)
+            if (action.margin == null) throw new Error(`No margin given for the ${action.market} trade`);
+            transaction = aiBridge.submitAiTrade({
+              pair: action.market.replace('-', '/'),
+              side: action.action !== 'short',
+              leverage: Math.round(action.leverage),
+              margin: toAtomic(action.margin, 'USDC'),
+              timestamp: Math.floor(Date.now() / 1000)
+            });
             break;
 
-          case 'spot':
-            transaction = {
-              type: "entry_function_payload", 
-              function: buildFunctionName('AI_EXECUTOR', 'executeAITrade'),
-              type_arguments: [],
-              arguments: [
-                'spot',
-                JSON.stringify(action),
-                suggestion.id,
-                userConfirmation.riskAccepted ? '1' : '0'
-              ]
-            };
-            break;
-
-          case 'vault':
-            transaction = {
-              type: "entry_function_payload",
-              function: buildFunctionName('AI_EXECUTOR', 'executeAITrade'), 
-              type_arguments: [],
-              arguments: [
-                'vault',
-                JSON.stringify(action),
-                suggestion.id,
-                userConfirmation.riskAccepted ? '1' : '0'
-              ]
-            };
+          case 'vault': {
+            const token = getToken(action.token);
+            if (!token.coinType) throw new Error(`${token.symbol} has no coin type; margin_vault only holds coins`);
+            const args = { T: token.coinType, amount: toAtomic(action.amount, token.symbol) };
+            transaction = action.action === 'deposit' ? marginVault.deposit(args) : marginVault.withdraw(args);
             break;
+          }
 
           default:
+            // Spot swaps have no on-chain executor module; they go through the agent server (/api/execute)
             throw new Error(`Unsupported action type: ${action.type}`);
         }
 
@@ -207,7 +190,7 @@ export const useAIExecutor = () => {
       // Log failed execution
       await logAIExecution(suggestion, [], 'failed', err.message);
       
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -238,26 +221,14 @@ export const useAIExecutor = () => {
     }
   }, [address]);
 
-  // Register AI agent permissions
-  const registerAIAgent = useCallback(async (aiAgentConfig) => {
+  // Sign, wait for success
+  const submitBridgeTx = useCallback(async (transaction) => {
     if (!connected) throw new Error('Wallet not connected');
     
     setLoading(true);
     setError(null);
 
     try {
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('AI_EXECUTOR', 'registerAIAgent'),
-        type_arguments: [],
-        arguments: [
-          aiAgentConfig.name || 'Default AI Agent',
-          aiAgentConfig.maxTradeAmount || '1000000000', // 10 tokens with 8 decimals
-          aiAgentConfig.allowedActions || ['perpetual', 'spot', 'vault'],
-          aiAgentConfig.riskThreshold || '5000' // 50%
-        ]
-      };
-
       const response = await signAndSubmitTransaction(transaction);
       
       await aptos.waitForTransaction({
@@ -267,36 +238,32 @@ export const useAIExecutor = () => {
       
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
     }
   }, [connected, signAndSubmitTransaction, aptos]);
 
-  // Fetch AI trade execution history
-  const fetchAITradeHistory = useCallback(async (limit = 50) => {
+  // Create the wallet's ai_bridge (limits + trade log); needed once before AI trades can be logged
+  const registerAIAgent = useCallback(({ maxLeverage = 10, minMargin = 1 } = {}) =>
+    submitBridgeTx(aiBridge.init({ max_leverage: maxLeverage, min_margin: toAtomic(minMargin, 'USDC') })), [submitBridgeTx]);
+
+  // Fetch the wallet's logged AI trades
+  const fetchAITradeHistory = useCallback(async () => {
     if (!connected || !address) return;
 
     try {
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('AI_EXECUTOR', 'getAITradeHistory'),
-          type_arguments: [],
-          arguments: [address, limit.toString()]
-        }
-      });
-
-      const history = response[0].map(record => ({
-        id: record.id,
-        suggestionId: record.suggestion_id,
-        tradeType: record.trade_type,
-        parameters: JSON.parse(record.parameters),
-        status: record.status,
-        transactionHash: record.transaction_hash,
-        executedAt: parseInt(record.executed_at),
-        gasUsed: record.gas_used,
-        profit: parseFloat(record.profit) / Math.pow(10, 6)
+      // The TradeLog resource under the wallet (get_trades is not a #[view]); none until registerAIAgent
+      const log = await aiBridge.readTradeLog(aptos, { account: address });
+
+      const history = (log ? log.trades : []).map((trade, i) => ({
+        id: i,
+        pair: new TextDecoder().decode(trade.pair),
+        side: trade.side ? 'long' : 'short',
+        leverage: Number(trade.leverage),
+        margin: trade.margin,
+        executedAt: Number(trade.timestamp)
       }));
 
       setAiTradeHistory(history);
@@ -308,41 +275,9 @@ export const useAIExecutor = () => {
     }
   }, [connected, address, aptos]);
 
-  // Update AI permissions
-  const updateAIPermissions = useCallback(async (newPermissions) => {
-    if (!connected) throw new Error('Wallet not connected');
-    
-    setLoading(true);
-    setError(null);
-
-    try {
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('AI_EXECUTOR', 'updateAIPermissions'),
-        type_arguments: [],
-        arguments: [
-          newPermissions.maxTradeAmount || '1000000000',
-          newPermissions.allowedActions || ['perpetual', 'spot', 'vault'],
-          newPermissions.riskThreshold || '5000',
-          newPermissions.enabled ? '1' : '0'
-        ]
-      };
-
-      const response = await signAndSubmitTransaction(transaction);
-      
-      await aptos.waitForTransaction({
-        transactionHash: response.hash,
-        options: { timeoutSecs: 30, checkSuccess: true }
-      });
-      
-      return response;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [connected, signAndSubmitTransaction, aptos]);
+  // Update the bridge limits (bridge owner only)
+  const updateAIPermissions = useCallback(({ maxLeverage, minMargin }) =>
+    submitBridgeTx(aiBridge.setParams({ max_leverage: maxLeverage, min_margin: toAtomic(minMargin, 'USDC') })), [submitBridgeTx]);
 
   // Auto-refresh data
   useEffect(() => {
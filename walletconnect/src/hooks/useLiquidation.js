@@ -1,7 +1,40 @@
-// useLiquidation.js - Liquidation contract interaction hooks
+// useLiquidation.js - perp_core liquidation hooks
+// perp_core has no liquidation views, so positions are read from each pair's Pair resource and positions table
+// (services/perpState; the list of all positions comes from the indexer) and assessed with services/perpMath.generated.
+// healthFactor is equity / maintenance margin by the maths the module documents: below 1.0 the position is under
+// maintenance. isLiquidatable is what perp_core::liquidate(admin, victim, pair_id) checks on the deployed
+// bytecode (perp_core::health < 0 in u128), which unsigned PnL keeps from ever holding, so it stays false until
+// the module is fixed and republished. liquidate is signed by the pair admin and pays no reward yet.
 import { useState, useCallback, useEffect } from 'react';
 import useWallet from './useWallet';
-import { buildFunctionName, TOKENS } from '../config/contractConfig';
+import { perpCore } from '../services/moveClient.generated';
+import { listPerpPairs, loadPerpPairs, getPerpPair, pxToPrice, lotsToSize } from '../config/perpPairs';
+import { readMarket, readPosition, listPositions } from '../services/perpState';
+import { assessPosition, SIDE_LONG } from '../services/perpMath.generated';
+import { describeError } from '../services/abortDecoder';
+
+// Health factor 1.0 = equity equal to the maintenance margin
+const LIQUIDATION_THRESHOLD = 1.0;
+
+// Risk of one position at the market's current mark
+function describeRisk(market, owner, pos, state) {
+  const { pair } = state;
+  const risk = assessPosition(pos, state);
+  return {
+    id: pair.pairId,
+    owner,
+    market,
+    side: pos.side === SIDE_LONG ? 'long' : 'short',
+    size: Number(lotsToSize(pair, pos.size)),
+    entryPrice: Number(pxToPrice(pair, pos.entryPx)),
+    currentPrice: Number(pxToPrice(pair, state.markPx)),
+    healthFactor: risk.maintMargin === 0n ? Infinity : Number(risk.equity * 10000n / risk.maintMargin) / 10000,
+    liquidationPrice: risk.liquidationPx === null ? null : Number(pxToPrice(pair, risk.liquidationPx)),
+    belowMaintenance: risk.liquidatable,
+    isLiquidatable: risk.moduleHealth !== null && risk.moduleHealth < 0n,
+    reward: 0
+  };
+}
 
 export const useLiquidation = () => {
   const { aptos, signAndSubmitTransaction, connected, address } = useWallet();
@@ -10,40 +43,40 @@ export const useLiquidation = () => {
   const [liquidatablePositions, setLiquidatablePositions] = useState([]);
   const [userHealthFactor, setUserHealthFactor] = useState(null);
 
-  // Execute liquidation of an undercollateralized position
-  const executeLiquidation = useCallback(async ({
-    targetAddress,
-    positionId,
-    market,
-    liquidationSize = null // null for full liquidation
-  }) => {
+  // Fetch all positions below maintenance (for liquidators), lowest health factor first
+  const fetchLiquidatablePositions = useCallback(async (limit = 50) => {
+    try {
+      const positions = [];
+      for (const { symbol } of listPerpPairs()) {
+        const state = await readMarket(aptos, symbol);
+        for (const { owner, position } of await listPositions(aptos, state)) {
+          const risk = describeRisk(symbol, owner, position, state);
+          if (risk.healthFactor <= LIQUIDATION_THRESHOLD) positions.push(risk);
+        }
+      }
+      positions.sort((a, b) => a.healthFactor - b.healthFactor);
+
+      setLiquidatablePositions(positions.slice(0, limit));
+      return positions.slice(0, limit);
+    } catch (err) {
+      console.error('Failed to fetch liquidatable positions:', err);
+      setLiquidatablePositions([]);
+      return [];
+    }
+  }, [aptos]);
+
+  // Execute liquidation of a position below maintenance (the connected wallet must be the pair admin)
+  const executeLiquidation = useCallback(async ({ targetAddress, market = 'APT-USDC' }) => {
     if (!connected) throw new Error('Wallet not connected');
-    
+
     setLoading(true);
     setError(null);
 
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const sizeInDecimals = liquidationSize 
-        ? Math.floor(parseFloat(liquidationSize) * Math.pow(10, baseTokenConfig.decimals)).toString()
-        : '0'; // 0 indicates full liquidation
-
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('LIQUIDATION', 'executeLiquidation'),
-        type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-        arguments: [
-          targetAddress,
-          positionId.toString(),
-          sizeInDecimals
-        ]
-      };
+      const transaction = perpCore.liquidate({ victim: targetAddress, pair_id: getPerpPair(market).pairId });
 
       const response = await signAndSubmitTransaction(transaction);
-      
+
       await aptos.waitForTransaction({
         transactionHash: response.hash,
         options: { timeoutSecs: 30, checkSuccess: true }
@@ -51,107 +84,56 @@ export const useLiquidation = () => {
 
       // Refresh liquidatable positions
       await fetchLiquidatablePositions();
-      
+
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [connected, signAndSubmitTransaction, aptos]);
+  }, [connected, signAndSubmitTransaction, aptos, fetchLiquidatablePositions]);
 
-  // Check if a specific position is liquidatable
-  const checkLiquidation = useCallback(async (userAddress, positionId, market) => {
+  // Check a user's position on a market (perp_core keeps one position per user per pair)
+  const checkLiquidation = useCallback(async (userAddress, market = 'APT-USDC') => {
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('LIQUIDATION', 'checkLiquidation'),
-          type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-          arguments: [userAddress, positionId.toString()]
-        }
-      });
-
-      // Response format: [isLiquidatable, healthFactor, liquidationPrice, penalty]
-      const [isLiquidatable, healthFactor, liquidationPrice, penalty] = response;
+      const state = await readMarket(aptos, market);
+      const pos = await readPosition(aptos, state, userAddress);
+      if (!pos) return { isLiquidatable: false, belowMaintenance: false, healthFactor: 0, liquidationPrice: 0, penalty: 0 };
 
+      const risk = describeRisk(market, userAddress, pos, state);
       return {
-        isLiquidatable: isLiquidatable === '1',
-        healthFactor: parseFloat(healthFactor) / Math.pow(10, 6),
-        liquidationPrice: parseFloat(liquidationPrice) / Math.pow(10, 6),
-        penalty: parseFloat(penalty) / Math.pow(10, 6)
+        isLiquidatable: risk.isLiquidatable,
+        belowMaintenance: risk.belowMaintenance,
+        healthFactor: risk.healthFactor,
+        liquidationPrice: risk.liquidationPrice,
+        penalty: 0 // perp_core::liquidate charges no penalty
       };
     } catch (err) {
       console.error('Failed to check liquidation:', err);
-      return {
-        isLiquidatable: false,
-        healthFactor: 0,
-        liquidationPrice: 0,
-        penalty: 0
-      };
+      return { isLiquidatable: false, belowMaintenance: false, healthFactor: 0, liquidationPrice: 0, penalty: 0 };
     }
   }, [aptos]);
 
-  // Fetch all liquidatable positions (for liquidators)
-  const fetchLiquidatablePositions = useCallback(async (limit = 50) => {
-    try {
-      // This assumes your contract has a function to get liquidatable positions
-      // You might need to implement this differently based on your architecture
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('LIQUIDATION', 'getLiquidatablePositions'),
-          type_arguments: [],
-          arguments: [limit.toString()]
-        }
-      });
-
-      const positions = response[0].map(position => ({
-        id: position.id,
-        owner: position.owner,
-        market: position.market,
-        side: position.side === '0' ? 'long' : 'short',
-        size: parseFloat(position.size) / Math.pow(10, 8),
-        entryPrice: parseFloat(position.entry_price) / Math.pow(10, 6),
-        currentPrice: parseFloat(position.current_price) / Math.pow(10, 6),
-        healthFactor: parseFloat(position.health_factor) / Math.pow(10, 6),
-        liquidationPrice: parseFloat(position.liquidation_price) / Math.pow(10, 6),
-        reward: parseFloat(position.liquidation_reward) / Math.pow(10, 6),
-        timestamp: position.timestamp
-      }));
-
-      setLiquidatablePositions(positions);
-      return positions;
-    } catch (err) {
-      console.error('Failed to fetch liquidatable positions:', err);
-      setLiquidatablePositions([]);
-      return [];
-    }
-  }, [aptos]);
-
-  // Fetch user's health factor
+  // Fetch a user's health factor: the lowest over their positions (null when they have none)
   const fetchUserHealthFactor = useCallback(async (userAddress = null) => {
     const targetAddress = userAddress || address;
     if (!targetAddress) return;
 
     try {
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('LIQUIDATION', 'getUserHealthFactor'),
-          type_arguments: [],
-          arguments: [targetAddress]
-        }
-      });
+      let healthFactor = null;
+      for (const { symbol } of listPerpPairs()) {
+        const state = await readMarket(aptos, symbol);
+        const pos = await readPosition(aptos, state, targetAddress);
+        if (!pos) continue;
+        const { healthFactor: hf } = describeRisk(symbol, targetAddress, pos, state);
+        healthFactor = healthFactor === null ? hf : Math.min(healthFactor, hf);
+      }
 
-      const healthFactor = parseFloat(response[0]) / Math.pow(10, 6);
-      
       if (userAddress === null || userAddress === address) {
         setUserHealthFactor(healthFactor);
       }
-      
+
       return healthFactor;
     } catch (err) {
       console.error('Failed to fetch health factor:', err);
@@ -162,28 +144,13 @@ export const useLiquidation = () => {
     }
   }, [address, aptos]);
 
-  // Get liquidation threshold (minimum health factor before liquidation)
-  const getLiquidationThreshold = useCallback(async () => {
-    try {
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('LIQUIDATION', 'getLiquidationThreshold'),
-          type_arguments: [],
-          arguments: []
-        }
-      });
-
-      return parseFloat(response[0]) / Math.pow(10, 6); // Usually around 1.0 (100%)
-    } catch (err) {
-      console.error('Failed to fetch liquidation threshold:', err);
-      return 1.0; // Default threshold
-    }
-  }, [aptos]);
+  // Health factor at which a position reaches its maintenance margin
+  const getLiquidationThreshold = useCallback(async () => LIQUIDATION_THRESHOLD, []);
 
   // Calculate liquidation risk level
-  const getLiquidationRisk = useCallback((healthFactor, threshold = 1.0) => {
+  const getLiquidationRisk = useCallback((healthFactor, threshold = LIQUIDATION_THRESHOLD) => {
     if (!healthFactor || healthFactor <= 0) return 'unknown';
-    
+
     if (healthFactor <= threshold) return 'liquidatable';
     if (healthFactor <= threshold * 1.1) return 'critical'; // Within 10% of liquidation
     if (healthFactor <= threshold * 1.3) return 'high'; // Within 30% of liquidation
@@ -199,20 +166,17 @@ export const useLiquidation = () => {
 
   // Auto-refresh data
   useEffect(() => {
-    if (connected && address) {
-      fetchUserHealthFactor();
-    }
-
-    // Refresh liquidatable positions for liquidators
-    fetchLiquidatablePositions();
-
-    // Set up polling for updates
-    const interval = setInterval(() => {
+    const refresh = () => {
       if (connected && address) {
         fetchUserHealthFactor();
       }
+      // Refresh liquidatable positions for liquidators
       fetchLiquidatablePositions();
-    }, 15000); // Update every 15 seconds
+    };
+    loadPerpPairs().then(refresh);
+
+    // Set up polling for updates
+    const interval = setInterval(refresh, 15000); // Update every 15 seconds
 
     return () => clearInterval(interval);
   }, [connected, address, fetchUserHealthFactor, fetchLiquidatablePositions]);
@@ -224,13 +188,13 @@ export const useLiquidation = () => {
     fetchLiquidatablePositions,
     fetchUserHealthFactor,
     getLiquidationThreshold,
-    
+
     // State
     loading,
     error,
     liquidatablePositions,
     userHealthFactor,
-    
+
     // Utils
     getLiquidationRisk,
     estimateLiquidationReward,
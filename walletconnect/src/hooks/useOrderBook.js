@@ -1,134 +1,88 @@
-// useOrderBook.js - OrderBook contract interaction hooks
+// useOrderBook.js - simple_orderbook interaction hooks
+// The Book resource lives under the book admin (default MODULE_ADDR) with bids / asks tables keyed by price
+// (price -> FIFO vector<Order>). The node cannot enumerate tables, so the book and the user's resting orders are
+// listed from the indexer through the generated readers. place_limit / place_market take the book admin and the
+// trader as signers (a multi-agent transaction), so the wallet cannot send them on its own, and the module has no
+// cancel function.
 import { useState, useCallback, useEffect } from 'react';
 import useWallet from './useWallet';
-import { buildFunctionName, TOKENS } from '../config/contractConfig';
+import { MODULE_ADDR } from '../config/chain';
+import { MOVE_ABI, simpleOrderbook } from '../services/moveClient.generated';
+import { getToken, toAtomic, fromAtomic } from '../config/tokens';
+import { describeError } from '../services/abortDecoder';
 
-export const useOrderBook = () => {
+const EMPTY_BOOK = { bids: [], asks: [] };
+const MAX_PRICE_LEVELS = 200;
+
+export const useOrderBook = (bookAddress = MODULE_ADDR) => {
   const { aptos, signAndSubmitTransaction, connected, address } = useWallet();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [userOrders, setUserOrders] = useState([]);
-  const [orderBook, setOrderBook] = useState({ bids: [], asks: [] });
-
-  // Place a new order
-  const placeOrder = useCallback(async ({
-    side, // 'buy' or 'sell' 
-    amount,
-    price,
-    baseToken = 'APT',
-    quoteToken = 'USDC',
-    orderType = 'limit' // 'limit' or 'market'
-  }) => {
-    if (!connected) throw new Error('Wallet not connected');
-    
-    setLoading(true);
-    setError(null);
-
+  const [orderBook, setOrderBook] = useState(EMPTY_BOOK);
+
+  // Resting orders of both sides, one entry per price level ({ price, orders }); null when there is no book
+  const readLevels = useCallback(async () => {
+    const book = await simpleOrderbook.readBook(aptos, { account: bookAddress });
+    if (!book) return null;
+    const [bids, asks] = await Promise.all([
+      simpleOrderbook.listBookBids(aptos, { handle: book.bids.handle, limit: MAX_PRICE_LEVELS }),
+      simpleOrderbook.listBookAsks(aptos, { handle: book.asks.handle, limit: MAX_PRICE_LEVELS })
+    ]);
+    const levels = (rows) => rows.map(({ key, value }) => ({ price: key, orders: value })).filter((l) => l.orders.length);
+    return { bids: levels(bids), asks: levels(asks) };
+  }, [aptos, bookAddress]);
+
+  // Fetch current orderbook (bids best first, descending; asks ascending), amounts summed per price level.
+  // price / amount / total are exact decimal strings (Number() them for display).
+  const fetchOrderBook = useCallback(async (baseToken = 'APT', quoteToken = 'USDC', depth = 20) => {
     try {
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-      
-      if (!baseTokenConfig || !quoteTokenConfig) {
-        throw new Error('Unsupported token pair');
+      const levels = await readLevels();
+      if (!levels) {
+        setOrderBook(EMPTY_BOOK);
+        return EMPTY_BOOK;
       }
 
-      // Convert amounts to proper decimals
-      const amountInDecimals = Math.floor(parseFloat(amount) * Math.pow(10, baseTokenConfig.decimals));
-      const priceInDecimals = Math.floor(parseFloat(price) * Math.pow(10, quoteTokenConfig.decimals));
-
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('ORDERBOOK', 'placeOrder'),
-        type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-        arguments: [
-          side === 'buy' ? '0' : '1', // 0 for buy, 1 for sell
-          amountInDecimals.toString(),
-          priceInDecimals.toString(),
-          orderType === 'market' ? '1' : '0' // 0 for limit, 1 for market
-        ]
-      };
-
-      const response = await signAndSubmitTransaction(transaction);
-      
-      await aptos.waitForTransaction({
-        transactionHash: response.hash,
-        options: { timeoutSecs: 30, checkSuccess: true }
-      });
-
-      // Refresh orders and orderbook
-      await Promise.all([fetchUserOrders(), fetchOrderBook()]);
-      
-      return response;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [connected, signAndSubmitTransaction, aptos]);
-
-  // Cancel an existing order
-  const cancelOrder = useCallback(async (orderId, baseToken = 'APT', quoteToken = 'USDC') => {
-    if (!connected) throw new Error('Wallet not connected');
-    
-    setLoading(true);
-    setError(null);
-
-    try {
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('ORDERBOOK', 'cancelOrder'),
-        type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-        arguments: [orderId.toString()]
+      const side = (rows, descending) => {
+        const sorted = [...rows].sort((a, b) => (a.price === b.price ? 0 : (a.price < b.price) !== descending ? -1 : 1)).slice(0, depth);
+        let total = 0n;
+        return sorted.map(({ price, orders }) => {
+          const amount = orders.reduce((sum, o) => sum + o.qty, 0n);
+          total += amount;
+          return {
+            price: fromAtomic(price, getToken(quoteToken).symbol),
+            amount: fromAtomic(amount, getToken(baseToken).symbol),
+            total: fromAtomic(total, getToken(baseToken).symbol)
+          };
+        });
       };
 
-      const response = await signAndSubmitTransaction(transaction);
-      
-      await aptos.waitForTransaction({
-        transactionHash: response.hash,
-        options: { timeoutSecs: 30, checkSuccess: true }
-      });
+      const orderbookData = { bids: side(levels.bids, true), asks: side(levels.asks, false) };
+      setOrderBook(orderbookData);
 
-      await Promise.all([fetchUserOrders(), fetchOrderBook()]);
-      
-      return response;
+      return orderbookData;
     } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
+      console.error('Failed to fetch orderbook:', err);
+      setOrderBook(EMPTY_BOOK);
+      return EMPTY_BOOK;
     }
-  }, [connected, signAndSubmitTransaction, aptos]);
+  }, [readLevels]);
 
-  // Fetch user's open orders
+  // Fetch the connected user's resting orders
   const fetchUserOrders = useCallback(async (baseToken = 'APT', quoteToken = 'USDC') => {
     if (!connected || !address) return;
 
     try {
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('ORDERBOOK', 'getUserOrders'),
-          type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-          arguments: [address]
-        }
-      });
-
-      // Parse orders data (adjust according to your contract structure)
-      const orders = response[0].map(order => ({
+      const levels = await readLevels();
+      const mine = (rows) => rows.flatMap(({ orders }) => orders.filter((o) => o.owner.toLowerCase() === address.toLowerCase()));
+      const orders = levels ? [...mine(levels.bids), ...mine(levels.asks)].map(order => ({
         id: order.id,
-        side: order.side === '0' ? 'buy' : 'sell',
-        amount: parseFloat(order.amount) / Math.pow(10, baseTokenConfig.decimals),
-        price: parseFloat(order.price) / Math.pow(10, quoteTokenConfig.decimals),
-        filled: parseFloat(order.filled) / Math.pow(10, baseTokenConfig.decimals),
-        timestamp: order.timestamp,
-        status: order.status
-      }));
+        side: order.side === 0 ? 'buy' : 'sell',
+        amount: fromAtomic(order.qty, getToken(baseToken).symbol),
+        price: fromAtomic(order.price, getToken(quoteToken).symbol),
+        filled: '0', // the book keeps only the unfilled quantity
+        status: 'open'
+      })) : [];
 
       setUserOrders(orders);
       return orders;
@@ -137,52 +91,62 @@ export const useOrderBook = () => {
       setUserOrders([]);
       return [];
     }
-  }, [connected, address, aptos]);
+  }, [connected, address, readLevels]);
+
+  // Build a limit / market order (side 0 = buy, 1 = sell; price in quote units, qty in base units)
+  const buildOrder = useCallback(({ side, amount, price, baseToken = 'APT', quoteToken = 'USDC', orderType = 'limit' }) => {
+    const qty = toAtomic(amount, getToken(baseToken).symbol);
+    const sideCode = side === 'buy' ? 0 : 1;
+    return orderType === 'market'
+      ? simpleOrderbook.placeMarket({ side: sideCode, qty })
+      : simpleOrderbook.placeLimit({ side: sideCode, price: toAtomic(price, getToken(quoteToken).symbol), qty });
+  }, []);
+
+  // Place a new order
+  const placeOrder = useCallback(async (order) => {
+    if (!connected) throw new Error('Wallet not connected');
+
+    setLoading(true);
+    setError(null);
 
-  // Fetch current orderbook (bids and asks)
-  const fetchOrderBook = useCallback(async (baseToken = 'APT', quoteToken = 'USDC', depth = 20) => {
     try {
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('ORDERBOOK', 'getOrderBook'),
-          type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-          arguments: [depth.toString()]
-        }
+      const transaction = buildOrder(order);
+      const fn = order.orderType === 'market' ? 'place_market' : 'place_limit';
+      const { signers } = MOVE_ABI.simple_orderbook.functions[fn];
+      if (signers.length > 1) {
+        throw new Error(`simple_orderbook::${fn} is signed by ${signers.join(' and ')} (multi-agent); the wallet cannot send it alone`);
+      }
+      const response = await signAndSubmitTransaction(transaction);
+
+      await aptos.waitForTransaction({
+        transactionHash: response.hash,
+        options: { timeoutSecs: 30, checkSuccess: true }
       });
 
-      // Parse orderbook data
-      const [bidsData, asksData] = response;
-      
-      const bids = bidsData.map(bid => ({
-        price: parseFloat(bid.price) / Math.pow(10, quoteTokenConfig.decimals),
-        amount: parseFloat(bid.amount) / Math.pow(10, baseTokenConfig.decimals),
-        total: parseFloat(bid.total) / Math.pow(10, baseTokenConfig.decimals)
-      }));
-
-      const asks = asksData.map(ask => ({
-        price: parseFloat(ask.price) / Math.pow(10, quoteTokenConfig.decimals),
-        amount: parseFloat(ask.amount) / Math.pow(10, baseTokenConfig.decimals),
-        total: parseFloat(ask.total) / Math.pow(10, baseTokenConfig.decimals)
-      }));
-
-      const orderbookData = { bids, asks };
-      setOrderBook(orderbookData);
-      
-      return orderbookData;
+      // Refresh orders and orderbook
+      await Promise.all([fetchUserOrders(order.baseToken, order.quoteToken), fetchOrderBook(order.baseToken, order.quoteToken)]);
+
+      return response;
     } catch (err) {
-      console.error('Failed to fetch orderbook:', err);
-      setOrderBook({ bids: [], asks: [] });
-      return { bids: [], asks: [] };
+      setError(describeError(err));
+      throw err;
+    } finally {
+      setLoading(false);
     }
-  }, [aptos]);
+  }, [connected, signAndSubmitTransaction, aptos, buildOrder, fetchUserOrders, fetchOrderBook]);
+
+  // Cancel an existing order
+  const cancelOrder = useCallback(async (orderId) => {
+    const err = new Error(`simple_orderbook has no cancel function; order ${orderId} stays on the book until it is matched`);
+    setError(err.message);
+    throw err;
+  }, []);
 
   // Get best bid/ask prices
   const getBestPrices = useCallback(() => {
-    const bestBid = orderBook.bids.length > 0 ? orderBook.bids[0].price : 0;
-    const bestAsk = orderBook.asks.length > 0 ? orderBook.asks[0].price : 0;
+    // Levels hold exact decimal strings; the derived figures are for display
+    const bestBid = orderBook.bids.length > 0 ? Number(orderBook.bids[0].price) : 0;
+    const bestAsk = orderBook.asks.length > 0 ? Number(orderBook.asks[0].price) : 0;
     const spread = bestAsk > 0 && bestBid > 0 ? bestAsk - bestBid : 0;
     const midPrice = bestAsk > 0 && bestBid > 0 ? (bestAsk + bestBid) / 2 : 0;
 
@@ -206,17 +170,18 @@ export const useOrderBook = () => {
 
   return {
     // Actions
+    buildOrder,
     placeOrder,
     cancelOrder,
     fetchUserOrders,
     fetchOrderBook,
-    
+
     // State
     loading,
     error,
     userOrders,
     orderBook,
-    
+
     // Utils
     getBestPrices,
     clearError: () => setError(null)
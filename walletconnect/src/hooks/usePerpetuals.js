@@ -1,248 +1,205 @@
-// usePerpetuals.js - Perpetuals contract interaction hooks
+// usePerpetuals.js - perp_core interaction hooks
+// perp_core keeps one Pair resource (config, mark price, funding index, positions) under each pair's admin
+// account, and its entry functions are signed by the admin on the user's behalf, so opening / closing goes
+// through the agent server (services/perpClient). The module has no #[view] functions, so reads go through its
+// Pair resource and positions table (services/perpState). PnL, health and liquidation prices come from
+// services/perpMath.generated (the server's src/perp/margin.ts).
+// Pairs and their units (lots, ticks, quote units) come from the pair registry (config/perpPairs).
 import { useState, useCallback, useEffect } from 'react';
 import useWallet from './useWallet';
-import { buildFunctionName, TOKENS } from '../config/contractConfig';
+import { readMarket, readPosition } from '../services/perpState';
+import { LEV_BPS_PER_X, getPerpPair, listPerpPairs, loadPerpPairs, pxToPrice, sizeToLots, lotsToSize, marginToUnits, unitsToMargin } from '../config/perpPairs';
+import * as perpClient from '../services/perpClient';
+import { assessPosition, liquidationPrice, requiredInitMargin, notional, SIDE_LONG, SIDE_SHORT } from '../services/perpMath.generated';
+import { describeError } from '../services/abortDecoder';
 
 export const usePerpetuals = () => {
-  const { aptos, signAndSubmitTransaction, connected, address } = useWallet();
+  const { aptos, connected, address } = useWallet();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [userPositions, setUserPositions] = useState([]);
+  const [markets, setMarkets] = useState({});
   const [markPrices, setMarkPrices] = useState({});
   const [fundingRates, setFundingRates] = useState({});
 
-  // Open a perpetual position
-  const openPosition = useCallback(async ({
-    market, // e.g., 'APT-USDC'
-    side, // 'long' or 'short'
-    size, // Position size
-    leverage = 1,
-    margin, // Margin amount
-    slippage = 0.005 // 0.5% default slippage
-  }) => {
+  // Pair config, mark price, funding index and positions table handle of a market, from its Pair resource
+  const fetchMarket = useCallback(async (market) => {
+    const state = await readMarket(aptos, market);
+    const { pair } = state;
+
+    setMarkets(prev => ({ ...prev, [pair.symbol]: state }));
+    setMarkPrices(prev => ({ ...prev, [pair.symbol]: Number(pxToPrice(pair, state.markPx)) }));
+    setFundingRates(prev => ({ ...prev, [pair.symbol]: Number(state.cumFundingBps) }));
+    return state;
+  }, [aptos]);
+
+  // Position on one market with its PnL and health at the current mark
+  const describePosition = useCallback((market, pos, state) => {
+    const { pair } = state;
+    const risk = assessPosition(pos, state);
+    const quote = (units) => Number(unitsToMargin(pair, units));
+    return {
+      id: pair.pairId,
+      pairId: pair.pairId,
+      market,
+      side: pos.side === SIDE_LONG ? 'long' : 'short',
+      size: Number(lotsToSize(pair, pos.size)),
+      entryPrice: Number(pxToPrice(pair, pos.entryPx)),
+      markPrice: Number(pxToPrice(pair, state.markPx)),
+      margin: quote(pos.margin),
+      leverage: pos.levBps / LEV_BPS_PER_X,
+      pricePnl: quote(risk.pricePnl),
+      fundingPnl: quote(risk.fundingPnl),
+      unrealizedPnl: quote(risk.pricePnl + risk.fundingPnl),
+      equity: quote(risk.equity),
+      maintenanceMargin: quote(risk.maintMargin),
+      health: quote(risk.health),
+      marginRatio: risk.marginRatioBps / 10000,
+      liquidationPrice: risk.liquidationPx === null ? null : Number(pxToPrice(pair, risk.liquidationPx)),
+      // Side-signed health below zero; perp_core::liquidate as deployed cannot close it (its health never goes negative)
+      belowMaintenance: risk.liquidatable,
+      liquidatable: risk.moduleHealth !== null && risk.moduleHealth < 0n,
+      raw: pos
+    };
+  }, []);
+
+  // Fetch the user's position on every configured pair (perp_core keeps one net position per user per pair)
+  const fetchUserPositions = useCallback(async () => {
+    if (!connected || !address) return;
+
+    try {
+      const positions = [];
+      for (const { symbol } of listPerpPairs()) {
+        const state = await fetchMarket(symbol);
+        const pos = await readPosition(aptos, state, address);
+        if (!pos) continue;
+        positions.push(describePosition(symbol, pos, state));
+      }
+
+      setUserPositions(positions);
+      return positions;
+    } catch (err) {
+      console.error('Failed to fetch positions:', err);
+      setUserPositions([]);
+      return [];
+    }
+  }, [connected, address, aptos, fetchMarket, describePosition]);
+
+  // Open a position at the mark price (size in base tokens, margin in quote tokens, leverage in x)
+  const openPosition = useCallback(async ({ market, side, size, leverage = 1, margin }) => {
     if (!connected) throw new Error('Wallet not connected');
-    
+
     setLoading(true);
     setError(null);
 
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-      
-      if (!baseTokenConfig || !quoteTokenConfig) {
-        throw new Error('Unsupported market pair');
+      const state = await fetchMarket(market);
+      const { pair } = state;
+      const levBps = Math.round(parseFloat(leverage) * LEV_BPS_PER_X);
+      if (levBps <= 0 || levBps > pair.maxLevBps) {
+        throw new Error(`Leverage ${leverage}x is outside ${market}'s 0-${pair.maxLevBps / LEV_BPS_PER_X}x`);
+      }
+      const lots = sizeToLots(pair, size);
+      const marginUnits = marginToUnits(pair, margin);
+      if (lots <= 0n) throw new Error('Size rounds to zero base lots');
+
+      // Same check as open_position, so the user sees it before the server signs
+      const required = requiredInitMargin(notional(state.markPx, lots), levBps, pair.initMarginBps);
+      if (marginUnits < required) {
+        throw new Error(`Margin ${margin} is below the initial margin ${unitsToMargin(pair, required)} required at mark ${pxToPrice(pair, state.markPx)}`);
       }
 
-      // Convert values to proper decimals
-      const sizeInDecimals = Math.floor(parseFloat(size) * Math.pow(10, baseTokenConfig.decimals));
-      const marginInDecimals = Math.floor(parseFloat(margin) * Math.pow(10, quoteTokenConfig.decimals));
-      const leverageScaled = Math.floor(parseFloat(leverage) * 10000); // 10000 = 1x leverage
-      const slippageScaled = Math.floor(parseFloat(slippage) * 10000); // 10000 = 100%
-
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('PERPETUALS', 'openPosition'),
-        type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-        arguments: [
-          side === 'long' ? '0' : '1', // 0 for long, 1 for short
-          sizeInDecimals.toString(),
-          leverageScaled.toString(),
-          marginInDecimals.toString(),
-          slippageScaled.toString()
-        ]
-      };
-
-      const response = await signAndSubmitTransaction(transaction);
-      
-      await aptos.waitForTransaction({
-        transactionHash: response.hash,
-        options: { timeoutSecs: 30, checkSuccess: true }
+      const response = await perpClient.openPosition({
+        user: address,
+        pairId: pair.pairId,
+        size: lots.toString(),
+        side: side === 'long' ? SIDE_LONG : SIDE_SHORT,
+        lev_bps: levBps,
+        margin: marginUnits.toString()
       });
 
-      // Refresh positions
       await fetchUserPositions();
-      
+
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [connected, signAndSubmitTransaction, aptos]);
-
-  // Close a perpetual position (full or partial)
-  const closePosition = useCallback(async ({
-    positionId,
-    market,
-    size = null, // null for full close, number for partial
-    slippage = 0.005
-  }) => {
+  }, [connected, address, fetchMarket, fetchUserPositions]);
+
+  // Close a position at the mark price (size in base tokens; null closes it fully)
+  const closePosition = useCallback(async ({ market, size = null }) => {
     if (!connected) throw new Error('Wallet not connected');
-    
+
     setLoading(true);
     setError(null);
 
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      // Get position info to determine full size if not specified
-      const position = userPositions.find(p => p.id === positionId);
-      const closeSize = size ? size : position?.size || 0;
-      
-      const sizeInDecimals = Math.floor(parseFloat(closeSize) * Math.pow(10, baseTokenConfig.decimals));
-      const slippageScaled = Math.floor(parseFloat(slippage) * 10000);
-
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('PERPETUALS', 'closePosition'),
-        type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-        arguments: [
-          positionId.toString(),
-          sizeInDecimals.toString(),
-          slippageScaled.toString()
-        ]
-      };
-
-      const response = await signAndSubmitTransaction(transaction);
-      
-      await aptos.waitForTransaction({
-        transactionHash: response.hash,
-        options: { timeoutSecs: 30, checkSuccess: true }
-      });
+      const pair = getPerpPair(market);
+      const position = userPositions.find(p => p.market === pair.symbol);
+      if (!position) throw new Error(`No open ${market} position`);
+
+      const lots = size === null ? position.raw.size : sizeToLots(pair, size);
+      if (lots <= 0n || lots > position.raw.size) throw new Error(`Close size must be between 0 and ${position.size}`);
+
+      const response = await perpClient.closePosition({ user: address, pairId: pair.pairId, size: lots.toString() });
 
       await fetchUserPositions();
-      
+
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
     }
-  }, [connected, signAndSubmitTransaction, aptos, userPositions]);
+  }, [connected, address, userPositions, fetchUserPositions]);
 
-  // Fetch user's perpetual positions
-  const fetchUserPositions = useCallback(async () => {
-    if (!connected || !address) return;
-
-    try {
-      // Assuming your contract can return all user positions across markets
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('PERPETUALS', 'getUserPosition'),
-          type_arguments: [],
-          arguments: [address]
-        }
-      });
-
-      // Parse positions data (adjust based on your contract structure)
-      const positions = response[0].map(position => ({
-        id: position.id,
-        market: position.market,
-        side: position.side === '0' ? 'long' : 'short',
-        size: parseFloat(position.size) / Math.pow(10, 8), // Assuming 8 decimals
-        entryPrice: parseFloat(position.entry_price) / Math.pow(10, 6), // Assuming 6 decimals
-        margin: parseFloat(position.margin) / Math.pow(10, 6),
-        leverage: parseFloat(position.leverage) / 10000,
-        unrealizedPnl: parseFloat(position.unrealized_pnl) / Math.pow(10, 6),
-        liquidationPrice: parseFloat(position.liquidation_price) / Math.pow(10, 6),
-        timestamp: position.timestamp
-      }));
-
-      setUserPositions(positions);
-      return positions;
-    } catch (err) {
-      console.error('Failed to fetch positions:', err);
-      setUserPositions([]);
-      return [];
-    }
-  }, [connected, address, aptos]);
-
-  // Fetch mark price for a market
+  // Fetch mark price for a market (quote tokens per base token)
   const fetchMarkPrice = useCallback(async (market) => {
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('PERPETUALS', 'getMarkPrice'),
-          type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-          arguments: []
-        }
-      });
-
-      const price = parseFloat(response[0]) / Math.pow(10, 6); // Assuming 6 decimals for price
-      
-      setMarkPrices(prev => ({ ...prev, [market]: price }));
-      return price;
+      const state = await fetchMarket(market);
+      return Number(pxToPrice(state.pair, state.markPx));
     } catch (err) {
       console.error(`Failed to fetch mark price for ${market}:`, err);
       return 0;
     }
-  }, [aptos]);
+  }, [fetchMarket]);
 
-  // Fetch funding rate for a market
+  // Fetch the cumulative funding index for a market (bps * hours; positions settle the change since opening)
   const fetchFundingRate = useCallback(async (market) => {
     try {
-      const [baseToken, quoteToken] = market.split('-');
-      const baseTokenConfig = TOKENS[baseToken];
-      const quoteTokenConfig = TOKENS[quoteToken];
-
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('PERPETUALS', 'getFundingRate'),
-          type_arguments: [baseTokenConfig.address, quoteTokenConfig.address],
-          arguments: []
-        }
-      });
-
-      // Funding rate is typically expressed as a percentage per hour
-      const rate = parseFloat(response[0]) / Math.pow(10, 6); // Adjust decimals as needed
-      
-      setFundingRates(prev => ({ ...prev, [market]: rate }));
-      return rate;
+      const state = await fetchMarket(market);
+      return Number(state.cumFundingBps);
     } catch (err) {
-      console.error(`Failed to fetch funding rate for ${market}:`, err);
+      console.error(`Failed to fetch funding index for ${market}:`, err);
       return 0;
     }
-  }, [aptos]);
-
-  // Calculate position PnL based on current mark price
-  const calculatePnL = useCallback((position, currentMarkPrice) => {
-    if (!currentMarkPrice || !position) return 0;
-
-    const { side, size, entryPrice } = position;
-    const priceDiff = currentMarkPrice - entryPrice;
-    
-    // Long: profit when price goes up, Short: profit when price goes down
-    const multiplier = side === 'long' ? 1 : -1;
-    const unrealizedPnl = multiplier * priceDiff * size;
-    
-    return unrealizedPnl;
-  }, []);
-
-  // Calculate liquidation price
-  const calculateLiquidationPrice = useCallback((position, maintenanceMarginRate = 0.05) => {
-    if (!position) return 0;
-
-    const { side, entryPrice, leverage, margin, size } = position;
-    
-    // Simplified liquidation calculation (adjust based on your contract logic)
-    const maintenanceMargin = margin * maintenanceMarginRate;
-    const liquidationDistance = (margin - maintenanceMargin) / size;
-    
-    if (side === 'long') {
-      return entryPrice - liquidationDistance;
-    } else {
-      return entryPrice + liquidationDistance;
-    }
-  }, []);
+  }, [fetchMarket]);
+
+  // Price + funding PnL of a position at a mark price (defaults to the last fetched market state), in quote tokens
+  const calculatePnL = useCallback((position, markPrice = null) => {
+    const state = position && markets[position.market];
+    if (!state) return 0;
+
+    // Off-grid what-if prices are fine here, so no tick check
+    const markPx = markPrice === null ? state.markPx : marginToUnits(state.pair, markPrice) / 10n ** BigInt(state.pair.sizeDecimals);
+    const risk = assessPosition(position.raw, { ...state, markPx });
+    return Number(unitsToMargin(state.pair, risk.pricePnl + risk.fundingPnl));
+  }, [markets]);
+
+  // Mark price at which the side-signed health crosses zero (the position falls below maintenance), with the
+  // current funding index. perp_core::liquidate as deployed never accepts it there: its health uses |pnl| and
+  // never goes negative (as ai agent/src/adapters/riskAdapter.ts reports).
+  const calculateLiquidationPrice = useCallback((position) => {
+    const state = position && markets[position.market];
+    if (!state) return null;
+
+    const px = liquidationPrice(position.raw, state);
+    return px === null ? null : Number(pxToPrice(state.pair, px));
+  }, [markets]);
 
   // Auto-refresh data
   useEffect(() => {
@@ -250,39 +207,35 @@ export const usePerpetuals = () => {
       fetchUserPositions();
     }
 
-    // Common markets to fetch prices for
-    const markets = ['APT-USDC', 'BTC-USDC', 'ETH-USDC'];
-    markets.forEach(market => {
-      fetchMarkPrice(market);
-      fetchFundingRate(market);
+    // Every pair in the registry (the server's, once loaded)
+    const refresh = () => listPerpPairs().forEach(({ symbol }) => {
+      fetchMarket(symbol).catch(err => console.error(`Failed to fetch ${symbol}:`, err));
     });
+    loadPerpPairs().then(refresh);
 
     // Set up polling for price updates
-    const interval = setInterval(() => {
-      markets.forEach(market => {
-        fetchMarkPrice(market);
-        fetchFundingRate(market);
-      });
-    }, 10000); // Update every 10 seconds
+    const interval = setInterval(refresh, 10000); // Update every 10 seconds
 
     return () => clearInterval(interval);
-  }, [connected, address, fetchUserPositions, fetchMarkPrice, fetchFundingRate]);
+  }, [connected, address, fetchUserPositions, fetchMarket]);
 
   return {
     // Actions
     openPosition,
     closePosition,
     fetchUserPositions,
+    fetchMarket,
     fetchMarkPrice,
     fetchFundingRate,
-    
+
     // State
     loading,
     error,
     userPositions,
+    markets,
     markPrices,
     fundingRates,
-    
+
     // Utils
     calculatePnL,
     calculateLiquidationPrice,
@@ -1,6 +1,7 @@
 // React hook for smart contract wallet integration
 import { useState, useEffect, useCallback } from 'react';
 import aptosService from '../services/aptosService';
+import { describeError } from '../services/abortDecoder';
 
 export const useSmartWallet = () => {
   const [wallet, setWallet] = useState({
@@ -77,7 +78,7 @@ export const useSmartWallet = () => {
         return { success: false, error: result.error };
       }
     } catch (error) {
-      const errorMsg = error.message || 'Failed to connect wallet';
+      const errorMsg = error.message ? describeError(error) : 'Failed to connect wallet';
       setWallet(prev => ({
         ...prev,
         loading: false,
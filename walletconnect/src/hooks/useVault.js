@@ -1,14 +1,22 @@
-// useVault.js - Vault contract interaction hooks
+// useVault.js - margin_vault interaction hooks (per-user margin box, one per coin type)
 import { useState, useCallback, useEffect } from 'react';
 import useWallet from './useWallet';
-import { buildFunctionName, TOKENS } from '../config/contractConfig';
+import { marginVault } from '../services/moveClient.generated';
+import { getToken, toAtomic, fromAtomic } from '../config/tokens';
+import { describeError } from '../services/abortDecoder';
+
+// margin_vault is generic over the coin type (MarginBox<T>), so FA-only tokens cannot be deposited
+const coinTypeOf = (token) => {
+  if (!token.coinType) throw new Error(`${token.symbol} has no coin type; margin_vault only holds coins`);
+  return token.coinType;
+};
 
 export const useVault = () => {
   const { aptos, signAndSubmitTransaction, connected, address } = useWallet();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [userBalance, setUserBalance] = useState(null);
-  const [totalSupply, setTotalSupply] = useState(null);
+  const [userBalance, setUserBalance] = useState(null);     // available (withdrawable) margin, exact decimal string
+  const [lockedBalance, setLockedBalance] = useState(null); // locked against open positions, exact decimal string
 
   // Deposit tokens to vault
   const deposit = useCallback(async (amount, tokenType = 'APT') => {
@@ -18,18 +26,12 @@ export const useVault = () => {
     setError(null);
 
     try {
-      const token = TOKENS[tokenType];
-      if (!token) throw new Error(`Token ${tokenType} not supported`);
+      const token = getToken(tokenType);
 
       // Convert amount to proper decimals (e.g., 1.5 APT = 150000000)
-      const amountInDecimals = Math.floor(parseFloat(amount) * Math.pow(10, token.decimals));
+      const amountInDecimals = toAtomic(amount, token.symbol);
 
-      const transaction = {
-        type: "entry_function_payload",
-        function: buildFunctionName('VAULT', 'deposit'),
-        type_arguments: [token.address],
-        arguments: [amountInDecimals.toString()]
-      };
+      const transaction = marginVault.deposit({ T: coinTypeOf(token), amount: amountInDecimals });
 
       const response = await signAndSubmitTransaction(transaction);
       
@@ -40,11 +42,11 @@ export const useVault = () => {
       });
 
       // Refresh user balance
-      await fetchUserBalance();
+      await fetchUserBalance(tokenType);
       
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -59,17 +61,11 @@ export const useVault = () => {
     setError(null);
 
     try {
-      const token = TOKENS[tokenType];
-      if (!token) throw new Error(`Token ${tokenType} not supported`);
+      const token = getToken(tokenType);
 
-      const amountInDecimals = Math.floor(parseFloat(amount) * Math.pow(10, token.decimals));
+      const amountInDecimals = toAtomic(amount, token.symbol);
 
-      const transaction = {
-        type: "entry_function_payload", 
-        function: buildFunctionName('VAULT', 'withdraw'),
-        type_arguments: [token.address],
-        arguments: [amountInDecimals.toString()]
-      };
+      const transaction = marginVault.withdraw({ T: coinTypeOf(token), amount: amountInDecimals });
 
       const response = await signAndSubmitTransaction(transaction);
       
@@ -78,87 +74,58 @@ export const useVault = () => {
         options: { timeoutSecs: 30, checkSuccess: true }
       });
 
-      await fetchUserBalance();
+      await fetchUserBalance(tokenType);
       
       return response;
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       throw err;
     } finally {
       setLoading(false);
     }
   }, [connected, signAndSubmitTransaction, aptos]);
 
-  // Fetch user's vault balance
+  // Fetch user's available and locked margin
   const fetchUserBalance = useCallback(async (tokenType = 'APT') => {
     if (!connected || !address) return;
 
     try {
-      const token = TOKENS[tokenType];
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('VAULT', 'getUserBalance'),
-          type_arguments: [token.address],
-          arguments: [address]
-        }
-      });
+      const token = getToken(tokenType);
+      // available / locked are not #[view] functions on chain; read the MarginBox<T> resource (none = nothing deposited)
+      const box = await marginVault.readMarginBox(aptos, { account: address, T: coinTypeOf(token) });
+      const [available, locked] = box ? [box.available.value, box.locked.value] : [0n, 0n];
 
-      const balance = response[0];
-      const formattedBalance = parseFloat(balance) / Math.pow(10, token.decimals);
+      const formattedBalance = fromAtomic(available, token.symbol);
       setUserBalance(formattedBalance);
+      setLockedBalance(fromAtomic(locked, token.symbol));
       
       return formattedBalance;
     } catch (err) {
       console.error('Failed to fetch user balance:', err);
-      setUserBalance(0);
-      return 0;
+      setUserBalance('0');
+      setLockedBalance('0');
+      return '0';
     }
   }, [connected, address, aptos]);
 
-  // Fetch total vault supply
-  const fetchTotalSupply = useCallback(async (tokenType = 'APT') => {
-    try {
-      const token = TOKENS[tokenType];
-      const response = await aptos.view({
-        payload: {
-          function: buildFunctionName('VAULT', 'getTotalSupply'),
-          type_arguments: [token.address],
-          arguments: []
-        }
-      });
-
-      const supply = response[0];
-      const formattedSupply = parseFloat(supply) / Math.pow(10, token.decimals);
-      setTotalSupply(formattedSupply);
-      
-      return formattedSupply;
-    } catch (err) {
-      console.error('Failed to fetch total supply:', err);
-      setTotalSupply(0);
-      return 0;
-    }
-  }, [aptos]);
-
   // Auto-refresh data when connected
   useEffect(() => {
     if (connected && address) {
       fetchUserBalance();
-      fetchTotalSupply();
     }
-  }, [connected, address, fetchUserBalance, fetchTotalSupply]);
+  }, [connected, address, fetchUserBalance]);
 
   return {
     // Actions
     deposit,
     withdraw,
     fetchUserBalance,
-    fetchTotalSupply,
     
     // State
     loading,
     error,
     userBalance,
-    totalSupply,
+    lockedBalance,
     
     // Utils
     clearError: () => setError(null)
@@ -1,6 +1,7 @@
 // useWallet.js - Petra/Martian wallet connection hook
 import { useState, useEffect, useCallback } from 'react';
-import { Aptos, AptosConfig, Network } from '@aptos-labs/ts-sdk';
+import { Aptos, AptosConfig, Network, SimpleTransaction, Deserializer, Hex } from '@aptos-labs/ts-sdk';
+import { describeError } from '../services/abortDecoder';
 
 const NETWORK = Network.TESTNET; // Change to MAINNET for production
 const aptosConfig = new AptosConfig({ network: NETWORK });
@@ -62,7 +63,7 @@ export const useWallet = () => {
       }
     } catch (err) {
       console.error('Wallet connection failed:', err);
-      setError(err.message);
+      setError(describeError(err));
       setConnected(false);
     } finally {
       setConnecting(false);
@@ -113,6 +114,17 @@ export const useWallet = () => {
     }
   }, [wallet, connected]);
 
+  // Sign a transaction built by the agent server (/api/build, BCS hex) and return the
+  // authenticator as BCS hex, ready for /api/submit. The server never sees the key.
+  const signBuiltTransaction = useCallback(async (transactionHex) => {
+    const transaction = SimpleTransaction.deserialize(new Deserializer(Hex.fromHexInput(transactionHex).toUint8Array()));
+    const signed = await signTransaction(transaction);
+    // Wallet-standard adapters answer { status, args: AccountAuthenticator }; older ones return the authenticator
+    const authenticator = signed?.args ?? signed?.authenticator ?? signed;
+    if (!authenticator?.bcsToHex) throw new Error('Wallet did not return an account authenticator');
+    return authenticator.bcsToHex().toString();
+  }, [signTransaction]);
+
   // Auto-reconnect on page load
   useEffect(() => {
     const autoReconnect = async () => {
@@ -182,6 +194,7 @@ export const useWallet = () => {
     disconnectWallet,
     signAndSubmitTransaction,
     signTransaction,
+    signBuiltTransaction,
     checkWalletAvailability,
     
     // Utilities
@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { loadTokenRegistry } from './config/tokens.js'
+
+// Pick up the agent server's token registry (falls back to the built-in list)
+loadTokenRegistry()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
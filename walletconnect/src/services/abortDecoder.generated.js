@@ -0,0 +1,87 @@
+// GENERATED by ai agent/scripts/genMoveErrors.mjs from ai agent/src/tx/abortDecoder.ts – do not edit by hand.
+/*
+ * Move abort decoder.
+ * ---------------------------------
+ * Abort codes follow std::error: code = category << 16 | reason (modules using bare constants have category 0).
+ * NeuroDex modules are matched by name, since their address depends on where they are published, against
+ * MOVE_ERRORS: generated from the error constants and their `///` docs in smart contract/*.move
+ * (npm run gen:move-errors). Framework (0x1) aborts users commonly hit have a small built-in table.
+ *
+ * findAbort() picks an abort out of any text that may carry one: vm_status, SDK / node API errors, wallet errors.
+ * gen:move-errors also transpiles this file for the frontend (walletconnect/src/services/abortDecoder.generated.js),
+ * so keep it free of Node-only imports.
+ */
+import { MOVE_ERRORS } from '../config/moveErrors.generated';
+export const ERROR_CATEGORIES = {
+    0x1: 'INVALID_ARGUMENT', 0x2: 'OUT_OF_RANGE', 0x3: 'INVALID_STATE', 0x4: 'UNAUTHENTICATED', 0x5: 'PERMISSION_DENIED',
+    0x6: 'NOT_FOUND', 0x7: 'ABORTED', 0x8: 'ALREADY_EXISTS', 0x9: 'RESOURCE_EXHAUSTED', 0xa: 'CANCELLED',
+    0xb: 'INTERNAL', 0xc: 'NOT_IMPLEMENTED', 0xd: 'UNAVAILABLE',
+};
+// Framework aborts reached through our flows (transfers, simple_wallet, margin deposits); the node usually sends
+// their descriptions as well, the offline ledger does not
+const FRAMEWORK_ERRORS = {
+    coin: {
+        5: { name: 'ECOIN_STORE_NOT_PUBLISHED', explanation: 'The account has not registered this coin (no CoinStore).', fix: 'Register the coin for the account (0x1::managed_coin::register) first.' },
+        6: { name: 'EINSUFFICIENT_BALANCE', explanation: 'Not enough coins to complete the transfer.', fix: 'Lower the amount or fund the account.' },
+    },
+    fungible_asset: {
+        4: { name: 'EINSUFFICIENT_BALANCE', explanation: 'Not enough balance of this fungible asset.', fix: 'Lower the amount or fund the account.' },
+    },
+    timestamp: {
+        2: { name: 'EINVALID_TIMESTAMP', explanation: 'The on-chain clock is not initialised or went backwards.' },
+    },
+};
+const isFramework = (address) => !!address && /^0x0*1$/i.test(address);
+export function decodeAbort(input) {
+    const { module, abortCode, address } = input;
+    const reason = abortCode & 0xffff;
+    const category = ERROR_CATEGORIES[abortCode >>> 16];
+    const table = isFramework(address) ? FRAMEWORK_ERRORS[module] : MOVE_ERRORS[module]?.errors;
+    let known = table?.[reason];
+    // A same-named module published by someone else: trust the name the node reports
+    if (known && input.name && input.name !== known.name)
+        known = undefined;
+    const name = known?.name || input.name || `ABORT_0x${abortCode.toString(16)}`;
+    const explanation = known?.explanation || input.description?.trim()
+        || (input.name ? input.name.replace(/^E_?/, '').toLowerCase().replace(/_/g, ' ') : `aborted with code 0x${abortCode.toString(16)}`);
+    return {
+        module,
+        ...(address ? { address } : {}),
+        name,
+        reason,
+        ...(category ? { category } : {}),
+        abortCode,
+        explanation,
+        ...(known?.fix ? { fix: known.fix } : {}),
+    };
+}
+// vm_status / node API: "Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins ..."
+const VM_ABORT_RE = /Move abort in (0x[0-9a-fA-F]+)::(\w+): (?:(\w+)\()?0x([0-9a-fA-F]+)\)?(?::[ \t]*([^"\n]*))?/;
+// node VMError dumps: "... sub_status: Some(65544) ... ModuleId { address: 0x..., name: Identifier("perp_core") }"
+const VM_ERROR_RE = /sub[_ ]status:? *(?:Some\()?(\d+)\)?[\s\S]*?ModuleId \{ address: (\w+), name: Identifier\(\\?"(\w+)\\?"\)/;
+// reference model errors (PerpCoreError): "perp_core: E_BAD_MARGIN (abort 0x10008)"
+const MODEL_ABORT_RE = /(\w+): (E_\w+) \(abort 0x([0-9a-fA-F]+)\)/;
+export function findAbort(text) {
+    if (!text)
+        return undefined;
+    let m = VM_ABORT_RE.exec(text);
+    if (m)
+        return decodeAbort({ address: m[1], module: m[2], name: m[3], abortCode: parseInt(m[4], 16), description: m[5] });
+    m = VM_ERROR_RE.exec(text);
+    if (m)
+        return decodeAbort({ address: m[2].startsWith('0x') ? m[2] : `0x${m[2]}`, module: m[3], abortCode: Number(m[1]) });
+    m = MODEL_ABORT_RE.exec(text);
+    if (m)
+        return decodeAbort({ module: m[1], name: m[2], abortCode: parseInt(m[3], 16) });
+    return undefined;
+}
+// One line for UIs and logs: "perp_core::E_BAD_MARGIN: Margin is below ... Fix: add margin ..."
+export function describeAbort(d) {
+    return `${d.module}::${d.name}: ${d.explanation}${d.fix ? ` Fix: ${d.fix}` : ''}`;
+}
+// Error payload for API responses: the message plus the decoded abort when the message carries one
+export function errorPayload(e) {
+    const error = typeof e === 'string' ? e : e?.message || String(e);
+    const abort = findAbort(error);
+    return { error, ...(abort ? { abort } : {}) };
+}
@@ -0,0 +1,22 @@
+// Move abort decoder for the frontend
+// decodeAbort / findAbort / describeAbort are ai agent/src/tx/abortDecoder.ts itself, transpiled to
+// services/abortDecoder.generated.js together with the error table (`npm run gen:move-errors` in ai agent).
+// Wallet and SDK errors carry aborts as text ("Move abort in 0x..::perp_core: E_BAD_MARGIN(0x10008)");
+// agent server errors already include the decoded form as `abort`.
+import { findAbort, describeAbort } from './abortDecoder.generated';
+
+export { ERROR_CATEGORIES, decodeAbort, findAbort, describeAbort } from './abortDecoder.generated';
+
+// Message for setError(): the decoded abort when the error carries one, else the plain message
+export function describeError(err) {
+  const message = typeof err === 'string' ? err : err?.message || String(err);
+  const abort = err?.abort || findAbort(message);
+  return abort ? describeAbort(abort) : message;
+}
+
+// Error for a failed agent server response body ({ error, abort? }), keeping the decoded abort
+export function apiError(body, fallback) {
+  const err = new Error(body?.error || fallback);
+  if (body?.abort) err.abort = body.abort;
+  return err;
+}
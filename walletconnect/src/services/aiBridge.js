@@ -1,165 +1,118 @@
 /**
- * AI Bridge Service - Direct Groq Integration for React
- * Bypasses HTTP server issues by using direct API calls
+ * AI Bridge Service - proxies AI requests through the agent server
+ * The server owns provider keys and system prompts (see ai agent/server/index.ts, /api/ai/*),
+ * so no LLM credentials are shipped in the browser bundle.
  */
 
-const GROQ_API_KEY = import.meta.env.VITE_GROQ_API_KEY;
-const GROQ_MODEL = "llama3-70b-8192";
-const GROQ_ENDPOINT = "https://api.groq.com/openai/v1/chat/completions";
+import { apiError } from './abortDecoder';
+
+const API_BASE = import.meta.env.VITE_AGENT_API_BASE || '/api';
+
+async function postJson(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw apiError(data, response.statusText || `HTTP ${response.status}`);
+  }
+  return data;
+}
 
 class AIBridge {
   constructor() {
-    this.isConnected = !!GROQ_API_KEY;
+    // Optimistic until the first health check; the server decides which provider answers
+    this.isConnected = true;
     this.requestCount = 0;
+    this.provider = 'server';
   }
 
   /**
-   * Direct AI chat - bypasses server issues
+   * AI chat via the agent server
    */
   async chat(message, context = 'general') {
-    if (!this.isConnected) {
-      throw new Error('AI service not available - missing API key');
-    }
-
     this.requestCount++;
-    const requestId = `req_${Date.now()}_${this.requestCount}`;
+    const localId = `req_${Date.now()}_${this.requestCount}`;
 
     try {
-      console.log(`🤖 [${requestId}] AI Chat Request:`, message);
-
-      const systemPrompt = this.getSystemPrompt(context);
-      
-      const response = await fetch(GROQ_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${GROQ_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: GROQ_MODEL,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: message }
-          ],
-          temperature: 0.1,
-          max_tokens: 1000,
-          stream: false
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Groq API error: ${errorData.error?.message || response.statusText}`);
-      }
+      console.log(`🤖 [${localId}] AI Chat Request:`, message);
 
-      const data = await response.json();
-      const aiResponse = data.choices?.[0]?.message?.content;
-      
-      if (!aiResponse) {
+      const result = await postJson('/ai/ask', { message, context });
+      if (!result.response) {
         throw new Error('No response content from AI');
       }
+      this.provider = result.provider || this.provider;
 
-      console.log(`✅ [${requestId}] AI Response received (${aiResponse.length} chars)`);
-
-      return {
-        response: aiResponse,
-        provider: 'groq',
-        model: GROQ_MODEL,
-        timestamp: new Date().toISOString(),
-        requestId,
-        usage: {
-          promptTokens: Math.ceil(message.length / 4),
-          completionTokens: Math.ceil(aiResponse.length / 4),
-          totalTokens: Math.ceil((message.length + aiResponse.length) / 4)
-        }
-      };
+      console.log(`✅ [${result.requestId || localId}] AI Response received (${result.response.length} chars) via ${this.provider}`);
+      return result;
 
     } catch (error) {
-      console.error(`❌ [${requestId}] AI Chat Error:`, error);
+      console.error(`❌ [${localId}] AI Chat Error:`, error);
       throw new Error(`AI service error: ${error.message}`);
     }
   }
 
   /**
-   * Get trade suggestions from AI
+   * Get trade suggestions from AI (server adds market context and the parsed intent plan)
    */
   async getTradeSuggestion(prompt, marketData = {}) {
-    const context = this.buildTradingContext(marketData);
-    const fullPrompt = `${context}\n\nUser Request: ${prompt}\n\nPlease provide a trading analysis and suggestion.`;
-    
-    const result = await this.chat(fullPrompt, 'trading');
-    
-    return {
-      ...result,
-      suggestion: this.parseTradeSuggestion(result.response),
-      context: 'trading'
-    };
+    this.requestCount++;
+    try {
+      const result = await postJson('/ai/suggest', { prompt, marketData });
+      this.provider = result.provider || this.provider;
+      return {
+        ...result,
+        suggestion: this.parseTradeSuggestion(result.response),
+        context: 'trading'
+      };
+    } catch (error) {
+      throw new Error(`AI service error: ${error.message}`);
+    }
   }
 
   /**
-   * Execute AI-analyzed trade
+   * Execute AI-analyzed trade. The server returns guidance plus a stored plan
+   * (planId / planToken) that still has to be confirmed via /api/plan/:id/confirm
+   * with the same signer, e.g. { mode: 'session', sessionId, sessionToken } (default: client-signs).
    */
-  async executeAITrade(tradeSuggestion, userConfirmation = {}) {
+  async executeAITrade(tradeSuggestion, userConfirmation = {}, signer) {
     if (!userConfirmation.riskAccepted) {
       throw new Error('User must accept risk before executing AI trades');
     }
 
-    // This would integrate with your existing trading hooks
-    const prompt = `Execute this trade suggestion: ${JSON.stringify(tradeSuggestion)}`;
-    return await this.chat(prompt, 'execution');
+    this.requestCount++;
+    try {
+      return await postJson('/ai/execute-trade', { tradeSuggestion, userConfirmation, ...(signer ? { signer } : {}) });
+    } catch (error) {
+      throw new Error(`AI service error: ${error.message}`);
+    }
   }
 
   /**
-   * Get system prompt based on context
+   * Build unsigned transactions for the connected wallet (client-signs mode). Each
+   * built[i].transactions[j].transaction is BCS hex for useWallet.signBuiltTransaction.
    */
-  getSystemPrompt(context) {
-    const basePrompt = `You are NeuroDex AI, an expert blockchain and DeFi trading assistant. You provide clear, accurate, and helpful information about cryptocurrencies, trading strategies, and blockchain technology.`;
-
-    const contextPrompts = {
-      general: `${basePrompt} Respond in a conversational and helpful manner.`,
-      
-      trading: `${basePrompt} 
-        
-TRADING CONTEXT:
-- Focus on risk management and proper analysis
-- Always mention potential risks and volatility
-- Provide specific, actionable advice when possible
-- Consider market conditions and user's risk tolerance
-- Suggest proper position sizing and stop-loss levels
-
-Remember to always remind users to do their own research (DYOR) and never invest more than they can afford to lose.`,
-
-      execution: `${basePrompt}
-        
-EXECUTION CONTEXT:
-- You're helping execute a trading decision
-- Provide step-by-step guidance
-- Include safety checks and confirmations
-- Warn about slippage and gas fees
-- Suggest optimal timing if relevant
-
-Always prioritize user safety and proper risk management.`
-    };
-
-    return contextPrompts[context] || contextPrompts.general;
+  async buildTransactions(prompt, address) {
+    return await postJson('/build', { prompt, user: address, signer: { mode: 'client', address } });
   }
 
   /**
-   * Build trading context from market data
+   * Submit a wallet-signed transaction; resolves with the tracked record { hash, status, vmStatus, gasUsed, error? }
    */
-  buildTradingContext(marketData) {
-    if (!marketData || Object.keys(marketData).length === 0) {
-      return "Current market data not available.";
-    }
+  async submitSignedTransaction(transaction, authenticator) {
+    return await postJson('/submit', { transaction, authenticator });
+  }
 
-    return `
-CURRENT MARKET DATA:
-- APT Price: ${marketData.aptPrice || 'N/A'}
-- Market Trend: ${marketData.trend || 'Unknown'}
-- Volume: ${marketData.volume || 'N/A'}
-- Volatility: ${marketData.volatility || 'Normal'}
-- User Balance: ${marketData.userBalance || 'N/A'}
-`;
+  /**
+   * Tracked transaction record (status, gasUsed, readable error); use to follow a pending submit
+   */
+  async getTransaction(hash) {
+    const response = await fetch(`${API_BASE}/tx/${hash}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw apiError(data, `HTTP ${response.status}`);
+    return data;
   }
 
   /**
@@ -211,25 +164,31 @@ CURRENT MARKET DATA:
   }
 
   /**
-   * Health check
+   * Health check (asks the agent server; no LLM call)
    */
   async healthCheck() {
     try {
-      const testResponse = await this.chat("Hello", 'general');
+      const response = await fetch(`${API_BASE}/ai/status`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const status = await response.json();
+      this.isConnected = !!status.connected;
+      this.provider = status.provider || this.provider;
       return {
         status: 'healthy',
-        provider: 'groq',
-        model: GROQ_MODEL,
-        connected: true,
+        provider: this.provider,
+        model: status.model,
+        connected: this.isConnected,
+        genericMode: !!status.genericMode,
         lastTest: new Date().toISOString(),
         requestCount: this.requestCount
       };
     } catch (error) {
+      this.isConnected = false;
       return {
         status: 'unhealthy',
-        provider: 'groq',
+        provider: this.provider,
         connected: false,
-        error: error.message,
+        error: `Agent server unreachable: ${error.message}`,
         lastTest: new Date().toISOString()
       };
     }
@@ -253,8 +212,7 @@ export const aiHelpers = {
   // Get AI status
   getStatus: () => ({
     connected: aiBridge.isConnected,
-    provider: 'groq',
-    model: GROQ_MODEL,
+    provider: aiBridge.provider,
     requests: aiBridge.requestCount
   })
 };
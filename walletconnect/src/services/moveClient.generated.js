@@ -0,0 +1,1093 @@
+// GENERATED by ai agent/scripts/genMoveClient.mjs from smart contract/*.move – do not edit by hand.
+
+// Entry functions return the wallet payload for signAndSubmitTransaction; views take anything with the SDK's
+// view({ payload }) (e.g. useWallet().aptos) and resolve to decoded values (u64+ as bigint, Option as value | null).
+// `address` defaults to the module's named address in config/chain.js (NAMED_ADDRESSES).
+import { NAMED_ADDRESSES } from '../config/chain';
+import { entryPayload, callView, readResource, readTableItem, listTableItems } from './moveCodec';
+
+/** @typedef {bigint | number | string} MoveUint */
+/** @typedef {Uint8Array | number[] | string} MoveBytes bytes, or text (UTF-8) */
+/** @typedef {{ type: 'entry_function_payload', function: string, type_arguments: string[], arguments: any[] }} EntryFunctionPayload */
+/** @typedef {{ view: (request: { payload: object }) => Promise<any[]> }} MoveViewer */
+/** @typedef {{ getAccountResource: Function, getTableItem: Function }} MoveResourceReader e.g. useWallet().aptos */
+/** @typedef {{ queryIndexer: Function }} MoveIndexer e.g. useWallet().aptos */
+/** @typedef {{ handle: string }} MoveTable */
+/** @typedef {{ value: bigint }} MoveCoin */
+
+/**
+ * @typedef {Object} AiBridgeTradeInstruction
+ * @property {string} user
+ * @property {Uint8Array} pair
+ * @property {boolean} side
+ * @property {bigint} leverage
+ * @property {bigint} margin
+ * @property {bigint} timestamp
+ */
+
+/**
+ * @typedef {Object} AiBridgeTradeLog
+ * @property {AiBridgeTradeInstruction[]} trades
+ */
+
+/**
+ * @typedef {Object} AiBridgeBridge
+ * @property {string} admin
+ * @property {bigint} max_leverage
+ * @property {bigint} min_margin
+ */
+
+/**
+ * @typedef {Object} GovernanceParams
+ * @property {bigint} max_leverage
+ * @property {bigint} fee_bps
+ */
+
+/**
+ * @typedef {Object} GovernanceGovernance
+ * @property {string} admin
+ * @property {GovernanceParams} params
+ * @property {MoveTable} votes
+ */
+
+/**
+ * @typedef {Object} LiquidationDemoPosition
+ * @property {bigint} size
+ * @property {bigint} margin
+ * @property {bigint} entry_px
+ */
+
+/**
+ * @typedef {Object} LiquidationDemoPairState
+ * @property {bigint} pair_id
+ * @property {MoveTable} positions
+ * @property {bigint} mark_price
+ */
+
+/**
+ * @typedef {Object} MarginVaultMarginBox
+ * @property {MoveCoin} available
+ * @property {MoveCoin} locked
+ */
+
+/**
+ * @typedef {Object} PerpCorePosition
+ * @property {number} side
+ * @property {bigint} size
+ * @property {bigint} entry_px
+ * @property {bigint} margin
+ * @property {bigint} lev_bps
+ * @property {bigint} funding_index_open
+ */
+
+/**
+ * @typedef {Object} PerpCorePairConfig
+ * @property {bigint} max_lev_bps
+ * @property {bigint} init_margin_bps
+ * @property {bigint} maint_margin_bps
+ * @property {bigint} max_funding_bps_hour
+ */
+
+/**
+ * @typedef {Object} PerpCorePair
+ * @property {bigint} pair_id
+ * @property {PerpCorePairConfig} cfg
+ * @property {bigint} mark_px
+ * @property {bigint} cum_funding_bps
+ * @property {bigint} last_funding_ts
+ * @property {string} oracle
+ * @property {string} vrf_oracle
+ * @property {MoveTable} positions
+ */
+
+/**
+ * @typedef {Object} SimpleOrderbookOrder
+ * @property {bigint} id
+ * @property {string} owner
+ * @property {number} side
+ * @property {bigint} price
+ * @property {bigint} qty
+ */
+
+/**
+ * @typedef {Object} SimpleOrderbookBook
+ * @property {bigint} next_id
+ * @property {MoveTable} bids
+ * @property {MoveTable} asks
+ */
+
+/**
+ * @typedef {Object} SimpleWalletWalletConnectedEvent
+ * @property {string} user_address
+ * @property {bigint} apt_balance
+ * @property {bigint} timestamp
+ */
+
+/**
+ * @typedef {Object} SimpleWalletWalletData
+ * @property {string} owner
+ * @property {bigint} apt_balance
+ * @property {bigint} last_updated
+ * @property {any} wallet_connected_events
+ */
+
+export const MOVE_ABI = {
+  "ai_bridge": {
+    "address": "My_module",
+    "file": "AIexecutor.move",
+    "structs": {
+      "TradeInstruction": [
+        ["user", "address"],
+        ["pair", "vector<u8>"],
+        ["side", "bool"],
+        ["leverage", "u64"],
+        ["margin", "u64"],
+        ["timestamp", "u64"]
+      ],
+      "TradeLog": [
+        ["trades", "vector<TradeInstruction>"]
+      ],
+      "Bridge": [
+        ["admin", "address"],
+        ["max_leverage", "u64"],
+        ["min_margin", "u64"]
+      ]
+    },
+    "resources": {
+      "TradeLog": {
+        "typeParams": [],
+        "tables": {}
+      },
+      "Bridge": {
+        "typeParams": [],
+        "tables": {}
+      }
+    },
+    "functions": {
+      "init": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["max_leverage", "u64"],
+          ["min_margin", "u64"]
+        ],
+        "returns": []
+      },
+      "set_params": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["max_leverage", "u64"],
+          ["min_margin", "u64"]
+        ],
+        "returns": []
+      },
+      "submit_ai_trade": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["user"],
+        "params": [
+          ["pair", "vector<u8>"],
+          ["side", "bool"],
+          ["leverage", "u64"],
+          ["margin", "u64"],
+          ["timestamp", "u64"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "governance": {
+    "address": "My_module",
+    "file": "governance.move",
+    "structs": {
+      "Params": [
+        ["max_leverage", "u64"],
+        ["fee_bps", "u64"]
+      ],
+      "Governance": [
+        ["admin", "address"],
+        ["params", "Params"],
+        ["votes", "Table<address, u64>"]
+      ]
+    },
+    "resources": {
+      "Params": {
+        "typeParams": [],
+        "tables": {}
+      },
+      "Governance": {
+        "typeParams": [],
+        "tables": {
+          "votes": ["address", "u64"]
+        }
+      }
+    },
+    "functions": {
+      "init": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["max_leverage", "u64"],
+          ["fee_bps", "u64"]
+        ],
+        "returns": []
+      },
+      "set_params": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["max_leverage", "u64"],
+          ["fee_bps", "u64"]
+        ],
+        "returns": []
+      },
+      "transfer_admin": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["new_admin", "address"]
+        ],
+        "returns": []
+      },
+      "assign_votes": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["user", "address"],
+          ["power", "u64"]
+        ],
+        "returns": []
+      },
+      "vote_change": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["user"],
+        "params": [
+          ["max_leverage", "u64"],
+          ["fee_bps", "u64"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "liquidation_demo": {
+    "address": "My_module",
+    "file": "liquidation.move",
+    "structs": {
+      "Position": [
+        ["size", "u64"],
+        ["margin", "u128"],
+        ["entry_px", "u64"]
+      ],
+      "PairState": [
+        ["pair_id", "u64"],
+        ["positions", "Table<address, Position>"],
+        ["mark_price", "u64"]
+      ]
+    },
+    "resources": {
+      "PairState": {
+        "typeParams": [],
+        "tables": {
+          "positions": ["address", "Position"]
+        }
+      }
+    },
+    "functions": {
+      "init_pair": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["pair_id", "u64"],
+          ["mark_px", "u64"]
+        ],
+        "returns": []
+      },
+      "set_mark_price": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["new_px", "u64"]
+        ],
+        "returns": []
+      },
+      "open_position": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["user", "address"],
+          ["size", "u64"],
+          ["margin", "u128"],
+          ["entry_px", "u64"]
+        ],
+        "returns": []
+      },
+      "liquidate": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["user", "address"],
+          ["min_margin", "u128"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "margin_vault": {
+    "address": "My_module",
+    "file": "vault.move",
+    "structs": {
+      "MarginBox": [
+        ["available", "Coin<T>"],
+        ["locked", "Coin<T>"]
+      ]
+    },
+    "resources": {
+      "MarginBox": {
+        "typeParams": ["T"],
+        "tables": {}
+      }
+    },
+    "functions": {
+      "register": {
+        "kind": "entry",
+        "typeParams": ["T"],
+        "signers": ["user"],
+        "params": [],
+        "returns": []
+      },
+      "deposit": {
+        "kind": "entry",
+        "typeParams": ["T"],
+        "signers": ["user"],
+        "params": [
+          ["amount", "u64"]
+        ],
+        "returns": []
+      },
+      "withdraw": {
+        "kind": "entry",
+        "typeParams": ["T"],
+        "signers": ["user"],
+        "params": [
+          ["amount", "u64"]
+        ],
+        "returns": []
+      },
+      "lock": {
+        "kind": "entry",
+        "typeParams": ["T"],
+        "signers": ["user"],
+        "params": [
+          ["amount", "u64"]
+        ],
+        "returns": []
+      },
+      "unlock": {
+        "kind": "entry",
+        "typeParams": ["T"],
+        "signers": ["user"],
+        "params": [
+          ["amount", "u64"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "minimal_test": {
+    "address": "My_module",
+    "file": "minimal_test.move",
+    "structs": {},
+    "resources": {},
+    "functions": {
+      "hello": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [],
+        "returns": []
+      }
+    }
+  },
+  "perp_core": {
+    "address": "My_module",
+    "file": "perpetuals.move",
+    "structs": {
+      "Position": [
+        ["side", "u8"],
+        ["size", "u64"],
+        ["entry_px", "u64"],
+        ["margin", "u64"],
+        ["lev_bps", "u64"],
+        ["funding_index_open", "u128"]
+      ],
+      "PairConfig": [
+        ["max_lev_bps", "u64"],
+        ["init_margin_bps", "u64"],
+        ["maint_margin_bps", "u64"],
+        ["max_funding_bps_hour", "u64"]
+      ],
+      "Pair": [
+        ["pair_id", "u64"],
+        ["cfg", "PairConfig"],
+        ["mark_px", "u64"],
+        ["cum_funding_bps", "u128"],
+        ["last_funding_ts", "u64"],
+        ["oracle", "address"],
+        ["vrf_oracle", "address"],
+        ["positions", "Table<address, Position>"]
+      ]
+    },
+    "resources": {
+      "Position": {
+        "typeParams": [],
+        "tables": {}
+      },
+      "Pair": {
+        "typeParams": [],
+        "tables": {
+          "positions": ["address", "Position"]
+        }
+      }
+    },
+    "functions": {
+      "create_pair": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["pair_id", "u64"],
+          ["max_lev_bps", "u64"],
+          ["init_margin_bps", "u64"],
+          ["maint_margin_bps", "u64"],
+          ["max_funding_bps_hour", "u64"],
+          ["oracle", "address"],
+          ["vrf_oracle", "address"],
+          ["init_mark_px", "u64"],
+          ["now_ts", "u64"]
+        ],
+        "returns": []
+      },
+      "set_mark_price": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin", "caller"],
+        "params": [
+          ["pair_id", "u64"],
+          ["new_px", "u64"]
+        ],
+        "returns": []
+      },
+      "push_funding": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin", "caller"],
+        "params": [
+          ["pair_id", "u64"],
+          ["funding_bps", "u128"],
+          ["vrf_seed_u128", "u128"],
+          ["now_ts", "u64"]
+        ],
+        "returns": []
+      },
+      "open_position": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["user", "address"],
+          ["pair_id", "u64"],
+          ["size", "u64"],
+          ["side", "u8"],
+          ["lev_bps", "u64"],
+          ["margin", "u64"],
+          ["entry_px", "u64"]
+        ],
+        "returns": []
+      },
+      "close_position": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["user", "address"],
+          ["pair_id", "u64"],
+          ["size_to_close", "u64"]
+        ],
+        "returns": []
+      },
+      "liquidate": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [
+          ["victim", "address"],
+          ["pair_id", "u64"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "simple_orderbook": {
+    "address": "My_module",
+    "file": "orderbook.move",
+    "structs": {
+      "Order": [
+        ["id", "u64"],
+        ["owner", "address"],
+        ["side", "u8"],
+        ["price", "u64"],
+        ["qty", "u64"]
+      ],
+      "Book": [
+        ["next_id", "u64"],
+        ["bids", "Table<u64, vector<Order>>"],
+        ["asks", "Table<u64, vector<Order>>"]
+      ]
+    },
+    "resources": {
+      "Book": {
+        "typeParams": [],
+        "tables": {
+          "bids": ["u64", "vector<Order>"],
+          "asks": ["u64", "vector<Order>"]
+        }
+      }
+    },
+    "functions": {
+      "init": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin"],
+        "params": [],
+        "returns": []
+      },
+      "place_limit": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin", "user"],
+        "params": [
+          ["side", "u8"],
+          ["price", "u64"],
+          ["qty", "u64"]
+        ],
+        "returns": []
+      },
+      "place_market": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["admin", "user"],
+        "params": [
+          ["side", "u8"],
+          ["qty", "u64"]
+        ],
+        "returns": []
+      }
+    }
+  },
+  "simple_wallet": {
+    "address": "neurodex",
+    "file": "sources/simple_wallet.move",
+    "structs": {
+      "WalletConnectedEvent": [
+        ["user_address", "address"],
+        ["apt_balance", "u64"],
+        ["timestamp", "u64"]
+      ],
+      "WalletData": [
+        ["owner", "address"],
+        ["apt_balance", "u64"],
+        ["last_updated", "u64"],
+        ["wallet_connected_events", "EventHandle<WalletConnectedEvent>"]
+      ]
+    },
+    "resources": {
+      "WalletData": {
+        "typeParams": [],
+        "tables": {}
+      }
+    },
+    "functions": {
+      "connect_wallet": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["user"],
+        "params": [],
+        "returns": []
+      },
+      "transfer_apt": {
+        "kind": "entry",
+        "typeParams": [],
+        "signers": ["sender"],
+        "params": [
+          ["recipient", "address"],
+          ["amount", "u64"]
+        ],
+        "returns": []
+      },
+      "get_wallet_balance": {
+        "kind": "view",
+        "typeParams": [],
+        "signers": [],
+        "params": [
+          ["user_addr", "address"]
+        ],
+        "returns": ["u64"]
+      },
+      "get_wallet_info": {
+        "kind": "view",
+        "typeParams": [],
+        "signers": [],
+        "params": [
+          ["user_addr", "address"]
+        ],
+        "returns": ["u64", "u64"]
+      }
+    }
+  }
+};
+
+export const aiBridge = {
+  /**
+   * ai_bridge::init (entry, signer: admin)
+   * Initialize AI bridge (admin only)
+   * @param {{ max_leverage: MoveUint, min_margin: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  init: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'init', args),
+  /**
+   * ai_bridge::set_params (entry, signer: admin)
+   * Admin can update parameters
+   * @param {{ max_leverage: MoveUint, min_margin: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  setParams: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'set_params', args),
+  /**
+   * ai_bridge::submit_ai_trade (entry, signer: user)
+   * User submits their own trade (requires user signature)
+   * @param {{ pair: MoveBytes, side: boolean, leverage: MoveUint, margin: MoveUint, timestamp: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  submitAiTrade: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'ai_bridge', 'submit_ai_trade', args),
+  /**
+   * ai_bridge::TradeLog (resource; null when the account does not hold it)
+   * Store all executed AI trades
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<AiBridgeTradeLog | null>}
+   */
+  readTradeLog: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'ai_bridge', 'TradeLog', args),
+  /**
+   * ai_bridge::Bridge (resource; null when the account does not hold it)
+   * Bridge admin (trusted backend AI signer)
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<AiBridgeBridge | null>}
+   */
+  readBridge: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'ai_bridge', 'Bridge', args),
+};
+
+export const governance = {
+  /**
+   * governance::init (entry, signer: admin)
+   * Initialize governance with admin
+   * @param {{ max_leverage: MoveUint, fee_bps: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  init: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'governance', 'init', args),
+  /**
+   * governance::set_params (entry, signer: admin)
+   * @param {{ max_leverage: MoveUint, fee_bps: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  setParams: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'governance', 'set_params', args),
+  /**
+   * governance::transfer_admin (entry, signer: admin)
+   * @param {{ new_admin: string }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  transferAdmin: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'governance', 'transfer_admin', args),
+  /**
+   * governance::assign_votes (entry, signer: admin)
+   * Give voting power (admin controlled, could be tied to governance token)
+   * @param {{ user: string, power: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  assignVotes: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'governance', 'assign_votes', args),
+  /**
+   * governance::vote_change (entry, signer: user)
+   * Simple majority vote to change params
+   * @param {{ max_leverage: MoveUint, fee_bps: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  voteChange: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'governance', 'vote_change', args),
+  /**
+   * governance::Params (resource; null when the account does not hold it)
+   * System parameters controlled by governance
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<GovernanceParams | null>}
+   */
+  readParams: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'governance', 'Params', args),
+  /**
+   * governance::Governance (resource; null when the account does not hold it)
+   * Governance resource (admin + optional voters)
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<GovernanceGovernance | null>}
+   */
+  readGovernance: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'governance', 'Governance', args),
+  /**
+   * governance::Governance.votes entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: string }} args
+   * @param {string} [address]
+   * @returns {Promise<bigint | null>}
+   */
+  readGovernanceVotes: (reader, args, address = NAMED_ADDRESSES.My_module) => readTableItem(reader, MOVE_ABI, address, 'governance', 'Governance', 'votes', args),
+  /**
+   * governance::Governance.votes entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: string, value: bigint }[]>}
+   */
+  listGovernanceVotes: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'governance', 'Governance', 'votes', args),
+};
+
+export const liquidationDemo = {
+  /**
+   * liquidation_demo::init_pair (entry, signer: admin)
+   * Initialize a pair
+   * @param {{ pair_id: MoveUint, mark_px: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  initPair: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'init_pair', args),
+  /**
+   * liquidation_demo::set_mark_price (entry, signer: admin)
+   * Set mark price
+   * @param {{ new_px: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  setMarkPrice: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'set_mark_price', args),
+  /**
+   * liquidation_demo::open_position (entry, signer: admin)
+   * Open a position
+   * @param {{ user: string, size: MoveUint, margin: MoveUint, entry_px: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  openPosition: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'open_position', args),
+  /**
+   * liquidation_demo::liquidate (entry, signer: admin)
+   * Simple liquidation: remove position if margin < threshold
+   * @param {{ user: string, min_margin: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  liquidate: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'liquidation_demo', 'liquidate', args),
+  /**
+   * liquidation_demo::PairState (resource; null when the account does not hold it)
+   * Per-pair state
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<LiquidationDemoPairState | null>}
+   */
+  readPairState: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'liquidation_demo', 'PairState', args),
+  /**
+   * liquidation_demo::PairState.positions entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: string }} args
+   * @param {string} [address]
+   * @returns {Promise<LiquidationDemoPosition | null>}
+   */
+  readPairStatePositions: (reader, args, address = NAMED_ADDRESSES.My_module) => readTableItem(reader, MOVE_ABI, address, 'liquidation_demo', 'PairState', 'positions', args),
+  /**
+   * liquidation_demo::PairState.positions entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: string, value: LiquidationDemoPosition }[]>}
+   */
+  listPairStatePositions: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'liquidation_demo', 'PairState', 'positions', args),
+};
+
+export const marginVault = {
+  /**
+   * margin_vault::register<T> (entry, signer: user)
+   * Register a margin box for a specific coin type `T` (e.g., USDC).
+   * @param {{ T: string }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  register: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'margin_vault', 'register', args),
+  /**
+   * margin_vault::deposit<T> (entry, signer: user)
+   * Deposit `amount` of `T` from the user's CoinStore into their MarginBox.available.
+   * @param {{ T: string, amount: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  deposit: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'margin_vault', 'deposit', args),
+  /**
+   * margin_vault::withdraw<T> (entry, signer: user)
+   * Withdraw `amount` of `T` from MarginBox.available back to the user's CoinStore.
+   * @param {{ T: string, amount: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  withdraw: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'margin_vault', 'withdraw', args),
+  /**
+   * margin_vault::lock<T> (entry, signer: user)
+   * Lock `amount` of `T` from available into locked (for opening/maintaining a position).
+   * Typically called by the user or routed via a higher-level DEX/engine with user intent.
+   * @param {{ T: string, amount: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  lock: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'margin_vault', 'lock', args),
+  /**
+   * margin_vault::unlock<T> (entry, signer: user)
+   * Unlock `amount` of `T` from locked back to available (e.g., when closing/reducing a position).
+   * @param {{ T: string, amount: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  unlock: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'margin_vault', 'unlock', args),
+  /**
+   * margin_vault::MarginBox<T> (resource; null when the account does not hold it)
+   * Per-user margin box. Funds sit under the user's account (not pooled in the module),
+   * which keeps custody simple and auditable.
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string, T: string }} args
+   * @param {string} [address]
+   * @returns {Promise<MarginVaultMarginBox | null>}
+   */
+  readMarginBox: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'margin_vault', 'MarginBox', args),
+};
+
+export const minimalTest = {
+  /**
+   * minimal_test::hello (entry, signer: admin)
+   * @param {{}} [args]
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  hello: (args = {}, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'minimal_test', 'hello', args),
+};
+
+export const perpCore = {
+  /**
+   * perp_core::create_pair (entry, signer: admin)
+   * @param {{ pair_id: MoveUint, max_lev_bps: MoveUint, init_margin_bps: MoveUint, maint_margin_bps: MoveUint, max_funding_bps_hour: MoveUint, oracle: string, vrf_oracle: string, init_mark_px: MoveUint, now_ts: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  createPair: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'create_pair', args),
+  /**
+   * perp_core::set_mark_price (entry, signers: admin, caller (multi-agent))
+   * Set mark price (only price oracle)
+   * @param {{ pair_id: MoveUint, new_px: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  setMarkPrice: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'set_mark_price', args),
+  /**
+   * perp_core::push_funding (entry, signers: admin, caller (multi-agent))
+   * Update funding using a **VRF seed** (only VRF oracle).
+   * We map seed → signed funding rate in [-max_funding_bps_hour, +max_funding_bps_hour] and
+   * accrue by elapsed hours since last update.
+   * @param {{ pair_id: MoveUint, funding_bps: MoveUint, vrf_seed_u128: MoveUint, now_ts: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  pushFunding: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'push_funding', args),
+  /**
+   * perp_core::open_position (entry, signer: admin)
+   * Open a single net position per user per pair (kept simple).
+   * `lev_bps` example: 5000 = 50x; `margin` is the user's lock for this position (quote units).
+   * @param {{ user: string, pair_id: MoveUint, size: MoveUint, side: number, lev_bps: MoveUint, margin: MoveUint, entry_px: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  openPosition: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'open_position', args),
+  /**
+   * perp_core::close_position (entry, signer: admin)
+   * Close full (or partial) position at current mark price. Returns PnL + released margin via events or vault hook.
+   * @param {{ user: string, pair_id: MoveUint, size_to_close: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  closePosition: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'close_position', args),
+  /**
+   * perp_core::liquidate (entry, signer: admin)
+   * Anyone can trigger liquidation if account health < 0 (below maintenance).
+   * For brevity closes 100% and leaves “liquidation fee” as TODO hook.
+   * @param {{ victim: string, pair_id: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  liquidate: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'perp_core', 'liquidate', args),
+  /**
+   * perp_core::Position (resource; null when the account does not hold it)
+   * side: 0 = LONG, 1 = SHORT
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<PerpCorePosition | null>}
+   */
+  readPosition: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'perp_core', 'Position', args),
+  /**
+   * perp_core::Pair (resource; null when the account does not hold it)
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<PerpCorePair | null>}
+   */
+  readPair: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'perp_core', 'Pair', args),
+  /**
+   * perp_core::Pair.positions entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: string }} args
+   * @param {string} [address]
+   * @returns {Promise<PerpCorePosition | null>}
+   */
+  readPairPositions: (reader, args, address = NAMED_ADDRESSES.My_module) => readTableItem(reader, MOVE_ABI, address, 'perp_core', 'Pair', 'positions', args),
+  /**
+   * perp_core::Pair.positions entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: string, value: PerpCorePosition }[]>}
+   */
+  listPairPositions: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'perp_core', 'Pair', 'positions', args),
+};
+
+export const simpleOrderbook = {
+  /**
+   * simple_orderbook::init (entry, signer: admin)
+   * Create empty book
+   * @param {{}} [args]
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  init: (args = {}, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'init', args),
+  /**
+   * simple_orderbook::place_limit (entry, signers: admin, user (multi-agent))
+   * Place LIMIT order, matches if crossing
+   * @param {{ side: number, price: MoveUint, qty: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  placeLimit: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'place_limit', args),
+  /**
+   * simple_orderbook::place_market (entry, signers: admin, user (multi-agent))
+   * Place MARKET order (fills immediately)
+   * @param {{ side: number, qty: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  placeMarket: (args, address = NAMED_ADDRESSES.My_module) => entryPayload(MOVE_ABI, address, 'simple_orderbook', 'place_market', args),
+  /**
+   * simple_orderbook::Book (resource; null when the account does not hold it)
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<SimpleOrderbookBook | null>}
+   */
+  readBook: (reader, args, address = NAMED_ADDRESSES.My_module) => readResource(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', args),
+  /**
+   * simple_orderbook::Book.bids entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: MoveUint }} args
+   * @param {string} [address]
+   * @returns {Promise<SimpleOrderbookOrder[] | null>}
+   */
+  readBookBids: (reader, args, address = NAMED_ADDRESSES.My_module) => readTableItem(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', 'bids', args),
+  /**
+   * simple_orderbook::Book.bids entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: bigint, value: SimpleOrderbookOrder[] }[]>}
+   */
+  listBookBids: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'simple_orderbook', 'Book', 'bids', args),
+  /**
+   * simple_orderbook::Book.asks entry by key (null when absent)
+   * @param {MoveResourceReader} reader
+   * @param {{ handle: string, key: MoveUint }} args
+   * @param {string} [address]
+   * @returns {Promise<SimpleOrderbookOrder[] | null>}
+   */
+  readBookAsks: (reader, args, address = NAMED_ADDRESSES.My_module) => readTableItem(reader, MOVE_ABI, address, 'simple_orderbook', 'Book', 'asks', args),
+  /**
+   * simple_orderbook::Book.asks entries from the indexer
+   * @param {MoveIndexer} indexer
+   * @param {{ handle: string, limit?: number, offset?: number }} args
+   * @returns {Promise<{ key: bigint, value: SimpleOrderbookOrder[] }[]>}
+   */
+  listBookAsks: (indexer, args) => listTableItems(indexer, MOVE_ABI, 'simple_orderbook', 'Book', 'asks', args),
+};
+
+export const simpleWallet = {
+  /**
+   * simple_wallet::connect_wallet (entry, signer: user)
+   * @param {{}} [args]
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  connectWallet: (args = {}, address = NAMED_ADDRESSES.neurodex) => entryPayload(MOVE_ABI, address, 'simple_wallet', 'connect_wallet', args),
+  /**
+   * simple_wallet::transfer_apt (entry, signer: sender)
+   * @param {{ recipient: string, amount: MoveUint }} args
+   * @param {string} [address]
+   * @returns {EntryFunctionPayload}
+   */
+  transferApt: (args, address = NAMED_ADDRESSES.neurodex) => entryPayload(MOVE_ABI, address, 'simple_wallet', 'transfer_apt', args),
+  /**
+   * simple_wallet::get_wallet_balance (view)
+   * @param {MoveViewer} viewer
+   * @param {{ user_addr: string }} args
+   * @param {string} [address]
+   * @returns {Promise<bigint>}
+   */
+  getWalletBalance: (viewer, args, address = NAMED_ADDRESSES.neurodex) => callView(viewer, MOVE_ABI, address, 'simple_wallet', 'get_wallet_balance', args),
+  /**
+   * simple_wallet::get_wallet_info (view)
+   * @param {MoveViewer} viewer
+   * @param {{ user_addr: string }} args
+   * @param {string} [address]
+   * @returns {Promise<[bigint, bigint]>}
+   */
+  getWalletInfo: (viewer, args, address = NAMED_ADDRESSES.neurodex) => callView(viewer, MOVE_ABI, address, 'simple_wallet', 'get_wallet_info', args),
+  /**
+   * simple_wallet::WalletData (resource; null when the account does not hold it)
+   * @param {MoveResourceReader} reader
+   * @param {{ account: string }} args
+   * @param {string} [address]
+   * @returns {Promise<SimpleWalletWalletData | null>}
+   */
+  readWalletData: (reader, args, address = NAMED_ADDRESSES.neurodex) => readResource(reader, MOVE_ABI, address, 'simple_wallet', 'WalletData', args),
+};
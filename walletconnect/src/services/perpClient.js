@@ -1,23 +1,34 @@
 // Perp backend integration service
-// Uses REST endpoints exposed by ai agent server (see server/index.ts)
+// Uses REST endpoints exposed by ai agent server (see server/index.ts), which sign perp_core calls as the admin:
+//   openPosition  -> perp_core::open_position(admin, user, pair_id, size, side, lev_bps, margin, entry_px)
+//   closePosition -> perp_core::close_position(admin, user, pair_id, size_to_close)
+// getMark / getPosition read the Pair resource and its positions table on the server (the module has no views;
+// u64 values as decimal strings, position null when the user has none). `pair` / `pairId` is a pair id or BASE-QUOTE symbol from getPairs() (GET /api/perp/pairs);
+// size is in lots and margin in quote units (config/perpPairs converts).
+import { apiError } from './abortDecoder';
 
+export async function getPairs(){
+  const r= await fetch('/api/perp/pairs');
+  if(!r.ok) throw new Error('pairs failed');
+  return r.json();
+}
 export async function getMark(pair=1){
-  const r= await fetch(`/api/perp/mark?pair=${pair}`);
+  const r= await fetch(`/api/perp/mark?pair=${encodeURIComponent(pair)}`);
   if(!r.ok) throw new Error('mark failed');
   return r.json();
 }
 export async function getPosition(user, pair=1){
-  const r= await fetch(`/api/perp/position?user=${encodeURIComponent(user)}&pair=${pair}`);
+  const r= await fetch(`/api/perp/position?user=${encodeURIComponent(user)}&pair=${encodeURIComponent(pair)}`);
   if(!r.ok) throw new Error('position failed');
   return r.json();
 }
-export async function openPosition({user,pairId=1,size,side,lev_bps,margin}){
-  const r= await fetch('/api/perp/open',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({user,pairId,size,side,lev_bps,margin})});
-  if(!r.ok) { let m='open failed'; try{ const j=await r.json(); m=j.error||m;}catch(_){} throw new Error(m); }
+export async function openPosition({user,pairId=1,size,side,lev_bps,margin,entry_px}){
+  const r= await fetch('/api/perp/open',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({user,pairId,size,side,lev_bps,margin,entry_px})});
+  if(!r.ok) { let j; try{ j=await r.json(); }catch(_){} throw apiError(j,'open failed'); }
   return r.json();
 }
 export async function closePosition({user,pairId=1,size}){
   const r= await fetch('/api/perp/close',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({user,pairId,size})});
-  if(!r.ok){ let m='close failed'; try{ const j=await r.json(); m=j.error||m;}catch(_){} throw new Error(m);} 
+  if(!r.ok){ let j; try{ j=await r.json(); }catch(_){} throw apiError(j,'close failed');}
   return r.json();
 }
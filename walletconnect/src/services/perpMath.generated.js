@@ -0,0 +1,101 @@
+// GENERATED by ai agent/scripts/genPerpMath.mjs from ai agent/src/perp/margin.ts – do not edit by hand.
+/*
+ * perp_core margin maths in BigInt, term for term with the Move module:
+ *   notional        = px * size                                   (quote units)
+ *   init margin     = max(notional / lev_bps, notional * init_bps / 10_000)
+ *   maint margin    = notional * maint_bps / 10_000
+ *   price pnl       = sign(side) * (mark - entry) * size
+ *   funding pnl     = sign(side) * notional * (cum_funding_now - cum_funding_open) / 10_000
+ *   health          = margin + price pnl + funding pnl - maint margin   (liquidatable when < 0)
+ * sign(side) is +1 for LONG (0) and -1 for SHORT (1). The Move helpers currently return |pnl| (u128 has no
+ * sign), which would make health never negative; the sign here is what their doc comments describe.
+ * moduleHealth() is perp_core::health as deployed (|pnl| terms, u128), for reporting what the chain would compute.
+ *
+ * Shared with the frontend: npm run gen:perp-math transpiles this file to
+ * walletconnect/src/services/perpMath.generated.js, so keep it free of imports.
+ */
+export const BPS = 10000n;
+export const SIDE_LONG = 0;
+export const SIDE_SHORT = 1;
+const sideSign = (side) => (side === SIDE_LONG ? 1n : -1n);
+export function notional(px, size) {
+    return px * size;
+}
+export function requiredInitMargin(notionalQ, levBps, initMarginBps) {
+    const byLev = notionalQ / BigInt(levBps);
+    const byFloor = (notionalQ * BigInt(initMarginBps)) / BPS;
+    return byLev > byFloor ? byLev : byFloor;
+}
+export function maintMargin(notionalQ, maintMarginBps) {
+    return (notionalQ * BigInt(maintMarginBps)) / BPS;
+}
+export function pricePnl(markPx, entryPx, size, side) {
+    return sideSign(side) * (markPx - entryPx) * size;
+}
+export function fundingPnl(markPx, size, side, cumNow, cumOpen) {
+    return (sideSign(side) * notional(markPx, size) * (cumNow - cumOpen)) / BPS;
+}
+export function health(pos, m) {
+    const n = notional(m.markPx, pos.size);
+    return pos.margin + pricePnl(m.markPx, pos.entryPx, pos.size, pos.side)
+        + fundingPnl(m.markPx, pos.size, pos.side, m.cumFundingBps, pos.fundingIndexOpen)
+        - maintMargin(n, m.maintMarginBps);
+}
+const abs = (v) => (v < 0n ? -v : v);
+// perp_core::health on the deployed bytecode: both PnL helpers return magnitudes, so losses add to health, and
+// the final `- maint_margin` aborts with ARITHMETIC_ERROR on u128 underflow (returned here as null)
+export function moduleHealth(pos, m) {
+    const gross = pos.margin + abs(pricePnl(m.markPx, pos.entryPx, pos.size, pos.side))
+        + abs(fundingPnl(m.markPx, pos.size, pos.side, m.cumFundingBps, pos.fundingIndexOpen));
+    const mm = maintMargin(notional(m.markPx, pos.size), m.maintMarginBps);
+    return gross >= mm ? gross - mm : null;
+}
+function ceilDiv(a, b) {
+    return a % b === 0n ? a / b : a / b + 1n;
+}
+// Mark price where health reaches zero with the current funding index. Health is linear in the mark:
+//   health(px) = margin - s*entry*size + px*size*(s*(10_000 + dF) - maint) / 10_000
+// Longs are rounded up and shorts down, so the reported price is never on the safe side of the real one.
+export function liquidationPrice(pos, m) {
+    if (pos.size <= 0n)
+        return null;
+    const dF = m.cumFundingBps - pos.fundingIndexOpen;
+    const maint = BigInt(m.maintMarginBps);
+    if (pos.side === SIDE_LONG) {
+        const num = (pos.entryPx * pos.size - pos.margin) * BPS;
+        const den = pos.size * (BPS + dF - maint);
+        if (num <= 0n || den <= 0n)
+            return null;
+        return ceilDiv(num, den);
+    }
+    const num = (pos.entryPx * pos.size + pos.margin) * BPS;
+    const den = pos.size * (BPS + dF + maint);
+    if (den <= 0n)
+        return null;
+    return num / den;
+}
+export function assessPosition(pos, m) {
+    const n = notional(m.markPx, pos.size);
+    const pPnl = pricePnl(m.markPx, pos.entryPx, pos.size, pos.side);
+    const fPnl = fundingPnl(m.markPx, pos.size, pos.side, m.cumFundingBps, pos.fundingIndexOpen);
+    const mm = maintMargin(n, m.maintMarginBps);
+    const equity = pos.margin + pPnl + fPnl;
+    const h = equity - mm;
+    const liq = liquidationPrice(pos, m);
+    const distance = liq === null || m.markPx === 0n
+        ? null
+        : Number(((pos.side === SIDE_LONG ? m.markPx - liq : liq - m.markPx) * BPS) / m.markPx);
+    return {
+        notional: n,
+        maintMargin: mm,
+        pricePnl: pPnl,
+        fundingPnl: fPnl,
+        equity,
+        health: h,
+        moduleHealth: moduleHealth(pos, m),
+        marginRatioBps: n === 0n ? 0 : Number((equity * BPS) / n),
+        liquidationPx: liq,
+        distanceToLiqBps: distance,
+        liquidatable: h < 0n,
+    };
+}
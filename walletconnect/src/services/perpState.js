@@ -0,0 +1,33 @@
+// perpState.js - perp_core state for the frontend
+// The reads are services/perpState.generated.js (ai agent/src/perp/perpState.ts, npm run gen:perp-math): the Pair
+// resource at a market's admin address (config, mark price, funding index, positions table handle) and that
+// table's entries. This adds the pair registry: registry params are kept when the Pair there belongs to another
+// pair id (the registry is out of date).
+import { perpCore } from './moveClient.generated';
+import { readPairState, readPosition as readPairPosition, toPositionState } from './perpState.generated';
+import { getPerpPair } from '../config/perpPairs';
+import { MODULE_ADDR } from '../config/chain';
+
+export { toPositionState };
+
+export async function readMarket(aptos, market) {
+  const registered = getPerpPair(market);
+  const data = await readPairState(aptos, MODULE_ADDR, registered.admin);
+  const pair = data.pairId !== registered.pairId ? registered : {
+    ...registered,
+    maxLevBps: data.maxLevBps,
+    initMarginBps: data.initMarginBps,
+    maintMarginBps: data.maintMarginBps,
+    maxFundingBpsHour: data.maxFundingBpsHour
+  };
+  return { pair, markPx: data.markPx, cumFundingBps: data.cumFundingBps, maintMarginBps: pair.maintMarginBps, positionsHandle: data.positionsHandle };
+}
+
+// The owner's position on a market (null when they have none)
+export const readPosition = (aptos, state, owner) => readPairPosition(aptos, MODULE_ADDR, state, owner);
+
+// Every open position on a market, from the indexer (tables cannot be enumerated on the node)
+export async function listPositions(aptos, state, limit = 100) {
+  const rows = await perpCore.listPairPositions(aptos, { handle: state.positionsHandle, limit });
+  return rows.map(({ key, value }) => ({ owner: key, position: toPositionState(value) }));
+}